@@ -0,0 +1,65 @@
+// Admin roles and the permissions each one grants.
+// Routes declare the permission they need (authorize("admin", { permission })),
+// never a role, so roles can be reshaped here without touching the routers.
+
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard.view",
+  USERS_VIEW: "users.view",
+  USERS_DELETE: "users.delete",
+  USERS_SUPPORT: "users.support", // reset onboarding / verification email limits
+  EXPERTS_VERIFY: "experts.verify",
+  WORK_SUBMISSIONS_REVIEW: "work_submissions.review",
+  FORUMS_MODERATE: "forums.moderate",
+  POSTS_MODERATE: "posts.moderate",
+  REPORTS_REVIEW: "reports.review", // user reports moderation queue
+  REVIEWS_MODERATE: "reviews.moderate", // hide/restore expert reviews
+  COMMUNITIES_MANAGE: "communities.manage",
+  MEETINGS_MANAGE: "meetings.manage",
+  SEARCH_LIMITS_MANAGE: "search_limits.manage",
+  CONTACTS_MANAGE: "contacts.manage",
+  FEEDBACK_VIEW: "feedback.view",
+  ADMINS_MANAGE: "admins.manage",
+  AUDIT_LOG_VIEW: "audit_log.view",
+  JOBS_MANAGE: "jobs.manage", // background job queue: inspect, retry, cancel
+  CACHE_MANAGE: "cache.manage", // shared cache metrics and purge
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLE_PERMISSIONS = {
+  "super-admin": ALL_PERMISSIONS,
+  moderator: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.FORUMS_MODERATE,
+    PERMISSIONS.POSTS_MODERATE,
+    PERMISSIONS.COMMUNITIES_MANAGE,
+    PERMISSIONS.REPORTS_REVIEW,
+    PERMISSIONS.REVIEWS_MODERATE,
+  ],
+  verifier: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.EXPERTS_VERIFY,
+    PERMISSIONS.WORK_SUBMISSIONS_REVIEW,
+  ],
+  support: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_SUPPORT,
+    PERMISSIONS.CONTACTS_MANAGE,
+    PERMISSIONS.FEEDBACK_VIEW,
+    PERMISSIONS.MEETINGS_MANAGE,
+    PERMISSIONS.SEARCH_LIMITS_MANAGE,
+  ],
+};
+
+export const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export function permissionsForRoles(roles = []) {
+  const granted = new Set();
+  roles.forEach((role) => {
+    (ROLE_PERMISSIONS[role] || []).forEach((permission) => granted.add(permission));
+  });
+  return [...granted];
+}
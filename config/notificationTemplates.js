@@ -0,0 +1,279 @@
+// Notification types and how each one is worded and delivered.
+// Call sites only pass facts (who, what, ids) to notify(); titles and messages live here.
+//
+// Template fields:
+//   label          - shown on the preferences screen
+//   defaultChannel - "in_app" | "email" (email also keeps the in-app entry) | "none"
+//   itemType       - relatedItemType stored on the notification
+//   title(ctx), message(ctx) - ctx = { actor, actorCount, count, data }
+//   collapse       - merge into the recipient's unread notification with the same key
+//                    within windowHours ("5 people upvoted your thread").
+//                    countBy "actors" counts distinct people, "events" counts every call.
+
+export const NOTIFICATION_CHANNELS = ["in_app", "email", "none"];
+
+const someone = (actor, fallback = "Someone") => actor || fallback;
+const people = (count) => `${count} people`;
+
+export const NOTIFICATION_TEMPLATES = {
+  new_reply: {
+    label: "Replies to your threads and comments",
+    defaultChannel: "in_app",
+    itemType: "thread",
+    title: () => "New Reply",
+    message: ({ actor, actorCount, data }) => {
+      const who = actorCount > 1 ? people(actorCount) : someone(actor);
+      return data.threadTitle
+        ? `${who} replied to your thread: "${data.threadTitle}"`
+        : `${who} replied to your comment`;
+    },
+    collapse: { key: ({ itemId }) => itemId, windowHours: 24, countBy: "actors" },
+  },
+  researcher_replied: {
+    label: "Researchers replying to your threads",
+    defaultChannel: "in_app",
+    itemType: "thread",
+    title: () => "Researcher Replied",
+    message: ({ actor, data }) => `${someone(actor)} replied to your thread: "${data.threadTitle}"`,
+  },
+  thread_upvoted: {
+    label: "Upvotes on your threads",
+    defaultChannel: "in_app",
+    itemType: "thread",
+    title: () => "Thread Upvoted",
+    message: ({ actor, actorCount, data }) =>
+      `${actorCount > 1 ? people(actorCount) : someone(actor)} upvoted your thread: "${data.threadTitle}"`,
+    collapse: { key: ({ itemId }) => itemId, windowHours: 24, countBy: "actors" },
+  },
+  reply_upvoted: {
+    label: "Upvotes on your replies",
+    defaultChannel: "in_app",
+    itemType: "reply",
+    title: () => "Reply Upvoted",
+    message: ({ actor, actorCount }) =>
+      `${actorCount > 1 ? people(actorCount) : someone(actor)} upvoted your reply`,
+    collapse: { key: ({ itemId }) => itemId, windowHours: 24, countBy: "actors" },
+  },
+  patient_question: {
+    label: "Patient questions in your specialty",
+    defaultChannel: "in_app",
+    itemType: "thread",
+    title: () => "New Patient Question",
+    message: ({ actor, data }) =>
+      `${someone(actor, "A patient")} asked a question in your specialty: "${data.threadTitle}"`,
+  },
+  community_thread: {
+    label: "New discussions in your communities",
+    defaultChannel: "in_app",
+    itemType: "thread",
+    title: () => "New Community Discussion",
+    message: ({ actor, data }) =>
+      `${someone(actor, "A patient")} posted in ${data.communityName}: "${data.threadTitle}"`,
+  },
+  new_follower: {
+    label: "New followers",
+    defaultChannel: "in_app",
+    title: () => "New Follower",
+    message: ({ actor, actorCount, data }) => {
+      if (actorCount > 1) return `${people(actorCount)} followed you`;
+      return data.source
+        ? `${someone(actor)} followed you THROUGH ${data.source}`
+        : `${someone(actor)} followed you`;
+    },
+    collapse: { key: () => "followers", windowHours: 24, countBy: "actors" },
+  },
+  new_message: {
+    label: "Direct messages",
+    defaultChannel: "in_app",
+    itemType: "message",
+    title: () => "New Message",
+    message: ({ actor, count }) =>
+      count > 1
+        ? `You have ${count} new messages from ${someone(actor)}`
+        : `You received a message from ${someone(actor)}`,
+    collapse: { key: ({ data }) => data.conversationId, windowHours: 24, countBy: "events" },
+  },
+  message_request: {
+    label: "Message requests from patients",
+    defaultChannel: "email",
+    itemType: "message_request",
+    title: () => "New Message Request",
+    message: ({ actor }) => `${someone(actor, "A patient")} would like to message you`,
+  },
+  message_request_accepted: {
+    label: "Your message requests being accepted",
+    defaultChannel: "email",
+    itemType: "message_request",
+    title: () => "Message Request Accepted",
+    message: ({ actor }) =>
+      `${someone(actor, "The researcher")} accepted your message request. You can now send messages.`,
+  },
+  message_request_rejected: {
+    label: "Your message requests being declined",
+    defaultChannel: "in_app",
+    itemType: "message_request",
+    title: () => "Message Request Declined",
+    message: ({ actor }) => `${someone(actor, "The researcher")} declined your message request.`,
+  },
+  connection_request: {
+    label: "Connection requests",
+    defaultChannel: "in_app",
+    itemType: "connection_request",
+    title: () => "New Connection Request",
+    message: ({ actor }) => `${someone(actor)} sent you a connection request`,
+  },
+  connection_request_accepted: {
+    label: "Your connection requests being accepted",
+    defaultChannel: "in_app",
+    itemType: "connection_request",
+    title: () => "Connection Request Accepted",
+    message: ({ actor }) =>
+      `${someone(actor, "The researcher")} accepted your connection request. You can now send messages.`,
+  },
+  connection_request_rejected: {
+    label: "Your connection requests being rejected",
+    defaultChannel: "in_app",
+    itemType: "connection_request",
+    title: () => "Connection Request Rejected",
+    message: ({ actor }) => `${someone(actor, "The researcher")} rejected your connection request.`,
+  },
+  connection_removed: {
+    label: "Connections ending",
+    defaultChannel: "in_app",
+    title: () => "Connection Disconnected",
+    message: ({ actor }) => `${someone(actor)} disconnected from you`,
+  },
+  meeting_request: {
+    label: "Meeting requests and patient questions",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: ({ data }) => (data.questionsAdded ? "Patient added questions" : "New Meeting Request"),
+    message: ({ actor, data }) =>
+      data.questionsAdded
+        ? `${someone(actor, "A patient")} added questions to their meeting request`
+        : `${someone(actor)} sent you a meeting request`,
+  },
+  meeting_request_accepted: {
+    label: "Meetings being accepted or scheduled",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: ({ data }) => (data.scheduled ? "Meeting Scheduled" : "Meeting Request Accepted"),
+    message: ({ actor, data }) =>
+      (data.scheduled
+        ? `${someone(actor, "The expert")} accepted your meeting request and scheduled it for ${new Date(data.meetingDate).toLocaleDateString()}`
+        : `${someone(actor, "The expert")} accepted your meeting request.`) +
+      (data.paymentRequired ? ` Pay ${data.amountLabel} to confirm it.` : ""),
+  },
+  meeting_request_rejected: {
+    label: "Meeting requests being rejected",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Meeting Request Rejected",
+    message: ({ actor }) => `${someone(actor, "The expert")} rejected your meeting request.`,
+  },
+  meeting_request_cancelled: {
+    label: "Meetings being cancelled",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Meeting Request Cancelled",
+    message: ({ actor }) => `${someone(actor, "The other participant")} cancelled the meeting request.`,
+  },
+  meeting_confirmed: {
+    label: "Paid meetings being confirmed",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Meeting Confirmed",
+    message: ({ actor, data }) =>
+      data.paidByYou
+        ? `Payment of ${data.amountLabel} received. Your meeting with ${someone(actor, "the expert")} is confirmed.`
+        : `${someone(actor, "The patient")} paid ${data.amountLabel}. Your meeting is confirmed.`,
+  },
+  payment_refunded: {
+    label: "Meeting refunds",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Payment Refunded",
+    message: ({ data }) =>
+      data.superseded
+        ? `Your meeting's price changed before your payment went through, so it was refunded (${data.amountLabel}). Please pay the updated quote.`
+        : data.full
+          ? `Your meeting payment was refunded (${data.amountLabel}).`
+          : `${data.amountLabel} of your meeting payment has been refunded.`,
+  },
+  meeting_quote_expired: {
+    label: "Unpaid meetings being released",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Meeting Released",
+    message: () => "The meeting wasn't paid in time, so its time slot has been released.",
+  },
+  meeting_reminder: {
+    label: "Reminders before your meetings",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Meeting Reminder",
+    message: ({ actor, data }) =>
+      `Your meeting with ${someone(actor, "the other participant")} starts ${data.startsIn} (${new Date(data.meetingDate).toLocaleString()}).`,
+  },
+  meeting_feedback_requested: {
+    label: "Requests for notes and a rating after meetings",
+    defaultChannel: "in_app",
+    itemType: "meeting_request",
+    title: () => "How did your meeting go?",
+    message: ({ actor }) =>
+      `Add your notes and rate your meeting with ${someone(actor, "the other participant")}.`,
+  },
+  meeting_follow_up: {
+    label: "Follow-up questions after meetings",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Follow-up Questions",
+    message: ({ actor }) => `${someone(actor, "A patient")} sent follow-up questions about your meeting`,
+  },
+  meeting_follow_up_answered: {
+    label: "Answers to your follow-up questions",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Follow-up Answered",
+    message: ({ actor }) => `${someone(actor, "The expert")} answered your follow-up questions`,
+  },
+  new_review: {
+    label: "New reviews from patients",
+    defaultChannel: "in_app",
+    itemType: "review",
+    title: () => "New Review",
+    message: ({ actor, data }) => `${someone(actor, "A patient")} rated your meeting ${data.rating}/5`,
+  },
+  meeting_rescheduled: {
+    label: "Meetings being rescheduled",
+    defaultChannel: "email",
+    itemType: "meeting_request",
+    title: () => "Meeting Rescheduled",
+    message: ({ actor, data }) =>
+      `${someone(actor, "The other participant")} moved your meeting to ${new Date(data.meetingDate).toLocaleString()}` +
+      (data.needsApproval ? " and needs you to confirm the new time." : "."),
+  },
+  new_trial_match: {
+    label: "New clinical trials matching your interests",
+    defaultChannel: "in_app",
+    itemType: "trial",
+    title: () => "New Trial Match",
+    message: ({ data }) => data.summary || "A new clinical trial matches your interests",
+  },
+  trial_updated: {
+    label: "Changes to trials you saved (status, sites, eligibility, results)",
+    defaultChannel: "in_app",
+    itemType: "trial",
+    title: () => "Trial Updated",
+    message: ({ data }) => data.summary || "A trial you saved has changed",
+  },
+  new_publication: {
+    label: "New publications matching your interests",
+    defaultChannel: "in_app",
+    itemType: "publication",
+    title: () => "New Publication",
+    message: ({ data }) => data.summary || "A new publication matches your interests",
+  },
+};
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
@@ -0,0 +1,8 @@
+// Imported first by index.js so everything after it logs through the structured logger
+// and every outbound axios call is traced.
+import axios from "axios";
+import { installConsoleBridge } from "../utils/logger.js";
+import { instrumentAxios } from "../utils/axiosInstrumentation.js";
+
+installConsoleBridge();
+instrumentAxios(axios);
@@ -0,0 +1,937 @@
+/**
+ * Offline gazetteer for geocoding patient locations and trial sites (utils/geography.js).
+ * Coordinates are city / region / country centres, good to a few miles: enough for
+ * "trials within 100 miles", not for street-level distance.
+ *
+ * CITIES rows: [name, region code (US states, Canadian provinces, Australian states) or null,
+ * ISO country code, latitude, longitude]. Where a name exists in several places the
+ * larger city is listed first and wins when no region or country is given; smaller
+ * namesakes are kept at the end of the list.
+ */
+
+export const COUNTRIES = {
+  US: { name: "United States", aliases: ["usa", "us", "u.s.", "u.s.a.", "united states of america", "america"], lat: 39.83, lon: -98.58 },
+  CA: { name: "Canada", aliases: [], lat: 56.13, lon: -106.35 },
+  MX: { name: "Mexico", aliases: ["méxico"], lat: 23.63, lon: -102.55 },
+  BR: { name: "Brazil", aliases: ["brasil"], lat: -14.24, lon: -51.93 },
+  AR: { name: "Argentina", aliases: [], lat: -38.42, lon: -63.62 },
+  CL: { name: "Chile", aliases: [], lat: -35.68, lon: -71.54 },
+  CO: { name: "Colombia", aliases: [], lat: 4.57, lon: -74.3 },
+  PE: { name: "Peru", aliases: ["perú"], lat: -9.19, lon: -75.02 },
+  GB: { name: "United Kingdom", aliases: ["uk", "u.k.", "great britain", "britain", "england", "scotland", "wales", "northern ireland"], lat: 54.0, lon: -2.0 },
+  IE: { name: "Ireland", aliases: ["republic of ireland"], lat: 53.41, lon: -8.24 },
+  FR: { name: "France", aliases: [], lat: 46.23, lon: 2.21 },
+  DE: { name: "Germany", aliases: ["deutschland"], lat: 51.17, lon: 10.45 },
+  ES: { name: "Spain", aliases: ["españa"], lat: 40.46, lon: -3.75 },
+  PT: { name: "Portugal", aliases: [], lat: 39.4, lon: -8.22 },
+  IT: { name: "Italy", aliases: ["italia"], lat: 41.87, lon: 12.57 },
+  NL: { name: "Netherlands", aliases: ["the netherlands", "holland"], lat: 52.13, lon: 5.29 },
+  BE: { name: "Belgium", aliases: [], lat: 50.5, lon: 4.47 },
+  CH: { name: "Switzerland", aliases: [], lat: 46.82, lon: 8.23 },
+  AT: { name: "Austria", aliases: [], lat: 47.52, lon: 14.55 },
+  DK: { name: "Denmark", aliases: [], lat: 56.26, lon: 9.5 },
+  SE: { name: "Sweden", aliases: [], lat: 60.13, lon: 18.64 },
+  NO: { name: "Norway", aliases: [], lat: 60.47, lon: 8.47 },
+  FI: { name: "Finland", aliases: [], lat: 61.92, lon: 25.75 },
+  PL: { name: "Poland", aliases: [], lat: 51.92, lon: 19.15 },
+  CZ: { name: "Czechia", aliases: ["czech republic"], lat: 49.82, lon: 15.47 },
+  HU: { name: "Hungary", aliases: [], lat: 47.16, lon: 19.5 },
+  RO: { name: "Romania", aliases: [], lat: 45.94, lon: 24.97 },
+  BG: { name: "Bulgaria", aliases: [], lat: 42.73, lon: 25.49 },
+  GR: { name: "Greece", aliases: [], lat: 39.07, lon: 21.82 },
+  TR: { name: "Turkey", aliases: ["türkiye", "turkiye"], lat: 38.96, lon: 35.24 },
+  RU: { name: "Russia", aliases: ["russian federation"], lat: 61.52, lon: 105.32 },
+  UA: { name: "Ukraine", aliases: [], lat: 48.38, lon: 31.17 },
+  IL: { name: "Israel", aliases: [], lat: 31.05, lon: 34.85 },
+  EG: { name: "Egypt", aliases: [], lat: 26.82, lon: 30.8 },
+  SA: { name: "Saudi Arabia", aliases: [], lat: 23.89, lon: 45.08 },
+  AE: { name: "United Arab Emirates", aliases: ["uae"], lat: 23.42, lon: 53.85 },
+  QA: { name: "Qatar", aliases: [], lat: 25.35, lon: 51.18 },
+  IR: { name: "Iran", aliases: ["iran, islamic republic of"], lat: 32.43, lon: 53.69 },
+  PK: { name: "Pakistan", aliases: [], lat: 30.38, lon: 69.35 },
+  IN: { name: "India", aliases: [], lat: 20.59, lon: 78.96 },
+  BD: { name: "Bangladesh", aliases: [], lat: 23.68, lon: 90.36 },
+  CN: { name: "China", aliases: ["people's republic of china", "prc"], lat: 35.86, lon: 104.2 },
+  HK: { name: "Hong Kong", aliases: [], lat: 22.32, lon: 114.17 },
+  TW: { name: "Taiwan", aliases: [], lat: 23.7, lon: 120.96 },
+  JP: { name: "Japan", aliases: [], lat: 36.2, lon: 138.25 },
+  KR: { name: "South Korea", aliases: ["korea", "korea, republic of", "republic of korea"], lat: 35.91, lon: 127.77 },
+  SG: { name: "Singapore", aliases: [], lat: 1.35, lon: 103.82 },
+  MY: { name: "Malaysia", aliases: [], lat: 4.21, lon: 101.98 },
+  TH: { name: "Thailand", aliases: [], lat: 15.87, lon: 100.99 },
+  VN: { name: "Vietnam", aliases: ["viet nam"], lat: 14.06, lon: 108.28 },
+  PH: { name: "Philippines", aliases: [], lat: 12.88, lon: 121.77 },
+  ID: { name: "Indonesia", aliases: [], lat: -0.79, lon: 113.92 },
+  AU: { name: "Australia", aliases: [], lat: -25.27, lon: 133.78 },
+  NZ: { name: "New Zealand", aliases: [], lat: -40.9, lon: 174.89 },
+  ZA: { name: "South Africa", aliases: [], lat: -30.56, lon: 22.94 },
+  NG: { name: "Nigeria", aliases: [], lat: 9.08, lon: 8.68 },
+  KE: { name: "Kenya", aliases: [], lat: -0.02, lon: 37.91 },
+  ET: { name: "Ethiopia", aliases: [], lat: 9.15, lon: 40.49 },
+  GH: { name: "Ghana", aliases: [], lat: 7.95, lon: -1.02 },
+  UG: { name: "Uganda", aliases: [], lat: 1.37, lon: 32.29 },
+  TZ: { name: "Tanzania", aliases: ["tanzania, united republic of"], lat: -6.37, lon: 34.89 },
+  PR: { name: "Puerto Rico", aliases: [], lat: 18.22, lon: -66.59 },
+};
+
+// US states (plus DC and Puerto Rico), Canadian provinces and Australian states:
+// [code, name, country, latitude, longitude] (geographic / population centres)
+export const REGIONS = [
+  ["AL", "Alabama", "US", 32.8, -86.8],
+  ["AK", "Alaska", "US", 61.4, -150.0],
+  ["AZ", "Arizona", "US", 33.7, -111.9],
+  ["AR", "Arkansas", "US", 34.9, -92.4],
+  ["CA", "California", "US", 36.1, -119.7],
+  ["CO", "Colorado", "US", 39.1, -105.3],
+  ["CT", "Connecticut", "US", 41.6, -72.7],
+  ["DE", "Delaware", "US", 39.3, -75.5],
+  ["DC", "District of Columbia", "US", 38.9, -77.03],
+  ["FL", "Florida", "US", 27.8, -81.7],
+  ["GA", "Georgia", "US", 33.0, -83.6],
+  ["HI", "Hawaii", "US", 21.1, -157.5],
+  ["ID", "Idaho", "US", 44.2, -114.5],
+  ["IL", "Illinois", "US", 40.3, -89.0],
+  ["IN", "Indiana", "US", 39.8, -86.3],
+  ["IA", "Iowa", "US", 42.0, -93.2],
+  ["KS", "Kansas", "US", 38.5, -96.7],
+  ["KY", "Kentucky", "US", 37.7, -84.7],
+  ["LA", "Louisiana", "US", 31.2, -91.9],
+  ["ME", "Maine", "US", 44.7, -69.4],
+  ["MD", "Maryland", "US", 39.1, -76.8],
+  ["MA", "Massachusetts", "US", 42.2, -71.5],
+  ["MI", "Michigan", "US", 43.3, -84.5],
+  ["MN", "Minnesota", "US", 45.7, -93.9],
+  ["MS", "Mississippi", "US", 32.7, -89.7],
+  ["MO", "Missouri", "US", 38.5, -92.3],
+  ["MT", "Montana", "US", 46.9, -110.5],
+  ["NE", "Nebraska", "US", 41.1, -98.3],
+  ["NV", "Nevada", "US", 38.3, -117.1],
+  ["NH", "New Hampshire", "US", 43.5, -71.6],
+  ["NJ", "New Jersey", "US", 40.3, -74.5],
+  ["NM", "New Mexico", "US", 34.8, -106.2],
+  ["NY", "New York", "US", 42.2, -74.9],
+  ["NC", "North Carolina", "US", 35.6, -79.8],
+  ["ND", "North Dakota", "US", 47.5, -99.8],
+  ["OH", "Ohio", "US", 40.4, -82.8],
+  ["OK", "Oklahoma", "US", 35.6, -96.9],
+  ["OR", "Oregon", "US", 44.6, -122.1],
+  ["PA", "Pennsylvania", "US", 40.6, -77.2],
+  ["RI", "Rhode Island", "US", 41.7, -71.5],
+  ["SC", "South Carolina", "US", 33.9, -80.9],
+  ["SD", "South Dakota", "US", 44.3, -99.4],
+  ["TN", "Tennessee", "US", 35.7, -86.7],
+  ["TX", "Texas", "US", 31.1, -97.6],
+  ["UT", "Utah", "US", 40.2, -111.9],
+  ["VT", "Vermont", "US", 44.0, -72.7],
+  ["VA", "Virginia", "US", 37.8, -78.2],
+  ["WA", "Washington", "US", 47.4, -121.5],
+  ["WV", "West Virginia", "US", 38.5, -80.9],
+  ["WI", "Wisconsin", "US", 44.3, -89.6],
+  ["WY", "Wyoming", "US", 42.8, -107.3],
+  ["PR", "Puerto Rico", "US", 18.22, -66.59],
+  ["AB", "Alberta", "CA", 53.9, -116.6],
+  ["BC", "British Columbia", "CA", 53.7, -127.6],
+  ["MB", "Manitoba", "CA", 53.8, -98.8],
+  ["NB", "New Brunswick", "CA", 46.6, -66.5],
+  ["NL", "Newfoundland and Labrador", "CA", 53.1, -57.7],
+  ["NS", "Nova Scotia", "CA", 44.7, -63.7],
+  ["ON", "Ontario", "CA", 44.5, -79.5],
+  ["PE", "Prince Edward Island", "CA", 46.5, -63.4],
+  ["QC", "Quebec", "CA", 46.8, -71.2],
+  ["SK", "Saskatchewan", "CA", 52.9, -106.5],
+  ["NSW", "New South Wales", "AU", -33.0, 146.9],
+  ["VIC", "Victoria", "AU", -37.0, 144.3],
+  ["QLD", "Queensland", "AU", -22.6, 144.1],
+  ["WA", "Western Australia", "AU", -27.7, 121.6],
+  ["SA", "South Australia", "AU", -30.0, 136.2],
+  ["TAS", "Tasmania", "AU", -42.0, 146.6],
+  ["ACT", "Australian Capital Territory", "AU", -35.47, 149.01],
+  ["NT", "Northern Territory", "AU", -19.5, 132.6],
+];
+
+export const CITIES = [
+  // ── United States ──
+  ["New York", "NY", "US", 40.71, -74.01],
+  ["Brooklyn", "NY", "US", 40.68, -73.94],
+  ["Bronx", "NY", "US", 40.84, -73.87],
+  ["Queens", "NY", "US", 40.73, -73.79],
+  ["Staten Island", "NY", "US", 40.58, -74.15],
+  ["Manhasset", "NY", "US", 40.8, -73.7],
+  ["New Hyde Park", "NY", "US", 40.74, -73.69],
+  ["Mineola", "NY", "US", 40.75, -73.64],
+  ["Valhalla", "NY", "US", 41.07, -73.77],
+  ["White Plains", "NY", "US", 41.03, -73.76],
+  ["Albany", "NY", "US", 42.65, -73.76],
+  ["Buffalo", "NY", "US", 42.89, -78.88],
+  ["Rochester", "NY", "US", 43.16, -77.61],
+  ["Syracuse", "NY", "US", 43.05, -76.15],
+  ["Stony Brook", "NY", "US", 40.91, -73.12],
+  ["Los Angeles", "CA", "US", 34.05, -118.24],
+  ["Duarte", "CA", "US", 34.14, -117.98],
+  ["Santa Monica", "CA", "US", 34.02, -118.49],
+  ["Pasadena", "CA", "US", 34.15, -118.14],
+  ["Torrance", "CA", "US", 33.84, -118.34],
+  ["Long Beach", "CA", "US", 33.77, -118.19],
+  ["Orange", "CA", "US", 33.79, -117.85],
+  ["Irvine", "CA", "US", 33.68, -117.83],
+  ["Anaheim", "CA", "US", 33.84, -117.91],
+  ["San Diego", "CA", "US", 32.72, -117.16],
+  ["La Jolla", "CA", "US", 32.84, -117.27],
+  ["San Francisco", "CA", "US", 37.77, -122.42],
+  ["Oakland", "CA", "US", 37.8, -122.27],
+  ["Palo Alto", "CA", "US", 37.44, -122.14],
+  ["Stanford", "CA", "US", 37.42, -122.17],
+  ["San Jose", "CA", "US", 37.34, -121.89],
+  ["Sacramento", "CA", "US", 38.58, -121.49],
+  ["Fresno", "CA", "US", 36.74, -119.79],
+  ["Loma Linda", "CA", "US", 34.05, -117.26],
+  ["Riverside", "CA", "US", 33.98, -117.38],
+  ["Chicago", "IL", "US", 41.88, -87.63],
+  ["Evanston", "IL", "US", 42.05, -87.69],
+  ["Maywood", "IL", "US", 41.88, -87.84],
+  ["Peoria", "IL", "US", 40.69, -89.59],
+  ["Houston", "TX", "US", 29.76, -95.37],
+  ["Dallas", "TX", "US", 32.78, -96.8],
+  ["Fort Worth", "TX", "US", 32.76, -97.33],
+  ["San Antonio", "TX", "US", 29.42, -98.49],
+  ["Austin", "TX", "US", 30.27, -97.74],
+  ["El Paso", "TX", "US", 31.76, -106.49],
+  ["Galveston", "TX", "US", 29.3, -94.8],
+  ["Temple", "TX", "US", 31.1, -97.34],
+  ["Lubbock", "TX", "US", 33.58, -101.86],
+  ["Tyler", "TX", "US", 32.35, -95.3],
+  ["Phoenix", "AZ", "US", 33.45, -112.07],
+  ["Scottsdale", "AZ", "US", 33.49, -111.93],
+  ["Tucson", "AZ", "US", 32.22, -110.97],
+  ["Philadelphia", "PA", "US", 39.95, -75.17],
+  ["Pittsburgh", "PA", "US", 40.44, -80.0],
+  ["Hershey", "PA", "US", 40.29, -76.65],
+  ["Danville", "PA", "US", 40.96, -76.61],
+  ["Allentown", "PA", "US", 40.6, -75.49],
+  ["Boston", "MA", "US", 42.36, -71.06],
+  ["Cambridge", "MA", "US", 42.37, -71.11],
+  ["Worcester", "MA", "US", 42.26, -71.8],
+  ["Burlington", "MA", "US", 42.5, -71.2],
+  ["Providence", "RI", "US", 41.82, -71.41],
+  ["New Haven", "CT", "US", 41.31, -72.92],
+  ["Hartford", "CT", "US", 41.76, -72.68],
+  ["Farmington", "CT", "US", 41.72, -72.83],
+  ["Lebanon", "NH", "US", 43.64, -72.25],
+  ["Burlington", "VT", "US", 44.48, -73.21],
+  ["Newark", "NJ", "US", 40.74, -74.17],
+  ["New Brunswick", "NJ", "US", 40.49, -74.45],
+  ["Hackensack", "NJ", "US", 40.89, -74.04],
+  ["Camden", "NJ", "US", 39.93, -75.12],
+  ["Morristown", "NJ", "US", 40.8, -74.48],
+  ["Basking Ridge", "NJ", "US", 40.71, -74.55],
+  ["Wilmington", "DE", "US", 39.74, -75.55],
+  ["Newark", "DE", "US", 39.68, -75.75],
+  ["Baltimore", "MD", "US", 39.29, -76.61],
+  ["Bethesda", "MD", "US", 38.98, -77.1],
+  ["Rockville", "MD", "US", 39.08, -77.15],
+  ["Silver Spring", "MD", "US", 38.99, -77.03],
+  ["Washington", "DC", "US", 38.91, -77.04],
+  ["Richmond", "VA", "US", 37.54, -77.44],
+  ["Charlottesville", "VA", "US", 38.03, -78.48],
+  ["Norfolk", "VA", "US", 36.85, -76.29],
+  ["Fairfax", "VA", "US", 38.85, -77.31],
+  ["Falls Church", "VA", "US", 38.88, -77.17],
+  ["Roanoke", "VA", "US", 37.27, -79.94],
+  ["Morgantown", "WV", "US", 39.63, -79.96],
+  ["Durham", "NC", "US", 35.99, -78.9],
+  ["Chapel Hill", "NC", "US", 35.91, -79.06],
+  ["Raleigh", "NC", "US", 35.78, -78.64],
+  ["Charlotte", "NC", "US", 35.23, -80.84],
+  ["Winston-Salem", "NC", "US", 36.1, -80.24],
+  ["Asheville", "NC", "US", 35.6, -82.55],
+  ["Charleston", "SC", "US", 32.78, -79.93],
+  ["Columbia", "SC", "US", 34.0, -81.03],
+  ["Greenville", "SC", "US", 34.85, -82.4],
+  ["Atlanta", "GA", "US", 33.75, -84.39],
+  ["Augusta", "GA", "US", 33.47, -81.97],
+  ["Savannah", "GA", "US", 32.08, -81.09],
+  ["Miami", "FL", "US", 25.76, -80.19],
+  ["Miami Beach", "FL", "US", 25.79, -80.13],
+  ["Fort Lauderdale", "FL", "US", 26.12, -80.14],
+  ["Boca Raton", "FL", "US", 26.37, -80.13],
+  ["West Palm Beach", "FL", "US", 26.72, -80.05],
+  ["Orlando", "FL", "US", 28.54, -81.38],
+  ["Tampa", "FL", "US", 27.95, -82.46],
+  ["St. Petersburg", "FL", "US", 27.77, -82.64],
+  ["Jacksonville", "FL", "US", 30.33, -81.66],
+  ["Gainesville", "FL", "US", 29.65, -82.32],
+  ["Tallahassee", "FL", "US", 30.44, -84.28],
+  ["Sarasota", "FL", "US", 27.34, -82.53],
+  ["Fort Myers", "FL", "US", 26.64, -81.87],
+  ["Pensacola", "FL", "US", 30.42, -87.22],
+  ["Mobile", "AL", "US", 30.69, -88.04],
+  ["Huntsville", "AL", "US", 34.73, -86.59],
+  ["Nashville", "TN", "US", 36.16, -86.78],
+  ["Memphis", "TN", "US", 35.15, -90.05],
+  ["Knoxville", "TN", "US", 35.96, -83.92],
+  ["Chattanooga", "TN", "US", 35.05, -85.31],
+  ["Jackson", "MS", "US", 32.3, -90.18],
+  ["New Orleans", "LA", "US", 29.95, -90.07],
+  ["Baton Rouge", "LA", "US", 30.45, -91.15],
+  ["Shreveport", "LA", "US", 32.53, -93.75],
+  ["Little Rock", "AR", "US", 34.75, -92.29],
+  ["Oklahoma City", "OK", "US", 35.47, -97.52],
+  ["Tulsa", "OK", "US", 36.15, -95.99],
+  ["Louisville", "KY", "US", 38.25, -85.76],
+  ["Lexington", "KY", "US", 38.04, -84.5],
+  ["Cincinnati", "OH", "US", 39.1, -84.51],
+  ["Cleveland", "OH", "US", 41.5, -81.69],
+  ["Columbus", "OH", "US", 39.96, -83.0],
+  ["Toledo", "OH", "US", 41.65, -83.54],
+  ["Dayton", "OH", "US", 39.76, -84.19],
+  ["Akron", "OH", "US", 41.08, -81.52],
+  ["Indianapolis", "IN", "US", 39.77, -86.16],
+  ["Fort Wayne", "IN", "US", 41.08, -85.14],
+  ["Detroit", "MI", "US", 42.33, -83.05],
+  ["Ann Arbor", "MI", "US", 42.28, -83.74],
+  ["Grand Rapids", "MI", "US", 42.96, -85.67],
+  ["Royal Oak", "MI", "US", 42.49, -83.14],
+  ["Lansing", "MI", "US", 42.73, -84.56],
+  ["Milwaukee", "WI", "US", 43.04, -87.91],
+  ["Madison", "WI", "US", 43.07, -89.4],
+  ["Marshfield", "WI", "US", 44.67, -90.17],
+  ["Minneapolis", "MN", "US", 44.98, -93.27],
+  ["Saint Paul", "MN", "US", 44.95, -93.09],
+  ["Rochester", "MN", "US", 44.02, -92.47],
+  ["Duluth", "MN", "US", 46.79, -92.1],
+  ["Des Moines", "IA", "US", 41.59, -93.62],
+  ["Iowa City", "IA", "US", 41.66, -91.53],
+  ["Sioux Falls", "SD", "US", 43.54, -96.73],
+  ["Fargo", "ND", "US", 46.88, -96.79],
+  ["Billings", "MT", "US", 45.78, -108.5],
+  ["Saint Louis", "MO", "US", 38.63, -90.2],
+  ["Kansas City", "MO", "US", 39.1, -94.58],
+  ["Springfield", "MO", "US", 37.21, -93.29],
+  ["Kansas City", "KS", "US", 39.11, -94.63],
+  ["Westwood", "KS", "US", 39.04, -94.62],
+  ["Wichita", "KS", "US", 37.69, -97.34],
+  ["Omaha", "NE", "US", 41.26, -95.93],
+  ["Lincoln", "NE", "US", 40.81, -96.7],
+  ["Denver", "CO", "US", 39.74, -104.99],
+  ["Aurora", "CO", "US", 39.73, -104.83],
+  ["Colorado Springs", "CO", "US", 38.83, -104.82],
+  ["Salt Lake City", "UT", "US", 40.76, -111.89],
+  ["Albuquerque", "NM", "US", 35.08, -106.65],
+  ["Las Vegas", "NV", "US", 36.17, -115.14],
+  ["Reno", "NV", "US", 39.53, -119.81],
+  ["Boise", "ID", "US", 43.62, -116.2],
+  ["Seattle", "WA", "US", 47.61, -122.33],
+  ["Spokane", "WA", "US", 47.66, -117.43],
+  ["Tacoma", "WA", "US", 47.25, -122.44],
+  ["Portland", "OR", "US", 45.52, -122.68],
+  ["Eugene", "OR", "US", 44.05, -123.09],
+  ["Honolulu", "HI", "US", 21.31, -157.86],
+  ["Anchorage", "AK", "US", 61.22, -149.9],
+  ["Cheyenne", "WY", "US", 41.14, -104.82],
+  ["San Juan", "PR", "US", 18.47, -66.11],
+  // ── Canada ──
+  ["Toronto", "ON", "CA", 43.65, -79.38],
+  ["Ottawa", "ON", "CA", 45.42, -75.7],
+  ["Hamilton", "ON", "CA", 43.26, -79.87],
+  ["Kingston", "ON", "CA", 44.23, -76.49],
+  ["Montreal", "QC", "CA", 45.5, -73.57],
+  ["Quebec City", "QC", "CA", 46.81, -71.21],
+  ["Sherbrooke", "QC", "CA", 45.4, -71.89],
+  ["Vancouver", "BC", "CA", 49.28, -123.12],
+  ["Victoria", "BC", "CA", 48.43, -123.37],
+  ["Calgary", "AB", "CA", 51.05, -114.07],
+  ["Edmonton", "AB", "CA", 53.55, -113.49],
+  ["Winnipeg", "MB", "CA", 49.9, -97.14],
+  ["Saskatoon", "SK", "CA", 52.13, -106.67],
+  ["Regina", "SK", "CA", 50.45, -104.62],
+  ["Halifax", "NS", "CA", 44.65, -63.57],
+  ["St. John's", "NL", "CA", 47.56, -52.71],
+  ["Moncton", "NB", "CA", 46.09, -64.78],
+  // ── Latin America ──
+  ["Mexico City", null, "MX", 19.43, -99.13],
+  ["Guadalajara", null, "MX", 20.66, -103.35],
+  ["Monterrey", null, "MX", 25.69, -100.32],
+  ["São Paulo", null, "BR", -23.55, -46.63],
+  ["Rio de Janeiro", null, "BR", -22.91, -43.17],
+  ["Porto Alegre", null, "BR", -30.03, -51.23],
+  ["Belo Horizonte", null, "BR", -19.92, -43.94],
+  ["Barretos", null, "BR", -20.56, -48.57],
+  ["Buenos Aires", null, "AR", -34.6, -58.38],
+  ["Córdoba", null, "AR", -31.42, -64.18],
+  ["Santiago", null, "CL", -33.45, -70.67],
+  ["Bogotá", null, "CO", 4.71, -74.07],
+  ["Medellín", null, "CO", 6.24, -75.58],
+  ["Lima", null, "PE", -12.05, -77.04],
+  // ── Europe ──
+  ["London", null, "GB", 51.51, -0.13],
+  ["Manchester", null, "GB", 53.48, -2.24],
+  ["Birmingham", null, "GB", 52.49, -1.89],
+  ["Leeds", null, "GB", 53.8, -1.55],
+  ["Liverpool", null, "GB", 53.41, -2.98],
+  ["Newcastle upon Tyne", null, "GB", 54.98, -1.62],
+  ["Sheffield", null, "GB", 53.38, -1.47],
+  ["Nottingham", null, "GB", 52.95, -1.15],
+  ["Leicester", null, "GB", 52.64, -1.13],
+  ["Bristol", null, "GB", 51.45, -2.59],
+  ["Southampton", null, "GB", 50.9, -1.4],
+  ["Oxford", null, "GB", 51.75, -1.26],
+  ["Cambridge", null, "GB", 52.21, 0.12],
+  ["Sutton", null, "GB", 51.36, -0.19],
+  ["Edinburgh", null, "GB", 55.95, -3.19],
+  ["Glasgow", null, "GB", 55.86, -4.25],
+  ["Aberdeen", null, "GB", 57.15, -2.09],
+  ["Cardiff", null, "GB", 51.48, -3.18],
+  ["Belfast", null, "GB", 54.6, -5.93],
+  ["Dublin", null, "IE", 53.35, -6.26],
+  ["Cork", null, "IE", 51.9, -8.47],
+  ["Galway", null, "IE", 53.27, -9.06],
+  ["Paris", null, "FR", 48.86, 2.35],
+  ["Villejuif", null, "FR", 48.79, 2.36],
+  ["Lyon", null, "FR", 45.76, 4.84],
+  ["Marseille", null, "FR", 43.3, 5.37],
+  ["Toulouse", null, "FR", 43.6, 1.44],
+  ["Bordeaux", null, "FR", 44.84, -0.58],
+  ["Lille", null, "FR", 50.63, 3.06],
+  ["Nantes", null, "FR", 47.22, -1.55],
+  ["Strasbourg", null, "FR", 48.57, 7.75],
+  ["Montpellier", null, "FR", 43.61, 3.88],
+  ["Nice", null, "FR", 43.7, 7.27],
+  ["Rennes", null, "FR", 48.11, -1.68],
+  ["Berlin", null, "DE", 52.52, 13.4],
+  ["Hamburg", null, "DE", 53.55, 9.99],
+  ["Munich", null, "DE", 48.14, 11.58],
+  ["Cologne", null, "DE", 50.94, 6.96],
+  ["Frankfurt", null, "DE", 50.11, 8.68],
+  ["Heidelberg", null, "DE", 49.4, 8.67],
+  ["Dresden", null, "DE", 51.05, 13.74],
+  ["Leipzig", null, "DE", 51.34, 12.37],
+  ["Essen", null, "DE", 51.46, 7.01],
+  ["Düsseldorf", null, "DE", 51.23, 6.77],
+  ["Stuttgart", null, "DE", 48.78, 9.18],
+  ["Tübingen", null, "DE", 48.52, 9.06],
+  ["Freiburg", null, "DE", 47.99, 7.84],
+  ["Hannover", null, "DE", 52.38, 9.73],
+  ["Mainz", null, "DE", 49.99, 8.25],
+  ["Würzburg", null, "DE", 49.79, 9.95],
+  ["Madrid", null, "ES", 40.42, -3.7],
+  ["Barcelona", null, "ES", 41.39, 2.17],
+  ["Valencia", null, "ES", 39.47, -0.38],
+  ["Seville", null, "ES", 37.39, -5.98],
+  ["Málaga", null, "ES", 36.72, -4.42],
+  ["Pamplona", null, "ES", 42.81, -1.64],
+  ["Salamanca", null, "ES", 40.97, -5.66],
+  ["Lisbon", null, "PT", 38.72, -9.14],
+  ["Porto", null, "PT", 41.15, -8.61],
+  ["Coimbra", null, "PT", 40.21, -8.43],
+  ["Rome", null, "IT", 41.9, 12.5],
+  ["Milan", null, "IT", 45.46, 9.19],
+  ["Naples", null, "IT", 40.85, 14.27],
+  ["Turin", null, "IT", 45.07, 7.69],
+  ["Bologna", null, "IT", 44.49, 11.34],
+  ["Florence", null, "IT", 43.77, 11.26],
+  ["Genoa", null, "IT", 44.41, 8.93],
+  ["Padua", null, "IT", 45.41, 11.88],
+  ["Verona", null, "IT", 45.44, 10.99],
+  ["Pisa", null, "IT", 43.72, 10.4],
+  ["Rozzano", null, "IT", 45.38, 9.16],
+  ["Amsterdam", null, "NL", 52.37, 4.9],
+  ["Rotterdam", null, "NL", 51.92, 4.48],
+  ["Utrecht", null, "NL", 52.09, 5.12],
+  ["Leiden", null, "NL", 52.16, 4.49],
+  ["Groningen", null, "NL", 53.22, 6.57],
+  ["Nijmegen", null, "NL", 51.84, 5.86],
+  ["Maastricht", null, "NL", 50.85, 5.69],
+  ["Brussels", null, "BE", 50.85, 4.35],
+  ["Antwerp", null, "BE", 51.22, 4.4],
+  ["Ghent", null, "BE", 51.05, 3.72],
+  ["Leuven", null, "BE", 50.88, 4.7],
+  ["Liège", null, "BE", 50.63, 5.57],
+  ["Zurich", null, "CH", 47.38, 8.54],
+  ["Geneva", null, "CH", 46.2, 6.14],
+  ["Basel", null, "CH", 47.56, 7.59],
+  ["Bern", null, "CH", 46.95, 7.45],
+  ["Lausanne", null, "CH", 46.52, 6.63],
+  ["Vienna", null, "AT", 48.21, 16.37],
+  ["Innsbruck", null, "AT", 47.27, 11.4],
+  ["Graz", null, "AT", 47.07, 15.44],
+  ["Salzburg", null, "AT", 47.81, 13.04],
+  ["Copenhagen", null, "DK", 55.68, 12.57],
+  ["Aarhus", null, "DK", 56.16, 10.2],
+  ["Odense", null, "DK", 55.4, 10.39],
+  ["Stockholm", null, "SE", 59.33, 18.07],
+  ["Gothenburg", null, "SE", 57.71, 11.97],
+  ["Uppsala", null, "SE", 59.86, 17.64],
+  ["Lund", null, "SE", 55.7, 13.19],
+  ["Oslo", null, "NO", 59.91, 10.75],
+  ["Bergen", null, "NO", 60.39, 5.32],
+  ["Helsinki", null, "FI", 60.17, 24.94],
+  ["Tampere", null, "FI", 61.5, 23.76],
+  ["Warsaw", null, "PL", 52.23, 21.01],
+  ["Kraków", null, "PL", 50.06, 19.94],
+  ["Gdańsk", null, "PL", 54.35, 18.65],
+  ["Poznań", null, "PL", 52.41, 16.93],
+  ["Łódź", null, "PL", 51.76, 19.46],
+  ["Wrocław", null, "PL", 51.11, 17.04],
+  ["Prague", null, "CZ", 50.08, 14.44],
+  ["Brno", null, "CZ", 49.2, 16.61],
+  ["Budapest", null, "HU", 47.5, 19.04],
+  ["Bucharest", null, "RO", 44.43, 26.1],
+  ["Cluj-Napoca", null, "RO", 46.77, 23.6],
+  ["Sofia", null, "BG", 42.7, 23.32],
+  ["Athens", null, "GR", 37.98, 23.73],
+  ["Thessaloniki", null, "GR", 40.64, 22.94],
+  ["Istanbul", null, "TR", 41.01, 28.98],
+  ["Ankara", null, "TR", 39.93, 32.86],
+  ["Izmir", null, "TR", 38.42, 27.14],
+  ["Moscow", null, "RU", 55.76, 37.62],
+  ["Saint Petersburg", null, "RU", 59.93, 30.34],
+  ["Kyiv", null, "UA", 50.45, 30.52],
+  // ── Middle East & Africa ──
+  ["Tel Aviv", null, "IL", 32.09, 34.78],
+  ["Jerusalem", null, "IL", 31.77, 35.21],
+  ["Haifa", null, "IL", 32.79, 34.99],
+  ["Petah Tikva", null, "IL", 32.09, 34.89],
+  ["Ramat Gan", null, "IL", 32.08, 34.81],
+  ["Cairo", null, "EG", 30.04, 31.24],
+  ["Alexandria", null, "EG", 31.2, 29.92],
+  ["Riyadh", null, "SA", 24.71, 46.68],
+  ["Jeddah", null, "SA", 21.49, 39.19],
+  ["Dubai", null, "AE", 25.2, 55.27],
+  ["Abu Dhabi", null, "AE", 24.45, 54.38],
+  ["Doha", null, "QA", 25.29, 51.53],
+  ["Tehran", null, "IR", 35.69, 51.39],
+  ["Johannesburg", null, "ZA", -26.2, 28.05],
+  ["Cape Town", null, "ZA", -33.92, 18.42],
+  ["Durban", null, "ZA", -29.86, 31.02],
+  ["Pretoria", null, "ZA", -25.75, 28.19],
+  ["Lagos", null, "NG", 6.52, 3.38],
+  ["Nairobi", null, "KE", -1.29, 36.82],
+  ["Addis Ababa", null, "ET", 9.03, 38.74],
+  ["Accra", null, "GH", 5.6, -0.19],
+  ["Kampala", null, "UG", 0.35, 32.58],
+  ["Dar es Salaam", null, "TZ", -6.79, 39.21],
+  // ── Asia & Oceania ──
+  ["Karachi", null, "PK", 24.86, 67.01],
+  ["Lahore", null, "PK", 31.55, 74.34],
+  ["Islamabad", null, "PK", 33.68, 73.05],
+  ["New Delhi", null, "IN", 28.61, 77.21],
+  ["Delhi", null, "IN", 28.7, 77.1],
+  ["Mumbai", null, "IN", 19.08, 72.88],
+  ["Bangalore", null, "IN", 12.97, 77.59],
+  ["Chennai", null, "IN", 13.08, 80.27],
+  ["Hyderabad", null, "IN", 17.39, 78.49],
+  ["Kolkata", null, "IN", 22.57, 88.36],
+  ["Pune", null, "IN", 18.52, 73.86],
+  ["Ahmedabad", null, "IN", 23.02, 72.57],
+  ["Lucknow", null, "IN", 26.85, 80.95],
+  ["Chandigarh", null, "IN", 30.73, 76.78],
+  ["Vellore", null, "IN", 12.92, 79.13],
+  ["Dhaka", null, "BD", 23.81, 90.41],
+  ["Beijing", null, "CN", 39.9, 116.41],
+  ["Shanghai", null, "CN", 31.23, 121.47],
+  ["Guangzhou", null, "CN", 23.13, 113.26],
+  ["Shenzhen", null, "CN", 22.54, 114.06],
+  ["Chengdu", null, "CN", 30.57, 104.07],
+  ["Wuhan", null, "CN", 30.59, 114.31],
+  ["Hangzhou", null, "CN", 30.27, 120.16],
+  ["Nanjing", null, "CN", 32.06, 118.8],
+  ["Tianjin", null, "CN", 39.34, 117.36],
+  ["Chongqing", null, "CN", 29.56, 106.55],
+  ["Xi'an", null, "CN", 34.34, 108.94],
+  ["Changsha", null, "CN", 28.23, 112.94],
+  ["Zhengzhou", null, "CN", 34.75, 113.63],
+  ["Jinan", null, "CN", 36.65, 117.12],
+  ["Shenyang", null, "CN", 41.81, 123.43],
+  ["Harbin", null, "CN", 45.8, 126.53],
+  ["Hong Kong", null, "HK", 22.32, 114.17],
+  ["Taipei", null, "TW", 25.03, 121.57],
+  ["Taichung", null, "TW", 24.15, 120.67],
+  ["Kaohsiung", null, "TW", 22.63, 120.3],
+  ["Tokyo", null, "JP", 35.68, 139.69],
+  ["Osaka", null, "JP", 34.69, 135.5],
+  ["Nagoya", null, "JP", 35.18, 136.91],
+  ["Kyoto", null, "JP", 35.01, 135.77],
+  ["Fukuoka", null, "JP", 33.59, 130.4],
+  ["Sapporo", null, "JP", 43.06, 141.35],
+  ["Kashiwa", null, "JP", 35.87, 139.98],
+  ["Yokohama", null, "JP", 35.44, 139.64],
+  ["Seoul", null, "KR", 37.57, 126.98],
+  ["Busan", null, "KR", 35.18, 129.08],
+  ["Incheon", null, "KR", 37.46, 126.71],
+  ["Daegu", null, "KR", 35.87, 128.6],
+  ["Seongnam", null, "KR", 37.42, 127.13],
+  ["Goyang", null, "KR", 37.66, 126.83],
+  ["Singapore", null, "SG", 1.35, 103.82],
+  ["Kuala Lumpur", null, "MY", 3.14, 101.69],
+  ["Bangkok", null, "TH", 13.76, 100.5],
+  ["Chiang Mai", null, "TH", 18.79, 98.98],
+  ["Hanoi", null, "VN", 21.03, 105.85],
+  ["Ho Chi Minh City", null, "VN", 10.82, 106.63],
+  ["Manila", null, "PH", 14.6, 120.98],
+  ["Jakarta", null, "ID", -6.21, 106.85],
+  ["Sydney", "NSW", "AU", -33.87, 151.21],
+  ["Melbourne", "VIC", "AU", -37.81, 144.96],
+  ["Brisbane", "QLD", "AU", -27.47, 153.03],
+  ["Perth", "WA", "AU", -31.95, 115.86],
+  ["Adelaide", "SA", "AU", -34.93, 138.6],
+  ["Hobart", "TAS", "AU", -42.88, 147.33],
+  ["Canberra", "ACT", "AU", -35.28, 149.13],
+  ["Darwin", "NT", "AU", -12.46, 130.84],
+  ["Auckland", null, "NZ", -36.85, 174.76],
+  ["Wellington", null, "NZ", -41.29, 174.78],
+  ["Christchurch", null, "NZ", -43.53, 172.64],
+  // ── Smaller namesakes (need a region or country to be picked over the cities above) ──
+  ["London", "ON", "CA", 42.98, -81.25],
+  ["Portland", "ME", "US", 43.66, -70.26],
+  ["Charleston", "WV", "US", 38.35, -81.63],
+  ["Greenville", "NC", "US", 35.61, -77.37],
+  ["Manchester", "NH", "US", 42.99, -71.46],
+  ["Birmingham", "AL", "US", 33.52, -86.8],
+  ["Springfield", "IL", "US", 39.78, -89.65],
+  ["Springfield", "MA", "US", 42.1, -72.59],
+  ["Columbia", "MO", "US", 38.95, -92.33],
+];
+
+// Other spellings of listed cities (normalized, lower case) -> listed name
+export const CITY_ALIASES = {
+  "new york city": "New York",
+  nyc: "New York",
+  manhattan: "New York",
+  "san fran": "San Francisco",
+  philly: "Philadelphia",
+  "washington dc": "Washington",
+  "washington d.c.": "Washington",
+  "st. louis": "Saint Louis",
+  "st louis": "Saint Louis",
+  "st. paul": "Saint Paul",
+  "st paul": "Saint Paul",
+  "st. petersburg": "St. Petersburg",
+  "saint petersburg fl": "St. Petersburg",
+  "montréal": "Montreal",
+  "münchen": "Munich",
+  "munchen": "Munich",
+  "köln": "Cologne",
+  "koln": "Cologne",
+  "frankfurt am main": "Frankfurt",
+  "wien": "Vienna",
+  "roma": "Rome",
+  "milano": "Milan",
+  "napoli": "Naples",
+  "torino": "Turin",
+  "firenze": "Florence",
+  "genova": "Genoa",
+  "padova": "Padua",
+  "lisboa": "Lisbon",
+  "sevilla": "Seville",
+  "praha": "Prague",
+  "warszawa": "Warsaw",
+  "krakow": "Kraków",
+  "gdansk": "Gdańsk",
+  "poznan": "Poznań",
+  "lodz": "Łódź",
+  "wroclaw": "Wrocław",
+  "københavn": "Copenhagen",
+  "kobenhavn": "Copenhagen",
+  "göteborg": "Gothenburg",
+  "goteborg": "Gothenburg",
+  "zürich": "Zurich",
+  "genève": "Geneva",
+  "geneve": "Geneva",
+  "bruxelles": "Brussels",
+  "brussel": "Brussels",
+  "antwerpen": "Antwerp",
+  "gent": "Ghent",
+  "kiev": "Kyiv",
+  "bombay": "Mumbai",
+  "bengaluru": "Bangalore",
+  "madras": "Chennai",
+  "calcutta": "Kolkata",
+  "peking": "Beijing",
+  "canton": "Guangzhou",
+  "saigon": "Ho Chi Minh City",
+  "sao paulo": "São Paulo",
+  "bogota": "Bogotá",
+  "medellin": "Medellín",
+  "cordoba": "Córdoba",
+  "ciudad de mexico": "Mexico City",
+  "ciudad de méxico": "Mexico City",
+  "cdmx": "Mexico City",
+  "tel aviv-yafo": "Tel Aviv",
+  "tel-aviv": "Tel Aviv",
+  "newcastle": "Newcastle upon Tyne",
+  "tuebingen": "Tübingen",
+  "wuerzburg": "Würzburg",
+  "duesseldorf": "Düsseldorf",
+  "dusseldorf": "Düsseldorf",
+};
+
+// US ZIP code prefixes (first three digits) -> [first, last, city, state] for the main metro
+// areas, then whole-state ranges for everything else
+export const US_ZIP3_CITIES = [
+  ["100", "104", "New York", "NY"],
+  ["105", "108", "White Plains", "NY"],
+  ["110", "111", "Queens", "NY"],
+  ["112", "112", "Brooklyn", "NY"],
+  ["113", "116", "Queens", "NY"],
+  ["117", "119", "Stony Brook", "NY"],
+  ["120", "123", "Albany", "NY"],
+  ["132", "132", "Syracuse", "NY"],
+  ["140", "143", "Buffalo", "NY"],
+  ["144", "146", "Rochester", "NY"],
+  ["021", "022", "Boston", "MA"],
+  ["018", "019", "Burlington", "MA"],
+  ["015", "016", "Worcester", "MA"],
+  ["010", "011", "Springfield", "MA"],
+  ["028", "029", "Providence", "RI"],
+  ["060", "061", "Hartford", "CT"],
+  ["064", "065", "New Haven", "CT"],
+  ["070", "071", "Newark", "NJ"],
+  ["072", "073", "Newark", "NJ"],
+  ["074", "076", "Hackensack", "NJ"],
+  ["077", "077", "New Brunswick", "NJ"],
+  ["078", "079", "Morristown", "NJ"],
+  ["080", "081", "Camden", "NJ"],
+  ["088", "089", "New Brunswick", "NJ"],
+  ["150", "154", "Pittsburgh", "PA"],
+  ["170", "171", "Hershey", "PA"],
+  ["180", "181", "Allentown", "PA"],
+  ["189", "191", "Philadelphia", "PA"],
+  ["193", "194", "Philadelphia", "PA"],
+  ["197", "198", "Wilmington", "DE"],
+  ["200", "205", "Washington", "DC"],
+  ["206", "207", "Washington", "DC"],
+  ["208", "209", "Bethesda", "MD"],
+  ["210", "212", "Baltimore", "MD"],
+  ["220", "223", "Fairfax", "VA"],
+  ["229", "229", "Charlottesville", "VA"],
+  ["230", "232", "Richmond", "VA"],
+  ["233", "237", "Norfolk", "VA"],
+  ["240", "241", "Roanoke", "VA"],
+  ["265", "265", "Morgantown", "WV"],
+  ["250", "253", "Charleston", "WV"],
+  ["270", "274", "Winston-Salem", "NC"],
+  ["275", "276", "Raleigh", "NC"],
+  ["277", "277", "Durham", "NC"],
+  ["278", "278", "Greenville", "NC"],
+  ["280", "282", "Charlotte", "NC"],
+  ["287", "289", "Asheville", "NC"],
+  ["290", "292", "Columbia", "SC"],
+  ["294", "294", "Charleston", "SC"],
+  ["296", "296", "Greenville", "SC"],
+  ["300", "303", "Atlanta", "GA"],
+  ["306", "306", "Atlanta", "GA"],
+  ["308", "309", "Augusta", "GA"],
+  ["313", "314", "Savannah", "GA"],
+  ["320", "322", "Jacksonville", "FL"],
+  ["323", "323", "Tallahassee", "FL"],
+  ["325", "325", "Pensacola", "FL"],
+  ["326", "326", "Gainesville", "FL"],
+  ["327", "329", "Orlando", "FL"],
+  ["330", "332", "Miami", "FL"],
+  ["333", "333", "Fort Lauderdale", "FL"],
+  ["334", "334", "West Palm Beach", "FL"],
+  ["335", "336", "Tampa", "FL"],
+  ["337", "337", "St. Petersburg", "FL"],
+  ["339", "339", "Fort Myers", "FL"],
+  ["342", "342", "Sarasota", "FL"],
+  ["350", "352", "Birmingham", "AL"],
+  ["358", "358", "Huntsville", "AL"],
+  ["365", "366", "Mobile", "AL"],
+  ["370", "372", "Nashville", "TN"],
+  ["373", "374", "Chattanooga", "TN"],
+  ["377", "379", "Knoxville", "TN"],
+  ["380", "381", "Memphis", "TN"],
+  ["390", "392", "Jackson", "MS"],
+  ["400", "402", "Louisville", "KY"],
+  ["403", "405", "Lexington", "KY"],
+  ["430", "432", "Columbus", "OH"],
+  ["433", "433", "Columbus", "OH"],
+  ["434", "436", "Toledo", "OH"],
+  ["440", "441", "Cleveland", "OH"],
+  ["442", "443", "Akron", "OH"],
+  ["450", "452", "Cincinnati", "OH"],
+  ["453", "454", "Dayton", "OH"],
+  ["460", "462", "Indianapolis", "IN"],
+  ["467", "468", "Fort Wayne", "IN"],
+  ["480", "480", "Royal Oak", "MI"],
+  ["481", "481", "Ann Arbor", "MI"],
+  ["482", "482", "Detroit", "MI"],
+  ["488", "489", "Lansing", "MI"],
+  ["493", "495", "Grand Rapids", "MI"],
+  ["530", "532", "Milwaukee", "WI"],
+  ["535", "537", "Madison", "WI"],
+  ["544", "544", "Marshfield", "WI"],
+  ["550", "551", "Saint Paul", "MN"],
+  ["553", "555", "Minneapolis", "MN"],
+  ["558", "558", "Duluth", "MN"],
+  ["559", "559", "Rochester", "MN"],
+  ["500", "503", "Des Moines", "IA"],
+  ["522", "522", "Iowa City", "IA"],
+  ["570", "571", "Sioux Falls", "SD"],
+  ["580", "581", "Fargo", "ND"],
+  ["591", "591", "Billings", "MT"],
+  ["600", "608", "Chicago", "IL"],
+  ["615", "616", "Peoria", "IL"],
+  ["625", "627", "Springfield", "IL"],
+  ["630", "631", "Saint Louis", "MO"],
+  ["640", "641", "Kansas City", "MO"],
+  ["652", "652", "Columbia", "MO"],
+  ["656", "658", "Springfield", "MO"],
+  ["660", "662", "Kansas City", "KS"],
+  ["670", "672", "Wichita", "KS"],
+  ["680", "681", "Omaha", "NE"],
+  ["683", "685", "Lincoln", "NE"],
+  ["700", "701", "New Orleans", "LA"],
+  ["707", "708", "Baton Rouge", "LA"],
+  ["710", "711", "Shreveport", "LA"],
+  ["720", "722", "Little Rock", "AR"],
+  ["730", "731", "Oklahoma City", "OK"],
+  ["740", "741", "Tulsa", "OK"],
+  ["750", "753", "Dallas", "TX"],
+  ["757", "757", "Tyler", "TX"],
+  ["760", "761", "Fort Worth", "TX"],
+  ["765", "765", "Temple", "TX"],
+  ["770", "774", "Houston", "TX"],
+  ["775", "775", "Galveston", "TX"],
+  ["780", "782", "San Antonio", "TX"],
+  ["786", "787", "Austin", "TX"],
+  ["793", "794", "Lubbock", "TX"],
+  ["798", "799", "El Paso", "TX"],
+  ["885", "885", "El Paso", "TX"],
+  ["800", "802", "Denver", "CO"],
+  ["803", "804", "Aurora", "CO"],
+  ["808", "809", "Colorado Springs", "CO"],
+  ["820", "820", "Cheyenne", "WY"],
+  ["836", "837", "Boise", "ID"],
+  ["840", "841", "Salt Lake City", "UT"],
+  ["850", "853", "Phoenix", "AZ"],
+  ["855", "857", "Tucson", "AZ"],
+  ["870", "871", "Albuquerque", "NM"],
+  ["889", "891", "Las Vegas", "NV"],
+  ["894", "895", "Reno", "NV"],
+  ["900", "904", "Los Angeles", "CA"],
+  ["905", "905", "Torrance", "CA"],
+  ["906", "908", "Long Beach", "CA"],
+  ["910", "912", "Pasadena", "CA"],
+  ["913", "918", "Los Angeles", "CA"],
+  ["919", "921", "San Diego", "CA"],
+  ["923", "924", "Loma Linda", "CA"],
+  ["925", "925", "Riverside", "CA"],
+  ["926", "928", "Orange", "CA"],
+  ["936", "937", "Fresno", "CA"],
+  ["940", "941", "San Francisco", "CA"],
+  ["943", "943", "Palo Alto", "CA"],
+  ["944", "944", "San Francisco", "CA"],
+  ["945", "947", "Oakland", "CA"],
+  ["950", "951", "San Jose", "CA"],
+  ["956", "958", "Sacramento", "CA"],
+  ["967", "968", "Honolulu", "HI"],
+  ["970", "972", "Portland", "OR"],
+  ["973", "974", "Eugene", "OR"],
+  ["980", "981", "Seattle", "WA"],
+  ["983", "984", "Tacoma", "WA"],
+  ["990", "992", "Spokane", "WA"],
+  ["995", "995", "Anchorage", "AK"],
+  ["006", "009", "San Juan", "PR"],
+];
+
+export const US_ZIP3_STATES = [
+  ["005", "005", "NY"],
+  ["006", "009", "PR"],
+  ["010", "027", "MA"],
+  ["028", "029", "RI"],
+  ["030", "038", "NH"],
+  ["039", "049", "ME"],
+  ["050", "059", "VT"],
+  ["060", "069", "CT"],
+  ["070", "089", "NJ"],
+  ["100", "149", "NY"],
+  ["150", "196", "PA"],
+  ["197", "199", "DE"],
+  ["200", "205", "DC"],
+  ["206", "219", "MD"],
+  ["220", "246", "VA"],
+  ["247", "268", "WV"],
+  ["270", "289", "NC"],
+  ["290", "299", "SC"],
+  ["300", "319", "GA"],
+  ["320", "349", "FL"],
+  ["350", "369", "AL"],
+  ["370", "385", "TN"],
+  ["386", "397", "MS"],
+  ["398", "399", "GA"],
+  ["400", "427", "KY"],
+  ["430", "459", "OH"],
+  ["460", "479", "IN"],
+  ["480", "499", "MI"],
+  ["500", "528", "IA"],
+  ["530", "549", "WI"],
+  ["550", "567", "MN"],
+  ["569", "569", "DC"],
+  ["570", "577", "SD"],
+  ["580", "588", "ND"],
+  ["590", "599", "MT"],
+  ["600", "629", "IL"],
+  ["630", "658", "MO"],
+  ["660", "679", "KS"],
+  ["680", "693", "NE"],
+  ["700", "715", "LA"],
+  ["716", "729", "AR"],
+  ["730", "749", "OK"],
+  ["750", "799", "TX"],
+  ["800", "816", "CO"],
+  ["820", "831", "WY"],
+  ["832", "838", "ID"],
+  ["840", "847", "UT"],
+  ["850", "865", "AZ"],
+  ["870", "884", "NM"],
+  ["885", "885", "TX"],
+  ["889", "898", "NV"],
+  ["900", "961", "CA"],
+  ["967", "968", "HI"],
+  ["970", "979", "OR"],
+  ["980", "994", "WA"],
+  ["995", "999", "AK"],
+];
+
+// Canadian postal codes: first letter -> province
+export const CA_POSTAL_PROVINCES = {
+  A: "NL",
+  B: "NS",
+  C: "PE",
+  E: "NB",
+  G: "QC",
+  H: "QC",
+  J: "QC",
+  K: "ON",
+  L: "ON",
+  M: "ON",
+  N: "ON",
+  P: "ON",
+  R: "MB",
+  S: "SK",
+  T: "AB",
+  V: "BC",
+};
+
+// Canadian forward sortation areas for the big metros (first three characters / first letter)
+export const CA_POSTAL_CITIES = {
+  M: "Toronto",
+  H: "Montreal",
+  V5: "Vancouver",
+  V6: "Vancouver",
+  T2: "Calgary",
+  T3: "Calgary",
+  T5: "Edmonton",
+  T6: "Edmonton",
+  K1: "Ottawa",
+  K2: "Ottawa",
+  R2: "Winnipeg",
+  R3: "Winnipeg",
+  B3: "Halifax",
+  L8: "Hamilton",
+  L9: "Hamilton",
+  N6: "London",
+  G1: "Quebec City",
+  G2: "Quebec City",
+};
@@ -1,4 +1,6 @@
 import "dotenv/config";
+// Structured logging and outbound request tracing, before anything else logs
+import "./config/observability.js";
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
@@ -18,7 +20,16 @@ import contactRoutes from "./routes/contact.routes.js";
 import insightsRoutes from "./routes/insights.routes.js";
 import followRoutes from "./routes/follow.routes.js";
 import messagesRoutes from "./routes/messages.routes.js";
+import conversationsRoutes from "./routes/conversations.routes.js";
+import messageRequestsRoutes from "./routes/message-requests.routes.js";
+import blocksRoutes from "./routes/blocks.routes.js";
+import reportsRoutes from "./routes/reports.routes.js";
+import notificationsRoutes from "./routes/notifications.routes.js";
+import savedSearchesRoutes from "./routes/saved-searches.routes.js";
 import meetingRequestsRoutes from "./routes/meeting-requests.routes.js";
+import meetingAvailabilityRoutes from "./routes/meeting-availability.routes.js";
+import billingRoutes from "./routes/billing.routes.js";
+import reviewsRoutes from "./routes/reviews.routes.js";
 import connectionRequestsRoutes from "./routes/connection-requests.routes.js";
 import expertInvitesRoutes from "./routes/expert-invites.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
@@ -32,10 +43,25 @@ import workSubmissionsRoutes from "./routes/work-submissions.routes.js";
 import pageFeedbackRoutes from "./routes/pageFeedback.routes.js";
 import feedbackRoutes from "./routes/feedback.routes.js";
 import newsRoutes from "./routes/news.routes.js";
+import accountRoutes from "./routes/account.routes.js";
+import metricsRoutes from "./routes/metrics.routes.js";
 import { optionalSession } from "./middleware/auth.js";
+import { requestContext, attachUserToContext } from "./middleware/requestContext.js";
 import { searchLimitMiddleware } from "./middleware/searchLimit.js";
+import { startSoftDeletePurgeSchedule } from "./services/softDelete.service.js";
+import { startNotificationEmailSchedule } from "./services/notification.service.js";
+import { startDigestSchedule } from "./services/digest.service.js";
+import { startSavedSearchSchedule } from "./services/savedSearch.service.js";
+import { startTrialTrackingSchedule } from "./services/trialTracking.service.js";
+import { startBillingSchedule } from "./services/billing.service.js";
+import { assertPaymentProviderConfig } from "./services/paymentProvider.service.js";
+import { startMeetingJobSchedule } from "./services/meetingJobs.service.js";
+import { startJobQueue } from "./services/jobQueue.service.js";
+import { initCacheStore } from "./services/cache.service.js";
 
 const app = express();
+// Request ID, per-route latency metrics and access logging
+app.use(requestContext);
 app.use(
   cors({
     origin: [
@@ -51,10 +77,19 @@ app.use(
   "https://www.ansh.pw",
 ],
     credentials: true, // Allow cookies to be sent
+    exposedHeaders: ["X-Request-Id"], // Lets the frontend quote it in bug reports
   })
 );
 app.use(cookieParser());
-app.use(express.json({ limit: "10mb" })); // Limit request body size
+app.use(
+  express.json({
+    limit: "10mb", // Limit request body size
+    // Payment webhooks are verified against the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/billing/webhooks/")) req.rawBody = buf;
+    },
+  })
+);
 
 // Request timeout middleware (30 seconds)
 app.use((req, res, next) => {
@@ -71,10 +106,14 @@ app.get("/", (_req, res) => {
   res.send("Collabiora backend is running 🚀");
 });
 
+// Prometheus metrics (outside /api; METRICS_TOKEN is required in production)
+app.use(metricsRoutes);
+
 // Apply optional session middleware globally (for routes that need it)
 // Apply search limit middleware globally (sets device token cookie for anonymous users)
 //adada
 app.use(optionalSession);
+app.use(attachUserToContext);
 app.use(searchLimitMiddleware);
 
 // TODO: mount routes here (session, profile, search, recommendations, favorites, forums, trials, ai)
@@ -94,7 +133,16 @@ app.use("/api", insightsRoutes);
 app.use("/api", expertInvitesRoutes);
 app.use("/api", followRoutes);
 app.use("/api", messagesRoutes);
+app.use("/api", conversationsRoutes);
+app.use("/api", messageRequestsRoutes);
+app.use("/api", blocksRoutes);
+app.use("/api", reportsRoutes);
+app.use("/api", notificationsRoutes);
+app.use("/api", savedSearchesRoutes);
 app.use("/api", meetingRequestsRoutes);
+app.use("/api", meetingAvailabilityRoutes);
+app.use("/api", billingRoutes);
+app.use("/api", reviewsRoutes);
 app.use("/api", connectionRequestsRoutes);
 app.use("/api", adminRoutes);
 app.use("/api", waitlistRoutes);
@@ -106,6 +154,7 @@ app.use("/api", feedbackRoutes);
 app.use("/api", contactRoutes);
 app.use("/api", workSubmissionsRoutes);
 app.use("/api", newsRoutes);
+app.use("/api", accountRoutes);
 app.use("/api/rate-limit", rateLimitRoutes); // Rate limiter monitoring
 
 const PORT = process.env.PORT || 5000;
@@ -139,7 +188,11 @@ process.on("SIGINT", () => {
 
 async function start() {
   try {
+    // Refuse to run with a payment provider whose webhooks can't be verified
+    assertPaymentProviderConfig();
     await connectMongo();
+    // Shared cache: Redis when REDIS_URL is set, in-memory otherwise
+    await initCacheStore();
     
     // Seed forum categories with error handling
     try {
@@ -201,6 +254,17 @@ async function start() {
       // Don't fail server startup if seeding fails
     }
 
+    // Permanently remove soft-deleted content once its retention window has passed
+    startSoftDeletePurgeSchedule();
+    startNotificationEmailSchedule();
+    startDigestSchedule();
+    startSavedSearchSchedule();
+    startTrialTrackingSchedule();
+    startBillingSchedule();
+    startMeetingJobSchedule();
+    // Background jobs (handlers are registered by the services imported above)
+    startJobQueue();
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
@@ -1,17 +1,37 @@
 import { User } from "../models/User.js";
 import jwt from "jsonwebtoken";
+import { isAccessTokenRevoked } from "../services/authSession.service.js";
+import { ADMIN_ROLES, permissionsForRoles } from "../config/adminPermissions.js";
 
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
 
-export async function verifySession(req, res, next) {
-  const token =
+export function getRequestToken(req) {
+  return (
     req.headers["authorization"]?.replace("Bearer ", "") ||
     req.headers["x-auth-token"] ||
     req.query.token ||
-    req.body?.token;
+    req.body?.token
+  );
+}
+
+// verifySession checks a token once per request; long-lived responses (SSE streams) call
+// this again so an expired token or a revoked session doesn't keep receiving data
+export async function isSessionActive(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return false;
+  }
+  const user = await User.findById(decoded.userId).select("sessionsRevokedAt");
+  return !!user && !(await isAccessTokenRevoked(user, decoded));
+}
+
+export async function verifySession(req, res, next) {
+  const token = getRequestToken(req);
 
   if (!token) {
-    return res.status(401).json({ error: "Authentication token required" });
+    return res.status(401).json({ error: "Authentication token required", code: "NO_TOKEN" });
   }
 
   try {
@@ -19,39 +39,172 @@ export async function verifySession(req, res, next) {
     const user = await User.findById(decoded.userId);
     
     if (!user) {
-      return res.status(401).json({ error: "Invalid token" });
+      return res.status(401).json({ error: "Invalid token", code: "INVALID_TOKEN" });
+    }
+
+    if (await isAccessTokenRevoked(user, decoded)) {
+      return res.status(401).json({ error: "Session revoked", code: "SESSION_REVOKED" });
     }
 
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid token" });
+      return res.status(401).json({ error: "Invalid token", code: "INVALID_TOKEN" });
     }
     if (error.name === "TokenExpiredError") {
-      return res.status(401).json({ error: "Token expired" });
+      return res.status(401).json({ error: "Token expired", code: "TOKEN_EXPIRED" });
     }
     return res.status(500).json({ error: "Authentication error" });
   }
 }
 
 export async function optionalSession(req, res, next) {
-  const token =
-    req.headers["authorization"]?.replace("Bearer ", "") ||
-    req.headers["x-auth-token"] ||
-    req.query.token ||
-    req.body?.token;
+  const token = getRequestToken(req);
 
   if (token) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
       const user = await User.findById(decoded.userId);
-      req.user = user || null;
+      const revoked = user ? await isAccessTokenRevoked(user, decoded) : true;
+      req.user = revoked ? null : user;
+      req.sessionId = revoked ? null : decoded.sid || null;
     } catch (error) {
       req.user = null;
+      req.sessionId = null;
     }
   } else {
     req.user = null;
+    req.sessionId = null;
   }
   next();
 }
+
+function isAdminEmail(user) {
+  const adminEmails = process.env.ADMIN_EMAILS
+    ? process.env.ADMIN_EMAILS.split(",").map((e) => e.trim().toLowerCase()).filter(Boolean)
+    : [];
+  const userEmail = (user?.email || "").toLowerCase();
+  return adminEmails.length > 0 && !!userEmail && adminEmails.includes(userEmail);
+}
+
+// Resolve a user's admin roles.
+// ADMIN_EMAILS accounts are always super-admins (bootstrap), and a legacy isAdmin flag
+// without explicit roles keeps full access until roles are assigned through /admin/admins.
+export function getAdminRoles(user) {
+  if (isAdminEmail(user)) return ["super-admin"];
+  const roles = (user?.adminRoles || []).filter((role) => ADMIN_ROLES.includes(role));
+  if (roles.length > 0) return roles;
+  return user?.isAdmin ? ["super-admin"] : [];
+}
+
+export function getAdminPermissions(user) {
+  return permissionsForRoles(getAdminRoles(user));
+}
+
+export function hasAdminPermission(user, permission) {
+  return getAdminPermissions(user).includes(permission);
+}
+
+// Check if user has admin access (any admin role, DB flag or ADMIN_EMAILS env).
+// Production: set ADMIN_EMAILS=your@email.com (comma-separated) so those accounts are treated as admins.
+export function isUserAdmin(user) {
+  return getAdminRoles(user).length > 0;
+}
+
+function toIdString(value) {
+  if (!value) return null;
+  if (value._id) return value._id.toString();
+  return value.toString();
+}
+
+/**
+ * Route-level authorization policy, layered on top of verifySession.
+ *
+ *   authorize("public")                                  anyone, signed in or not
+ *   authorize("owner")                                   signed-in user must match req.params.userId
+ *   authorize("owner", { body: "senderId" })             ...or a body / query field instead
+ *   authorize("participant", { participants: loader })   signed-in user must be in loader(req)
+ *   authorize("admin")                                   signed-in admin only
+ *   authorize("admin", { permission: "contacts.manage" }) admin whose roles grant that permission
+ *
+ * `participants` is an async function returning the user ids allowed to touch the
+ * resource, or null when the resource does not exist (responds 404).
+ * Admins get no bypass by default. `allowAdmin: "<permission>"` lets admins whose roles grant
+ * that permission pass "owner" and "participant" checks (e.g. support handling meetings).
+ */
+export function authorize(policy, options = {}) {
+  const { allowAdmin = null } = options;
+  if (allowAdmin !== null && typeof allowAdmin !== "string") {
+    throw new Error("authorize: allowAdmin must be an admin permission name");
+  }
+
+  if (policy === "public") {
+    return (req, res, next) => next();
+  }
+
+  if (!["owner", "participant", "admin"].includes(policy)) {
+    throw new Error(`Unknown authorization policy: ${policy}`);
+  }
+
+  return (req, res, next) => {
+    verifySession(req, res, async () => {
+      try {
+        const isAdmin = isUserAdmin(req.user);
+
+        if (policy === "admin") {
+          if (!isAdmin) {
+            return res.status(403).json({
+              error: "Admin access required. Your account is not an admin.",
+              code: "NOT_ADMIN",
+            });
+          }
+          if (options.permission && !hasAdminPermission(req.user, options.permission)) {
+            return res.status(403).json({
+              error: "Your admin role does not allow this action.",
+              code: "MISSING_PERMISSION",
+              permission: options.permission,
+            });
+          }
+          req.adminUserId = req.user._id.toString();
+          return next();
+        }
+
+        if (allowAdmin && isAdmin && hasAdminPermission(req.user, allowAdmin)) return next();
+
+        const currentUserId = toIdString(req.user);
+
+        if (policy === "owner") {
+          let ownerId;
+          if (options.body) ownerId = req.body?.[options.body];
+          else if (options.query) ownerId = req.query?.[options.query];
+          else ownerId = req.params[options.param || "userId"];
+
+          if (!ownerId) {
+            return res.status(400).json({ error: "User ID is required" });
+          }
+          if (toIdString(ownerId) !== currentUserId) {
+            return res.status(403).json({ error: "You do not have access to this resource" });
+          }
+          return next();
+        }
+
+        const participantIds = await options.participants(req);
+        if (participantIds === null || participantIds === undefined) {
+          return res.status(404).json({ error: options.notFound || "Not found" });
+        }
+        if (!participantIds.some((id) => toIdString(id) === currentUserId)) {
+          return res.status(403).json({ error: "You do not have access to this resource" });
+        }
+        next();
+      } catch (error) {
+        if (error.name === "CastError") {
+          return res.status(400).json({ error: "Invalid ID" });
+        }
+        console.error("Authorization error:", error);
+        return res.status(500).json({ error: "Authorization error" });
+      }
+    });
+  };
+}
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+import { runWithRequestContext, getRequestContext } from "../utils/requestContext.js";
+import { httpRequestDuration } from "../utils/metrics.js";
+import { logger } from "../utils/logger.js";
+
+// Requests slower than this are logged as warnings
+const SLOW_REQUEST_MS = parseInt(process.env.SLOW_REQUEST_MS || "3000", 10);
+const VALID_REQUEST_ID = /^[\w.:-]{8,128}$/;
+
+/**
+ * Give every request an ID (the caller's X-Request-Id when it sends a sane one), echo it
+ * back, time the response per route template, and run the rest of the request inside
+ * its context so logs and outbound calls carry the ID.
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Route template (e.g. /api/profile/:userId), not the raw path, to keep label counts bounded
+    const route = req.route ? `${req.baseUrl || ""}${String(req.route.path)}` : "unmatched";
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+    const durationMs = Math.round(seconds * 1000);
+    const level = res.statusCode >= 500 ? "error" : durationMs > SLOW_REQUEST_MS ? "warn" : "debug";
+    logger[level]("Request completed", {
+      component: "HTTP",
+      requestId,
+      method: req.method,
+      route,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs,
+    });
+  });
+
+  runWithRequestContext({ requestId }, next);
+}
+
+/**
+ * Add the signed-in user to the request context (mount after the session middleware)
+ */
+export function attachUserToContext(req, res, next) {
+  const context = getRequestContext();
+  if (context && req.user?._id) context.userId = req.user._id.toString();
+  next();
+}
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Append-only record of admin actions. Entries are never updated or deleted:
+// every mutating query on this model is rejected by the hooks below.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    actorEmail: { type: String },
+    actorRoles: [{ type: String }],
+    action: { type: String, required: true, index: true }, // e.g. "patient.delete", "expert.verify"
+    targetType: { type: String, index: true }, // e.g. "user", "thread", "community"
+    targetId: { type: String, index: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    metadata: { type: Object, default: {} },
+    ip: { type: String },
+    userAgent: { type: String },
+    method: { type: String },
+    path: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+function rejectMutation(next) {
+  next(new Error("Audit log entries are immutable"));
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => {
+  auditLogSchema.pre(op, { document: false, query: true }, rejectMutation);
+});
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectMutation);
+
+export const AuditLog =
+  mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
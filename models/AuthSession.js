@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// One document per signed-in device. The refresh token itself is never stored,
+// only its SHA-256 hash, and it is rotated on every refresh.
+const authSessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    // The hash it replaced, honoured briefly after rotation (concurrent refreshes)
+    previousRefreshTokenHash: { type: String },
+    rotatedAt: { type: Date },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "password_reset", "reuse_detected", "revoked_by_user", "account_deleted", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+authSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// TTL index: MongoDB removes sessions once the refresh token has expired
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthSession =
+  mongoose.models.AuthSession || mongoose.model("AuthSession", authSessionSchema);
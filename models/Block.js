@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+const blockSchema = new mongoose.Schema(
+  {
+    blockerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    blockedId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  },
+  { timestamps: true }
+);
+
+// One block per pair and direction
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+
+export const Block = mongoose.models.Block || mongoose.model("Block", blockSchema);
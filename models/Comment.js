@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const commentSchema = new mongoose.Schema(
   {
@@ -25,5 +26,8 @@ commentSchema.set("toObject", { virtuals: true });
 commentSchema.index({ postId: 1, parentCommentId: 1 });
 commentSchema.index({ createdAt: -1 });
 
+// deletedAt tombstone (see plugins/softDelete.js)
+commentSchema.plugin(softDeletePlugin);
+
 export const Comment = mongoose.models.Comment || mongoose.model("Comment", commentSchema);
 
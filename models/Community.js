@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const communitySchema = new mongoose.Schema(
   {
@@ -23,5 +24,8 @@ const communitySchema = new mongoose.Schema(
 // Index for faster searching
 communitySchema.index({ name: "text", description: "text", tags: "text" });
 
+// deletedAt tombstone (see plugins/softDelete.js)
+communitySchema.plugin(softDeletePlugin);
+
 export const Community = mongoose.models.Community || mongoose.model("Community", communitySchema);
 
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Per-participant view of a conversation: unread badge, mute and archive
+const participantStateSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    unreadCount: { type: Number, default: 0 },
+    muted: { type: Boolean, default: false },
+    archived: { type: Boolean, default: false },
+    lastReadAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: [{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }],
+    // Sorted participant ids joined with ":" - one conversation per pair of users
+    participantKey: { type: String, required: true, unique: true },
+    participantState: [participantStateSchema],
+    lastMessageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+    lastMessageAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+/**
+ * Stable key for a pair of users, independent of who started the conversation
+ */
+conversationSchema.statics.keyFor = function (userIds) {
+  return userIds.map((id) => id.toString()).sort().join(":");
+};
+
+conversationSchema.methods.stateFor = function (userId) {
+  return this.participantState.find((s) => s.userId.toString() === userId.toString());
+};
+
+export const Conversation =
+  mongoose.models.Conversation || mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// A recurring weekly window in the expert's time zone, e.g. Tuesdays 09:00-12:00
+const availabilityWindowSchema = new mongoose.Schema(
+  {
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    start: { type: String, required: true }, // HH:mm
+    end: { type: String, required: true }, // HH:mm, after start
+  },
+  { _id: false }
+);
+
+const expertAvailabilitySchema = new mongoose.Schema(
+  {
+    expertId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    timezone: { type: String, required: true, default: "UTC" }, // IANA name
+    windows: { type: [availabilityWindowSchema], default: [] },
+    slotMinutes: { type: Number, enum: [15, 30, 45, 60, 90], default: 30 },
+    // Kept free between meetings
+    bufferMinutes: { type: Number, min: 0, max: 120, default: 0 },
+    // Slots closer than this or further out than maxAdvanceDays aren't offered
+    minNoticeHours: { type: Number, min: 0, max: 24 * 14, default: 24 },
+    maxAdvanceDays: { type: Number, min: 1, max: 365, default: 60 },
+    // Days off ("YYYY-MM-DD" in the expert's time zone)
+    blockedDates: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+export const ExpertAvailability =
+  mongoose.models.ExpertAvailability ||
+  mongoose.model("ExpertAvailability", expertAvailabilitySchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+export const REVIEW_STATUSES = ["published", "removed"];
+
+// A patient's review of an expert after a completed meeting (one per meeting)
+const expertReviewSchema = new mongoose.Schema(
+  {
+    meetingRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "MeetingRequest", required: true, unique: true },
+    expertId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, default: "", maxlength: 2000 },
+    // Removed reviews are hidden and left out of the expert's rating
+    status: { type: String, enum: REVIEW_STATUSES, default: "published" },
+    moderation: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      at: { type: Date },
+      note: { type: String },
+    },
+  },
+  { timestamps: true }
+);
+
+expertReviewSchema.index({ expertId: 1, status: 1, createdAt: -1 });
+
+export const ExpertReview =
+  mongoose.models.ExpertReview || mongoose.model("ExpertReview", expertReviewSchema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const INVOICE_STATUSES = ["open", "paid", "refunded", "void"];
+
+// A paid consultation: created as a quote when the expert accepts a meeting request,
+// paid through the payment provider, and updated by the provider's webhooks.
+// Amounts are in the currency's smallest unit (cents).
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true },
+    meetingRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "MeetingRequest", required: true, index: true },
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    expertId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    currency: { type: String, default: "usd" },
+    lineItems: [
+      {
+        description: { type: String, required: true },
+        quantity: { type: Number, required: true },
+        unitAmount: { type: Number, required: true },
+        _id: false,
+      },
+    ],
+    amount: { type: Number, required: true, min: 0 },
+    status: { type: String, enum: INVOICE_STATUSES, default: "open", index: true },
+    // An unpaid quote stops holding the meeting slot after this
+    expiresAt: { type: Date },
+    provider: { type: String },
+    providerPaymentId: { type: String },
+    checkoutUrl: { type: String },
+    paidAt: { type: Date },
+    refundedAmount: { type: Number, default: 0 },
+    refundedAt: { type: Date },
+    lastPaymentError: { type: String },
+    // Paid after it was voided: the payment is owed back until the provider accepts the refund
+    refundDue: { type: Boolean, default: false },
+    // Checkouts replaced after the price changed: a late payment on one is refunded
+    supersededPayments: [
+      {
+        provider: { type: String, required: true },
+        paymentId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        refundedAt: { type: Date },
+        _id: false,
+      },
+    ],
+    // Webhook event ids already applied (providers retry deliveries)
+    processedEventIds: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ provider: 1, providerPaymentId: 1 });
+invoiceSchema.index({ "supersededPayments.provider": 1, "supersededPayments.paymentId": 1 });
+invoiceSchema.index({ status: 1, expiresAt: 1 });
+
+export const Invoice = mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// queued -> running -> completed, or back to queued (with backoff) on failure;
+// "dead" once out of attempts, until an admin retries it
+export const JOB_STATUSES = ["queued", "running", "completed", "dead", "cancelled"];
+
+// Background work run by the job queue (services/jobQueue.service.js)
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: { type: String, enum: JOB_STATUSES, default: "queued" },
+    priority: { type: Number, default: 0 },
+    // Not picked up before this (set further out after each failure)
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    // Only one queued/running job per key; cleared when the job finishes
+    dedupeKey: { type: String },
+    lockedAt: { type: Date },
+    lockedBy: { type: String },
+    lastError: { type: String },
+    // Most recent failures, for the admin view
+    failures: [
+      {
+        attempt: Number,
+        message: String,
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    result: { type: mongoose.Schema.Types.Mixed },
+    completedAt: { type: Date },
+    diedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, type: 1, priority: -1, runAt: 1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } });
+jobSchema.index({ status: 1, lockedAt: 1 }, { partialFilterExpression: { status: "running" } });
+// Completed jobs are kept a week for the admin view
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const Job = mongoose.models.Job || mongoose.model("Job", jobSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// A participant's private notes and rating after a completed meeting (one per participant)
+const meetingFeedbackSchema = new mongoose.Schema(
+  {
+    meetingRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "MeetingRequest", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    role: { type: String, enum: ["patient", "expert"], required: true },
+    notes: { type: String, maxlength: 5000 },
+    rating: { type: Number, min: 1, max: 5 }, // How the meeting went
+  },
+  { timestamps: true }
+);
+
+meetingFeedbackSchema.index({ meetingRequestId: 1, userId: 1 }, { unique: true });
+
+export const MeetingFeedback =
+  mongoose.models.MeetingFeedback || mongoose.model("MeetingFeedback", meetingFeedbackSchema);
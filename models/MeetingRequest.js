@@ -9,14 +9,49 @@ const meetingRequestSchema = new mongoose.Schema(
     preferredTime: { type: String },
     status: { 
       type: String, 
-      enum: ["pending", "accepted", "rejected", "cancelled"], 
+      // awaiting_payment: accepted by a paid expert, confirmed ("accepted") once the invoice is paid
+      // completed: set by the meeting jobs once an accepted meeting's slot has ended
+      enum: ["pending", "awaiting_payment", "accepted", "completed", "rejected", "cancelled"], 
       default: "pending",
       index: true
     },
     respondedAt: { type: Date },
+    confirmedAt: { type: Date },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
     meetingDate: { type: Date },
+    meetingEndDate: { type: Date },
+    // Set while a booked slot is held (pending, awaiting payment or accepted) so two bookings can't take it
+    activeSlotStart: { type: Date },
+    // The held time (plus the expert's buffer) as fixed 5-minute buckets: overlapping bookings share
+    // a bucket, so the unique index below rejects them even when both passed the conflict check
+    activeSlotBuckets: { type: [Date], default: undefined },
     meetingNotes: { type: String },
     patientQuestions: { type: String }, // Optional questions from patient (e.g. after booking)
+    rescheduleHistory: [
+      {
+        from: { type: Date },
+        to: { type: Date },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancellationReason: { type: String },
+    // iCalendar SEQUENCE: bumped on every change so calendar apps update the event
+    calendarSequence: { type: Number, default: 0 },
+    // Reminders already sent, as "<kind>:<meetingDate ISO>" so a rescheduled meeting gets new ones
+    remindersSent: { type: [String], default: [] },
+    completedAt: { type: Date },
+    // Questions the patient sends after a completed meeting, and the expert's answers
+    followUps: [
+      {
+        patientQuestions: { type: String, required: true },
+        answer: { type: String },
+        answeredAt: { type: Date },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -24,6 +59,17 @@ const meetingRequestSchema = new mongoose.Schema(
 // Index for quick lookup of meeting requests
 meetingRequestSchema.index({ patientId: 1, expertId: 1, status: 1 });
 meetingRequestSchema.index({ expertId: 1, status: 1 });
+meetingRequestSchema.index({ expertId: 1, meetingDate: 1 });
+meetingRequestSchema.index({ patientId: 1, meetingDate: 1 });
+meetingRequestSchema.index({ status: 1, meetingDate: 1 });
+meetingRequestSchema.index(
+  { expertId: 1, activeSlotStart: 1 },
+  { unique: true, partialFilterExpression: { activeSlotStart: { $type: "date" } } }
+);
+meetingRequestSchema.index(
+  { expertId: 1, activeSlotBuckets: 1 },
+  { unique: true, partialFilterExpression: { activeSlotBuckets: { $type: "date" } } }
+);
 
 export const MeetingRequest = mongoose.models.MeetingRequest || mongoose.model("MeetingRequest", meetingRequestSchema);
 
@@ -6,9 +6,28 @@ const messageSchema = new mongoose.Schema(
     receiverId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
     senderRole: { type: String, enum: ["patient", "researcher"], required: true },
     receiverRole: { type: String, enum: ["patient", "researcher"], required: true },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", index: true },
     subject: { type: String, default: "" },
-    body: { type: String, required: true },
+    // Text is optional when the message carries attachments
+    body: {
+      type: String,
+      required: function () {
+        return !this.attachments?.length;
+      },
+      default: "",
+    },
+    attachments: [{
+      type: { type: String, enum: ["image", "file"], required: true },
+      // Public URL; only on older messages. New attachments are private and read through
+      // GET /conversations/:conversationId/messages/:messageId/attachments/:attachmentId
+      url: { type: String },
+      key: { type: String }, // S3 object key
+      name: { type: String },
+      size: { type: Number }, // Size in bytes
+      mimetype: { type: String },
+    }],
     read: { type: Boolean, default: false },
+    readAt: { type: Date, default: null }, // Read receipt time (drives the polling cursor API)
   },
   { timestamps: true }
 );
@@ -16,6 +35,8 @@ const messageSchema = new mongoose.Schema(
 messageSchema.index({ receiverId: 1, read: 1, createdAt: -1 });
 messageSchema.index({ senderId: 1, receiverId: 1 });
 messageSchema.index({ createdAt: -1 });
+messageSchema.index({ senderId: 1, readAt: 1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
 
 export const Message = mongoose.models.Message || mongoose.model("Message", messageSchema);
 
@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 
+// Rules a researcher can enable to skip manual review of first contact from patients
+//   everyone    - accept every request
+//   connected   - accepted connection request or accepted meeting request with the researcher
+//   communities - requester belongs to one of the researcher's communities
+//   following   - the researcher follows the requester
+export const MESSAGE_REQUEST_AUTO_ACCEPT_RULES = ["everyone", "connected", "communities", "following"];
+
 const messageRequestSchema = new mongoose.Schema(
   {
     requesterId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
@@ -14,6 +21,10 @@ const messageRequestSchema = new mongoose.Schema(
       index: true
     },
     respondedAt: { type: Date },
+    // Set when a rule accepted the request without the researcher reviewing it
+    autoAcceptRule: { type: String, enum: MESSAGE_REQUEST_AUTO_ACCEPT_RULES, default: null },
+    // The request text becomes the first message once accepted
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
   },
   { timestamps: true }
 );
@@ -1,28 +1,13 @@
 import mongoose from "mongoose";
+import { NOTIFICATION_TYPES } from "../config/notificationTemplates.js";
 
 const notificationSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // Wording and delivery for each type live in config/notificationTemplates.js
     type: {
       type: String,
-      enum: [
-        "new_reply",
-        "new_follower",
-        "new_trial_match",
-        "thread_upvoted",
-        "reply_upvoted",
-        "new_publication",
-        "researcher_replied",
-        "new_message",
-        "patient_question",
-        "connection_request",
-        "connection_request_accepted",
-        "connection_request_rejected",
-        "meeting_request",
-        "meeting_request_accepted",
-        "meeting_request_rejected",
-        "meeting_request_cancelled",
-      ],
+      enum: NOTIFICATION_TYPES,
       required: true,
     },
     relatedUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -32,11 +17,23 @@ const notificationSchema = new mongoose.Schema(
     message: { type: String, required: true },
     read: { type: Boolean, default: false },
     metadata: { type: Object, default: {} },
+    // Collapsing: similar notifications merge into one ("5 people upvoted your thread")
+    collapseKey: { type: String, default: null },
+    actorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    eventCount: { type: Number, default: 1 },
+    // Email channel: deferred while the recipient is in quiet hours
+    emailStatus: {
+      type: String,
+      enum: ["none", "pending", "deferred", "sent", "failed"],
+      default: "none",
+    },
+    emailSentAt: { type: Date },
   },
   { timestamps: true }
 );
 
 notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, collapseKey: 1, read: 1 });
+notificationSchema.index({ emailStatus: 1 }, { partialFilterExpression: { emailStatus: "deferred" } });
 
 export const Notification = mongoose.models.Notification || mongoose.model("Notification", notificationSchema);
-
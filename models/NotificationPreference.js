@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { NOTIFICATION_CHANNELS } from "../config/notificationTemplates.js";
+
+export const DIGEST_FREQUENCIES = ["daily", "weekly", "off"];
+
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    // type -> channel; types not listed use the template's defaultChannel
+    channels: { type: Map, of: { type: String, enum: NOTIFICATION_CHANNELS }, default: {} },
+    // No live pushes or emails in this window (local time); emails are sent once it ends
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00" }, // HH:mm
+      end: { type: String, default: "07:00" }, // HH:mm, may be before start (overnight)
+      timezone: { type: String, default: "UTC" }, // IANA name, e.g. "America/New_York"
+    },
+    // Email digest of new trials, publications and activity (services/digest.service.js)
+    digest: {
+      frequency: { type: String, enum: DIGEST_FREQUENCIES, default: "weekly" },
+      lastSentAt: { type: Date, default: null },
+      // "trial:NCT..." / "publication:PMID" already sent, so the next digest only has new items
+      sentItemKeys: { type: [String], default: [] },
+      unsubscribedAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+notificationPreferenceSchema.index({ "digest.frequency": 1, "digest.lastSentAt": 1 });
+
+export const NotificationPreference =
+  mongoose.models.NotificationPreference ||
+  mongoose.model("NotificationPreference", notificationPreferenceSchema);
@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// Stored copy of a public ORCID record (as built by fetchFullORCIDProfile), refreshed in the
+// background by the job queue so profile pages don't wait on ORCID and Gemini
+const orcidProfileSchema = new mongoose.Schema(
+  {
+    orcidId: { type: String, required: true, unique: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    fetchedAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+export const OrcidProfile =
+  mongoose.models.OrcidProfile || mongoose.model("OrcidProfile", orcidProfileSchema);
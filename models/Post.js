@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const postSchema = new mongoose.Schema(
   {
@@ -41,5 +42,8 @@ postSchema.index({ communityId: 1, createdAt: -1 });
 postSchema.index({ authorUserId: 1, createdAt: -1 });
 postSchema.index({ authorRole: 1, createdAt: -1 });
 
+// deletedAt tombstone (see plugins/softDelete.js)
+postSchema.plugin(softDeletePlugin);
+
 export const Post = mongoose.models.Post || mongoose.model("Post", postSchema);
 
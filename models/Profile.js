@@ -1,10 +1,12 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const locationSchema = new mongoose.Schema(
   {
     city: String,
     state: String, // State, province, or region
     country: String,
+    postalCode: String, // Optional; sharpens trial site distances
   },
   { _id: false }
 );
@@ -75,6 +77,11 @@ const researcherSchema = new mongoose.Schema(
     education: [educationSchema],
     skills: [{ type: String }],
     meetingRate: Number, // Rate per 30 minutes in USD
+    // Published patient reviews, kept up to date by review.service.js
+    rating: {
+      average: { type: Number, default: null },
+      count: { type: Number, default: 0 },
+    },
     interestedInMeetings: { type: Boolean, default: false },
     interestedInForums: { type: Boolean, default: false },
     // Publications the researcher has chosen to display on their public profile
@@ -98,5 +105,8 @@ const profileSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// deletedAt tombstone; tombstoned with the user and purged alongside it
+profileSchema.plugin(softDeletePlugin);
+
 export const Profile =
   mongoose.models.Profile || mongoose.model("Profile", profileSchema);
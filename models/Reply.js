@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const replySchema = new mongoose.Schema(
   {
@@ -21,6 +22,9 @@ replySchema.virtual("voteScore").get(function () {
 // Index for better query performance
 replySchema.index({ threadId: 1, parentReplyId: 1 });
 
+// deletedAt tombstone (see plugins/softDelete.js)
+replySchema.plugin(softDeletePlugin);
+
 export const Reply = mongoose.models.Reply || mongoose.model("Reply", replySchema);
 
 
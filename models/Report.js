@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+export const REPORT_TARGET_TYPES = ["user", "message", "thread", "reply", "post", "comment", "review"];
+export const REPORT_REASONS = ["spam", "harassment", "hate", "misinformation", "self_harm", "impersonation", "other"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    targetType: { type: String, enum: REPORT_TARGET_TYPES, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Author of the reported content (or the reported user) so moderators can spot repeat offenders
+    targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, default: "", maxlength: 2000 },
+    status: {
+      type: String,
+      enum: ["open", "reviewing", "resolved", "dismissed"],
+      default: "open",
+      index: true,
+    },
+    // Moderator decision
+    resolution: {
+      action: { type: String, enum: ["none", "remove_content", "delete_user"], default: undefined },
+      note: { type: String },
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ reporterId: 1, targetType: 1, targetId: 1 });
+
+export const Report = mongoose.models.Report || mongoose.model("Report", reportSchema);
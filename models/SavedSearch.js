@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+export const SAVED_SEARCH_TYPES = ["trials", "publications"];
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    type: { type: String, enum: SAVED_SEARCH_TYPES, required: true },
+    // Query string and filters as sent to GET /search/trials or /search/publications
+    // (see SAVED_SEARCH_FILTERS in services/savedSearch.service.js)
+    query: { type: Object, required: true },
+    alertsEnabled: { type: Boolean, default: true },
+    lastRunAt: { type: Date, default: null },
+    lastNewCount: { type: Number, default: 0 },
+    // NCT IDs / PMIDs already seen by the runner (capped); anything else is a new result
+    seenIds: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ alertsEnabled: 1, lastRunAt: 1 });
+
+export const SavedSearch =
+  mongoose.models.SavedSearch || mongoose.model("SavedSearch", savedSearchSchema);
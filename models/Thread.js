@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const threadSchema = new mongoose.Schema(
   {
@@ -33,6 +34,9 @@ threadSchema.virtual("voteScore").get(function () {
   return (this.upvotes?.length || 0) - (this.downvotes?.length || 0);
 });
 
+// deletedAt tombstone (see plugins/softDelete.js)
+threadSchema.plugin(softDeletePlugin);
+
 export const Thread = mongoose.models.Thread || mongoose.model("Thread", threadSchema);
 
 
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Last known state of a favorited ClinicalTrials.gov trial (built by buildTrialSnapshot in
+// services/trialTracking.service.js) and the changes seen between checks, newest last
+const trialChangeSchema = new mongoose.Schema(
+  {
+    detectedAt: { type: Date, required: true },
+    // [{ field, from, to, summary }]; site changes carry added/removed/statusChanged instead
+    changes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  { _id: false }
+);
+
+const trialSnapshotSchema = new mongoose.Schema(
+  {
+    nctId: { type: String, required: true, unique: true },
+    title: { type: String, default: "" },
+    snapshot: { type: mongoose.Schema.Types.Mixed, default: null },
+    checkedAt: { type: Date, default: null },
+    lastChangedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    history: { type: [trialChangeSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+trialSnapshotSchema.index({ checkedAt: 1 });
+
+export const TrialSnapshot =
+  mongoose.models.TrialSnapshot || mongoose.model("TrialSnapshot", trialSnapshotSchema);
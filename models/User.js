@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ADMIN_ROLES } from "../config/adminPermissions.js";
+import { MESSAGE_REQUEST_AUTO_ACCEPT_RULES } from "./MessageRequest.js";
+import { softDeletePlugin } from "./plugins/softDelete.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -32,9 +35,17 @@ const userSchema = new mongoose.Schema(
     passwordResetTokenUsed: { type: Boolean, default: false }, // Track if token was already used
     lastPasswordResetEmailSent: { type: Date }, // Track when last reset email was sent
 
+    // Session revocation: access tokens issued before this time are rejected (logout-all, password reset)
+    sessionsRevokedAt: { type: Date },
+
     // Admin access (or set ADMIN_EMAILS in env to treat those emails as admin at login)
     isAdmin: { type: Boolean, default: false },
+    // Named admin roles (see config/adminPermissions.js); isAdmin without roles means super-admin
+    adminRoles: [{ type: String, enum: ADMIN_ROLES }],
     
+    // Researchers: patients matching any of these rules can message without a pending request
+    messageRequestAutoAccept: [{ type: String, enum: MESSAGE_REQUEST_AUTO_ACCEPT_RULES }],
+
     // Service account flag for system-owned accounts (forum helpers, bots, etc.)
     isServiceAccount: { type: Boolean, default: false },
   },
@@ -65,4 +76,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// deletedAt tombstone (see plugins/softDelete.js)
+userSchema.plugin(softDeletePlugin);
+
 export const User = mongoose.models.User || mongoose.model("User", userSchema);
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+// Soft delete: documents get a deletedAt tombstone instead of being removed.
+// Reads (find, count, distinct, aggregate, populate) hide tombstoned documents
+// automatically; pass the `withDeleted` query option to see them:
+//   Thread.findById(id).setOptions({ withDeleted: true })
+//   Thread.aggregate(pipeline).option({ withDeleted: true })
+// Queries that filter on deletedAt explicitly are left untouched, and hard deletes
+// (deleteOne/deleteMany) are never filtered so the purge job can remove tombstones.
+
+const FILTERED_QUERIES = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+// Aggregation stages that must stay first in a pipeline
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$vectorSearch"];
+
+export function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    // Upserts must see tombstones, otherwise they would insert a duplicate
+    if (options.upsert) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options?.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    const pipeline = this.pipeline();
+    const first = pipeline[0] || {};
+    if (LEADING_STAGES.some((stage) => stage in first)) {
+      pipeline.splice(1, 0, { $match: { deletedAt: null } });
+    } else if (first.$match) {
+      // Merge into the leading $match so $text and index usage keep working
+      if (!("deletedAt" in first.$match)) first.$match.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  /**
+   * Tombstone this document
+   * @param {string|ObjectId} deletedBy - User who deleted it
+   * @param {Date} deletedAt - Shared timestamp so cascaded children can be restored together
+   */
+  schema.methods.softDelete = function (deletedBy = null, deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = deletedBy;
+    return this.save();
+  };
+
+  /**
+   * Tombstone every live document matching filter (already-deleted ones keep their timestamp)
+   */
+  schema.statics.softDeleteMany = function (filter, deletedBy = null, deletedAt = new Date()) {
+    return this.updateMany(filter, { $set: { deletedAt, deletedBy } });
+  };
+
+  /**
+   * Clear the tombstone on every deleted document matching filter
+   */
+  schema.statics.restoreMany = function (filter) {
+    return this.updateMany(
+      { ...filter, deletedAt: filter.deletedAt ?? { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } },
+    );
+  };
+}
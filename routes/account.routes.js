@@ -0,0 +1,79 @@
+import { Router } from "express";
+import { User } from "../models/User.js";
+import { verifySession } from "../middleware/auth.js";
+import { REFRESH_TOKEN_COOKIE_NAME } from "../services/authSession.service.js";
+import {
+  collectAccountData,
+  buildExportZip,
+  deleteAccount,
+} from "../services/accountData.service.js";
+
+const router = Router();
+
+// GET /api/account/export - Download everything stored about the signed-in user
+// ?format=zip returns one JSON file per section; default is a single JSON bundle
+router.get("/account/export", verifySession, async (req, res) => {
+  try {
+    const data = await collectAccountData(req.user._id);
+    if (!data) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const filename = `collabiora-export-${new Date().toISOString().slice(0, 10)}`;
+    if (req.query.format === "zip") {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.zip"`);
+      return res.send(buildExportZip(data));
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error("Error exporting account data:", error);
+    res.status(500).json({ error: "Failed to export account data" });
+  }
+});
+
+// DELETE /api/account - Permanently delete the signed-in user's account
+// Body: { password } for email/password accounts, { confirm: "DELETE" } for OAuth-only accounts
+router.delete("/account", verifySession, async (req, res) => {
+  try {
+    const { password, confirm } = req.body || {};
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(401).json({ error: "Password is incorrect" });
+      }
+    } else if (confirm !== "DELETE") {
+      return res
+        .status(400)
+        .json({ error: 'Send confirm: "DELETE" to delete this account' });
+    }
+
+    const result = await deleteAccount(user._id);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.clearCookie(REFRESH_TOKEN_COOKIE_NAME, {
+      httpOnly: true,
+      secure: true,
+      sameSite: "none",
+      path: "/api/auth",
+    });
+    res.json({
+      ok: true,
+      message: "Your account and personal data have been deleted",
+      filesDeleted: result.filesDeleted,
+    });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+export default router;
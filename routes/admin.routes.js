@@ -1,9 +1,8 @@
 import { Router } from "express";
 import mongoose from "mongoose";
-import jwt from "jsonwebtoken";
 import { Profile } from "../models/Profile.js";
 import { User } from "../models/User.js";
-import { fetchFullORCIDProfile } from "../services/orcid.service.js";
+import { getStoredORCIDProfile } from "../services/orcid.service.js";
 import { fetchPageMetadata } from "../services/adminPageMetadata.service.js";
 import { SearchLimit } from "../models/SearchLimit.js";
 import { IPLimit } from "../models/IPLimit.js";
@@ -24,48 +23,46 @@ import { MeetingRequest } from "../models/MeetingRequest.js";
 import { Notification } from "../models/Notification.js";
 import { uploadSingle } from "../middleware/upload.js";
 import { uploadImage } from "../services/upload.service.js";
+import {
+  authorize,
+  getAdminRoles,
+  getAdminPermissions,
+  hasAdminPermission,
+} from "../middleware/auth.js";
+import {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+} from "../config/adminPermissions.js";
+import { AuditLog } from "../models/AuditLog.js";
+import { Report } from "../models/Report.js";
+import { loadReportTarget, applyReportAction } from "../services/report.service.js";
+import { ExpertReview, REVIEW_STATUSES } from "../models/ExpertReview.js";
+import { moderateReview } from "../services/review.service.js";
+import { Job, JOB_STATUSES } from "../models/Job.js";
+import { listJobs, getJobStats, retryJob, cancelJob } from "../services/jobQueue.service.js";
+import { getCacheMetrics, getCacheNamespaces, purgeCache } from "../services/cache.service.js";
+import {
+  recordAdminAction,
+  buildAuditLogQuery,
+  auditLogToCsv,
+} from "../services/auditLog.service.js";
+import {
+  SOFT_DELETE_MODELS,
+  SOFT_DELETE_RETENTION_DAYS,
+  softDeleteThreads,
+  softDeletePosts,
+  softDeleteUser,
+  softDeleteCommunity,
+  restoreDeleted,
+  listDeleted,
+} from "../services/softDelete.service.js";
 
 const router = Router();
 
-// Middleware: verify JWT and require isAdmin claim (admin signs in via main /api/auth/login or OAuth).
-// Production: set ADMIN_EMAILS (comma-separated) and JWT_SECRET in env so login issues tokens with isAdmin: true.
-const verifyAdmin = (req, res, next) => {
-  const token =
-    req.headers.authorization?.replace("Bearer ", "") ||
-    req.headers["x-auth-token"] ||
-    req.query.token;
-
-  if (!token) {
-    return res
-      .status(401)
-      .json({ error: "Authentication token required", code: "NO_TOKEN" });
-  }
-
-  const secret =
-    process.env.JWT_SECRET || "your-secret-key-change-in-production";
-  try {
-    const decoded = jwt.verify(token, secret);
-    if (decoded.isAdmin !== true) {
-      return res.status(403).json({
-        error: "Admin access required. Your account is not an admin.",
-        code: "NOT_ADMIN",
-      });
-    }
-    req.adminUserId = decoded.userId;
-    next();
-  } catch (err) {
-    if (err.name === "TokenExpiredError") {
-      return res.status(401).json({
-        error: "Session expired. Please sign in again.",
-        code: "TOKEN_EXPIRED",
-      });
-    }
-    return res.status(401).json({
-      error: "Invalid or expired token. Please sign in again.",
-      code: "INVALID_TOKEN",
-    });
-  }
-};
+// Admin routes authenticate through verifySession (so revoked sessions are rejected)
+// and each one declares the permission it needs; roles map to permissions in config/adminPermissions.js.
+const can = (permission) => authorize("admin", { permission });
 
 // Get activity counts for a list of user IDs (threads, replies, posts, comments, communities)
 async function getActivityCounts(userIds) {
@@ -130,7 +127,7 @@ async function getActivityCounts(userIds) {
 }
 
 // Get all CuraLink experts (for admin dashboard) with activity stats
-router.get("/admin/experts", verifyAdmin, async (req, res) => {
+router.get("/admin/experts", can(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const profiles = await Profile.find({ role: "researcher" })
       .populate("userId", "username email createdAt")
@@ -186,7 +183,7 @@ router.get("/admin/experts", verifyAdmin, async (req, res) => {
 });
 
 // Update expert verification status (isVerified + academic links verified when admin clicks Verify)
-router.patch("/admin/experts/:userId/verify", verifyAdmin, async (req, res) => {
+router.patch("/admin/experts/:userId/verify", can(PERMISSIONS.EXPERTS_VERIFY), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isVerified } = req.body;
@@ -200,6 +197,11 @@ router.patch("/admin/experts/:userId/verify", verifyAdmin, async (req, res) => {
       return res.status(404).json({ error: "Expert not found" });
     }
 
+    const before = {
+      isVerified: profile.researcher.isVerified,
+      researchGateVerification: profile.researcher.researchGateVerification,
+      academiaEduVerification: profile.researcher.academiaEduVerification,
+    };
     profile.researcher.isVerified = isVerified;
     // When admin verifies expert, also mark academic profiles as verified (name/publications checked by moderator)
     if (isVerified) {
@@ -215,6 +217,17 @@ router.patch("/admin/experts/:userId/verify", verifyAdmin, async (req, res) => {
 
     const uid =
       profile.userId?._id || profile.userId?.id || profile.userId || userId;
+    await recordAdminAction(req, {
+      action: isVerified ? "expert.verify" : "expert.unverify",
+      targetType: "user",
+      targetId: uid,
+      before,
+      after: {
+        isVerified: profile.researcher.isVerified,
+        researchGateVerification: profile.researcher.researchGateVerification,
+        academiaEduVerification: profile.researcher.academiaEduVerification,
+      },
+    });
     res.json({
       success: true,
       message: `Expert ${isVerified ? "verified" : "unverified"} successfully`,
@@ -232,7 +245,7 @@ router.patch("/admin/experts/:userId/verify", verifyAdmin, async (req, res) => {
 });
 
 // GET /api/admin/expert/:userId — full expert profile for admin (ORCID + ResearchGate/Academia metadata)
-router.get("/admin/expert/:userId", verifyAdmin, async (req, res) => {
+router.get("/admin/expert/:userId", can(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const { userId } = req.params;
     const profile = await Profile.findOne({ userId })
@@ -265,11 +278,11 @@ router.get("/admin/expert/:userId", verifyAdmin, async (req, res) => {
       isVerified: researcher.isVerified || false,
     };
 
-    // ORCID: fetch full profile like collabiora-expert
+    // ORCID: stored full profile like collabiora-expert (refreshed in the background)
     if (researcher.orcid) {
       try {
         const normalizedOrcid = researcher.orcid.trim().replace(/\s+/g, "");
-        const orcidProfileData = await fetchFullORCIDProfile(normalizedOrcid);
+        const orcidProfileData = await getStoredORCIDProfile(normalizedOrcid);
         if (orcidProfileData) {
           profileData = {
             ...profileData,
@@ -349,7 +362,7 @@ router.get("/admin/expert/:userId", verifyAdmin, async (req, res) => {
 });
 
 // Dashboard overview stats (new joiners, totals, trends, platform health)
-router.get("/admin/stats/overview", verifyAdmin, async (req, res) => {
+router.get("/admin/stats/overview", can(PERMISSIONS.DASHBOARD_VIEW), async (req, res) => {
   try {
     const now = new Date();
     const last24 = new Date(now.getTime() - 24 * 60 * 60 * 1000);
@@ -655,7 +668,7 @@ router.get("/admin/stats/overview", verifyAdmin, async (req, res) => {
 });
 
 // Get all patients with optional sort
-router.get("/admin/patients", verifyAdmin, async (req, res) => {
+router.get("/admin/patients", can(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const { sortBy = "accountCreated", order = "desc" } = req.query;
 
@@ -722,7 +735,7 @@ router.get("/admin/patients", verifyAdmin, async (req, res) => {
 });
 
 // Delete patient account completely (admin only)
-router.delete("/admin/patients/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/patients/:id", can(PERMISSIONS.USERS_DELETE), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -734,27 +747,23 @@ router.delete("/admin/patients/:id", verifyAdmin, async (req, res) => {
       return res.status(404).json({ error: "Patient not found" });
     }
 
-    const userId = new mongoose.Types.ObjectId(id);
+    const userBefore = await User.findById(id).lean();
 
-    const threadIds = await Thread.find({ authorUserId: userId }).distinct(
-      "_id",
-    );
-    await Reply.deleteMany({
-      $or: [{ authorUserId: userId }, { threadId: { $in: threadIds } }],
-    });
-    await Thread.deleteMany({ authorUserId: userId });
+    // Soft delete: account, profile and authored content are tombstoned together;
+    // memberships and other linked records go when the tombstone is purged
+    await softDeleteUser(new mongoose.Types.ObjectId(id), req.adminUserId);
 
-    const postIds = await Post.find({ authorUserId: userId }).distinct("_id");
-    await Comment.deleteMany({
-      $or: [{ authorUserId: userId }, { postId: { $in: postIds } }],
+    await recordAdminAction(req, {
+      action: "patient.delete",
+      targetType: "user",
+      targetId: id,
+      before: { user: userBefore, profile },
     });
-    await Post.deleteMany({ authorUserId: userId });
-
-    await CommunityMembership.deleteMany({ userId });
-    await Profile.deleteOne({ userId });
-    await User.findByIdAndDelete(id);
 
-    res.json({ ok: true, message: "Patient account deleted completely" });
+    res.json({
+      ok: true,
+      message: `Patient account deleted (restorable for ${SOFT_DELETE_RETENTION_DAYS} days)`,
+    });
   } catch (error) {
     console.error("Error deleting patient:", error);
     res.status(500).json({ error: "Failed to delete patient" });
@@ -762,7 +771,7 @@ router.delete("/admin/patients/:id", verifyAdmin, async (req, res) => {
 });
 
 // Delete researcher/expert account completely (admin only)
-router.delete("/admin/experts/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/experts/:id", can(PERMISSIONS.USERS_DELETE), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -774,29 +783,22 @@ router.delete("/admin/experts/:id", verifyAdmin, async (req, res) => {
       return res.status(404).json({ error: "Researcher not found" });
     }
 
-    const userId = new mongoose.Types.ObjectId(id);
+    const userBefore = await User.findById(id).lean();
 
-    const threadIds = await Thread.find({ authorUserId: userId }).distinct(
-      "_id",
-    );
-    await Reply.deleteMany({
-      $or: [{ authorUserId: userId }, { threadId: { $in: threadIds } }],
-    });
-    await Thread.deleteMany({ authorUserId: userId });
+    // Soft delete (see patient delete); work submissions and trials go at purge time
+    await softDeleteUser(new mongoose.Types.ObjectId(id), req.adminUserId);
 
-    const postIds = await Post.find({ authorUserId: userId }).distinct("_id");
-    await Comment.deleteMany({
-      $or: [{ authorUserId: userId }, { postId: { $in: postIds } }],
+    await recordAdminAction(req, {
+      action: "expert.delete",
+      targetType: "user",
+      targetId: id,
+      before: { user: userBefore, profile },
     });
-    await Post.deleteMany({ authorUserId: userId });
 
-    await CommunityMembership.deleteMany({ userId });
-    await WorkSubmission.deleteMany({ submittedBy: userId });
-    await Trial.deleteMany({ ownerResearcherId: userId });
-    await Profile.deleteOne({ userId });
-    await User.findByIdAndDelete(id);
-
-    res.json({ ok: true, message: "Researcher account deleted completely" });
+    res.json({
+      ok: true,
+      message: `Researcher account deleted (restorable for ${SOFT_DELETE_RETENTION_DAYS} days)`,
+    });
   } catch (error) {
     console.error("Error deleting researcher:", error);
     res.status(500).json({ error: "Failed to delete researcher" });
@@ -808,7 +810,7 @@ router.delete("/admin/experts/:id", verifyAdmin, async (req, res) => {
 // ============================================
 
 // List all meeting requests (optional ?status=pending|accepted|rejected|cancelled)
-router.get("/admin/meeting-requests", verifyAdmin, async (req, res) => {
+router.get("/admin/meeting-requests", can(PERMISSIONS.MEETINGS_MANAGE), async (req, res) => {
   try {
     const { status } = req.query;
     const query = status ? { status } : {};
@@ -825,7 +827,7 @@ router.get("/admin/meeting-requests", verifyAdmin, async (req, res) => {
 });
 
 // Cancel/delete one meeting request and clear related notifications
-router.delete("/admin/meeting-requests/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/meeting-requests/:id", can(PERMISSIONS.MEETINGS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
     const request = await MeetingRequest.findByIdAndDelete(id);
@@ -836,6 +838,12 @@ router.delete("/admin/meeting-requests/:id", verifyAdmin, async (req, res) => {
       relatedItemType: "meeting_request",
       relatedItemId: request._id,
     });
+    await recordAdminAction(req, {
+      action: "meeting_request.delete",
+      targetType: "meeting_request",
+      targetId: request._id,
+      before: request,
+    });
     res.json({
       ok: true,
       message: "Meeting request cancelled and related notifications cleared",
@@ -849,7 +857,7 @@ router.delete("/admin/meeting-requests/:id", verifyAdmin, async (req, res) => {
 // Clear all meeting requests and their related notifications (for testing)
 router.post(
   "/admin/meeting-requests/clear-all",
-  verifyAdmin,
+  can(PERMISSIONS.MEETINGS_MANAGE),
   async (req, res) => {
     try {
       const ids = await MeetingRequest.find({}).distinct("_id");
@@ -860,6 +868,11 @@ router.post(
           relatedItemId: { $in: ids },
         });
       }
+      await recordAdminAction(req, {
+        action: "meeting_request.clear_all",
+        targetType: "meeting_request",
+        metadata: { deletedCount: deleted.deletedCount, ids },
+      });
       res.json({
         ok: true,
         message: "All meeting requests and related notifications cleared",
@@ -877,7 +890,7 @@ router.post(
 // ============================================
 
 // Reset all search limits (deviceId-based IPLimit + legacy SearchLimit)
-router.post("/admin/search/reset-all", verifyAdmin, async (req, res) => {
+router.post("/admin/search/reset-all", can(PERMISSIONS.SEARCH_LIMITS_MANAGE), async (req, res) => {
   try {
     const [ipLimitResult, searchLimitResult] = await Promise.all([
       IPLimit.updateMany({}, { $set: { searchCount: 0, lastSearchAt: null } }),
@@ -890,6 +903,15 @@ router.post("/admin/search/reset-all", verifyAdmin, async (req, res) => {
     const totalReset =
       ipLimitResult.modifiedCount + searchLimitResult.modifiedCount;
 
+    await recordAdminAction(req, {
+      action: "search_limits.reset_all",
+      targetType: "search_limit",
+      metadata: {
+        deviceLimitsReset: ipLimitResult.modifiedCount,
+        tokenLimitsReset: searchLimitResult.modifiedCount,
+      },
+    });
+
     res.json({
       success: true,
       message: "Reset all search limits successfully",
@@ -904,7 +926,7 @@ router.post("/admin/search/reset-all", verifyAdmin, async (req, res) => {
 });
 
 // Get current search limit configuration
-router.get("/admin/search/config", verifyAdmin, async (req, res) => {
+router.get("/admin/search/config", can(PERMISSIONS.SEARCH_LIMITS_MANAGE), async (req, res) => {
   try {
     const MAX_FREE_SEARCHES = parseInt(
       process.env.MAX_FREE_SEARCHES || "6",
@@ -946,7 +968,7 @@ router.get("/admin/search/config", verifyAdmin, async (req, res) => {
 // Reset verification email limit for a user (admin only)
 router.post(
   "/admin/users/:userId/reset-verification-email-limit",
-  verifyAdmin,
+  can(PERMISSIONS.USERS_SUPPORT),
   async (req, res) => {
     try {
       const { userId } = req.params;
@@ -957,9 +979,18 @@ router.post(
       }
 
       // Reset the lastVerificationEmailSent timestamp
+      const before = { lastVerificationEmailSent: user.lastVerificationEmailSent };
       user.lastVerificationEmailSent = undefined;
       await user.save();
 
+      await recordAdminAction(req, {
+        action: "user.reset_verification_email_limit",
+        targetType: "user",
+        targetId: user._id,
+        before,
+        after: { lastVerificationEmailSent: null },
+      });
+
       return res.json({
         success: true,
         message: `Verification email limit reset for user ${user.email || userId}`,
@@ -983,7 +1014,7 @@ router.post(
 // ============================================
 
 // List forum categories
-router.get("/admin/forums/categories", verifyAdmin, async (req, res) => {
+router.get("/admin/forums/categories", can(PERMISSIONS.FORUMS_MODERATE), async (req, res) => {
   try {
     const categories = await ForumCategory.find({}).sort({ name: 1 }).lean();
     const categoryIds = categories.map((c) => c._id);
@@ -1007,17 +1038,22 @@ router.get("/admin/forums/categories", verifyAdmin, async (req, res) => {
 });
 
 // Delete forum category (and its threads + replies)
-router.delete("/admin/forums/categories/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/forums/categories/:id", can(PERMISSIONS.FORUMS_MODERATE), async (req, res) => {
   try {
     const { id } = req.params;
     const category = await ForumCategory.findById(id);
     if (!category) {
       return res.status(404).json({ error: "Forum category not found" });
     }
-    const threadIds = await Thread.find({ categoryId: id }).distinct("_id");
-    await Reply.deleteMany({ threadId: { $in: threadIds } });
-    await Thread.deleteMany({ categoryId: id });
+    const threadIds = await softDeleteThreads({ categoryId: id }, req.adminUserId);
     await ForumCategory.findByIdAndDelete(id);
+    await recordAdminAction(req, {
+      action: "forum_category.delete",
+      targetType: "forum_category",
+      targetId: id,
+      before: category,
+      metadata: { threadsDeleted: threadIds.length },
+    });
     res.json({ ok: true, message: "Forum category deleted successfully" });
   } catch (error) {
     console.error("Error deleting forum category:", error);
@@ -1028,7 +1064,7 @@ router.delete("/admin/forums/categories/:id", verifyAdmin, async (req, res) => {
 // Bulk delete forum categories (and their threads + replies)
 router.post(
   "/admin/forums/categories/bulk-delete",
-  verifyAdmin,
+  can(PERMISSIONS.FORUMS_MODERATE),
   async (req, res) => {
     try {
       const { ids } = req.body;
@@ -1043,12 +1079,20 @@ router.post(
           .status(400)
           .json({ error: "No valid category ids provided" });
       }
-      const threadIds = await Thread.find({
-        categoryId: { $in: validIds },
-      }).distinct("_id");
-      await Reply.deleteMany({ threadId: { $in: threadIds } });
-      await Thread.deleteMany({ categoryId: { $in: validIds } });
+      const categoriesBefore = await ForumCategory.find({
+        _id: { $in: validIds },
+      }).lean();
+      const threadIds = await softDeleteThreads(
+        { categoryId: { $in: validIds } },
+        req.adminUserId,
+      );
       const result = await ForumCategory.deleteMany({ _id: { $in: validIds } });
+      await recordAdminAction(req, {
+        action: "forum_category.bulk_delete",
+        targetType: "forum_category",
+        before: categoriesBefore,
+        metadata: { ids: validIds, threadsDeleted: threadIds.length },
+      });
       res.json({
         ok: true,
         message: `${result.deletedCount} forum categor${result.deletedCount === 1 ? "y" : "ies"} deleted successfully`,
@@ -1061,7 +1105,7 @@ router.post(
 );
 
 // List forum threads (all or by category)
-router.get("/admin/forums/threads", verifyAdmin, async (req, res) => {
+router.get("/admin/forums/threads", can(PERMISSIONS.FORUMS_MODERATE), async (req, res) => {
   try {
     const { categoryId, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -1103,15 +1147,20 @@ router.get("/admin/forums/threads", verifyAdmin, async (req, res) => {
 });
 
 // Delete forum thread (and its replies)
-router.delete("/admin/forums/threads/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/forums/threads/:id", can(PERMISSIONS.FORUMS_MODERATE), async (req, res) => {
   try {
     const { id } = req.params;
     const thread = await Thread.findById(id);
     if (!thread) {
       return res.status(404).json({ error: "Thread not found" });
     }
-    await Reply.deleteMany({ threadId: id });
-    await Thread.findByIdAndDelete(id);
+    await softDeleteThreads({ _id: thread._id }, req.adminUserId);
+    await recordAdminAction(req, {
+      action: "forum_thread.delete",
+      targetType: "thread",
+      targetId: id,
+      before: thread,
+    });
     res.json({ ok: true, message: "Thread deleted successfully" });
   } catch (error) {
     console.error("Error deleting thread:", error);
@@ -1122,7 +1171,7 @@ router.delete("/admin/forums/threads/:id", verifyAdmin, async (req, res) => {
 // Bulk delete forum threads (and their replies)
 router.post(
   "/admin/forums/threads/bulk-delete",
-  verifyAdmin,
+  can(PERMISSIONS.FORUMS_MODERATE),
   async (req, res) => {
     try {
       const { ids } = req.body;
@@ -1135,8 +1184,18 @@ router.post(
       if (validIds.length === 0) {
         return res.status(400).json({ error: "No valid thread ids provided" });
       }
-      await Reply.deleteMany({ threadId: { $in: validIds } });
-      const result = await Thread.deleteMany({ _id: { $in: validIds } });
+      const threadsBefore = await Thread.find({ _id: { $in: validIds } }).lean();
+      const deletedIds = await softDeleteThreads(
+        { _id: { $in: validIds } },
+        req.adminUserId,
+      );
+      const result = { deletedCount: deletedIds.length };
+      await recordAdminAction(req, {
+        action: "forum_thread.bulk_delete",
+        targetType: "thread",
+        before: threadsBefore,
+        metadata: { ids: validIds },
+      });
       res.json({
         ok: true,
         message: `${result.deletedCount} thread${result.deletedCount === 1 ? "" : "s"} deleted successfully`,
@@ -1153,7 +1212,7 @@ router.post(
 // ============================================
 
 // List all posts (paginated)
-router.get("/admin/posts", verifyAdmin, async (req, res) => {
+router.get("/admin/posts", can(PERMISSIONS.POSTS_MODERATE), async (req, res) => {
   try {
     const { page = 1, limit = 20, communityId } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -1182,15 +1241,20 @@ router.get("/admin/posts", verifyAdmin, async (req, res) => {
 });
 
 // Delete any post (admin)
-router.delete("/admin/posts/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/posts/:id", can(PERMISSIONS.POSTS_MODERATE), async (req, res) => {
   try {
     const { id } = req.params;
     const post = await Post.findById(id);
     if (!post) {
       return res.status(404).json({ error: "Post not found" });
     }
-    await Comment.deleteMany({ postId: id });
-    await Post.findByIdAndDelete(id);
+    await softDeletePosts({ _id: post._id }, req.adminUserId);
+    await recordAdminAction(req, {
+      action: "post.delete",
+      targetType: "post",
+      targetId: id,
+      before: post,
+    });
     res.json({ ok: true, message: "Post deleted successfully" });
   } catch (error) {
     console.error("Error deleting post:", error);
@@ -1201,7 +1265,7 @@ router.delete("/admin/posts/:id", verifyAdmin, async (req, res) => {
 // ============================================
 // ADMIN UPLOAD (for community thumbnails, etc.)
 // ============================================
-router.post("/admin/upload", verifyAdmin, uploadSingle, async (req, res) => {
+router.post("/admin/upload", can(PERMISSIONS.COMMUNITIES_MANAGE), uploadSingle, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
@@ -1215,6 +1279,12 @@ router.post("/admin/upload", verifyAdmin, uploadSingle, async (req, res) => {
       req.file.originalname,
       req.file.mimetype,
     );
+    await recordAdminAction(req, {
+      action: "upload.create",
+      targetType: "file",
+      targetId: result.key,
+      after: { url: result.url || result.secure_url, key: result.key },
+    });
     res.json({ ok: true, url: result.url || result.secure_url });
   } catch (error) {
     console.error("Error in admin upload:", error);
@@ -1226,7 +1296,7 @@ router.post("/admin/upload", verifyAdmin, uploadSingle, async (req, res) => {
 // COMMUNITY CATEGORIES (admin) — for Health Forums grouping
 // ============================================
 
-router.get("/admin/community-categories", verifyAdmin, async (req, res) => {
+router.get("/admin/community-categories", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const categories = await CommunityCategory.find({})
       .sort({ sortOrder: 1, name: 1 })
@@ -1255,7 +1325,7 @@ router.get("/admin/community-categories", verifyAdmin, async (req, res) => {
   }
 });
 
-router.post("/admin/community-categories", verifyAdmin, async (req, res) => {
+router.post("/admin/community-categories", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const { name, sortOrder, defaultOpen, headingColor } = req.body;
     if (!name || !name.trim()) {
@@ -1282,6 +1352,12 @@ router.post("/admin/community-categories", verifyAdmin, async (req, res) => {
       defaultOpen: !!defaultOpen,
       headingColor: headingColor || "#2F3C96",
     });
+    await recordAdminAction(req, {
+      action: "community_category.create",
+      targetType: "community_category",
+      targetId: category._id,
+      after: category,
+    });
     res.status(201).json({ ok: true, category });
   } catch (error) {
     console.error("Error creating community category:", error);
@@ -1291,7 +1367,7 @@ router.post("/admin/community-categories", verifyAdmin, async (req, res) => {
 
 router.patch(
   "/admin/community-categories/:id",
-  verifyAdmin,
+  can(PERMISSIONS.COMMUNITIES_MANAGE),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1300,6 +1376,7 @@ router.patch(
       if (!category) {
         return res.status(404).json({ error: "Category not found" });
       }
+      const before = category.toObject();
       if (name !== undefined && name.trim()) {
         category.name = name.trim();
         category.slug =
@@ -1313,6 +1390,13 @@ router.patch(
       if (headingColor !== undefined)
         category.headingColor = headingColor || "#2F3C96";
       await category.save();
+      await recordAdminAction(req, {
+        action: "community_category.update",
+        targetType: "community_category",
+        targetId: category._id,
+        before,
+        after: category,
+      });
       res.json({ ok: true, category });
     } catch (error) {
       console.error("Error updating community category:", error);
@@ -1323,7 +1407,7 @@ router.patch(
 
 router.delete(
   "/admin/community-categories/:id",
-  verifyAdmin,
+  can(PERMISSIONS.COMMUNITIES_MANAGE),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1336,6 +1420,12 @@ router.delete(
         { $set: { categoryId: null } },
       );
       await CommunityCategory.findByIdAndDelete(id);
+      await recordAdminAction(req, {
+        action: "community_category.delete",
+        targetType: "community_category",
+        targetId: id,
+        before: category,
+      });
       res.json({ ok: true, message: "Category deleted; communities unlinked" });
     } catch (error) {
       console.error("Error deleting community category:", error);
@@ -1349,7 +1439,7 @@ router.delete(
 // ============================================
 
 // List communities (optional ?type=patient|researcher)
-router.get("/admin/communities", verifyAdmin, async (req, res) => {
+router.get("/admin/communities", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const { type } = req.query;
     const query =
@@ -1396,7 +1486,7 @@ router.get("/admin/communities", verifyAdmin, async (req, res) => {
 });
 
 // Create community (admin) — supports communityType, categoryId, iconSvg
-router.post("/admin/communities", verifyAdmin, async (req, res) => {
+router.post("/admin/communities", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const {
       name,
@@ -1440,6 +1530,12 @@ router.post("/admin/communities", verifyAdmin, async (req, res) => {
       iconSvg: typeof iconSvg === "string" ? iconSvg : "",
       color: color || "#2F3C96",
     });
+    await recordAdminAction(req, {
+      action: "community.create",
+      targetType: "community",
+      targetId: community._id,
+      after: community,
+    });
     res.status(201).json({ ok: true, community });
   } catch (error) {
     console.error("Error creating community:", error);
@@ -1448,7 +1544,7 @@ router.post("/admin/communities", verifyAdmin, async (req, res) => {
 });
 
 // Update community (admin) — categoryId, iconSvg, name, description, etc.
-router.patch("/admin/communities/:id", verifyAdmin, async (req, res) => {
+router.patch("/admin/communities/:id", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -1466,6 +1562,7 @@ router.patch("/admin/communities/:id", verifyAdmin, async (req, res) => {
     if (!community) {
       return res.status(404).json({ error: "Community not found" });
     }
+    const before = community.toObject();
     if (name !== undefined && name.trim()) {
       community.name = name.trim();
       let slug = name
@@ -1494,6 +1591,13 @@ router.patch("/admin/communities/:id", verifyAdmin, async (req, res) => {
     if (typeof iconSvg === "string") community.iconSvg = iconSvg;
     if (color !== undefined) community.color = color || "#2F3C96";
     await community.save();
+    await recordAdminAction(req, {
+      action: "community.update",
+      targetType: "community",
+      targetId: community._id,
+      before,
+      after: community,
+    });
     res.json({ ok: true, community });
   } catch (error) {
     console.error("Error updating community:", error);
@@ -1502,20 +1606,22 @@ router.patch("/admin/communities/:id", verifyAdmin, async (req, res) => {
 });
 
 // Delete community (admin) – cascades memberships, subcategories; threads/replies may remain with orphaned refs or you can delete them
-router.delete("/admin/communities/:id", verifyAdmin, async (req, res) => {
+router.delete("/admin/communities/:id", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
     const community = await Community.findById(id);
     if (!community) {
       return res.status(404).json({ error: "Community not found" });
     }
-    const threadIds = await Thread.find({ communityId: id }).distinct("_id");
-    await Reply.deleteMany({ threadId: { $in: threadIds } });
-    await Thread.deleteMany({ communityId: id });
-    await CommunityMembership.deleteMany({ communityId: id });
-    await Subcategory.deleteMany({ parentCommunityId: id });
-    await Post.updateMany({ communityId: id }, { $set: { communityId: null } });
-    await Community.findByIdAndDelete(id);
+    // Memberships and subcategories are kept for a restore and removed at purge time
+    const threadIds = await softDeleteCommunity(community._id, req.adminUserId);
+    await recordAdminAction(req, {
+      action: "community.delete",
+      targetType: "community",
+      targetId: id,
+      before: community,
+      metadata: { threadsDeleted: threadIds.length },
+    });
     res.json({ ok: true, message: "Community deleted successfully" });
   } catch (error) {
     console.error("Error deleting community:", error);
@@ -1528,7 +1634,7 @@ router.delete("/admin/communities/:id", verifyAdmin, async (req, res) => {
 // ============================================
 
 // List community proposals (pending first, then all)
-router.get("/admin/community-proposals", verifyAdmin, async (req, res) => {
+router.get("/admin/community-proposals", can(PERMISSIONS.COMMUNITIES_MANAGE), async (req, res) => {
   try {
     const { status } = req.query;
     const query = status ? { status } : {};
@@ -1546,7 +1652,7 @@ router.get("/admin/community-proposals", verifyAdmin, async (req, res) => {
 // Approve a community proposal — creates the community and adds proposer as admin member
 router.post(
   "/admin/community-proposals/:id/approve",
-  verifyAdmin,
+  can(PERMISSIONS.COMMUNITIES_MANAGE),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1602,6 +1708,15 @@ router.post(
       proposal.createdCommunityId = community._id;
       await proposal.save();
 
+      await recordAdminAction(req, {
+        action: "community_proposal.approve",
+        targetType: "community_proposal",
+        targetId: proposal._id,
+        before: { status: "pending" },
+        after: proposal,
+        metadata: { communityId: community._id.toString() },
+      });
+
       res.json({
         ok: true,
         message: "Community created and proposal approved",
@@ -1617,7 +1732,7 @@ router.post(
 // Reject a community proposal
 router.post(
   "/admin/community-proposals/:id/reject",
-  verifyAdmin,
+  can(PERMISSIONS.COMMUNITIES_MANAGE),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1635,6 +1750,14 @@ router.post(
       proposal.reviewedBy = req.adminUserId;
       await proposal.save();
 
+      await recordAdminAction(req, {
+        action: "community_proposal.reject",
+        targetType: "community_proposal",
+        targetId: proposal._id,
+        before: { status: "pending" },
+        after: proposal,
+      });
+
       res.json({ ok: true, message: "Proposal rejected" });
     } catch (error) {
       console.error("Error rejecting community proposal:", error);
@@ -1647,7 +1770,7 @@ router.post(
 // WORK SUBMISSIONS (admin moderation)
 // ============================================
 
-router.get("/admin/work-submissions", verifyAdmin, async (req, res) => {
+router.get("/admin/work-submissions", can(PERMISSIONS.WORK_SUBMISSIONS_REVIEW), async (req, res) => {
   try {
     const { status } = req.query;
     const query = status ? { status } : {};
@@ -1664,7 +1787,7 @@ router.get("/admin/work-submissions", verifyAdmin, async (req, res) => {
 
 router.post(
   "/admin/work-submissions/:id/approve",
-  verifyAdmin,
+  can(PERMISSIONS.WORK_SUBMISSIONS_REVIEW),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1726,6 +1849,14 @@ router.post(
       submission.reviewedBy = req.adminUserId;
       await submission.save();
 
+      await recordAdminAction(req, {
+        action: "work_submission.approve",
+        targetType: "work_submission",
+        targetId: submission._id,
+        before: { status: "pending" },
+        after: submission,
+      });
+
       res.json({ ok: true, message: "Work submission approved" });
     } catch (error) {
       console.error("Error approving work submission:", error);
@@ -1736,7 +1867,7 @@ router.post(
 
 router.post(
   "/admin/work-submissions/:id/reject",
-  verifyAdmin,
+  can(PERMISSIONS.WORK_SUBMISSIONS_REVIEW),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1756,6 +1887,14 @@ router.post(
       submission.reviewedBy = req.adminUserId;
       await submission.save();
 
+      await recordAdminAction(req, {
+        action: "work_submission.reject",
+        targetType: "work_submission",
+        targetId: submission._id,
+        before: { status: "pending" },
+        after: submission,
+      });
+
       res.json({ ok: true, message: "Work submission rejected" });
     } catch (error) {
       console.error("Error rejecting work submission:", error);
@@ -1772,7 +1911,7 @@ router.post(
 //   - Account exists but emailVerified === false
 //   - Account exists but no Profile document
 //   - Account exists with Profile but missing critical data
-router.get("/admin/incomplete-onboarding", verifyAdmin, async (req, res) => {
+router.get("/admin/incomplete-onboarding", can(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     // Find all non-admin users who haven't verified their email
     const unverifiedUsers = await User.find({
@@ -1874,7 +2013,7 @@ router.get("/admin/incomplete-onboarding", verifyAdmin, async (req, res) => {
 // Deletes their Profile and clears medicalInterests, but keeps the account (email/password/OAuth)
 router.post(
   "/admin/incomplete-onboarding/:id/reset",
-  verifyAdmin,
+  can(PERMISSIONS.USERS_SUPPORT),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1888,6 +2027,7 @@ router.post(
       }
 
       // Delete their profile
+      const profileBefore = await Profile.findOne({ userId: id }).lean();
       await Profile.deleteOne({ userId: id });
 
       // Clear onboarding-related fields on the User so they can re-onboard
@@ -1902,6 +2042,14 @@ router.post(
       user.lastVerificationEmailSent = undefined;
       await user.save();
 
+      await recordAdminAction(req, {
+        action: "user.reset_onboarding",
+        targetType: "user",
+        targetId: user._id,
+        before: { profile: profileBefore },
+        after: { role: user.role, emailVerified: user.emailVerified },
+      });
+
       res.json({
         ok: true,
         message: `Onboarding data reset for ${user.email}. User can now start the onboarding process fresh.`,
@@ -1918,4 +2066,713 @@ router.post(
   },
 );
 
+// ============================================
+// DELETED ITEMS (soft delete – list & restore)
+// ============================================
+
+// Permission needed to see/restore each kind of tombstoned item
+const DELETED_TYPE_PERMISSIONS = {
+  user: PERMISSIONS.USERS_DELETE,
+  thread: PERMISSIONS.FORUMS_MODERATE,
+  reply: PERMISSIONS.FORUMS_MODERATE,
+  post: PERMISSIONS.POSTS_MODERATE,
+  comment: PERMISSIONS.POSTS_MODERATE,
+  community: PERMISSIONS.COMMUNITIES_MANAGE,
+};
+
+function checkDeletedType(req, res) {
+  const { type } = req.params;
+  if (!SOFT_DELETE_MODELS[type]) {
+    res.status(400).json({
+      error: `type must be one of: ${Object.keys(SOFT_DELETE_MODELS).join(", ")}`,
+    });
+    return false;
+  }
+  if (!hasAdminPermission(req.user, DELETED_TYPE_PERMISSIONS[type])) {
+    res.status(403).json({
+      error: "Your admin role does not allow this action.",
+      code: "MISSING_PERMISSION",
+      permission: DELETED_TYPE_PERMISSIONS[type],
+    });
+    return false;
+  }
+  return true;
+}
+
+// List soft-deleted items of one type (most recently deleted first)
+router.get("/admin/deleted/:type", authorize("admin"), async (req, res) => {
+  try {
+    if (!checkDeletedType(req, res)) return;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const { items, total } = await listDeleted(req.params.type, { page, limit });
+    res.json({
+      items,
+      retentionDays: SOFT_DELETE_RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching deleted items:", error);
+    res.status(500).json({ error: "Failed to fetch deleted items" });
+  }
+});
+
+// Restore a soft-deleted item together with whatever was deleted alongside it
+router.post("/admin/deleted/:type/:id/restore", authorize("admin"), async (req, res) => {
+  try {
+    if (!checkDeletedType(req, res)) return;
+    const { type, id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const result = await restoreDeleted(type, id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAdminAction(req, {
+      action: `${type}.restore`,
+      targetType: type,
+      targetId: id,
+      after: result.item,
+      metadata: { restored: result.restored },
+    });
+
+    res.json({ ok: true, type, id, restored: result.restored });
+  } catch (error) {
+    console.error("Error restoring deleted item:", error);
+    res.status(500).json({ error: "Failed to restore item" });
+  }
+});
+
+// ============================================
+// ADMIN ROLES & PERMISSIONS
+// ============================================
+
+function formatAdmin(user) {
+  return {
+    userId: user._id,
+    username: user.username,
+    email: user.email,
+    roles: getAdminRoles(user),
+    explicitRoles: user.adminRoles || [],
+  };
+}
+
+// Current admin's roles and permissions (frontend uses this to show/hide admin sections)
+router.get("/admin/me", authorize("admin"), async (req, res) => {
+  res.json({
+    userId: req.user._id,
+    roles: getAdminRoles(req.user),
+    permissions: getAdminPermissions(req.user),
+  });
+});
+
+// Available roles and the permissions each grants
+router.get("/admin/roles", authorize("admin"), async (req, res) => {
+  res.json({
+    roles: ADMIN_ROLES.map((role) => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+    })),
+  });
+});
+
+// List admins (explicit roles or legacy isAdmin flag)
+router.get("/admin/admins", can(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const users = await User.find({
+      $or: [{ isAdmin: true }, { "adminRoles.0": { $exists: true } }],
+    })
+      .select("username email isAdmin adminRoles")
+      .sort({ username: 1 })
+      .lean();
+    res.json({ admins: users.map(formatAdmin) });
+  } catch (error) {
+    console.error("Error listing admins:", error);
+    res.status(500).json({ error: "Failed to list admins" });
+  }
+});
+
+// Grant a role to a user
+router.post(
+  "/admin/admins/:userId/roles",
+  can(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body || {};
+      if (!ADMIN_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `role must be one of: ${ADMIN_ROLES.join(", ")}` });
+      }
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const before = formatAdmin(user);
+      // Legacy admins (isAdmin without roles) are implicit super-admins: keep that when adding a role
+      if (user.isAdmin && user.adminRoles.length === 0) {
+        user.adminRoles = ["super-admin"];
+      }
+      if (!user.adminRoles.includes(role)) {
+        user.adminRoles.push(role);
+      }
+      user.isAdmin = true;
+      await user.save();
+
+      await recordAdminAction(req, {
+        action: "admin_role.grant",
+        targetType: "user",
+        targetId: user._id,
+        before,
+        after: formatAdmin(user),
+        metadata: { role },
+      });
+
+      res.json({ ok: true, admin: formatAdmin(user) });
+    } catch (error) {
+      console.error("Error granting admin role:", error);
+      res.status(500).json({ error: "Failed to grant role" });
+    }
+  },
+);
+
+// Revoke a role from a user (revoking the last role removes admin access)
+router.delete(
+  "/admin/admins/:userId/roles/:role",
+  can(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    try {
+      const { userId, role } = req.params;
+      if (!ADMIN_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `role must be one of: ${ADMIN_ROLES.join(", ")}` });
+      }
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+      if (userId === req.adminUserId && role === "super-admin") {
+        return res
+          .status(400)
+          .json({ error: "You cannot remove your own super-admin role" });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const before = formatAdmin(user);
+      // Legacy admins (isAdmin without roles) are implicit super-admins: make that explicit first
+      if (user.isAdmin && user.adminRoles.length === 0) {
+        user.adminRoles = ["super-admin"];
+      }
+      user.adminRoles = user.adminRoles.filter((r) => r !== role);
+      user.isAdmin = user.adminRoles.length > 0;
+      await user.save();
+
+      await recordAdminAction(req, {
+        action: "admin_role.revoke",
+        targetType: "user",
+        targetId: user._id,
+        before,
+        after: formatAdmin(user),
+        metadata: { role },
+      });
+
+      res.json({ ok: true, admin: formatAdmin(user) });
+    } catch (error) {
+      console.error("Error revoking admin role:", error);
+      res.status(500).json({ error: "Failed to revoke role" });
+    }
+  },
+);
+
+// Remove all admin access from a user
+router.delete(
+  "/admin/admins/:userId",
+  can(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+      if (userId === req.adminUserId) {
+        return res
+          .status(400)
+          .json({ error: "You cannot remove your own admin access" });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { isAdmin: false, adminRoles: [] } },
+      );
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      const before = formatAdmin(user);
+      user.isAdmin = false;
+      user.adminRoles = [];
+
+      await recordAdminAction(req, {
+        action: "admin_role.remove_all",
+        targetType: "user",
+        targetId: user._id,
+        before,
+        after: formatAdmin(user),
+      });
+
+      res.json({ ok: true, admin: formatAdmin(user) });
+    } catch (error) {
+      console.error("Error removing admin access:", error);
+      res.status(500).json({ error: "Failed to remove admin access" });
+    }
+  },
+);
+
+// ============================================
+// USER REPORTS (moderation queue)
+// ============================================
+
+const REPORT_STATUSES = ["open", "reviewing", "resolved", "dismissed"];
+const REPORT_ACTIONS = ["none", "remove_content", "delete_user"];
+
+// Extra permission a moderation action needs on top of REPORTS_REVIEW
+function reportActionPermission(targetType, action) {
+  if (action === "delete_user") return PERMISSIONS.USERS_DELETE;
+  if (action !== "remove_content") return null;
+  if (targetType === "thread" || targetType === "reply") return PERMISSIONS.FORUMS_MODERATE;
+  if (targetType === "post" || targetType === "comment") return PERMISSIONS.POSTS_MODERATE;
+  if (targetType === "review") return PERMISSIONS.REVIEWS_MODERATE;
+  return null;
+}
+
+// Queue of reports, oldest first so nothing waits forever.
+// ?status=open (default) | reviewing | resolved | dismissed | all, ?targetType, ?targetUserId
+router.get("/admin/reports", can(PERMISSIONS.REPORTS_REVIEW), async (req, res) => {
+  try {
+    const { status = "open", targetType, targetUserId } = req.query;
+    if (status !== "all" && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${REPORT_STATUSES.join(", ")}` });
+    }
+    if (targetUserId && !mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ error: "Invalid targetUserId" });
+    }
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (targetType) query.targetType = targetType;
+    if (targetUserId) query.targetUserId = targetUserId;
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [reports, total, statusCounts] = await Promise.all([
+      Report.find(query)
+        .populate("reporterId", "username email")
+        .populate({ path: "targetUserId", select: "username email role", options: { withDeleted: true } })
+        .populate("reviewedBy", "username email")
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Report.countDocuments(query),
+      Report.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    res.json({
+      reports,
+      counts: Object.fromEntries(
+        REPORT_STATUSES.map((s) => [s, statusCounts.find((c) => c._id === s)?.count || 0]),
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    res.status(500).json({ error: "Failed to fetch reports" });
+  }
+});
+
+// One report with the reported content and how often its target has been reported
+router.get("/admin/reports/:id", can(PERMISSIONS.REPORTS_REVIEW), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate("reporterId", "username email")
+      .populate({ path: "targetUserId", select: "username email role createdAt", options: { withDeleted: true } })
+      .populate("reviewedBy", "username email")
+      .lean();
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const targetUserId = report.targetUserId?._id;
+    const [target, reportsOnTarget, reportsAgainstUser] = await Promise.all([
+      loadReportTarget(report.targetType, report.targetId, { withDeleted: true }),
+      Report.countDocuments({ targetType: report.targetType, targetId: report.targetId }),
+      targetUserId ? Report.countDocuments({ targetUserId }) : 0,
+    ]);
+
+    res.json({ report, target, reportsOnTarget, reportsAgainstUser });
+  } catch (error) {
+    console.error("Error fetching report:", error);
+    res.status(500).json({ error: "Failed to fetch report" });
+  }
+});
+
+// Review a report - Body: { status: "reviewing" | "resolved" | "dismissed", action?, note? }
+// Resolving/dismissing closes every open report on the same target with the same decision.
+router.patch("/admin/reports/:id", can(PERMISSIONS.REPORTS_REVIEW), async (req, res) => {
+  try {
+    const { status, action = "none", note } = req.body || {};
+    if (!["reviewing", "resolved", "dismissed"].includes(status)) {
+      return res.status(400).json({ error: "status must be reviewing, resolved or dismissed" });
+    }
+    if (!REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${REPORT_ACTIONS.join(", ")}` });
+    }
+    if (action !== "none" && status !== "resolved") {
+      return res.status(400).json({ error: "Actions can only be taken when resolving a report" });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const permission = reportActionPermission(report.targetType, action);
+    if (permission && !hasAdminPermission(req.user, permission)) {
+      return res.status(403).json({
+        error: "Your admin role does not allow this action.",
+        code: "MISSING_PERMISSION",
+        permission,
+      });
+    }
+
+    const target = await loadReportTarget(report.targetType, report.targetId, { withDeleted: true });
+    const result = await applyReportAction(report, action, req.adminUserId);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const reviewed = {
+      status,
+      reviewedBy: req.adminUserId,
+      reviewedAt: new Date(),
+      ...(status === "reviewing" ? {} : { resolution: { action, note: note || "" } }),
+    };
+    const filter =
+      status === "reviewing"
+        ? { _id: report._id }
+        : {
+            targetType: report.targetType,
+            targetId: report.targetId,
+            status: { $in: ["open", "reviewing"] },
+          };
+    const { modifiedCount } = await Report.updateMany(filter, { $set: reviewed });
+
+    await recordAdminAction(req, {
+      action: `report.${status}`,
+      targetType: "report",
+      targetId: report._id,
+      before: action === "none" ? undefined : target,
+      metadata: {
+        reportTargetType: report.targetType,
+        reportTargetId: report.targetId,
+        moderationAction: action,
+        note: note || "",
+        reportsClosed: status === "reviewing" ? 0 : modifiedCount,
+      },
+    });
+
+    res.json({ ok: true, status, action, reportsUpdated: modifiedCount });
+  } catch (error) {
+    console.error("Error reviewing report:", error);
+    res.status(500).json({ error: "Failed to review report" });
+  }
+});
+
+// ============================================
+// EXPERT REVIEWS (moderation)
+// ============================================
+
+// Reviews newest first; ?status=published | removed | all, ?expertId, ?maxRating (e.g. 2 for low ratings)
+router.get("/admin/reviews", can(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { status = "all", expertId, maxRating } = req.query;
+    if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${REVIEW_STATUSES.join(", ")}` });
+    }
+    if (expertId && !mongoose.Types.ObjectId.isValid(expertId)) {
+      return res.status(400).json({ error: "Invalid expertId" });
+    }
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (expertId) query.expertId = expertId;
+    if (maxRating) query.rating = { $lte: Number(maxRating) };
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [reviews, total] = await Promise.all([
+      ExpertReview.find(query)
+        .populate("patientId", "username email")
+        .populate("expertId", "username email")
+        .populate("moderation.by", "username email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ExpertReview.countDocuments(query),
+    ]);
+
+    res.json({
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching reviews:", error);
+    res.status(500).json({ error: "Failed to fetch reviews" });
+  }
+});
+
+// Hide or restore a review - Body: { status: "published" | "removed", note? }
+router.patch("/admin/reviews/:id", can(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(", ")}` });
+    }
+
+    const before = await moderateReview(req.params.id, { status, adminUserId: req.adminUserId, note });
+    if (!before) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    await recordAdminAction(req, {
+      action: status === "removed" ? "review.remove" : "review.restore",
+      targetType: "review",
+      targetId: before._id,
+      before,
+      metadata: { expertId: before.expertId, note: note || "" },
+    });
+
+    res.json({ ok: true, status });
+  } catch (error) {
+    console.error("Error moderating review:", error);
+    res.status(500).json({ error: "Failed to moderate review" });
+  }
+});
+
+// ============================================
+// BACKGROUND JOBS
+// ============================================
+
+// Job queue: counts per type/status, this instance's handlers, and a page of jobs
+// (?status, ?type). Dead jobs have run out of attempts and wait here to be retried.
+router.get("/admin/jobs", can(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(", ")}` });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [{ jobs, pagination }, stats] = await Promise.all([
+      listJobs({ status, type, page, limit }),
+      getJobStats(),
+    ]);
+    res.json({ jobs, pagination, stats });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({ error: "Failed to fetch jobs" });
+  }
+});
+
+router.get("/admin/jobs/:id", can(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid job ID" });
+    }
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+// Run a dead or cancelled job again with a fresh set of attempts
+router.post("/admin/jobs/:id/retry", can(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid job ID" });
+    }
+    const before = await retryJob(req.params.id);
+    if (!before) {
+      return res.status(409).json({ error: "Only dead or cancelled jobs can be retried" });
+    }
+
+    await recordAdminAction(req, {
+      action: "job.retry",
+      targetType: "job",
+      targetId: before._id,
+      before,
+      metadata: { type: before.type, lastError: before.lastError || "" },
+    });
+
+    res.json({ ok: true, status: "queued" });
+  } catch (error) {
+    console.error("Error retrying job:", error);
+    res.status(500).json({ error: "Failed to retry job" });
+  }
+});
+
+// Cancel a job that hasn't started yet
+router.post("/admin/jobs/:id/cancel", can(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid job ID" });
+    }
+    const before = await cancelJob(req.params.id);
+    if (!before) {
+      return res.status(409).json({ error: "Only queued jobs can be cancelled" });
+    }
+
+    await recordAdminAction(req, {
+      action: "job.cancel",
+      targetType: "job",
+      targetId: before._id,
+      before,
+      metadata: { type: before.type },
+    });
+
+    res.json({ ok: true, status: "cancelled" });
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    res.status(500).json({ error: "Failed to cancel job" });
+  }
+});
+
+// ============================================
+// CACHE
+// ============================================
+
+// Shared cache: store in use, and per-namespace hit/miss counts (this instance) and sizes
+router.get("/admin/cache", can(PERMISSIONS.CACHE_MANAGE), async (req, res) => {
+  try {
+    res.json(await getCacheMetrics());
+  } catch (error) {
+    console.error("Error fetching cache metrics:", error);
+    res.status(500).json({ error: "Failed to fetch cache metrics" });
+  }
+});
+
+// Purge one namespace (DELETE /admin/cache/:namespace) or everything (DELETE /admin/cache)
+async function purgeCacheHandler(req, res) {
+  try {
+    const { namespace } = req.params;
+    if (namespace && !getCacheNamespaces().includes(namespace)) {
+      return res.status(404).json({ error: "Unknown cache namespace" });
+    }
+    const removed = await purgeCache(namespace);
+
+    await recordAdminAction(req, {
+      action: "cache.purge",
+      targetType: "cache",
+      targetId: namespace || "all",
+      metadata: { removed },
+    });
+
+    res.json({ ok: true, namespace: namespace || null, removed });
+  } catch (error) {
+    console.error("Error purging cache:", error);
+    res.status(500).json({ error: "Failed to purge cache" });
+  }
+}
+router.delete("/admin/cache", can(PERMISSIONS.CACHE_MANAGE), purgeCacheHandler);
+router.delete("/admin/cache/:namespace", can(PERMISSIONS.CACHE_MANAGE), purgeCacheHandler);
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// Audit log: who did what, when, with before/after snapshots. Read-only.
+// ?format=csv downloads the filtered entries (capped) instead of a page.
+const AUDIT_LOG_CSV_LIMIT = 10000;
+
+router.get("/admin/audit-log", can(PERMISSIONS.AUDIT_LOG_VIEW), async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, from, to, format } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: "Invalid from/to date" });
+    }
+    if (actorId && !mongoose.Types.ObjectId.isValid(actorId)) {
+      return res.status(400).json({ error: "Invalid actorId" });
+    }
+    const query = buildAuditLogQuery({ actorId, action, targetType, targetId, from, to });
+
+    if (format === "csv") {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_LOG_CSV_LIMIT)
+        .lean();
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(auditLogToCsv(entries));
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
 export default router;
@@ -0,0 +1,175 @@
+import { Router } from "express";
+import { Invoice } from "../models/Invoice.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { authorize, verifySession } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/adminPermissions.js";
+import {
+  quoteForMeeting,
+  startCheckout,
+  refundInvoice,
+  handlePaymentWebhook,
+} from "../services/billing.service.js";
+import { fakePaymentProvider } from "../services/fakePaymentProvider.js";
+
+const router = Router();
+
+function invoiceParticipants(...fields) {
+  return async (req) => {
+    const invoice = await Invoice.findById(req.params.invoiceId).select(fields.join(" ")).lean();
+    return invoice ? fields.map((field) => invoice[field]) : null;
+  };
+}
+
+// Provider bookkeeping stays server-side
+function formatInvoice(invoice) {
+  const { processedEventIds, ...rest } = invoice.toObject ? invoice.toObject() : invoice;
+  return rest;
+}
+
+// GET /api/billing/invoices - Signed-in user's invoices (?role=patient|expert, ?status=)
+router.get("/billing/invoices", verifySession, async (req, res) => {
+  try {
+    const { role, status } = req.query;
+    const filter =
+      role === "patient"
+        ? { patientId: req.user._id }
+        : role === "expert"
+          ? { expertId: req.user._id }
+          : { $or: [{ patientId: req.user._id }, { expertId: req.user._id }] };
+    if (status) filter.status = status;
+
+    const invoices = await Invoice.find(filter)
+      .select("-processedEventIds")
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ invoices });
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(500).json({ error: "Failed to fetch invoices" });
+  }
+});
+
+router.get(
+  "/billing/invoices/:invoiceId",
+  authorize("participant", {
+    participants: invoiceParticipants("patientId", "expertId"),
+    notFound: "Invoice not found",
+    allowAdmin: PERMISSIONS.MEETINGS_MANAGE,
+  }),
+  async (req, res) => {
+    try {
+      const invoice = await Invoice.findById(req.params.invoiceId)
+        .select("-processedEventIds")
+        .populate("patientId", "username email")
+        .populate("expertId", "username email")
+        .lean();
+      res.json({ invoice });
+    } catch (error) {
+      console.error("Error fetching invoice:", error);
+      res.status(500).json({ error: "Failed to fetch invoice" });
+    }
+  },
+);
+
+// GET /api/billing/meeting-requests/:requestId/quote - What the meeting would cost (null when free)
+router.get(
+  "/billing/meeting-requests/:requestId/quote",
+  authorize("participant", {
+    participants: async (req) => {
+      const meeting = await MeetingRequest.findById(req.params.requestId).select("patientId expertId").lean();
+      return meeting ? [meeting.patientId, meeting.expertId] : null;
+    },
+    notFound: "Meeting request not found",
+  }),
+  async (req, res) => {
+    try {
+      const meeting = await MeetingRequest.findById(req.params.requestId).lean();
+      const quote = await quoteForMeeting(meeting);
+      res.json({ quote });
+    } catch (error) {
+      console.error("Error generating quote:", error);
+      res.status(500).json({ error: "Failed to generate quote" });
+    }
+  },
+);
+
+// POST /api/billing/invoices/:invoiceId/checkout - Patient starts paying; returns the provider's checkout URL
+router.post(
+  "/billing/invoices/:invoiceId/checkout",
+  authorize("participant", {
+    participants: invoiceParticipants("patientId"),
+    notFound: "Invoice not found",
+  }),
+  async (req, res) => {
+    try {
+      const invoice = await Invoice.findById(req.params.invoiceId);
+      const result = await startCheckout(invoice, { customerEmail: req.user.email });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ checkoutUrl: result.checkoutUrl });
+    } catch (error) {
+      console.error("Error starting checkout:", error);
+      res.status(500).json({ error: "Failed to start checkout" });
+    }
+  },
+);
+
+// POST /api/billing/invoices/:invoiceId/refund - Expert (or meetings admin) refunds; Body: { amount } in cents, default all
+router.post(
+  "/billing/invoices/:invoiceId/refund",
+  authorize("participant", {
+    participants: invoiceParticipants("expertId"),
+    notFound: "Invoice not found",
+    allowAdmin: PERMISSIONS.MEETINGS_MANAGE,
+  }),
+  async (req, res) => {
+    try {
+      const invoice = await Invoice.findById(req.params.invoiceId);
+      const result = await refundInvoice(invoice, { amount: req.body?.amount });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ invoice: formatInvoice(result.invoice), pending: result.pending });
+    } catch (error) {
+      console.error("Error refunding invoice:", error);
+      res.status(500).json({ error: "Failed to refund invoice" });
+    }
+  },
+);
+
+// POST /api/billing/webhooks/:provider - Payment provider events (verified by the provider's signature)
+router.post("/billing/webhooks/:provider", async (req, res) => {
+  try {
+    const result = await handlePaymentWebhook(req.params.provider, req.rawBody, req.headers);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ received: true, applied: result.applied });
+  } catch (error) {
+    console.error("Error handling payment webhook:", error);
+    // A 500 makes the provider retry the delivery
+    res.status(500).json({ error: "Failed to handle webhook" });
+  }
+});
+
+// POST /api/billing/fake-checkout/:paymentId - Complete a fake-provider checkout (never in production)
+// Body: { outcome: "succeeded" | "failed" }
+if (process.env.NODE_ENV !== "production") {
+  router.post("/billing/fake-checkout/:paymentId", async (req, res) => {
+    try {
+      const delivery = fakePaymentProvider.completeCheckout(req.params.paymentId, req.body?.outcome);
+      if (!delivery) {
+        return res.status(404).json({ error: "Checkout not found or already paid" });
+      }
+      const result = await handlePaymentWebhook(fakePaymentProvider.name, delivery.rawBody, delivery.headers);
+      res.json({ ok: true, applied: result.applied });
+    } catch (error) {
+      console.error("Error completing fake checkout:", error);
+      res.status(500).json({ error: "Failed to complete checkout" });
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,65 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { Block } from "../models/Block.js";
+import { verifySession } from "../middleware/auth.js";
+import { blockUser, unblockUser } from "../services/block.service.js";
+
+const router = Router();
+
+// Users the signed-in user has blocked
+router.get("/blocks", verifySession, async (req, res) => {
+  try {
+    const blocks = await Block.find({ blockerId: req.user._id })
+      .populate("blockedId", "username handle picture role")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({
+      blocks: blocks
+        .filter((b) => b.blockedId)
+        .map((b) => ({ user: b.blockedId, blockedAt: b.createdAt })),
+    });
+  } catch (error) {
+    console.error("Error fetching blocks:", error);
+    res.status(500).json({ error: "Failed to fetch blocked users" });
+  }
+});
+
+// Block a user - Body: { userId }
+router.post("/blocks", verifySession, async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: "Valid userId required" });
+    }
+
+    const result = await blockUser(req.user._id, userId);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ ok: true, block: result.block });
+  } catch (error) {
+    console.error("Error blocking user:", error);
+    res.status(500).json({ error: "Failed to block user" });
+  }
+});
+
+// Unblock a user
+router.delete("/blocks/:userId", verifySession, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: "Invalid userId" });
+    }
+
+    const removed = await unblockUser(req.user._id, userId);
+    if (!removed) {
+      return res.status(404).json({ error: "User is not blocked" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error unblocking user:", error);
+    res.status(500).json({ error: "Failed to unblock user" });
+  }
+});
+
+export default router;
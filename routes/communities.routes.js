@@ -7,10 +7,11 @@ import { Subcategory } from "../models/Subcategory.js";
 import { CommunityMembership } from "../models/CommunityMembership.js";
 import { Thread } from "../models/Thread.js";
 import { Reply } from "../models/Reply.js";
-import { User } from "../models/User.js";
 import { Profile } from "../models/Profile.js";
-import { Notification } from "../models/Notification.js";
-import { verifySession } from "../middleware/auth.js";
+import { verifySession, authorize, hasAdminPermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/adminPermissions.js";
+import { recordAdminAction } from "../services/auditLog.service.js";
+import { notifyMany } from "../services/notification.service.js";
 
 const router = Router();
 
@@ -303,7 +304,7 @@ router.get("/communities/:idOrSlug", async (req, res) => {
 });
 
 // Follow/Join a community
-router.post("/communities/:communityId/follow", async (req, res) => {
+router.post("/communities/:communityId/follow", authorize("owner", { body: "userId" }), async (req, res) => {
   try {
     const { communityId } = req.params;
     const { userId } = req.body;
@@ -339,7 +340,7 @@ router.post("/communities/:communityId/follow", async (req, res) => {
 });
 
 // Unfollow/Leave a community
-router.delete("/communities/:communityId/follow", async (req, res) => {
+router.delete("/communities/:communityId/follow", authorize("owner", { query: "userId" }), async (req, res) => {
   try {
     const { communityId } = req.params;
     const { userId } = req.query;
@@ -512,7 +513,7 @@ router.get("/communities/:communityId/threads", async (req, res) => {
 });
 
 // Get threads from followed communities (feed)
-router.get("/communities/feed/:userId", async (req, res) => {
+router.get("/communities/feed/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -586,7 +587,7 @@ router.get("/communities/feed/:userId", async (req, res) => {
 });
 
 // Get recommended threads based on user interests
-router.get("/communities/recommended/:userId", async (req, res) => {
+router.get("/communities/recommended/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 10 } = req.query;
@@ -846,7 +847,7 @@ router.get("/communities/search/threads", async (req, res) => {
 });
 
 // Create a new thread in a community
-router.post("/communities/:communityId/threads", async (req, res) => {
+router.post("/communities/:communityId/threads", authorize("owner", { body: "authorUserId" }), async (req, res) => {
   try {
     const { communityId } = req.params;
     const {
@@ -930,27 +931,20 @@ router.post("/communities/:communityId/threads", async (req, res) => {
           ],
         }).lean();
 
-        const author = await User.findById(authorUserId).lean();
-
-        for (const researcher of researchers) {
-          if (researcher.userId.toString() !== authorUserId.toString()) {
-            await Notification.create({
-              userId: researcher.userId,
-              type: "community_thread",
-              relatedUserId: authorUserId,
-              relatedItemId: thread._id,
-              relatedItemType: "thread",
-              title: "New Community Discussion",
-              message: `${author?.username || "A patient"} posted in ${community.name}: "${title}"`,
-              metadata: {
-                threadId: thread._id.toString(),
-                threadTitle: title,
-                communityId: communityId,
-                communityName: community.name,
-              },
-            });
-          }
-        }
+        await notifyMany(
+          researchers.map((researcher) => researcher.userId),
+          "community_thread",
+          {
+            actorId: authorUserId,
+            itemId: thread._id,
+            data: {
+              threadId: thread._id.toString(),
+              threadTitle: title,
+              communityId: communityId,
+              communityName: community.name,
+            },
+          },
+        );
       }
     }
 
@@ -970,10 +964,23 @@ router.post("/communities/:communityId/threads", async (req, res) => {
   }
 });
 
+// Community admins can manage any community; researchers can start their own
+function canManageCommunities(user) {
+  return hasAdminPermission(user, PERMISSIONS.COMMUNITIES_MANAGE);
+}
+
 // Create a new community (admin or researcher)
-router.post("/communities", async (req, res) => {
+router.post("/communities", verifySession, async (req, res) => {
   try {
-    const { name, description, icon, color, tags, createdBy, isOfficial, communityType, createdByResearcher } = req.body;
+    const { name, description, icon, color, tags, communityType } = req.body;
+    const isCommunityAdmin = canManageCommunities(req.user);
+    if (!isCommunityAdmin && req.user.role !== "researcher") {
+      return res.status(403).json({ error: "Only researchers can create communities" });
+    }
+    // Researchers create unofficial communities in their own name
+    const createdBy = isCommunityAdmin ? req.body.createdBy : req.user._id;
+    const isOfficial = isCommunityAdmin ? req.body.isOfficial : false;
+    const createdByResearcher = isCommunityAdmin ? req.body.createdByResearcher : true;
 
     if (!name) {
       return res.status(400).json({ error: "name is required" });
@@ -1019,6 +1026,15 @@ router.post("/communities", async (req, res) => {
 
     invalidateCache("communities");
 
+    if (isCommunityAdmin) {
+      await recordAdminAction(req, {
+        action: "community.create",
+        targetType: "community",
+        targetId: community._id,
+        after: community,
+      });
+    }
+
     res.json({ ok: true, community });
   } catch (error) {
     console.error("Error creating community:", error);
@@ -1027,7 +1043,7 @@ router.post("/communities", async (req, res) => {
 });
 
 // Seed default subcategories for communities
-router.post("/communities/:communityId/subcategories/seed", async (req, res) => {
+router.post("/communities/:communityId/subcategories/seed", authorize("admin", { permission: PERMISSIONS.COMMUNITIES_MANAGE }), async (req, res) => {
   try {
     const { communityId } = req.params;
 
@@ -1245,7 +1261,7 @@ router.post("/communities/:communityId/subcategories/seed", async (req, res) =>
 });
 
 // Seed default communities (run once)
-router.post("/communities/seed", async (req, res) => {
+router.post("/communities/seed", authorize("admin", { permission: PERMISSIONS.COMMUNITIES_MANAGE }), async (req, res) => {
   try {
     const defaultCommunities = [
       {
@@ -1509,22 +1525,38 @@ router.get("/subcategories/:idOrSlug", async (req, res) => {
   }
 });
 
-// Create a subcategory (users can create subcategories)
-router.post("/communities/:communityId/subcategories", async (req, res) => {
+// Create a subcategory (researchers, the community's owner/admins, or community admins)
+router.post("/communities/:communityId/subcategories", verifySession, async (req, res) => {
   try {
     const { communityId } = req.params;
-    const { name, description, tags, createdBy } = req.body;
+    const { name, description, tags } = req.body;
+    const createdBy = req.user._id;
 
     if (!name || !name.trim()) {
       return res.status(400).json({ error: "name is required" });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(communityId)) {
+      return res.status(404).json({ error: "Community not found" });
+    }
     // Check if community exists
     const community = await Community.findById(communityId);
     if (!community) {
       return res.status(404).json({ error: "Community not found" });
     }
 
+    const isCommunityAdmin = canManageCommunities(req.user);
+    const isOwner =
+      community.createdBy?.toString() === req.user._id.toString() ||
+      (await CommunityMembership.exists({
+        communityId,
+        userId: req.user._id,
+        role: { $in: ["admin", "moderator"] },
+      }));
+    if (!isCommunityAdmin && !isOwner && req.user.role !== "researcher") {
+      return res.status(403).json({ error: "You cannot create subcategories in this community" });
+    }
+
     // Generate slug from name
     const slug = name
       .toLowerCase()
@@ -1588,6 +1620,16 @@ router.post("/communities/:communityId/subcategories", async (req, res) => {
 
     invalidateCache(`communities:${communityId}`);
 
+    if (isCommunityAdmin) {
+      await recordAdminAction(req, {
+        action: "subcategory.create",
+        targetType: "subcategory",
+        targetId: subcategory._id,
+        after: subcategory,
+        metadata: { communityId },
+      });
+    }
+
     res.json({
       ok: true,
       subcategory,
@@ -1,13 +1,22 @@
 import { Router } from "express";
 import mongoose from "mongoose";
 import { ConnectionRequest } from "../models/ConnectionRequest.js";
-import { Notification } from "../models/Notification.js";
-import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "../services/block.service.js";
+import { notify } from "../services/notification.service.js";
 
 const router = Router();
 
+// Build a participant loader for authorize() from the given ConnectionRequest fields
+function connectionParticipants(...fields) {
+  return async (req) => {
+    const request = await ConnectionRequest.findById(req.params.requestId).select(fields.join(" ")).lean();
+    return request ? fields.map((field) => request[field]) : null;
+  };
+}
+
 // Send a connection request (researcher to researcher)
-router.post("/connection-requests", async (req, res) => {
+router.post("/connection-requests", authorize("owner", { body: "requesterId" }), async (req, res) => {
   try {
     const { requesterId, receiverId, message } = req.body;
 
@@ -19,6 +28,10 @@ router.post("/connection-requests", async (req, res) => {
       return res.status(400).json({ error: "Cannot send connection request to yourself" });
     }
 
+    if (await isBlockedBetween(requesterId, receiverId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     // Convert string IDs to ObjectIds if needed
     const requesterIdObj = mongoose.Types.ObjectId.isValid(requesterId) 
       ? new mongoose.Types.ObjectId(requesterId) 
@@ -69,19 +82,10 @@ router.post("/connection-requests", async (req, res) => {
     });
 
     // Create notification for receiver
-    const requester = await User.findById(requesterIdObj).lean();
-    await Notification.create({
-      userId: receiverIdObj,
-      type: "connection_request",
-      relatedUserId: requesterIdObj,
-      relatedItemId: connectionRequest._id,
-      relatedItemType: "connection_request",
-      title: "New Connection Request",
-      message: `${requester?.username || "Someone"} sent you a connection request`,
-      metadata: {
-        requesterUsername: requester?.username,
-        requestId: connectionRequest._id.toString(),
-      },
+    await notify(receiverIdObj, "connection_request", {
+      actorId: requesterIdObj,
+      itemId: connectionRequest._id,
+      data: { requestId: connectionRequest._id.toString() },
     });
 
     res.json({ ok: true, connectionRequest });
@@ -95,7 +99,7 @@ router.post("/connection-requests", async (req, res) => {
 });
 
 // Get connection requests for a researcher
-router.get("/connection-requests/:userId", async (req, res) => {
+router.get("/connection-requests/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status, type } = req.query; // type: "sent" or "received"
@@ -132,7 +136,7 @@ router.get("/connection-requests/:userId", async (req, res) => {
 });
 
 // Check connection status between two researchers
-router.get("/connection-requests/:requesterId/:receiverId/status", async (req, res) => {
+router.get("/connection-requests/:requesterId/:receiverId/status", authorize("participant", { participants: async (req) => [req.params.requesterId, req.params.receiverId] }), async (req, res) => {
   try {
     const { requesterId, receiverId } = req.params;
 
@@ -178,7 +182,7 @@ router.get("/connection-requests/:requesterId/:receiverId/status", async (req, r
 });
 
 // Accept or reject a connection request
-router.patch("/connection-requests/:requestId", async (req, res) => {
+router.patch("/connection-requests/:requestId", authorize("participant", { participants: connectionParticipants("receiverId"), notFound: "Connection request not found" }), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { action } = req.body; // "accept" or "reject"
@@ -200,22 +204,10 @@ router.patch("/connection-requests/:requestId", async (req, res) => {
     }
 
     // Create notification for requester
-    const receiver = await User.findById(connectionRequest.receiverId).lean();
-    await Notification.create({
-      userId: connectionRequest.requesterId._id || connectionRequest.requesterId,
-      type: `connection_request_${status}`,
-      relatedUserId: connectionRequest.receiverId._id || connectionRequest.receiverId,
-      relatedItemId: connectionRequest._id,
-      relatedItemType: "connection_request",
-      title: action === "accept" ? "Connection Request Accepted" : "Connection Request Rejected",
-      message: action === "accept"
-        ? `${receiver?.username || "The researcher"} accepted your connection request. You can now send messages.`
-        : `${receiver?.username || "The researcher"} rejected your connection request.`,
-      metadata: {
-        receiverUsername: receiver?.username,
-        requestId: connectionRequest._id.toString(),
-        status,
-      },
+    await notify(connectionRequest.requesterId._id || connectionRequest.requesterId, `connection_request_${status}`, {
+      actorId: connectionRequest.receiverId._id || connectionRequest.receiverId,
+      itemId: connectionRequest._id,
+      data: { requestId: connectionRequest._id.toString(), status },
     });
 
     res.json({ ok: true, connectionRequest });
@@ -226,7 +218,7 @@ router.patch("/connection-requests/:requestId", async (req, res) => {
 });
 
 // Delete/disconnect a connection (remove connection)
-router.delete("/connection-requests/:requestId", async (req, res) => {
+router.delete("/connection-requests/:requestId", authorize("owner", { query: "userId" }), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { userId } = req.query; // Get userId from query params
@@ -268,17 +260,7 @@ router.delete("/connection-requests/:requestId", async (req, res) => {
     await ConnectionRequest.findByIdAndDelete(requestId);
 
     // Create notification for the other party
-    const disconnectedBy = await User.findById(userIdObj).lean();
-    await Notification.create({
-      userId: otherUserId,
-      type: "new_message", // Using existing type
-      relatedUserId: userIdObj,
-      title: "Connection Disconnected",
-      message: `${disconnectedBy?.username || "Someone"} disconnected from you`,
-      metadata: {
-        disconnectedByUsername: disconnectedBy?.username,
-      },
-    });
+    await notify(otherUserId, "connection_removed", { actorId: userIdObj });
 
     res.json({ ok: true, message: "Connection disconnected successfully" });
   } catch (error) {
@@ -288,7 +270,7 @@ router.delete("/connection-requests/:requestId", async (req, res) => {
 });
 
 // Get all accepted connections for a researcher
-router.get("/connection-requests/:userId/connections", async (req, res) => {
+router.get("/connection-requests/:userId/connections", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -1,11 +1,14 @@
 import { Router } from "express";
 import { Contact } from "../models/Contact.js";
 import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/adminPermissions.js";
+import { recordAdminAction } from "../services/auditLog.service.js";
 
 const router = Router();
 
 // Submit contact form
-router.post("/contact", async (req, res) => {
+router.post("/contact", authorize("public"), async (req, res) => {
   try {
     const { name, email, message, userId } = req.body;
 
@@ -46,7 +49,7 @@ router.post("/contact", async (req, res) => {
 });
 
 // Get all contact submissions (admin only)
-router.get("/contact", async (req, res) => {
+router.get("/contact", authorize("admin", { permission: PERMISSIONS.CONTACTS_MANAGE }), async (req, res) => {
   try {
     const { limit = 50, offset = 0, status } = req.query;
 
@@ -77,7 +80,7 @@ router.get("/contact", async (req, res) => {
 });
 
 // Get contact stats (admin only)
-router.get("/contact/stats", async (req, res) => {
+router.get("/contact/stats", authorize("admin", { permission: PERMISSIONS.CONTACTS_MANAGE }), async (req, res) => {
   try {
     const total = await Contact.countDocuments({});
     const newCount = await Contact.countDocuments({ status: "new" });
@@ -101,7 +104,7 @@ router.get("/contact/stats", async (req, res) => {
 });
 
 // Update contact status (admin only)
-router.patch("/contact/:id/status", async (req, res) => {
+router.patch("/contact/:id/status", authorize("admin", { permission: PERMISSIONS.CONTACTS_MANAGE }), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -110,16 +113,23 @@ router.patch("/contact/:id/status", async (req, res) => {
       return res.status(400).json({ error: "Invalid status" });
     }
 
-    const contact = await Contact.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    ).lean();
+    const previous = await Contact.findById(id).select("status").lean();
+    const contact = previous
+      ? await Contact.findByIdAndUpdate(id, { status }, { new: true }).lean()
+      : null;
 
     if (!contact) {
       return res.status(404).json({ error: "Contact not found" });
     }
 
+    await recordAdminAction(req, {
+      action: "contact.update_status",
+      targetType: "contact",
+      targetId: id,
+      before: { status: previous.status },
+      after: { status },
+    });
+
     res.json({ ok: true, contact });
   } catch (error) {
     console.error("Error updating contact status:", error);
@@ -128,7 +138,7 @@ router.patch("/contact/:id/status", async (req, res) => {
 });
 
 // Delete contact (admin only)
-router.delete("/contact/:id", async (req, res) => {
+router.delete("/contact/:id", authorize("admin", { permission: PERMISSIONS.CONTACTS_MANAGE }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -138,6 +148,13 @@ router.delete("/contact/:id", async (req, res) => {
       return res.status(404).json({ error: "Contact not found" });
     }
 
+    await recordAdminAction(req, {
+      action: "contact.delete",
+      targetType: "contact",
+      targetId: id,
+      before: contact,
+    });
+
     res.json({ ok: true, message: "Contact deleted successfully" });
   } catch (error) {
     console.error("Error deleting contact:", error);
@@ -0,0 +1,332 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { Conversation } from "../models/Conversation.js";
+import { Message } from "../models/Message.js";
+import { User } from "../models/User.js";
+import { authorize, verifySession } from "../middleware/auth.js";
+import { uploadMultiple } from "../middleware/upload.js";
+import { publish } from "../services/realtime.service.js";
+import {
+  getMessagingRoles,
+  checkCanMessage,
+  deliverMessage,
+  getOrCreateConversation,
+  markConversationRead,
+  backfillConversationsForUser,
+  uploadMessageAttachments,
+  formatConversation,
+} from "../services/conversation.service.js";
+import { createMessageRequest } from "../services/messageRequest.service.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "../services/block.service.js";
+import { getPresignedDownloadUrl } from "../services/upload.service.js";
+
+const router = Router();
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+// Lifetime of an attachment download link
+const ATTACHMENT_URL_TTL_SECONDS = 5 * 60;
+
+// Admins moderate through /admin, not by reading private conversations
+async function conversationParticipants(req) {
+  const conversation = await Conversation.findById(req.params.conversationId)
+    .select("participants")
+    .lean();
+  return conversation ? conversation.participants : null;
+}
+
+const participantOnly = authorize("participant", {
+  participants: conversationParticipants,
+  notFound: "Conversation not found",
+});
+
+function pageSize(limit) {
+  const n = parseInt(limit, 10);
+  if (!n || n < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+async function loadConversation(conversationId) {
+  return Conversation.findById(conversationId)
+    .populate("participants", "username email picture role")
+    .populate("lastMessageId")
+    .lean();
+}
+
+// GET /api/conversations - Signed-in user's conversations, most recent first
+// ?archived=true for the archive; ?before=<lastMessageAt ISO date> for the next page
+router.get("/conversations", verifySession, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const limit = pageSize(req.query.limit);
+    await backfillConversationsForUser(userId);
+
+    const archived = req.query.archived === "true";
+    const query = {
+      participants: userId,
+      lastMessageId: { $ne: null },
+      participantState: { $elemMatch: { userId, archived } },
+    };
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before)) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      query.lastMessageAt = { $lt: before };
+    }
+
+    const conversations = await Conversation.find(query)
+      .populate("participants", "username email picture role")
+      .populate("lastMessageId")
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const nextCursor =
+      conversations.length === limit
+        ? conversations[conversations.length - 1].lastMessageAt
+        : null;
+
+    res.json({
+      conversations: conversations.map((c) => formatConversation(c, userId)),
+      nextCursor,
+    });
+  } catch (error) {
+    console.error("Error fetching conversations:", error);
+    res.status(500).json({ error: "Failed to fetch conversations" });
+  }
+});
+
+// POST /api/conversations - Open (or create) the conversation with another user
+router.post("/conversations", verifySession, async (req, res) => {
+  try {
+    const { userId: otherUserId } = req.body || {};
+    if (!otherUserId || !mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({ error: "Valid userId required" });
+    }
+    if (otherUserId === req.user._id.toString()) {
+      return res.status(400).json({ error: "Cannot start a conversation with yourself" });
+    }
+    const otherUser = await User.exists({ _id: otherUserId });
+    if (!otherUser) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (await isBlockedBetween(req.user._id, otherUserId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    // Make sure existing messages between the pair end up in this conversation
+    await backfillConversationsForUser(req.user._id);
+    const conversation = await getOrCreateConversation(req.user._id, otherUserId);
+    const populated = await loadConversation(conversation._id);
+    res.json({ conversation: formatConversation(populated, req.user._id) });
+  } catch (error) {
+    console.error("Error creating conversation:", error);
+    res.status(500).json({ error: "Failed to create conversation" });
+  }
+});
+
+// GET /api/conversations/:conversationId
+router.get("/conversations/:conversationId", participantOnly, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req.params.conversationId);
+    res.json({ conversation: formatConversation(conversation, req.user._id) });
+  } catch (error) {
+    console.error("Error fetching conversation:", error);
+    res.status(500).json({ error: "Failed to fetch conversation" });
+  }
+});
+
+// GET /api/conversations/:conversationId/messages - Newest first
+// Pass nextCursor back as ?before=<messageId> to load older messages
+router.get("/conversations/:conversationId/messages", participantOnly, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const limit = pageSize(req.query.limit);
+    const query = { conversationId };
+
+    if (req.query.before) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.before)) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      const cursor = await Message.findOne({ _id: req.query.before, conversationId })
+        .select("createdAt")
+        .lean();
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      // Ties on createdAt are broken by _id so no message is skipped or repeated
+      query.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    const messages = await Message.find(query)
+      .populate("senderId", "username email")
+      .populate("receiverId", "username email")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      messages,
+      nextCursor: messages.length === limit ? messages[messages.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error fetching conversation messages:", error);
+    res.status(500).json({ error: "Failed to fetch messages" });
+  }
+});
+
+// POST /api/conversations/:conversationId/messages
+// JSON { body, subject } or multipart with the same fields plus up to 10 "files"
+router.post(
+  "/conversations/:conversationId/messages",
+  participantOnly,
+  uploadMultiple,
+  async (req, res) => {
+    try {
+      const { subject, body } = req.body || {};
+      const files = req.files || [];
+      if (!body?.trim() && files.length === 0) {
+        return res.status(400).json({ error: "Message body or attachment required" });
+      }
+
+      const conversation = await Conversation.findById(req.params.conversationId)
+        .select("participants")
+        .lean();
+      const senderId = req.user._id.toString();
+      const receiverId = conversation.participants.find((id) => id.toString() !== senderId);
+      const roles = await getMessagingRoles(senderId, receiverId);
+      if (!roles) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const denied = await checkCanMessage({ senderId, receiverId, ...roles });
+      if (denied?.messageRequestRequired) {
+        // First contact from a patient: the text becomes a request; files wait until it's accepted
+        if (files.length > 0) {
+          return res.status(403).json({ error: "Attachments can be sent once the researcher accepts your message request" });
+        }
+        const result = await createMessageRequest({ requesterId: senderId, expertId: receiverId, message: body });
+        if (!result.success) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        return res.status(result.message ? 200 : 202).json({
+          ok: true,
+          message: result.message,
+          messageRequest: result.messageRequest,
+          pending: !result.message,
+        });
+      }
+      if (denied) {
+        return res.status(403).json({ error: denied.error });
+      }
+
+      // Upload only after the checks pass so rejected messages leave no files behind
+      const attachments = await uploadMessageAttachments(files);
+      const { message } = await deliverMessage({
+        senderId,
+        receiverId,
+        ...roles,
+        subject: subject || "",
+        body: body || "",
+        attachments,
+      });
+
+      res.json({ ok: true, message });
+    } catch (error) {
+      console.error("Error sending message:", error);
+      res.status(500).json({ error: "Failed to send message" });
+    }
+  },
+);
+
+// GET /api/conversations/:conversationId/messages/:messageId/attachments/:attachmentId
+// Attachments are private; participants get a short-lived download link
+router.get(
+  "/conversations/:conversationId/messages/:messageId/attachments/:attachmentId",
+  participantOnly,
+  async (req, res) => {
+    try {
+      const { conversationId, messageId, attachmentId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(messageId) || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+      const message = await Message.findOne({ _id: messageId, conversationId })
+        .select("attachments")
+        .lean();
+      const attachment = message?.attachments?.find((a) => a._id.toString() === attachmentId);
+      if (!attachment || (!attachment.key && !attachment.url)) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+
+      const url = attachment.key
+        ? await getPresignedDownloadUrl(attachment.key, {
+            expiresIn: ATTACHMENT_URL_TTL_SECONDS,
+            fileName: attachment.name,
+          })
+        : attachment.url;
+      res.json({
+        url,
+        name: attachment.name,
+        mimetype: attachment.mimetype,
+        expiresAt: new Date(Date.now() + ATTACHMENT_URL_TTL_SECONDS * 1000),
+      });
+    } catch (error) {
+      console.error("Error fetching message attachment:", error);
+      res.status(500).json({ error: "Failed to fetch attachment" });
+    }
+  },
+);
+
+// PATCH /api/conversations/:conversationId/read - Mark everything addressed to me as read
+router.patch("/conversations/:conversationId/read", participantOnly, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+    const { messageIds, readAt } = await markConversationRead(conversationId, userId);
+
+    if (messageIds.length > 0) {
+      const conversation = await Conversation.findById(conversationId)
+        .select("participants")
+        .lean();
+      publish(conversation.participants, "message:read", {
+        messageIds,
+        readerId: userId,
+        readAt,
+        conversationId,
+      });
+    }
+    res.json({ ok: true, readCount: messageIds.length });
+  } catch (error) {
+    console.error("Error marking conversation as read:", error);
+    res.status(500).json({ error: "Failed to mark conversation as read" });
+  }
+});
+
+// PATCH /api/conversations/:conversationId/state - { muted?, archived? } for the signed-in user
+router.patch("/conversations/:conversationId/state", participantOnly, async (req, res) => {
+  try {
+    const { muted, archived } = req.body || {};
+    const update = {};
+    if (typeof muted === "boolean") update["participantState.$.muted"] = muted;
+    if (typeof archived === "boolean") update["participantState.$.archived"] = archived;
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: "Provide muted and/or archived as booleans" });
+    }
+
+    await Conversation.updateOne(
+      { _id: req.params.conversationId, "participantState.userId": req.user._id },
+      { $set: update },
+    );
+    const conversation = await loadConversation(req.params.conversationId);
+    res.json({ conversation: formatConversation(conversation, req.user._id) });
+  } catch (error) {
+    console.error("Error updating conversation state:", error);
+    res.status(500).json({ error: "Failed to update conversation" });
+  }
+});
+
+export default router;
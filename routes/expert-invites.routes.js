@@ -3,11 +3,12 @@ import mongoose from "mongoose";
 import { ExpertInvite } from "../models/ExpertInvite.js";
 import { Notification } from "../models/Notification.js";
 import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = Router();
 
 // Send an invite to a global expert
-router.post("/expert-invites", async (req, res) => {
+router.post("/expert-invites", authorize("owner", { body: "inviterId" }), async (req, res) => {
   try {
     const { inviterId, expertName, expertOrcid, expertAffiliation, expertLocation } = req.body;
 
@@ -121,7 +122,7 @@ router.get("/expert-invites/check", async (req, res) => {
 });
 
 // Get all invites sent by a user
-router.get("/expert-invites/user/:userId", async (req, res) => {
+router.get("/expert-invites/user/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
 
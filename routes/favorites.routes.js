@@ -1,16 +1,18 @@
 import { Router } from "express";
 import { Favorite } from "../models/Favorite.js";
 import { fetchDataFromUrl } from "../services/urlParser.service.js";
+import { authorize } from "../middleware/auth.js";
+import { trackTrial } from "../services/trialTracking.service.js";
 
 const router = Router();
 
-router.get("/favorites/:userId", async (req, res) => {
+router.get("/favorites/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const docs = await Favorite.find({ userId }).sort({ createdAt: -1 });
   res.json({ items: docs });
 });
 
-router.post("/favorites/:userId", async (req, res) => {
+router.post("/favorites/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const { type, item } = req.body || {};
   
@@ -58,10 +60,12 @@ router.post("/favorites/:userId", async (req, res) => {
   
   if (exists) return res.json({ ok: true });
   await Favorite.create({ userId, type, item: normalizedItem });
+  // Snapshot the trial now so later changes can be reported
+  if (type === "trial") await trackTrial(itemId);
   res.json({ ok: true });
 });
 
-router.delete("/favorites/:userId", async (req, res) => {
+router.delete("/favorites/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const { type, id } = req.query;
   if (!type || !id)
@@ -96,7 +100,7 @@ router.delete("/favorites/:userId", async (req, res) => {
 });
 
 // Add favorite by URL
-router.post("/favorites/:userId/add-by-url", async (req, res) => {
+router.post("/favorites/:userId/add-by-url", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const { url } = req.body || {};
 
@@ -168,6 +172,7 @@ router.post("/favorites/:userId/add-by-url", async (req, res) => {
       item: normalizedItem,
       addedByUrl: true, // Mark as added by URL
     });
+    if (type === "trial") await trackTrial(itemId);
     
     res.json({ 
       ok: true, 
@@ -1,11 +1,13 @@
 import { Router } from "express";
 import { Feedback } from "../models/Feedback.js";
 import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/adminPermissions.js";
 
 const router = Router();
 
 // Submit feedback
-router.post("/feedback", async (req, res) => {
+router.post("/feedback", authorize("public"), async (req, res) => {
   try {
     const {
       userId,
@@ -71,7 +73,7 @@ router.post("/feedback", async (req, res) => {
 });
 
 // Get all feedback (for admin)
-router.get("/feedback", async (req, res) => {
+router.get("/feedback", authorize("admin", { permission: PERMISSIONS.FEEDBACK_VIEW }), async (req, res) => {
   try {
     const { limit = 50, offset = 0, sort = "desc" } = req.query;
 
@@ -99,7 +101,7 @@ router.get("/feedback", async (req, res) => {
 });
 
 // Get feedback stats (for admin)
-router.get("/feedback/stats", async (req, res) => {
+router.get("/feedback/stats", authorize("admin", { permission: PERMISSIONS.FEEDBACK_VIEW }), async (req, res) => {
   try {
     const total = await Feedback.countDocuments({});
     const excellent = await Feedback.countDocuments({ rating: "excellent" });
@@ -124,7 +126,7 @@ router.get("/feedback/stats", async (req, res) => {
 });
 
 // Check if a user has already submitted any feedback
-router.get("/feedback/has-submitted/:userId", async (req, res) => {
+router.get("/feedback/has-submitted/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     if (!userId) {
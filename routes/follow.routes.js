@@ -1,12 +1,13 @@
 import { Router } from "express";
 import { Follow } from "../models/Follow.js";
-import { Notification } from "../models/Notification.js";
-import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "../services/block.service.js";
+import { notify } from "../services/notification.service.js";
 
 const router = Router();
 
 // Follow a user
-router.post("/follow", async (req, res) => {
+router.post("/follow", authorize("owner", { body: "followerId" }), async (req, res) => {
   try {
     const { followerId, followingId, followerRole, followingRole, source } = req.body;
 
@@ -18,6 +19,10 @@ router.post("/follow", async (req, res) => {
       return res.status(400).json({ error: "Cannot follow yourself" });
     }
 
+    if (await isBlockedBetween(followerId, followingId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     const existing = await Follow.findOne({ followerId, followingId });
     if (existing) {
       return res.json({ ok: true, message: "Already following" });
@@ -31,26 +36,9 @@ router.post("/follow", async (req, res) => {
     });
 
     // Create notification for the person being followed (researcher or patient)
-    const follower = await User.findById(followerId).lean();
-    const followerName = follower?.username || "Someone";
-    
-    // Build notification message with source if provided
-    let notificationMessage = `${followerName} followed you`;
-    if (source) {
-      notificationMessage += ` THROUGH ${source}`;
-    }
-    
-    await Notification.create({
-      userId: followingId,
-      type: "new_follower",
-      relatedUserId: followerId,
-      title: "New Follower",
-      message: notificationMessage,
-      metadata: {
-        followerUsername: follower?.username,
-        followerRole,
-        source: source || null,
-      },
+    await notify(followingId, "new_follower", {
+      actorId: followerId,
+      data: { followerRole, source: source || null },
     });
 
     res.json({ ok: true, follow });
@@ -64,7 +52,7 @@ router.post("/follow", async (req, res) => {
 });
 
 // Unfollow a user
-router.delete("/follow", async (req, res) => {
+router.delete("/follow", authorize("owner", { body: "followerId" }), async (req, res) => {
   try {
     const { followerId, followingId } = req.body;
 
@@ -81,7 +69,7 @@ router.delete("/follow", async (req, res) => {
 });
 
 // Get list of user IDs that the given user follows (for feed sorting and +Follow UI)
-router.get("/follow/following-ids", async (req, res) => {
+router.get("/follow/following-ids", authorize("owner", { query: "userId" }), async (req, res) => {
   try {
     const { userId } = req.query;
     if (!userId) {
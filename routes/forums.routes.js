@@ -5,10 +5,12 @@ import { Thread } from "../models/Thread.js";
 import { Reply } from "../models/Reply.js";
 import { User } from "../models/User.js";
 import { Profile } from "../models/Profile.js";
-import { Notification } from "../models/Notification.js";
 import { Community } from "../models/Community.js";
-import { verifySession } from "../middleware/auth.js";
+import { verifySession, authorize } from "../middleware/auth.js";
 import { enrichAuthorsWithDisplayName, getResearcherDisplayName } from "../utils/researcherDisplayName.js";
+import { softDeleteThreads, softDeleteReplyTree } from "../services/softDelete.service.js";
+import { getBlockedUserIds, BLOCKED_ERROR } from "../services/block.service.js";
+import { notify, notifyMany } from "../services/notification.service.js";
 
 const router = Router();
 
@@ -475,7 +477,7 @@ router.get("/forums/threads/:threadId", async (req, res) => {
 });
 
 // Create new thread
-router.post("/forums/threads", async (req, res) => {
+router.post("/forums/threads", authorize("owner", { body: "authorUserId" }), async (req, res) => {
   const {
     categoryId,
     authorUserId,
@@ -524,32 +526,29 @@ router.post("/forums/threads", async (req, res) => {
     const patientConditions = authorProfile?.patient?.conditions || [];
     
     if (patientConditions.length > 0) {
+      const blockedIds = await getBlockedUserIds(authorUserId);
       const researchers = await Profile.find({
         role: "researcher",
+        userId: { $nin: blockedIds },
         $or: [
           { "researcher.specialties": { $in: patientConditions } },
           { "researcher.interests": { $in: patientConditions } },
         ],
       }).lean();
 
-      const author = await User.findById(authorUserId).lean();
-      
-      for (const researcher of researchers) {
-        await Notification.create({
-          userId: researcher.userId,
-          type: "patient_question",
-          relatedUserId: authorUserId,
-          relatedItemId: thread._id,
-          relatedItemType: "thread",
-          title: "New Patient Question",
-          message: `${author?.username || "A patient"} asked a question in your specialty: "${title}"`,
-          metadata: {
+      await notifyMany(
+        researchers.map((researcher) => researcher.userId),
+        "patient_question",
+        {
+          actorId: authorUserId,
+          itemId: thread._id,
+          data: {
             threadId: thread._id.toString(),
             threadTitle: title,
             conditions: patientConditions,
           },
-        });
-      }
+        },
+      );
     }
   }
 
@@ -569,7 +568,7 @@ router.post("/forums/threads", async (req, res) => {
 });
 
 // Create reply (can be nested)
-router.post("/forums/replies", async (req, res) => {
+router.post("/forums/replies", authorize("owner", { body: "authorUserId" }), async (req, res) => {
   const {
     threadId,
     parentReplyId,
@@ -600,12 +599,22 @@ router.post("/forums/replies", async (req, res) => {
     // Otherwise: patients can reply to patients or researchers; researchers can reply to any thread
 
     // If replying to another reply, check if it exists
+    let parentReply = null;
     if (parentReplyId) {
-      const parentReply = await Reply.findById(parentReplyId);
+      parentReply = await Reply.findById(parentReplyId);
       if (!parentReply)
         return res.status(404).json({ error: "Parent reply not found" });
     }
 
+    // No replying to someone who blocked you (or whom you blocked)
+    const blockedIds = await getBlockedUserIds(authorUserId);
+    if (
+      blockedIds.includes(thread.authorUserId.toString()) ||
+      (parentReply && blockedIds.includes(parentReply.authorUserId.toString()))
+    ) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     const reply = await Reply.create({
       threadId: realThreadId,
       parentReplyId: parentReplyId || null,
@@ -632,46 +641,32 @@ router.post("/forums/replies", async (req, res) => {
       }
     }
 
-    // Create notification for thread author (if reply author is different)
-    if (thread.authorUserId.toString() !== authorUserId.toString()) {
-      const replyAuthor = await User.findById(authorUserId).lean();
-      const notificationType = authorRole === "researcher" ? "researcher_replied" : "new_reply";
-      
-      await Notification.create({
-        userId: thread.authorUserId,
-        type: notificationType,
-        relatedUserId: authorUserId,
-        relatedItemId: realThreadId,
-        relatedItemType: "thread",
-        title: authorRole === "researcher" ? "Researcher Replied" : "New Reply",
-        message: `${replyAuthor?.username || "Someone"} replied to your thread: "${thread.title}"`,
-        metadata: {
+    // Notify the thread author (notify() skips the author replying to themselves)
+    await notify(
+      thread.authorUserId,
+      authorRole === "researcher" ? "researcher_replied" : "new_reply",
+      {
+        actorId: authorUserId,
+        itemId: realThreadId,
+        data: {
           threadTitle: thread.title,
           threadId: realThreadId.toString(),
           replyId: reply._id.toString(),
         },
-      });
-    }
+      },
+    );
 
     // If replying to another reply, notify the parent reply author
-    if (parentReplyId) {
-      const parentReply = await Reply.findById(parentReplyId).lean();
-      if (parentReply && parentReply.authorUserId.toString() !== authorUserId.toString()) {
-        const replyAuthor = await User.findById(authorUserId).lean();
-        await Notification.create({
-          userId: parentReply.authorUserId,
-          type: "new_reply",
-          relatedUserId: authorUserId,
-          relatedItemId: parentReplyId,
-          relatedItemType: "reply",
-          title: "New Reply",
-          message: `${replyAuthor?.username || "Someone"} replied to your comment`,
-          metadata: {
-            threadId: realThreadId.toString(),
-            replyId: reply._id.toString(),
-          },
-        });
-      }
+    if (parentReply) {
+      await notify(parentReply.authorUserId, "new_reply", {
+        actorId: authorUserId,
+        itemId: parentReplyId,
+        itemType: "reply",
+        data: {
+          threadId: realThreadId.toString(),
+          replyId: reply._id.toString(),
+        },
+      });
     }
 
     // Invalidate caches
@@ -695,7 +690,7 @@ router.post("/forums/replies", async (req, res) => {
 });
 
 // Vote on a reply
-router.post("/forums/replies/:replyId/vote", async (req, res) => {
+router.post("/forums/replies/:replyId/vote", authorize("owner", { body: "userId" }), async (req, res) => {
   const { replyId } = req.params;
   const { userId, voteType } = req.body || {}; // voteType: 'upvote' or 'downvote'
 
@@ -720,18 +715,12 @@ router.post("/forums/replies/:replyId/vote", async (req, res) => {
   }
   // voteType === "neutral" = already pulled from both, no add
 
-  // Create notification for reply author if upvoted (and not by themselves)
-  if (voteType === "upvote" && reply.authorUserId.toString() !== userId.toString()) {
-    const voter = await User.findById(userId).lean();
-    await Notification.create({
-      userId: reply.authorUserId,
-      type: "reply_upvoted",
-      relatedUserId: userId,
-      relatedItemId: replyId,
-      relatedItemType: "reply",
-      title: "Reply Upvoted",
-      message: `${voter?.username || "Someone"} upvoted your reply`,
-      metadata: {
+  // Notify the reply author of upvotes (collapsed per reply)
+  if (voteType === "upvote") {
+    await notify(reply.authorUserId, "reply_upvoted", {
+      actorId: userId,
+      itemId: replyId,
+      data: {
         replyId: replyId.toString(),
         threadId: reply.threadId.toString(),
       },
@@ -751,7 +740,7 @@ router.post("/forums/replies/:replyId/vote", async (req, res) => {
 });
 
 // Update reply (owner only)
-router.patch("/forums/replies/:replyId", async (req, res) => {
+router.patch("/forums/replies/:replyId", authorize("owner", { body: "userId" }), async (req, res) => {
   const { replyId } = req.params;
   const { userId, body } = req.body || {};
 
@@ -791,19 +780,6 @@ router.patch("/forums/replies/:replyId", async (req, res) => {
   });
 });
 
-// Delete reply and all nested children (recursive); returns count of deleted replies
-async function deleteReplyAndDescendants(replyId) {
-  const reply = await Reply.findById(replyId);
-  if (!reply) return 0;
-  const children = await Reply.find({ parentReplyId: replyId }).lean();
-  let count = 1;
-  for (const child of children) {
-    count += await deleteReplyAndDescendants(child._id);
-  }
-  await Reply.findByIdAndDelete(replyId);
-  return count;
-}
-
 // Delete thread (owner only)
 router.delete("/forums/threads/:threadId", verifySession, async (req, res) => {
   try {
@@ -821,8 +797,8 @@ router.delete("/forums/threads/:threadId", verifySession, async (req, res) => {
       return res.status(403).json({ error: "You can only delete your own thread" });
     }
 
-    await Reply.deleteMany({ threadId });
-    await Thread.findByIdAndDelete(threadId);
+    // Soft delete (thread + replies); restorable by admins until purged
+    await softDeleteThreads({ _id: threadId }, currentUserId);
 
     invalidateCache(`forums:thread:${threadId}`);
     invalidateCache("forums:threads:");
@@ -835,7 +811,7 @@ router.delete("/forums/threads/:threadId", verifySession, async (req, res) => {
   }
 });
 
-router.delete("/forums/replies/:replyId", async (req, res) => {
+router.delete("/forums/replies/:replyId", authorize("owner", { body: "userId" }), async (req, res) => {
   const { replyId } = req.params;
   const { userId } = req.body || {};
 
@@ -852,7 +828,7 @@ router.delete("/forums/replies/:replyId", async (req, res) => {
   }
 
   const threadId = reply.threadId.toString();
-  const deletedCount = await deleteReplyAndDescendants(replyId);
+  const deletedCount = await softDeleteReplyTree(reply._id, userId);
 
   invalidateCache(`forums:thread:${threadId}`);
   invalidateCache("forums:threads:");
@@ -862,7 +838,7 @@ router.delete("/forums/replies/:replyId", async (req, res) => {
 });
 
 // Vote on a thread
-router.post("/forums/threads/:threadId/vote", async (req, res) => {
+router.post("/forums/threads/:threadId/vote", authorize("owner", { body: "userId" }), async (req, res) => {
   const { threadId } = req.params;
   const { userId, voteType, dummyThreadData } = req.body || {};
 
@@ -888,18 +864,12 @@ router.post("/forums/threads/:threadId/vote", async (req, res) => {
     }
     // voteType === "neutral" = already pulled from both, no add
 
-    // Create notification for thread author if upvoted (and not by themselves)
-    if (voteType === "upvote" && thread.authorUserId.toString() !== userId.toString()) {
-      const voter = await User.findById(userId).lean();
-      await Notification.create({
-        userId: thread.authorUserId,
-        type: "thread_upvoted",
-        relatedUserId: userId,
-        relatedItemId: thread._id,
-        relatedItemType: "thread",
-        title: "Thread Upvoted",
-        message: `${voter?.username || "Someone"} upvoted your thread: "${thread.title}"`,
-        metadata: {
+    // Notify the thread author of upvotes (collapsed per thread)
+    if (voteType === "upvote") {
+      await notify(thread.authorUserId, "thread_upvoted", {
+        actorId: userId,
+        itemId: thread._id,
+        data: {
           threadId: thread._id.toString(),
           threadTitle: thread.title,
         },
@@ -7,11 +7,17 @@ import { Thread } from "../models/Thread.js";
 import { Trial } from "../models/Trial.js";
 import { Profile } from "../models/Profile.js";
 import { Favorite } from "../models/Favorite.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = Router();
 
+async function notificationOwner(req) {
+  const notification = await Notification.findById(req.params.notificationId).select("userId").lean();
+  return notification ? [notification.userId] : null;
+}
+
 // Get all insights/notifications for a user
-router.get("/insights/:userId", async (req, res) => {
+router.get("/insights/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -81,7 +87,7 @@ router.get("/insights/:userId", async (req, res) => {
 });
 
 // Mark notification as read
-router.patch("/insights/:notificationId/read", async (req, res) => {
+router.patch("/insights/:notificationId/read", authorize("participant", { participants: notificationOwner, notFound: "Notification not found" }), async (req, res) => {
   try {
     const { notificationId } = req.params;
     await Notification.findByIdAndUpdate(notificationId, { read: true });
@@ -93,7 +99,7 @@ router.patch("/insights/:notificationId/read", async (req, res) => {
 });
 
 // Mark all notifications as read
-router.patch("/insights/:userId/read-all", async (req, res) => {
+router.patch("/insights/:userId/read-all", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     await Notification.updateMany({ userId, read: false }, { read: true });
@@ -105,7 +111,7 @@ router.patch("/insights/:userId/read-all", async (req, res) => {
 });
 
 // Get followers for a researcher
-router.get("/insights/:userId/followers", async (req, res) => {
+router.get("/insights/:userId/followers", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const followers = await Follow.find({ followingId: userId })
@@ -132,7 +138,7 @@ router.get("/insights/:userId/followers", async (req, res) => {
 });
 
 // Get following list
-router.get("/insights/:userId/following", async (req, res) => {
+router.get("/insights/:userId/following", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const following = await Follow.find({ followerId: userId })
@@ -161,7 +167,7 @@ router.get("/insights/:userId/following", async (req, res) => {
 });
 
 // Check if user is following another user
-router.get("/insights/:followerId/following/:followingId", async (req, res) => {
+router.get("/insights/:followerId/following/:followingId", authorize("public"), async (req, res) => {
   try {
     const { followerId, followingId } = req.params;
     const follow = await Follow.findOne({ followerId, followingId });
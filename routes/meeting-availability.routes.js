@@ -0,0 +1,59 @@
+import { Router } from "express";
+import { authorize } from "../middleware/auth.js";
+import { getAvailability, saveAvailability, getOpenSlots } from "../services/scheduling.service.js";
+
+const router = Router();
+
+// GET /api/meeting-availability/:expertId - Expert's published weekly availability
+router.get("/meeting-availability/:expertId", async (req, res) => {
+  try {
+    const availability = await getAvailability(req.params.expertId);
+    res.json({ availability });
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    res.status(500).json({ error: "Failed to fetch availability" });
+  }
+});
+
+// PUT /api/meeting-availability/:expertId - Replace availability
+// Body: { timezone, windows: [{ dayOfWeek: 0-6, start: "HH:mm", end: "HH:mm" }], slotMinutes,
+//   bufferMinutes, minNoticeHours, maxAdvanceDays, blockedDates: ["YYYY-MM-DD"] }
+router.put(
+  "/meeting-availability/:expertId",
+  authorize("owner", { param: "expertId" }),
+  async (req, res) => {
+    try {
+      const result = await saveAvailability(req.params.expertId, req.body || {});
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ availability: result.availability });
+    } catch (error) {
+      console.error("Error saving availability:", error);
+      res.status(500).json({ error: "Failed to save availability" });
+    }
+  },
+);
+
+// GET /api/meeting-availability/:expertId/slots?from=&to= - Open slots (ISO dates, up to 31 days)
+router.get("/meeting-availability/:expertId/slots", async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({ error: "from and to must be ISO dates" });
+    }
+
+    const result = await getOpenSlots(req.params.expertId, { from, to });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { success, ...slots } = result;
+    res.json(slots);
+  } catch (error) {
+    console.error("Error fetching open slots:", error);
+    res.status(500).json({ error: "Failed to fetch open slots" });
+  }
+});
+
+export default router;
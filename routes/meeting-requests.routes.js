@@ -1,15 +1,44 @@
 import { Router } from "express";
 import mongoose from "mongoose";
 import { MeetingRequest } from "../models/MeetingRequest.js";
-import { Notification } from "../models/Notification.js";
-import { User } from "../models/User.js";
+import { MeetingFeedback } from "../models/MeetingFeedback.js";
+import { authorize } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/adminPermissions.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "../services/block.service.js";
+import { notify } from "../services/notification.service.js";
+import {
+  checkBookableSlot,
+  checkExpertChosenTime,
+  rescheduleMeeting,
+  SLOT_HOLD_UNSET,
+} from "../services/scheduling.service.js";
+import { buildCalendar, buildCalendarFeed, calendarFeedUrlFor } from "../services/calendar.service.js";
+import {
+  prepareAcceptance,
+  ensureMeetingInvoice,
+  settleCancelledMeeting,
+  formatAmount,
+} from "../services/billing.service.js";
 
 const router = Router();
 
+// Follow-up questions are accepted for this long after a meeting, up to this many per meeting
+const FOLLOW_UP_DAYS = 30;
+const MAX_FOLLOW_UPS = 10;
+
+// Build a participant loader for authorize() from the given MeetingRequest fields
+function meetingParticipants(...fields) {
+  return async (req) => {
+    const request = await MeetingRequest.findById(req.params.requestId).select(fields.join(" ")).lean();
+    return request ? fields.map((field) => request[field]) : null;
+  };
+}
+
 // Send a meeting request (patient to expert)
-router.post("/meeting-requests", async (req, res) => {
+// Optional slotStart books one of the expert's open slots (GET /meeting-availability/:expertId/slots)
+router.post("/meeting-requests", authorize("owner", { body: "patientId" }), async (req, res) => {
   try {
-    const { patientId, expertId, message, preferredDate, preferredTime, patientQuestions } = req.body;
+    const { patientId, expertId, message, preferredDate, preferredTime, patientQuestions, slotStart } = req.body;
 
     if (!patientId || !expertId || !message) {
       return res.status(400).json({ error: "Missing required fields" });
@@ -19,6 +48,10 @@ router.post("/meeting-requests", async (req, res) => {
       return res.status(400).json({ error: "Cannot send meeting request to yourself" });
     }
 
+    if (await isBlockedBetween(patientId, expertId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     // Convert string IDs to ObjectIds if needed
     const patientIdObj = mongoose.Types.ObjectId.isValid(patientId) 
       ? new mongoose.Types.ObjectId(patientId) 
@@ -38,32 +71,44 @@ router.post("/meeting-requests", async (req, res) => {
       return res.status(400).json({ error: "A pending meeting request already exists" });
     }
 
-    const meetingRequest = await MeetingRequest.create({
-      patientId: patientIdObj,
-      expertId: expertIdObj,
-      message,
-      preferredDate: preferredDate ? new Date(preferredDate) : null,
-      preferredTime: preferredTime || null,
-      status: "pending",
-      patientQuestions: patientQuestions || null,
-    });
+    let slot = null;
+    if (slotStart) {
+      slot = await checkBookableSlot(expertIdObj, new Date(slotStart), { patientId: patientIdObj });
+      if (!slot.success) {
+        return res.status(slot.status).json({ error: slot.error });
+      }
+    }
 
-    // Create notification for expert (with full details for activity)
-    const patient = await User.findById(patientIdObj).lean();
-    await Notification.create({
-      userId: expertIdObj,
-      type: "meeting_request",
-      relatedUserId: patientIdObj,
-      relatedItemId: meetingRequest._id,
-      relatedItemType: "meeting_request",
-      title: "New Meeting Request",
-      message: `${patient?.username || "Someone"} sent you a meeting request`,
-      metadata: {
-        patientUsername: patient?.username,
+    let meetingRequest;
+    try {
+      meetingRequest = await MeetingRequest.create({
+        patientId: patientIdObj,
+        expertId: expertIdObj,
+        message,
+        preferredDate: slot ? slot.start : preferredDate ? new Date(preferredDate) : null,
+        preferredTime: preferredTime || null,
+        status: "pending",
+        patientQuestions: patientQuestions || null,
+        ...(slot ? { meetingDate: slot.start, meetingEndDate: slot.end, ...slot.hold } : {}),
+      });
+    } catch (error) {
+      // Someone else booked the slot between the check and the insert
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "That time is no longer available" });
+      }
+      throw error;
+    }
+
+    // Notify the expert (with full details for activity)
+    await notify(expertIdObj, "meeting_request", {
+      actorId: patientIdObj,
+      itemId: meetingRequest._id,
+      data: {
         requestId: meetingRequest._id.toString(),
         message: message,
         preferredDate: meetingRequest.preferredDate,
         preferredTime: meetingRequest.preferredTime,
+        meetingDate: meetingRequest.meetingDate || null,
         patientQuestions: meetingRequest.patientQuestions || null,
       },
     });
@@ -76,7 +121,7 @@ router.post("/meeting-requests", async (req, res) => {
 });
 
 // Get meeting requests for an expert
-router.get("/meeting-requests/:expertId", async (req, res) => {
+router.get("/meeting-requests/:expertId", authorize("owner", { param: "expertId" }), async (req, res) => {
   try {
     const { expertId } = req.params;
     const { status } = req.query;
@@ -105,7 +150,7 @@ router.get("/meeting-requests/:expertId", async (req, res) => {
 });
 
 // Get meeting requests sent by a patient
-router.get("/meeting-requests/patient/:patientId", async (req, res) => {
+router.get("/meeting-requests/patient/:patientId", authorize("owner", { param: "patientId" }), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { status } = req.query;
@@ -134,7 +179,7 @@ router.get("/meeting-requests/patient/:patientId", async (req, res) => {
 });
 
 // Check meeting request status between patient and expert
-router.get("/meeting-requests/:patientId/:expertId/status", async (req, res) => {
+router.get("/meeting-requests/:patientId/:expertId/status", authorize("participant", { participants: async (req) => [req.params.patientId, req.params.expertId] }), async (req, res) => {
   try {
     const { patientId, expertId } = req.params;
 
@@ -167,64 +212,114 @@ router.get("/meeting-requests/:patientId/:expertId/status", async (req, res) =>
 });
 
 // Accept, reject, or cancel a meeting request
-router.patch("/meeting-requests/:requestId", async (req, res) => {
+router.patch("/meeting-requests/:requestId", authorize("participant", { participants: meetingParticipants("patientId", "expertId"), notFound: "Meeting request not found", allowAdmin: PERMISSIONS.MEETINGS_MANAGE }), async (req, res) => {
   try {
     const { requestId } = req.params;
-    const { action, meetingDate, meetingNotes } = req.body; // "accept", "reject", or "cancelled"
+    const { action, meetingDate, meetingNotes, reason } = req.body; // "accept", "reject", or "cancelled"
 
     if (!action || !["accept", "reject", "cancelled"].includes(action)) {
       return res.status(400).json({ error: "Invalid action. Must be 'accept', 'reject', or 'cancelled'" });
     }
 
-    const status = action === "accept" ? "accepted" : action === "reject" ? "rejected" : "cancelled";
+    const existing = await MeetingRequest.findById(requestId).lean();
+    // Only the expert answers a request; either side may call it off
+    if (action !== "cancelled" && existing.expertId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the expert can accept or reject this meeting request" });
+    }
+    if (existing.status === "completed") {
+      return res.status(409).json({ error: "This meeting has already taken place" });
+    }
+    let status = action === "accept" ? "accepted" : action === "reject" ? "rejected" : "cancelled";
     
     const updateData = {
-      status,
       respondedAt: action !== "cancelled" ? new Date() : null,
     };
+    const unset = {};
+    let quote = null;
 
     if (action === "accept" && meetingDate) {
-      updateData.meetingDate = new Date(meetingDate);
+      const time = await checkExpertChosenTime(existing, new Date(meetingDate));
+      if (!time.success) {
+        return res.status(time.status).json({ error: time.error });
+      }
+      updateData.meetingDate = time.start;
+      updateData.meetingEndDate = time.end;
+      Object.assign(updateData, time.hold);
+    }
+
+    if (action === "accept") {
+      // Experts with a meeting rate: the meeting is confirmed once the quote is paid
+      ({ status, quote } = await prepareAcceptance({ ...existing, ...updateData }));
+    }
+    updateData.status = status;
+
+    if (action !== "accept") {
+      // Free the slot for other bookings
+      Object.assign(unset, SLOT_HOLD_UNSET);
+    }
+
+    if (action === "cancelled") {
+      updateData.cancelledBy = req.user._id;
+      updateData.cancellationReason = reason?.trim() || null;
     }
 
     if (meetingNotes) {
       updateData.meetingNotes = meetingNotes;
     }
 
-    const meetingRequest = await MeetingRequest.findByIdAndUpdate(
-      requestId,
-      updateData,
-      { new: true }
-    ).populate("patientId", "username email")
-     .populate("expertId", "username email");
+    let meetingRequest;
+    try {
+      meetingRequest = await MeetingRequest.findByIdAndUpdate(
+        requestId,
+        {
+          $set: updateData,
+          ...(Object.keys(unset).length ? { $unset: unset } : {}),
+          $inc: { calendarSequence: 1 },
+        },
+        { new: true }
+      ).populate("patientId", "username email")
+       .populate("expertId", "username email");
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "That time conflicts with another meeting" });
+      }
+      throw error;
+    }
 
     if (!meetingRequest) {
       return res.status(404).json({ error: "Meeting request not found" });
     }
 
-    // Create notification for patient
-    const expert = await User.findById(meetingRequest.expertId).lean();
-    await Notification.create({
-      userId: meetingRequest.patientId._id || meetingRequest.patientId,
-      type: `meeting_request_${status}`,
-      relatedUserId: meetingRequest.expertId._id || meetingRequest.expertId,
-      relatedItemId: meetingRequest._id,
-      relatedItemType: "meeting_request",
-      title: action === "accept" ? "Meeting Request Accepted" : action === "reject" ? "Meeting Request Rejected" : "Meeting Request Cancelled",
-      message: action === "accept"
-        ? `${expert?.username || "The expert"} accepted your meeting request.`
-        : action === "reject"
-        ? `${expert?.username || "The expert"} rejected your meeting request.`
-        : `${expert?.username || "The expert"} cancelled the meeting request.`,
-      metadata: {
-        expertUsername: expert?.username,
+    const patientId = meetingRequest.patientId._id || meetingRequest.patientId;
+    const expertId = meetingRequest.expertId._id || meetingRequest.expertId;
+    const actedByPatient = patientId.toString() === req.user._id.toString();
+
+    let invoice = null;
+    if (quote) {
+      invoice = await ensureMeetingInvoice(meetingRequest, quote);
+    } else if (action !== "accept") {
+      await settleCancelledMeeting(existing, { byExpert: !actedByPatient });
+    }
+
+    // Notify the other participant (the patient, unless the patient cancelled)
+    await notify(actedByPatient ? expertId : patientId, `meeting_request_${action === "accept" ? "accepted" : status}`, {
+      actorId: actedByPatient ? patientId : expertId,
+      itemId: meetingRequest._id,
+      data: {
         requestId: meetingRequest._id.toString(),
         status,
         meetingDate: meetingRequest.meetingDate,
+        ...(invoice
+          ? {
+              paymentRequired: true,
+              invoiceId: invoice._id.toString(),
+              amountLabel: formatAmount(invoice.amount, invoice.currency),
+            }
+          : {}),
       },
     });
 
-    res.json({ ok: true, meetingRequest });
+    res.json({ ok: true, meetingRequest, invoice });
   } catch (error) {
     console.error("Error updating meeting request:", error);
     res.status(500).json({ error: "Failed to update meeting request" });
@@ -232,7 +327,7 @@ router.patch("/meeting-requests/:requestId", async (req, res) => {
 });
 
 // Update meeting request with accepted meeting date/time (expert accepts meeting time)
-router.patch("/meeting-requests/:requestId/accept-time", async (req, res) => {
+router.patch("/meeting-requests/:requestId/accept-time", authorize("participant", { participants: meetingParticipants("expertId"), notFound: "Meeting request not found" }), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { meetingDate, meetingNotes } = req.body;
@@ -241,39 +336,66 @@ router.patch("/meeting-requests/:requestId/accept-time", async (req, res) => {
       return res.status(400).json({ error: "Meeting date is required" });
     }
 
-    const meetingRequest = await MeetingRequest.findByIdAndUpdate(
-      requestId,
-      { 
-        meetingDate: new Date(meetingDate),
-        meetingNotes: meetingNotes || null,
-        status: "accepted",
-      },
-      { new: true }
-    ).populate("patientId", "username email")
-     .populate("expertId", "username email");
+    const existing = await MeetingRequest.findById(requestId).lean();
+    const time = await checkExpertChosenTime(existing, new Date(meetingDate));
+    if (!time.success) {
+      return res.status(time.status).json({ error: time.error });
+    }
+    const { status, quote } = await prepareAcceptance({
+      ...existing,
+      meetingDate: time.start,
+      meetingEndDate: time.end,
+    });
+
+    let meetingRequest;
+    try {
+      meetingRequest = await MeetingRequest.findByIdAndUpdate(
+        requestId,
+        {
+          $set: {
+            meetingDate: time.start,
+            meetingEndDate: time.end,
+            ...time.hold,
+            meetingNotes: meetingNotes || null,
+            status,
+          },
+          $inc: { calendarSequence: 1 },
+        },
+        { new: true }
+      ).populate("patientId", "username email")
+       .populate("expertId", "username email");
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "That time conflicts with another meeting" });
+      }
+      throw error;
+    }
 
     if (!meetingRequest) {
       return res.status(404).json({ error: "Meeting request not found" });
     }
 
-    // Create notification for patient
-    const expert = await User.findById(meetingRequest.expertId).lean();
-    await Notification.create({
-      userId: meetingRequest.patientId._id || meetingRequest.patientId,
-      type: "meeting_request_accepted",
-      relatedUserId: meetingRequest.expertId._id || meetingRequest.expertId,
-      relatedItemId: meetingRequest._id,
-      relatedItemType: "meeting_request",
-      title: "Meeting Scheduled",
-      message: `${expert?.username || "The expert"} accepted your meeting request and scheduled it for ${new Date(meetingDate).toLocaleDateString()}`,
-      metadata: {
-        expertUsername: expert?.username,
+    const invoice = quote ? await ensureMeetingInvoice(meetingRequest, quote) : null;
+
+    // Notify the patient
+    await notify(meetingRequest.patientId._id || meetingRequest.patientId, "meeting_request_accepted", {
+      actorId: meetingRequest.expertId._id || meetingRequest.expertId,
+      itemId: meetingRequest._id,
+      data: {
         requestId: meetingRequest._id.toString(),
+        scheduled: true,
         meetingDate: meetingRequest.meetingDate,
+        ...(invoice
+          ? {
+              paymentRequired: true,
+              invoiceId: invoice._id.toString(),
+              amountLabel: formatAmount(invoice.amount, invoice.currency),
+            }
+          : {}),
       },
     });
 
-    res.json({ ok: true, meetingRequest });
+    res.json({ ok: true, meetingRequest, invoice });
   } catch (error) {
     console.error("Error accepting meeting time:", error);
     res.status(500).json({ error: "Failed to accept meeting time" });
@@ -281,7 +403,7 @@ router.patch("/meeting-requests/:requestId/accept-time", async (req, res) => {
 });
 
 // Add patient questions to an existing meeting request (e.g. after booking popup)
-router.patch("/meeting-requests/:requestId/questions", async (req, res) => {
+router.patch("/meeting-requests/:requestId/questions", authorize("participant", { participants: meetingParticipants("patientId"), notFound: "Meeting request not found" }), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { patientQuestions } = req.body;
@@ -299,18 +421,12 @@ router.patch("/meeting-requests/:requestId/questions", async (req, res) => {
     }
 
     // Notify researcher that patient added questions
-    const patient = await User.findById(meetingRequest.patientId).lean();
-    await Notification.create({
-      userId: meetingRequest.expertId._id || meetingRequest.expertId,
-      type: "meeting_request",
-      relatedUserId: meetingRequest.patientId._id || meetingRequest.patientId,
-      relatedItemId: meetingRequest._id,
-      relatedItemType: "meeting_request",
-      title: "Patient added questions",
-      message: `${patient?.username || "A patient"} added questions to their meeting request`,
-      metadata: {
-        patientUsername: patient?.username,
+    await notify(meetingRequest.expertId._id || meetingRequest.expertId, "meeting_request", {
+      actorId: meetingRequest.patientId._id || meetingRequest.patientId,
+      itemId: meetingRequest._id,
+      data: {
         requestId: meetingRequest._id.toString(),
+        questionsAdded: true,
         patientQuestions: meetingRequest.patientQuestions,
       },
     });
@@ -322,5 +438,216 @@ router.patch("/meeting-requests/:requestId/questions", async (req, res) => {
   }
 });
 
+// Signed-in participant's own notes and rating for a completed meeting
+router.get("/meeting-requests/:requestId/feedback", authorize("participant", { participants: meetingParticipants("patientId", "expertId"), notFound: "Meeting request not found" }), async (req, res) => {
+  try {
+    const feedback = await MeetingFeedback.findOne({
+      meetingRequestId: req.params.requestId,
+      userId: req.user._id,
+    }).lean();
+    res.json({ feedback });
+  } catch (error) {
+    console.error("Error fetching meeting feedback:", error);
+    res.status(500).json({ error: "Failed to fetch meeting feedback" });
+  }
+});
+
+// Save notes and a rating (1-5) after a completed meeting; Body: { notes, rating }
+// Each participant's feedback is private to them
+router.put("/meeting-requests/:requestId/feedback", authorize("participant", { participants: meetingParticipants("patientId", "expertId"), notFound: "Meeting request not found" }), async (req, res) => {
+  try {
+    const { notes, rating } = req.body || {};
+    const meetingRequest = await MeetingRequest.findById(req.params.requestId).select("patientId status").lean();
+    if (meetingRequest.status !== "completed") {
+      return res.status(409).json({ error: "Feedback can be added once the meeting has taken place" });
+    }
+    if (rating !== undefined && rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      return res.status(400).json({ error: "rating must be a whole number from 1 to 5" });
+    }
+
+    const role = meetingRequest.patientId.toString() === req.user._id.toString() ? "patient" : "expert";
+    const feedback = await MeetingFeedback.findOneAndUpdate(
+      { meetingRequestId: meetingRequest._id, userId: req.user._id },
+      {
+        $set: { role, notes: notes?.trim() || null, rating: rating ?? null },
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    res.json({ feedback });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error saving meeting feedback:", error);
+    res.status(500).json({ error: "Failed to save meeting feedback" });
+  }
+});
+
+// Patient sends follow-up questions about a completed meeting; Body: { patientQuestions }
+router.post("/meeting-requests/:requestId/follow-ups", authorize("participant", { participants: meetingParticipants("patientId"), notFound: "Meeting request not found" }), async (req, res) => {
+  try {
+    const patientQuestions = req.body?.patientQuestions?.trim();
+    if (!patientQuestions) {
+      return res.status(400).json({ error: "patientQuestions is required" });
+    }
+
+    const existing = await MeetingRequest.findById(req.params.requestId).select("status completedAt").lean();
+    if (existing.status !== "completed") {
+      return res.status(409).json({ error: "Follow-up questions can be sent once the meeting has taken place" });
+    }
+    if (existing.completedAt && Date.now() - existing.completedAt > FOLLOW_UP_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(409).json({ error: `Follow-up questions can be sent up to ${FOLLOW_UP_DAYS} days after the meeting` });
+    }
+
+    const meetingRequest = await MeetingRequest.findOneAndUpdate(
+      { _id: req.params.requestId, [`followUps.${MAX_FOLLOW_UPS - 1}`]: { $exists: false } },
+      { $push: { followUps: { patientQuestions } } },
+      { new: true }
+    );
+    if (!meetingRequest) {
+      return res.status(409).json({ error: `A meeting can have up to ${MAX_FOLLOW_UPS} follow-ups` });
+    }
+    const followUp = meetingRequest.followUps[meetingRequest.followUps.length - 1];
+
+    await notify(meetingRequest.expertId, "meeting_follow_up", {
+      actorId: meetingRequest.patientId,
+      itemId: meetingRequest._id,
+      data: {
+        requestId: meetingRequest._id.toString(),
+        followUpId: followUp._id.toString(),
+        patientQuestions,
+      },
+    });
+
+    res.status(201).json({ ok: true, followUp });
+  } catch (error) {
+    console.error("Error adding follow-up questions:", error);
+    res.status(500).json({ error: "Failed to add follow-up questions" });
+  }
+});
+
+// Expert answers a follow-up; Body: { answer }
+router.patch("/meeting-requests/:requestId/follow-ups/:followUpId", authorize("participant", { participants: meetingParticipants("expertId"), notFound: "Meeting request not found" }), async (req, res) => {
+  try {
+    const answer = req.body?.answer?.trim();
+    if (!answer) {
+      return res.status(400).json({ error: "answer is required" });
+    }
+
+    const meetingRequest = await MeetingRequest.findOneAndUpdate(
+      { _id: req.params.requestId, "followUps._id": req.params.followUpId },
+      { $set: { "followUps.$.answer": answer, "followUps.$.answeredAt": new Date() } },
+      { new: true }
+    );
+    if (!meetingRequest) {
+      return res.status(404).json({ error: "Follow-up not found" });
+    }
+    const followUp = meetingRequest.followUps.id(req.params.followUpId);
+
+    await notify(meetingRequest.patientId, "meeting_follow_up_answered", {
+      actorId: meetingRequest.expertId,
+      itemId: meetingRequest._id,
+      data: {
+        requestId: meetingRequest._id.toString(),
+        followUpId: followUp._id.toString(),
+      },
+    });
+
+    res.json({ ok: true, followUp });
+  } catch (error) {
+    console.error("Error answering follow-up:", error);
+    res.status(500).json({ error: "Failed to answer follow-up" });
+  }
+});
+
+// Move a pending or accepted meeting to a new time
+// Body: { slotStart, reason } - patients pick one of the expert's open slots; the expert may pick any free time
+router.patch("/meeting-requests/:requestId/reschedule", authorize("participant", { participants: meetingParticipants("patientId", "expertId"), notFound: "Meeting request not found" }), async (req, res) => {
+  try {
+    const { slotStart, reason } = req.body || {};
+    if (!slotStart) {
+      return res.status(400).json({ error: "slotStart is required" });
+    }
+
+    const existing = await MeetingRequest.findById(req.params.requestId);
+    const result = await rescheduleMeeting(existing, {
+      start: new Date(slotStart),
+      actorId: req.user._id,
+      reason,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { meetingRequest, actedByPatient } = result;
+    await notify(actedByPatient ? meetingRequest.expertId : meetingRequest.patientId, "meeting_rescheduled", {
+      actorId: req.user._id,
+      itemId: meetingRequest._id,
+      data: {
+        requestId: meetingRequest._id.toString(),
+        meetingDate: meetingRequest.meetingDate,
+        previousMeetingDate: existing.meetingDate || null,
+        reason: reason?.trim() || null,
+        // A patient moving an accepted meeting sends it back to the expert
+        needsApproval: actedByPatient && existing.status !== "pending",
+      },
+    });
+
+    await meetingRequest.populate([
+      { path: "patientId", select: "username email" },
+      { path: "expertId", select: "username email" },
+    ]);
+    res.json({ ok: true, meetingRequest });
+  } catch (error) {
+    console.error("Error rescheduling meeting:", error);
+    res.status(500).json({ error: "Failed to reschedule meeting" });
+  }
+});
+
+// Download one meeting as an .ics file
+router.get("/meeting-requests/:requestId/calendar.ics", authorize("participant", { participants: meetingParticipants("patientId", "expertId"), notFound: "Meeting request not found" }), async (req, res) => {
+  try {
+    const meetingRequest = await MeetingRequest.findById(req.params.requestId)
+      .populate("patientId", "username")
+      .populate("expertId", "username")
+      .lean();
+    if (!meetingRequest.meetingDate) {
+      return res.status(404).json({ error: "This meeting has no scheduled time yet" });
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="meeting-${meetingRequest._id}.ics"`);
+    res.send(buildCalendar([meetingRequest]));
+  } catch (error) {
+    console.error("Error exporting meeting calendar:", error);
+    res.status(500).json({ error: "Failed to export meeting" });
+  }
+});
+
+// Private calendar subscription URL for the user's meetings
+router.get("/meeting-requests/calendar/:userId/feed-url", authorize("owner", { param: "userId" }), async (req, res) => {
+  try {
+    res.json({ url: calendarFeedUrlFor(req.params.userId) });
+  } catch (error) {
+    console.error("Error creating calendar feed URL:", error);
+    res.status(500).json({ error: "Failed to create calendar feed URL" });
+  }
+});
+
+// Calendar feed (calendar apps fetch this without a session; the token identifies the user)
+router.get("/meeting-requests/calendar/feed.ics", async (req, res) => {
+  try {
+    const calendar = await buildCalendarFeed(req.query.token);
+    if (!calendar) {
+      return res.status(404).json({ error: "Calendar not found" });
+    }
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.send(calendar);
+  } catch (error) {
+    console.error("Error building calendar feed:", error);
+    res.status(500).json({ error: "Failed to build calendar feed" });
+  }
+});
+
 export default router;
 
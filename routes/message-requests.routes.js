@@ -0,0 +1,184 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { MessageRequest, MESSAGE_REQUEST_AUTO_ACCEPT_RULES } from "../models/MessageRequest.js";
+import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
+import {
+  createMessageRequest,
+  respondToMessageRequest,
+} from "../services/messageRequest.service.js";
+
+const router = Router();
+
+// Build a participant loader for authorize() from the given MessageRequest fields
+function messageRequestParticipants(...fields) {
+  return async (req) => {
+    const request = await MessageRequest.findById(req.params.requestId).select(fields.join(" ")).lean();
+    return request ? fields.map((field) => request[field]) : null;
+  };
+}
+
+// Ask a researcher for permission to message them (patient to researcher).
+// POST /messages does the same automatically on first contact.
+router.post("/message-requests", authorize("owner", { body: "requesterId" }), async (req, res) => {
+  try {
+    const { requesterId, expertId, message } = req.body;
+
+    if (!requesterId || !expertId || !mongoose.Types.ObjectId.isValid(expertId)) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    const result = await createMessageRequest({ requesterId, expertId, message });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ ok: true, messageRequest: result.messageRequest, message: result.message });
+  } catch (error) {
+    console.error("Error sending message request:", error);
+    res.status(500).json({ error: "Failed to send message request" });
+  }
+});
+
+// Auto-accept rules for a researcher
+router.get("/message-requests/:userId/settings", authorize("owner"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("role messageRequestAutoAccept").lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json({
+      autoAccept: user.messageRequestAutoAccept || [],
+      availableRules: MESSAGE_REQUEST_AUTO_ACCEPT_RULES,
+    });
+  } catch (error) {
+    console.error("Error fetching message request settings:", error);
+    res.status(500).json({ error: "Failed to fetch message request settings" });
+  }
+});
+
+// Body: { autoAccept: ["connected", "communities", ...] } - an empty list reviews every request
+router.put("/message-requests/:userId/settings", authorize("owner"), async (req, res) => {
+  try {
+    const { autoAccept } = req.body || {};
+    if (
+      !Array.isArray(autoAccept) ||
+      autoAccept.some((rule) => !MESSAGE_REQUEST_AUTO_ACCEPT_RULES.includes(rule))
+    ) {
+      return res.status(400).json({
+        error: `autoAccept must be a list of: ${MESSAGE_REQUEST_AUTO_ACCEPT_RULES.join(", ")}`,
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select("role");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.role !== "researcher") {
+      return res.status(400).json({ error: "Only researchers receive message requests" });
+    }
+
+    user.messageRequestAutoAccept = [...new Set(autoAccept)];
+    await user.save();
+    res.json({ ok: true, autoAccept: user.messageRequestAutoAccept });
+  } catch (error) {
+    console.error("Error updating message request settings:", error);
+    res.status(500).json({ error: "Failed to update message request settings" });
+  }
+});
+
+// Get message requests for a user
+router.get("/message-requests/:userId", authorize("owner"), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status, type } = req.query; // type: "sent" or "received"
+
+    let query = {};
+    if (type === "sent") {
+      query = { requesterId: userId };
+    } else if (type === "received") {
+      query = { expertId: userId };
+    } else {
+      query = { $or: [{ requesterId: userId }, { expertId: userId }] };
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const requests = await MessageRequest.find(query)
+      .populate("requesterId", "username email picture")
+      .populate("expertId", "username email picture")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ requests });
+  } catch (error) {
+    console.error("Error fetching message requests:", error);
+    res.status(500).json({ error: "Failed to fetch message requests" });
+  }
+});
+
+// Current request state between a patient and a researcher
+router.get("/message-requests/:requesterId/:expertId/status", authorize("participant", { participants: async (req) => [req.params.requesterId, req.params.expertId] }), async (req, res) => {
+  try {
+    const { requesterId, expertId } = req.params;
+    const request = await MessageRequest.findOne({ requesterId, expertId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (!request) {
+      return res.json({ hasRequest: false, canMessage: false, status: null });
+    }
+
+    res.json({
+      hasRequest: true,
+      canMessage: request.status === "accepted",
+      status: request.status,
+      request,
+    });
+  } catch (error) {
+    console.error("Error checking message request status:", error);
+    res.status(500).json({ error: "Failed to check message request status" });
+  }
+});
+
+// Accept or reject a message request (researcher)
+router.patch("/message-requests/:requestId", authorize("participant", { participants: messageRequestParticipants("expertId"), notFound: "Message request not found" }), async (req, res) => {
+  try {
+    const { action } = req.body; // "accept" or "reject"
+
+    if (!action || !["accept", "reject"].includes(action)) {
+      return res.status(400).json({ error: "Invalid action. Must be 'accept' or 'reject'" });
+    }
+
+    const result = await respondToMessageRequest(req.params.requestId, action);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ ok: true, messageRequest: result.messageRequest });
+  } catch (error) {
+    console.error("Error updating message request:", error);
+    res.status(500).json({ error: "Failed to update message request" });
+  }
+});
+
+// Withdraw a pending message request (patient)
+router.delete("/message-requests/:requestId", authorize("participant", { participants: messageRequestParticipants("requesterId"), notFound: "Message request not found" }), async (req, res) => {
+  try {
+    const deleted = await MessageRequest.findOneAndDelete({
+      _id: req.params.requestId,
+      status: "pending",
+    });
+    if (!deleted) {
+      return res.status(400).json({ error: "Only pending message requests can be withdrawn" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error withdrawing message request:", error);
+    res.status(500).json({ error: "Failed to withdraw message request" });
+  }
+});
+
+export default router;
@@ -1,18 +1,45 @@
 import { Router } from "express";
 import mongoose from "mongoose";
 import { Message } from "../models/Message.js";
-import { ConnectionRequest } from "../models/ConnectionRequest.js";
-import { Notification } from "../models/Notification.js";
-import { User } from "../models/User.js";
+import { Conversation } from "../models/Conversation.js";
+import { authorize, getRequestToken, isSessionActive } from "../middleware/auth.js";
+import {
+  openStream,
+  endStream,
+  publish,
+  setTyping,
+  getTypingUsers,
+} from "../services/realtime.service.js";
+import {
+  getMessagingRoles,
+  checkCanMessage,
+  deliverMessage,
+  syncUnreadCount,
+  markConversationRead,
+  backfillConversationsForUser,
+  formatConversation,
+} from "../services/conversation.service.js";
+import { createMessageRequest } from "../services/messageRequest.service.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "../services/block.service.js";
 
 const router = Router();
 
+const UPDATES_PAGE_SIZE = 200;
+// How often an open stream re-checks its token (expiry, logout, revoked sessions)
+const STREAM_SESSION_CHECK_MS = 60 * 1000;
+
+// Only the receiver can mark a message as read
+async function messageReceiver(req) {
+  const message = await Message.findById(req.params.messageId).select("receiverId").lean();
+  return message ? [message.receiverId] : null;
+}
+
 // Send a message
-router.post("/messages", async (req, res) => {
+router.post("/messages", authorize("owner", { body: "senderId" }), async (req, res) => {
   try {
-    const { senderId, receiverId, senderRole, receiverRole, subject, body } = req.body;
+    const { senderId, receiverId, senderRole, receiverRole, subject, body, attachments } = req.body;
 
-    if (!senderId || !receiverId || !senderRole || !receiverRole || !body) {
+    if (!senderId || !receiverId || !senderRole || !receiverRole || (!body && !attachments?.length)) {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
@@ -20,66 +47,42 @@ router.post("/messages", async (req, res) => {
       return res.status(400).json({ error: "Cannot send message to yourself" });
     }
 
-    // Convert string IDs to ObjectIds if needed
-    const senderIdObj = mongoose.Types.ObjectId.isValid(senderId) 
-      ? new mongoose.Types.ObjectId(senderId) 
-      : senderId;
-    const receiverIdObj = mongoose.Types.ObjectId.isValid(receiverId)
-      ? new mongoose.Types.ObjectId(receiverId)
-      : receiverId;
-
-    // Patients cannot send messages - they can only request meetings
-    if (senderRole === "patient") {
-      return res.status(403).json({ 
-        error: "Patients cannot send messages. Please request a meeting with the expert instead." 
-      });
+    if (!mongoose.Types.ObjectId.isValid(receiverId)) {
+      return res.status(400).json({ error: "Invalid receiverId" });
     }
 
-    // Researchers can only message other connected researchers
-    if (senderRole === "researcher" && receiverRole === "researcher") {
-      // Check if both users are connected (either direction)
-      const connection1 = await ConnectionRequest.findOne({
-        requesterId: senderIdObj,
-        receiverId: receiverIdObj,
-        status: "accepted"
-      });
-      
-      const connection2 = await ConnectionRequest.findOne({
-        requesterId: receiverIdObj,
-        receiverId: senderIdObj,
-        status: "accepted"
-      });
+    // Gate on the roles stored on the accounts, not the ones in the body
+    const roles = await getMessagingRoles(senderId, receiverId);
+    if (!roles) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-      if (!connection1 && !connection2) {
-        return res.status(403).json({ 
-          error: "You are not connected with this researcher. Please send a connection request first." 
-        });
+    const denied = await checkCanMessage({ senderId, receiverId, ...roles });
+    if (denied?.messageRequestRequired) {
+      // First contact from a patient: the message becomes a request to the researcher
+      const result = await createMessageRequest({ requesterId: senderId, expertId: receiverId, message: body });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
       }
+      return res.status(result.message ? 200 : 202).json({
+        ok: true,
+        message: result.message,
+        messageRequest: result.messageRequest,
+        pending: !result.message,
+      });
+    }
+    if (denied) {
+      return res.status(403).json({ error: denied.error });
     }
 
-    const message = await Message.create({
-      senderId: senderIdObj,
-      receiverId: receiverIdObj,
-      senderRole,
-      receiverRole,
+    const { message } = await deliverMessage({
+      senderId,
+      receiverId,
+      ...roles,
       subject: subject || "",
-      body,
-    });
-
-    // Create notification for receiver
-    const sender = await User.findById(senderIdObj).lean();
-    await Notification.create({
-      userId: receiverIdObj,
-      type: "new_message",
-      relatedUserId: senderIdObj,
-      relatedItemId: message._id,
-      relatedItemType: "message",
-      title: "New Message",
-      message: `You received a message from ${sender?.username || "Someone"}`,
-      metadata: {
-        senderUsername: sender?.username,
-        subject: subject || "",
-      },
+      body: body || "",
+      // Pre-uploaded files (POST /upload); multipart uploads go through /conversations/:id/messages
+      attachments: Array.isArray(attachments) ? attachments : [],
     });
 
     res.json({ ok: true, message });
@@ -90,7 +93,7 @@ router.post("/messages", async (req, res) => {
 });
 
 // Get messages for a conversation
-router.get("/messages/:userId", async (req, res) => {
+router.get("/messages/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { conversationWith } = req.query;
@@ -129,60 +132,38 @@ router.get("/messages/:userId", async (req, res) => {
 });
 
 // Get conversations list
-router.get("/messages/:userId/conversations", async (req, res) => {
+router.get("/messages/:userId/conversations", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Convert string ID to ObjectId
-    const userIdObj = mongoose.Types.ObjectId.isValid(userId) 
-      ? new mongoose.Types.ObjectId(userId) 
-      : userId;
-    const userIdStr = userIdObj.toString();
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: "Invalid userId" });
+    }
+    await backfillConversationsForUser(userId);
 
-    const messages = await Message.find({
-      $or: [{ senderId: userIdObj }, { receiverId: userIdObj }],
-    })
-      .populate("senderId", "username email")
-      .populate("receiverId", "username email")
-      .sort({ createdAt: -1 })
+    const list = await Conversation.find({ participants: userId, lastMessageId: { $ne: null } })
+      .populate("participants", "username email")
+      .populate("lastMessageId")
+      .sort({ lastMessageAt: -1 })
       .lean();
 
-    const conversationsMap = {};
-    messages.forEach((msg) => {
-      const senderIdStr = msg.senderId._id?.toString() || msg.senderId.id?.toString() || msg.senderId?.toString();
-      const receiverIdStr = msg.receiverId._id?.toString() || msg.receiverId.id?.toString() || msg.receiverId?.toString();
-      
-      const otherUserId = senderIdStr === userIdStr 
-        ? receiverIdStr
-        : senderIdStr;
-      
-      if (!conversationsMap[otherUserId]) {
-        conversationsMap[otherUserId] = {
-          userId: otherUserId,
-          username: senderIdStr === userIdStr 
-            ? msg.receiverId.username 
-            : msg.senderId.username,
-          email: senderIdStr === userIdStr 
-            ? msg.receiverId.email 
-            : msg.senderId.email,
-          lastMessage: msg,
-          unreadCount: 0,
-        };
-      }
-      
-      if (new Date(msg.createdAt) > new Date(conversationsMap[otherUserId].lastMessage.createdAt)) {
-        conversationsMap[otherUserId].lastMessage = msg;
-      }
-      
-      if (receiverIdStr === userIdStr && !msg.read) {
-        conversationsMap[otherUserId].unreadCount++;
-      }
+    // Same shape as before Conversation existed, plus the conversation's own fields
+    const conversations = list.flatMap((conversation) => {
+      const summary = formatConversation(conversation, userId);
+      const other = summary.otherParticipant;
+      if (!other) return [];
+      return {
+        userId: other?._id?.toString(),
+        username: other?.username,
+        email: other?.email,
+        lastMessage: summary.lastMessage,
+        unreadCount: summary.unreadCount,
+        conversationId: conversation._id,
+        muted: summary.muted,
+        archived: summary.archived,
+      };
     });
 
-    const conversations = Object.values(conversationsMap).sort(
-      (a, b) => new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt)
-    );
-
     res.json({ conversations });
   } catch (error) {
     console.error("Error fetching conversations:", error);
@@ -191,10 +172,23 @@ router.get("/messages/:userId/conversations", async (req, res) => {
 });
 
 // Mark message as read
-router.patch("/messages/:messageId/read", async (req, res) => {
+router.patch("/messages/:messageId/read", authorize("participant", { participants: messageReceiver, notFound: "Message not found" }), async (req, res) => {
   try {
     const { messageId } = req.params;
-    await Message.findByIdAndUpdate(messageId, { read: true });
+    const readAt = new Date();
+    const message = await Message.findOneAndUpdate(
+      { _id: messageId, read: false },
+      { read: true, readAt },
+    ).lean();
+    // Read receipt for the sender (only the first time the message is read)
+    if (message) {
+      publish([message.senderId, message.receiverId], "message:read", {
+        messageIds: [message._id],
+        readerId: message.receiverId,
+        readAt,
+      });
+      await syncUnreadCount(message.conversationId, message.receiverId);
+    }
     res.json({ ok: true });
   } catch (error) {
     console.error("Error marking message as read:", error);
@@ -203,7 +197,7 @@ router.patch("/messages/:messageId/read", async (req, res) => {
 });
 
 // Mark all messages in a conversation as read
-router.patch("/messages/:userId/conversation/:otherUserId/read", async (req, res) => {
+router.patch("/messages/:userId/conversation/:otherUserId/read", authorize("owner"), async (req, res) => {
   try {
     const { userId, otherUserId } = req.params;
     
@@ -215,10 +209,21 @@ router.patch("/messages/:userId/conversation/:otherUserId/read", async (req, res
       ? new mongoose.Types.ObjectId(otherUserId)
       : otherUserId;
     
-    await Message.updateMany(
-      { senderId: otherUserIdObj, receiverId: userIdObj, read: false },
-      { read: true }
-    );
+    // Messages sent before conversations existed need linking first
+    await backfillConversationsForUser(userIdObj);
+    const conversation = await Conversation.findOne({
+      participantKey: Conversation.keyFor([userIdObj, otherUserIdObj]),
+    }).select("_id").lean();
+    if (conversation) {
+      const { messageIds, readAt } = await markConversationRead(conversation._id, userIdObj);
+      if (messageIds.length > 0) {
+        publish([otherUserIdObj, userIdObj], "message:read", {
+          messageIds,
+          readerId: userIdObj,
+          readAt,
+        });
+      }
+    }
     res.json({ ok: true });
   } catch (error) {
     console.error("Error marking conversation as read:", error);
@@ -227,7 +232,7 @@ router.patch("/messages/:userId/conversation/:otherUserId/read", async (req, res
 });
 
 // Get unread message count
-router.get("/messages/:userId/unread-count", async (req, res) => {
+router.get("/messages/:userId/unread-count", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -244,5 +249,118 @@ router.get("/messages/:userId/unread-count", async (req, res) => {
   }
 });
 
+// Real-time stream (Server-Sent Events): message:new, message:read, typing, and stream:end
+// when the session expires or is revoked
+// EventSource cannot set headers, so the access token may be passed as ?token=
+router.get("/messages/:userId/stream", authorize("owner"), (req, res) => {
+  req.setTimeout(0); // long-lived: don't apply the global request timeout
+  const token = getRequestToken(req);
+  openStream(req.params.userId, res);
+
+  // The token was only checked when the stream opened; the client reconnects with a fresh one
+  const sessionCheck = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(token))) endStream(res, "session_expired");
+    } catch (error) {
+      console.error("Error re-checking stream session:", error);
+    }
+  }, STREAM_SESSION_CHECK_MS);
+  res.on("close", () => clearInterval(sessionCheck));
+});
+
+// Polling fallback for clients without a stream.
+// Pass the cursor from the previous response; the first call (no cursor) only returns one.
+// Cursors are "<ms>" or "<ms>:<messageId>": windows are half-open, and a page cut
+// inside one millisecond resumes after the last message's id, so no message is skipped.
+router.get("/messages/:userId/updates", authorize("owner"), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userIdObj = new mongoose.Types.ObjectId(userId);
+    const now = new Date();
+    const [sinceMs, afterId] = req.query.cursor ? String(req.query.cursor).split(":") : [];
+    const since = sinceMs ? new Date(Number(sinceMs)) : null;
+
+    if (since && (isNaN(since) || (afterId && !mongoose.Types.ObjectId.isValid(afterId)))) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    let messages = [];
+    let readReceipts = [];
+    if (since) {
+      const createdInWindow = afterId
+        ? {
+            $or: [
+              { createdAt: { $gt: since, $lt: now } },
+              { createdAt: since, _id: { $gt: new mongoose.Types.ObjectId(afterId) } },
+            ],
+          }
+        : { createdAt: { $gte: since, $lt: now } };
+      [messages, readReceipts] = await Promise.all([
+        Message.find({
+          $and: [{ $or: [{ senderId: userIdObj }, { receiverId: userIdObj }] }, createdInWindow],
+        })
+          .sort({ createdAt: 1, _id: 1 })
+          .limit(UPDATES_PAGE_SIZE)
+          .lean(),
+        Message.find({ senderId: userIdObj, readAt: { $gte: since, $lt: now } })
+          .select("_id receiverId readAt")
+          .lean(),
+      ]);
+    }
+    const unreadCount = await Message.countDocuments({ receiverId: userIdObj, read: false });
+
+    // A full page means there may be more: resume after the last message instead of "now"
+    const last = messages.length === UPDATES_PAGE_SIZE ? messages[messages.length - 1] : null;
+    const cursor = last ? `${new Date(last.createdAt).getTime()}:${last._id}` : String(now.getTime());
+
+    res.json({
+      messages,
+      readReceipts: readReceipts.map((m) => ({
+        messageId: m._id,
+        readerId: m.receiverId,
+        readAt: m.readAt,
+      })),
+      typing: getTypingUsers(userId),
+      unreadCount,
+      cursor,
+    });
+  } catch (error) {
+    console.error("Error fetching message updates:", error);
+    res.status(500).json({ error: "Failed to fetch message updates" });
+  }
+});
+
+// Typing indicator (clients re-send every few seconds while typing; it expires otherwise)
+router.post("/messages/:userId/typing", authorize("owner"), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { receiverId, isTyping = true } = req.body || {};
+
+    if (!receiverId || !mongoose.Types.ObjectId.isValid(receiverId)) {
+      return res.status(400).json({ error: "Valid receiverId required" });
+    }
+
+    // Only signal people you already have a conversation with
+    const hasConversation = await Message.exists({
+      $or: [
+        { senderId: userId, receiverId },
+        { senderId: receiverId, receiverId: userId },
+      ],
+    });
+    if (!hasConversation) {
+      return res.status(403).json({ error: "No conversation with this user" });
+    }
+    if (await isBlockedBetween(userId, receiverId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    setTyping(userId, receiverId, !!isTyping);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error sending typing indicator:", error);
+    res.status(500).json({ error: "Failed to send typing indicator" });
+  }
+});
+
 export default router;
 
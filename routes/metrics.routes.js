@@ -0,0 +1,39 @@
+import { Router } from "express";
+import crypto from "crypto";
+import { renderMetrics, METRICS_CONTENT_TYPE } from "../utils/metrics.js";
+
+const router = Router();
+
+const isProduction = process.env.NODE_ENV === "production";
+
+// With METRICS_TOKEN set, scrapers must send it as a bearer token. Without it the endpoint
+// is only open outside production (local Prometheus); in production it doesn't exist.
+function authorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return !isProduction;
+  const provided = Buffer.from(req.get("authorization") || "");
+  const expected = Buffer.from(`Bearer ${token}`);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint: request latency per route, upstream latency/errors, process stats
+ */
+router.get("/metrics", async (req, res) => {
+  if (isProduction && !process.env.METRICS_TOKEN) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  if (!authorized(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  try {
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    res.send(await renderMetrics());
+  } catch (error) {
+    console.error("Error rendering metrics:", error);
+    res.status(500).json({ error: "Failed to render metrics" });
+  }
+});
+
+export default router;
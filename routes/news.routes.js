@@ -2,27 +2,15 @@ import { Router } from "express";
 import axios from "axios";
 import dotenv from "dotenv";
 import { getKeyPointsForArticle } from "../services/newsKeyPoints.service.js";
+import { createCache } from "../services/cache.service.js";
 
 dotenv.config();
 
 const router = Router();
 
-// ─── In-memory cache ──────────────────────────────────────────────────────────
-const cache = new Map();
+// ─── Cache ─────────────────────────────────────────────────────────────────────
 const CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
-
-function getCached(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return entry.data;
-}
-function setCached(key, data) {
-  cache.set(key, { data, expires: Date.now() + CACHE_TTL_MS });
-}
+const cache = createCache("news", { ttlMs: CACHE_TTL_MS });
 
 // ─── Source credibility registry ────────────────────────────────────────────
 // Score A: 0–25
@@ -369,7 +357,7 @@ router.get("/news", async (req, res) => {
     const pageSize = Math.min(parseInt(req.query.pageSize || "12", 10), 24);
 
     const cacheKey = `news:${conditions.join("|")}:${pageSize}`;
-    const cached = getCached(cacheKey);
+    const cached = await cache.get(cacheKey);
     if (cached) return res.json(cached);
 
     const newsApiKey = process.env.NEWS_API_KEY;
@@ -441,7 +429,7 @@ router.get("/news", async (req, res) => {
       total: responseArticles.length,
     };
 
-    setCached(cacheKey, payload);
+    await cache.set(cacheKey, payload);
     res.json(payload);
   } catch (err) {
     console.error("News route error:", err?.message);
@@ -662,7 +650,7 @@ router.get("/news/search", async (req, res) => {
     const pageSize = Math.min(parseInt(req.query.pageSize || "12", 10), 24);
 
     const cacheKey = `search:${q.toLowerCase()}:${pageSize}`;
-    const cached = getCached(cacheKey);
+    const cached = await cache.get(cacheKey);
     if (cached) return res.json(cached);
 
     const newsApiKey = process.env.NEWS_API_KEY;
@@ -723,7 +711,7 @@ router.get("/news/search", async (req, res) => {
     });
 
     const payload = { articles: responseArticles, query: q, total: responseArticles.length };
-    setCached(cacheKey, payload);
+    await cache.set(cacheKey, payload);
     res.json(payload);
   } catch (err) {
     console.error("News search route error:", err?.message);
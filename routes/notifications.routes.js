@@ -0,0 +1,88 @@
+import { Router } from "express";
+import { verifySession } from "../middleware/auth.js";
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../services/notification.service.js";
+import { unsubscribeFromDigest, verifyUnsubscribeToken } from "../services/digest.service.js";
+
+const router = Router();
+
+// Channel per notification type (in_app, email, none), quiet hours and digest frequency
+// for the signed-in user
+router.get("/notifications/preferences", verifySession, async (req, res) => {
+  try {
+    res.json(await getNotificationPreferences(req.user._id));
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({ error: "Failed to fetch notification preferences" });
+  }
+});
+
+// Body: { channels: { new_follower: "none", ... }, quietHours: { enabled, start, end, timezone },
+//         digest: { frequency: "daily" | "weekly" | "off" } }
+router.put("/notifications/preferences", verifySession, async (req, res) => {
+  try {
+    const { channels, quietHours, digest } = req.body || {};
+    const result = await updateNotificationPreferences(req.user._id, { channels, quietHours, digest });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.preferences);
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res.status(500).json({ error: "Failed to update notification preferences" });
+  }
+});
+
+function digestPage(body) {
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Collabiora digest emails</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 48px auto; padding: 0 16px; color: #333;">
+    ${body}
+  </body>
+</html>`;
+}
+
+// Unsubscribe link in the digest footer. GET only asks for confirmation: link scanners and
+// mail previews open links, and must not turn the digest off.
+router.get("/notifications/digest/unsubscribe", (req, res) => {
+  const { token } = req.query;
+  if (!verifyUnsubscribeToken(token)) {
+    return res.status(400).send(digestPage("<p>This unsubscribe link is invalid.</p>"));
+  }
+  res.send(
+    digestPage(`<p>Stop receiving Collabiora digest emails?</p>
+    <form method="POST" action="?token=${encodeURIComponent(token)}&amp;confirm=1">
+      <button type="submit">Unsubscribe</button>
+    </form>`),
+  );
+});
+
+// POST unsubscribes: from the confirmation page (confirm=1, answered with a page) or from
+// the mail client's one-click List-Unsubscribe (RFC 8058, answered with JSON)
+router.post("/notifications/digest/unsubscribe", async (req, res) => {
+  const fromPage = req.query.confirm === "1";
+  try {
+    const unsubscribed = await unsubscribeFromDigest(req.query.token);
+    if (!unsubscribed) {
+      return fromPage
+        ? res.status(400).send(digestPage("<p>This unsubscribe link is invalid.</p>"))
+        : res.status(400).json({ error: "Invalid unsubscribe token" });
+    }
+    if (!fromPage) {
+      return res.json({ ok: true });
+    }
+    res.send(
+      digestPage(
+        "<p>You've been unsubscribed from Collabiora digest emails. You can turn them back on in your notification settings.</p>",
+      ),
+    );
+  } catch (error) {
+    console.error("Error unsubscribing from digest:", error);
+    res.status(500).send("Failed to unsubscribe. Please try again later.");
+  }
+});
+
+export default router;
@@ -1,11 +1,13 @@
 import { Router } from "express";
 import { PageFeedback } from "../models/PageFeedback.js";
 import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/adminPermissions.js";
 
 const router = Router();
 
 // Submit page feedback (supports both signed-in and anonymous users)
-router.post("/page-feedback", async (req, res) => {
+router.post("/page-feedback", authorize("public"), async (req, res) => {
   try {
     const { userId, feedback, pagePath, pageUrl } = req.body;
 
@@ -47,7 +49,7 @@ router.post("/page-feedback", async (req, res) => {
 });
 
 // Get all page feedback (for admin)
-router.get("/page-feedback", async (req, res) => {
+router.get("/page-feedback", authorize("admin", { permission: PERMISSIONS.FEEDBACK_VIEW }), async (req, res) => {
   try {
     const { limit = 50, offset = 0, sort = "desc", pagePath } = req.query;
 
@@ -76,7 +78,7 @@ router.get("/page-feedback", async (req, res) => {
 });
 
 // Get page feedback stats (for admin)
-router.get("/page-feedback/stats", async (req, res) => {
+router.get("/page-feedback/stats", authorize("admin", { permission: PERMISSIONS.FEEDBACK_VIEW }), async (req, res) => {
   try {
     const total = await PageFeedback.countDocuments({});
 
@@ -9,6 +9,8 @@ import { Subcategory } from "../models/Subcategory.js";
 import { CommunityMembership } from "../models/CommunityMembership.js";
 import { verifySession } from "../middleware/auth.js";
 import { enrichAuthorsWithDisplayName, getResearcherDisplayName } from "../utils/researcherDisplayName.js";
+import { softDeletePosts } from "../services/softDelete.service.js";
+import { getBlockedUserIds, BLOCKED_ERROR } from "../services/block.service.js";
 
 const router = Router();
 
@@ -424,7 +426,8 @@ router.delete("/posts/:id", verifySession, async (req, res) => {
       return res.status(403).json({ error: "Not authorized to delete this post" });
     }
 
-    await Post.findByIdAndDelete(id);
+    // Soft delete (post + comments); restorable by admins until purged
+    await softDeletePosts({ _id: post._id }, userId);
 
     // Invalidate cache
     invalidateCache("posts:");
@@ -562,13 +565,23 @@ router.post("/posts/:id/comments", verifySession, async (req, res) => {
     }
 
     // If replying to another comment, check if it exists
+    let parentComment = null;
     if (parentCommentId) {
-      const parentComment = await Comment.findById(parentCommentId);
+      parentComment = await Comment.findById(parentCommentId);
       if (!parentComment) {
         return res.status(404).json({ error: "Parent comment not found" });
       }
     }
 
+    // No commenting on posts/comments of someone who blocked you (or whom you blocked)
+    const blockedIds = await getBlockedUserIds(authorUserId);
+    if (
+      blockedIds.includes(post.authorUserId.toString()) ||
+      (parentComment && blockedIds.includes(parentComment.authorUserId.toString()))
+    ) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     // Create comment
     const comment = await Comment.create({
       postId: id,
@@ -671,13 +684,16 @@ router.delete("/posts/:postId/comments/:commentId", verifySession, async (req, r
     // Count child comments before deleting
     const childCount = await Comment.countDocuments({ parentCommentId: commentId });
 
-    // Delete the comment and all its children
-    await Comment.deleteMany({
-      $or: [
-        { _id: commentId },
-        { parentCommentId: commentId }
-      ]
-    });
+    // Soft delete the comment and all its children
+    await Comment.softDeleteMany(
+      {
+        $or: [
+          { _id: commentId },
+          { parentCommentId: commentId }
+        ]
+      },
+      userId
+    );
 
     // Update post reply count
     await Post.findByIdAndUpdate(postId, { $inc: { replyCount: -(1 + childCount) } });
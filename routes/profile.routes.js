@@ -10,11 +10,11 @@ import { CommunityMembership } from "../models/CommunityMembership.js";
 import { Follow } from "../models/Follow.js";
 import { Post } from "../models/Post.js";
 import {
-  fetchFullORCIDProfile,
+  getStoredORCIDProfile,
   fetchORCIDWorks,
 } from "../services/orcid.service.js";
 import { fetchAllWorksByOrcid } from "../services/openalex.service.js";
-import { verifySession } from "../middleware/auth.js";
+import { verifySession, authorize } from "../middleware/auth.js";
 
 const router = Router();
 
@@ -54,7 +54,7 @@ function validateAcademicUrl(url) {
 }
 
 // GET /api/profile/:userId/forum-profile — public forum profile: name, username, forums posted, communities joined (for user profile modal)
-router.get("/profile/:userId/forum-profile", async (req, res) => {
+router.get("/profile/:userId/forum-profile", authorize("public"), async (req, res) => {
   try {
     const { userId } = req.params;
     const uid = new mongoose.Types.ObjectId(userId);
@@ -248,7 +248,7 @@ router.get("/profile/publications", verifySession, async (req, res) => {
 });
 
 // GET /api/profile/:userId
-router.get("/profile/:userId", async (req, res) => {
+router.get("/profile/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const profile = await Profile.findOne({ userId });
   return res.json({ profile });
@@ -391,7 +391,7 @@ router.post("/profile/link-academic", verifySession, async (req, res) => {
 });
 
 // POST /api/profile/:userId
-router.post("/profile/:userId", async (req, res) => {
+router.post("/profile/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const payload = req.body || {};
   if (!payload.role) return res.status(400).json({ error: "role is required" });
@@ -409,11 +409,15 @@ router.post("/profile/:userId", async (req, res) => {
     { ...payload, userId },
     { new: true, upsert: true },
   );
+  // Start fetching the ORCID record now so it's ready when the profile is viewed
+  if (doc.role === "researcher" && doc.researcher?.orcid?.trim()) {
+    await getStoredORCIDProfile(doc.researcher.orcid);
+  }
   return res.json({ ok: true, profile: doc });
 });
 
 // PUT /api/profile/:userId (same as POST for frontend compatibility)
-router.put("/profile/:userId", async (req, res) => {
+router.put("/profile/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const payload = req.body || {};
   if (!payload.role) return res.status(400).json({ error: "role is required" });
@@ -431,12 +435,16 @@ router.put("/profile/:userId", async (req, res) => {
     { ...payload, userId },
     { new: true, upsert: true },
   );
+  // Start fetching the ORCID record now so it's ready when the profile is viewed
+  if (doc.role === "researcher" && doc.researcher?.orcid?.trim()) {
+    await getStoredORCIDProfile(doc.researcher.orcid);
+  }
   return res.json({ ok: true, profile: doc });
 });
 
 // PATCH /api/profile/:userId/patient-conditions — update patient conditions and optional primary query indices
 // Clears recommendations cache so next load uses new conditions.
-router.patch("/profile/:userId/patient-conditions", async (req, res) => {
+router.patch("/profile/:userId/patient-conditions", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     let conditions = req.body?.conditions;
@@ -478,7 +486,7 @@ router.patch("/profile/:userId/patient-conditions", async (req, res) => {
     if (!doc) {
       return res.status(404).json({ error: "Profile not found" });
     }
-    clearRecommendationsCache(userId);
+    await clearRecommendationsCache(userId);
     return res.json({
       ok: true,
       profile: doc,
@@ -495,7 +503,7 @@ router.patch("/profile/:userId/patient-conditions", async (req, res) => {
 
 // PATCH /api/profile/:userId/researcher-interests — update researcher interests and optional primary query indices
 // Clears recommendations cache so next load uses new interests.
-router.patch("/profile/:userId/researcher-interests", async (req, res) => {
+router.patch("/profile/:userId/researcher-interests", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     let interests = req.body?.interests;
@@ -537,7 +545,7 @@ router.patch("/profile/:userId/researcher-interests", async (req, res) => {
     if (!doc) {
       return res.status(404).json({ error: "Profile not found" });
     }
-    clearRecommendationsCache(userId);
+    await clearRecommendationsCache(userId);
     return res.json({
       ok: true,
       profile: doc,
@@ -553,7 +561,7 @@ router.patch("/profile/:userId/researcher-interests", async (req, res) => {
 });
 
 // GET /api/collabiora-expert/profile/:userId - Get Collabiora expert profile with ORCID data and forums
-router.get("/collabiora-expert/profile/:userId", async (req, res) => {
+router.get("/collabiora-expert/profile/:userId", authorize("public"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { currentUserId } = req.query; // For checking follow/favorite status
@@ -591,14 +599,19 @@ router.get("/collabiora-expert/profile/:userId", async (req, res) => {
       contactable: true, // They can be contacted (via message request)
       meetingRate: researcher.meetingRate ?? null, // Rate per 30 min in USD
       interestedInMeetings: researcher.interestedInMeetings ?? false,
+      // From published patient reviews (GET /reviews/expert/:userId lists them)
+      rating: {
+        average: researcher.rating?.average ?? null,
+        count: researcher.rating?.count ?? 0,
+      },
     };
 
-    // If ORCID exists, fetch ORCID profile data
+    // If ORCID exists, merge the stored ORCID profile data (refreshed in the background)
     if (researcher.orcid) {
       try {
         // Normalize ORCID ID (remove spaces, ensure proper format)
         const normalizedOrcid = researcher.orcid.trim().replace(/\s+/g, "");
-        const orcidProfileData = await fetchFullORCIDProfile(normalizedOrcid);
+        const orcidProfileData = await getStoredORCIDProfile(normalizedOrcid);
         if (orcidProfileData) {
           // Merge ALL ORCID data with database data (keep database name, ORCID takes precedence for other fields)
           profileData = {
@@ -1,10 +1,11 @@
 import { Router } from "express";
 import { ReadItem } from "../models/ReadItem.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = Router();
 
 // Mark an item as read
-router.post("/read/:userId", async (req, res) => {
+router.post("/read/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { type, itemId } = req.body || {};
@@ -32,7 +33,7 @@ router.post("/read/:userId", async (req, res) => {
 });
 
 // Get read status for multiple items
-router.post("/read/:userId/status", async (req, res) => {
+router.post("/read/:userId/status", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { items } = req.body || {}; // Array of { type, itemId }
@@ -72,7 +73,7 @@ router.post("/read/:userId/status", async (req, res) => {
 });
 
 // Get all read items for a user
-router.get("/read/:userId", async (req, res) => {
+router.get("/read/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { type } = req.query; // Optional filter by type
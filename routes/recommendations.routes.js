@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { Profile } from "../models/Profile.js";
 import { User } from "../models/User.js";
+import { authorize } from "../middleware/auth.js";
 import { searchClinicalTrials } from "../services/clinicalTrials.service.js";
 import { searchPublicationsBatch } from "../services/publicationSearch.service.js";
 import {
@@ -14,8 +15,8 @@ import {
   calculateExpertMatch,
 } from "../services/matching.service.js";
 import { extractBiomarkers } from "../services/medicalTerminology.service.js";
-import { batchSimplifyTrialTitles } from "../services/trialSimplification.service.js";
-import { batchSimplifyPublicationTitles } from "../services/summary.service.js";
+import { simplifyTrialTitlesDeferred } from "../services/trialSimplification.service.js";
+import { simplifyPublicationTitlesDeferred } from "../services/summary.service.js";
 import {
   getRecommendationsCache,
   setRecommendationsCache,
@@ -66,14 +67,39 @@ router.get("/researchers", async (req, res) => {
   }
 });
 
-router.get("/recommendations/:userId", async (req, res) => {
+// Titles are simplified in the background, so cached recommendations may predate some of them
+async function withLatestSimplifiedTitles(recommendations) {
+  const trials = recommendations.trials || [];
+  const publications = recommendations.publications || [];
+  const [trialTitles, publicationTitles] = await Promise.all([
+    simplifyTrialTitlesDeferred(trials),
+    simplifyPublicationTitlesDeferred(publications.map((p) => p.title || "")),
+  ]);
+  return {
+    ...recommendations,
+    trials: trials.map((trial, index) => ({
+      ...trial,
+      simplifiedTitle: trialTitles[index] || trial.title,
+    })),
+    publications: publications.map((pub, index) => ({
+      ...pub,
+      simplifiedTitle: publicationTitles[index] || pub.title || "Untitled Publication",
+    })),
+  };
+}
+
+router.get("/recommendations/:userId", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
 
     // Check cache first - return cached data if available
-    const cached = getRecommendationsCache(userId);
+    const cached = await getRecommendationsCache(userId);
     if (cached) {
-      return res.json(cached);
+      const cachedProfile = await Profile.findOne({ userId }).select("role").lean();
+      if (cachedProfile?.role === "researcher") {
+        return res.json(cached);
+      }
+      return res.json(await withLatestSimplifiedTitles(cached));
     }
 
     const profile = await Profile.findOne({ userId });
@@ -188,6 +214,7 @@ router.get("/recommendations/:userId", async (req, res) => {
         searchClinicalTrials({
           q: primaryTopic,
           location: locationForTrials,
+          userLocation, // Per-site distances from the profile location
           status: "RECRUITING", // Dashboard default: recruiting only
           biomarkers, // Pass extracted biomarkers (same as search route)
           page: 1, // Always fetch from page 1 for the batch
@@ -321,7 +348,7 @@ router.get("/recommendations/:userId", async (req, res) => {
       }));
     } else {
       try {
-        const simplifiedTitles = await batchSimplifyTrialTitles(topTrials);
+        const simplifiedTitles = await simplifyTrialTitlesDeferred(topTrials);
         trialsWithSimplifiedTitles = topTrials.map((trial, index) => ({
           ...trial,
           simplifiedTitle: simplifiedTitles[index] || trial.title,
@@ -371,7 +398,7 @@ router.get("/recommendations/:userId", async (req, res) => {
       try {
         const pubTitles = sortedPublications.map((p) => p.title || "");
         const simplifiedPubTitles =
-          await batchSimplifyPublicationTitles(pubTitles);
+          await simplifyPublicationTitlesDeferred(pubTitles);
         publicationsWithSimplifiedTitles = sortedPublications.map(
           (pub, index) => ({
             ...pub,
@@ -429,7 +456,7 @@ router.get("/recommendations/:userId", async (req, res) => {
     };
 
     // Cache the recommendations for this user
-    setRecommendationsCache(userId, recommendations);
+    await setRecommendationsCache(userId, recommendations);
 
     res.json(recommendations);
   } catch (error) {
@@ -443,11 +470,11 @@ router.get("/recommendations/:userId", async (req, res) => {
 
 // DELETE endpoint to clear cache for a specific user
 // This should be called when a user updates their profile
-router.delete("/recommendations/cache/:userId", async (req, res) => {
+router.delete("/recommendations/cache/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
 
   try {
-    const hadCache = clearRecommendationsCache(userId);
+    const hadCache = await clearRecommendationsCache(userId);
 
     res.json({
       success: true,
@@ -464,7 +491,7 @@ router.delete("/recommendations/cache/:userId", async (req, res) => {
 
 // GET /recommendations/:userId/section?type=trials|publications|experts
 // Fetches only one section (no cache) for dashboard refresh: active section first, others in background.
-router.get("/recommendations/:userId/section", async (req, res) => {
+router.get("/recommendations/:userId/section", authorize("owner"), async (req, res) => {
   try {
     const { userId } = req.params;
     const type = (req.query.type || "").toLowerCase();
@@ -555,6 +582,7 @@ router.get("/recommendations/:userId/section", async (req, res) => {
       const trialsResult = await searchClinicalTrials({
         q: primaryTopic,
         location: locationForTrials,
+        userLocation,
         status: "RECRUITING",
         biomarkers,
         page: 1,
@@ -585,7 +613,7 @@ router.get("/recommendations/:userId/section", async (req, res) => {
         }));
       } else {
         try {
-          const simplifiedTitles = await batchSimplifyTrialTitles(topTrials);
+          const simplifiedTitles = await simplifyTrialTitlesDeferred(topTrials);
           trialsWithSimplifiedTitles = topTrials.map((t, i) => ({
             ...t,
             simplifiedTitle: simplifiedTitles[i] || t.title,
@@ -648,7 +676,7 @@ router.get("/recommendations/:userId/section", async (req, res) => {
         try {
           const pubTitles = sortedPublications.map((p) => p.title || "");
           const simplifiedPubTitles =
-            await batchSimplifyPublicationTitles(pubTitles);
+            await simplifyPublicationTitlesDeferred(pubTitles);
           publicationsWithSimplifiedTitles = sortedPublications.map((p, i) => ({
             ...p,
             simplifiedTitle:
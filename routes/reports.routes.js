@@ -0,0 +1,52 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from "../models/Report.js";
+import { verifySession } from "../middleware/auth.js";
+import { createReport } from "../services/report.service.js";
+import { blockUser } from "../services/block.service.js";
+
+const router = Router();
+
+// Report a user or a piece of content; reports land in the admin moderation queue.
+// Body: { targetType, targetId, reason, details?, block? } - block: true also blocks the author
+router.post("/reports", verifySession, async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details, block } = req.body || {};
+
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: `targetType must be one of: ${REPORT_TARGET_TYPES.join(", ")}` });
+    }
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ error: "Valid targetId required" });
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(", ")}` });
+    }
+    if (details && details.length > 2000) {
+      return res.status(400).json({ error: "details must be 2000 characters or fewer" });
+    }
+
+    const result = await createReport({
+      reporterId: req.user._id,
+      targetType,
+      targetId,
+      reason,
+      details,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    let blocked = false;
+    if (block === true && result.report.targetUserId) {
+      blocked = (await blockUser(req.user._id, result.report.targetUserId)).success;
+    }
+
+    res.status(201).json({ ok: true, reportId: result.report._id, blocked });
+  } catch (error) {
+    console.error("Error creating report:", error);
+    res.status(500).json({ error: "Failed to submit report" });
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { ExpertReview } from "../models/ExpertReview.js";
+import { authorize, verifySession } from "../middleware/auth.js";
+import {
+  createReview,
+  updateReview,
+  deleteReview,
+  listExpertReviews,
+} from "../services/review.service.js";
+
+const router = Router();
+
+const authorOnly = authorize("participant", {
+  participants: async (req) => {
+    const review = await ExpertReview.findById(req.params.reviewId).select("patientId").lean();
+    return review ? [review.patientId] : null;
+  },
+  notFound: "Review not found",
+});
+
+// GET /api/reviews/expert/:expertId - Published reviews with rating and star breakdown (?page, ?limit)
+router.get("/reviews/expert/:expertId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.expertId)) {
+      return res.status(400).json({ error: "Invalid expert ID" });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    res.json(await listExpertReviews(req.params.expertId, { page, limit }));
+  } catch (error) {
+    console.error("Error fetching expert reviews:", error);
+    res.status(500).json({ error: "Failed to fetch reviews" });
+  }
+});
+
+// GET /api/reviews/meeting/:meetingRequestId - Signed-in patient's review of a meeting (null if none)
+router.get("/reviews/meeting/:meetingRequestId", verifySession, async (req, res) => {
+  try {
+    const review = await ExpertReview.findOne({
+      meetingRequestId: req.params.meetingRequestId,
+      patientId: req.user._id,
+    }).lean();
+    res.json({ review });
+  } catch (error) {
+    console.error("Error fetching meeting review:", error);
+    res.status(500).json({ error: "Failed to fetch review" });
+  }
+});
+
+// POST /api/reviews - Body: { meetingRequestId, rating: 1-5, comment }
+router.post("/reviews", verifySession, async (req, res) => {
+  try {
+    const { meetingRequestId, rating, comment } = req.body || {};
+    const result = await createReview({ patientId: req.user._id, meetingRequestId, rating, comment });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ review: result.review });
+  } catch (error) {
+    console.error("Error creating review:", error);
+    res.status(500).json({ error: "Failed to save review" });
+  }
+});
+
+// PATCH /api/reviews/:reviewId - Body: { rating, comment }
+router.patch("/reviews/:reviewId", authorOnly, async (req, res) => {
+  try {
+    const review = await ExpertReview.findById(req.params.reviewId);
+    const result = await updateReview(review, req.body || {});
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ review: result.review });
+  } catch (error) {
+    console.error("Error updating review:", error);
+    res.status(500).json({ error: "Failed to update review" });
+  }
+});
+
+router.delete("/reviews/:reviewId", authorOnly, async (req, res) => {
+  try {
+    const review = await ExpertReview.findById(req.params.reviewId).lean();
+    await deleteReview(review);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error deleting review:", error);
+    res.status(500).json({ error: "Failed to delete review" });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import { Router } from "express";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { authorize, verifySession } from "../middleware/auth.js";
+import {
+  normalizeSavedSearchQuery,
+  runSavedSearch,
+  MAX_SAVED_SEARCHES_PER_USER,
+} from "../services/savedSearch.service.js";
+
+const router = Router();
+
+async function savedSearchOwner(req) {
+  const savedSearch = await SavedSearch.findById(req.params.savedSearchId).select("userId").lean();
+  return savedSearch ? [savedSearch.userId] : null;
+}
+
+const ownerOnly = authorize("participant", {
+  participants: savedSearchOwner,
+  notFound: "Saved search not found",
+});
+
+// The runner's bookkeeping stays server-side
+function formatSavedSearch(savedSearch) {
+  const { seenIds, ...rest } = savedSearch.toObject ? savedSearch.toObject() : savedSearch;
+  return rest;
+}
+
+// GET /api/saved-searches - Signed-in user's saved searches (?type=trials|publications)
+router.get("/saved-searches", verifySession, async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.type) filter.type = req.query.type;
+    const savedSearches = await SavedSearch.find(filter)
+      .select("-seenIds")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ savedSearches });
+  } catch (error) {
+    console.error("Error fetching saved searches:", error);
+    res.status(500).json({ error: "Failed to fetch saved searches" });
+  }
+});
+
+// POST /api/saved-searches - Body: { name, type: "trials" | "publications", query, alertsEnabled }
+// query holds the same params as GET /search/trials or /search/publications
+router.post("/saved-searches", verifySession, async (req, res) => {
+  try {
+    const { name, type, query, alertsEnabled } = req.body || {};
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    const normalized = normalizeSavedSearchQuery(type, query);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res
+        .status(400)
+        .json({ error: `You can save up to ${MAX_SAVED_SEARCHES_PER_USER} searches` });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId: req.user._id,
+      name: name.trim(),
+      type,
+      query: normalized.query,
+      alertsEnabled: alertsEnabled !== false,
+    });
+
+    // Record the current results so only later ones trigger alerts
+    if (savedSearch.alertsEnabled) {
+      runSavedSearch(savedSearch).catch((error) =>
+        console.error("Error running new saved search:", error.message),
+      );
+    }
+
+    res.status(201).json({ savedSearch: formatSavedSearch(savedSearch) });
+  } catch (error) {
+    console.error("Error creating saved search:", error);
+    res.status(500).json({ error: "Failed to save search" });
+  }
+});
+
+router.get("/saved-searches/:savedSearchId", ownerOnly, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findById(req.params.savedSearchId)
+      .select("-seenIds")
+      .lean();
+    res.json({ savedSearch });
+  } catch (error) {
+    console.error("Error fetching saved search:", error);
+    res.status(500).json({ error: "Failed to fetch saved search" });
+  }
+});
+
+// PATCH /api/saved-searches/:savedSearchId - Body: { name, query, alertsEnabled }
+// Changing the query starts over: the next run records results without alerting
+router.patch("/saved-searches/:savedSearchId", ownerOnly, async (req, res) => {
+  try {
+    const { name, query, alertsEnabled } = req.body || {};
+    const savedSearch = await SavedSearch.findById(req.params.savedSearchId);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: "name cannot be empty" });
+      }
+      savedSearch.name = String(name).trim();
+    }
+    if (query !== undefined) {
+      const normalized = normalizeSavedSearchQuery(savedSearch.type, query);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      savedSearch.query = normalized.query;
+      savedSearch.seenIds = [];
+      savedSearch.lastRunAt = null;
+      savedSearch.lastNewCount = 0;
+    }
+    if (alertsEnabled !== undefined) {
+      savedSearch.alertsEnabled = !!alertsEnabled;
+    }
+
+    await savedSearch.save();
+    res.json({ savedSearch: formatSavedSearch(savedSearch) });
+  } catch (error) {
+    console.error("Error updating saved search:", error);
+    res.status(500).json({ error: "Failed to update saved search" });
+  }
+});
+
+router.delete("/saved-searches/:savedSearchId", ownerOnly, async (req, res) => {
+  try {
+    await SavedSearch.deleteOne({ _id: req.params.savedSearchId });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error deleting saved search:", error);
+    res.status(500).json({ error: "Failed to delete saved search" });
+  }
+});
+
+// POST /api/saved-searches/:savedSearchId/run - Run now and return results not seen before
+router.post("/saved-searches/:savedSearchId/run", ownerOnly, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findById(req.params.savedSearchId);
+    const { newItems, baseline } = await runSavedSearch(savedSearch, { notifyOwner: false });
+    res.json({ ok: true, baseline, newCount: newItems.length, newItems });
+  } catch (error) {
+    console.error("Error running saved search:", error);
+    res.status(500).json({ error: "Failed to run saved search" });
+  }
+});
+
+export default router;
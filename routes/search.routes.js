@@ -22,13 +22,14 @@ import {
 import {
   simplifyTrialDetails,
   simplifyTrialTitle,
-  batchSimplifyTrialTitles,
+  simplifyTrialTitlesDeferred,
+  summarizeTrialResults,
 } from "../services/trialSimplification.service.js";
 import {
   simplifyPublicationDetails,
   simplifyPublicationTitle,
 } from "../services/publicationSimplification.service.js";
-import { batchSimplifyPublicationTitles } from "../services/summary.service.js";
+import { simplifyPublicationTitlesDeferred } from "../services/summary.service.js";
 import { ReadItem } from "../models/ReadItem.js";
 import {
   calculateTrialMatch,
@@ -55,6 +56,8 @@ import {
 import { rerankPublicationsWithGemini } from "../services/geminiReranker.service.js";
 import { fetchCitationMetrics } from "../services/citationMetrics.service.js";
 import { fetchFullText, checkUnpaywall } from "../services/fullText.service.js";
+import { ratingRankScore } from "../services/review.service.js";
+import { getTrialHistory } from "../services/trialTracking.service.js";
 import axios from "axios";
 import { TUTORIAL_PUBLICATIONS } from "../data/tutorialPublications.js";
 import { TUTORIAL_TRIALS } from "../data/tutorialTrials.js";
@@ -755,6 +758,24 @@ function getMultiConceptMatchStrength(pub, mustGroups) {
   return allInTitle ? 2 : 1;
 }
 
+/** userLocation query param: JSON location fields or free text ("Boston, MA", "02115") */
+function parseUserLocationParam(userLocation) {
+  if (!userLocation || typeof userLocation !== "string") return userLocation || null;
+  try {
+    return JSON.parse(userLocation);
+  } catch {
+    return userLocation.trim() || null;
+  }
+}
+
+/** Nearest recruiting site first; trials whose sites couldn't be placed go last */
+function compareTrialDistance(a, b) {
+  const aDist = a.distanceMiles ?? Infinity;
+  const bDist = b.distanceMiles ?? Infinity;
+  if (aDist === bDist) return 0;
+  return aDist - bDist;
+}
+
 router.get("/search/trials", async (req, res) => {
   try {
     // Check search limit for guests (lenient: allows when deviceId missing)
@@ -788,8 +809,17 @@ router.get("/search/trials", async (req, res) => {
       pageSize = "9",
       recentMonths,
       sortByDate,
+      radiusMiles,
+      sortBy,
     } = req.query;
 
+    const radius = radiusMiles ? Number(radiusMiles) : undefined;
+    if (radius !== undefined && !(radius > 0)) {
+      return res
+        .status(400)
+        .json({ error: "radiusMiles must be a positive number", results: [] });
+    }
+
     // Fast path: serve cached response when an identical search (including
     // pagination) was executed recently by the same auth context.
     const trialsCacheKey = makeResponseCacheKey(
@@ -877,6 +907,14 @@ router.get("/search/trials", async (req, res) => {
       else if (typeof loc === "string") locationForTrials = loc;
     }
 
+    // Distances are measured from userLocation, else the profile's location
+    const originLocation =
+      parseUserLocationParam(userLocation) ||
+      userProfile?.patient?.location ||
+      userProfile?.researcher?.location ||
+      null;
+    const sortByDistance = sortBy === "distance" || radius !== undefined;
+
     // Fetch a larger batch to sort by match percentage before pagination
     // This ensures results are sorted across all pages, not just within each page
     const requestedPage = parseInt(page, 10);
@@ -897,6 +935,9 @@ router.get("/search/trials", async (req, res) => {
       pageSize: batchSize, // Fetch larger batch for sorting
       recentMonths: recentMonths ? parseInt(recentMonths, 10) : undefined,
       sortByDate: sortByDate === "true" || sortByDate === true,
+      radiusMiles: radius,
+      userLocation: originLocation,
+      sortByDistance,
     });
     let allResults = result.items || [];
 
@@ -915,6 +956,9 @@ router.get("/search/trials", async (req, res) => {
         pageSize: batchSize,
         recentMonths: 5,
         sortByDate: sortByDate === "true" || sortByDate === true,
+        radiusMiles: radius,
+        userLocation: originLocation,
+        sortByDistance,
       });
       allResults = result.items || [];
     }
@@ -926,11 +970,7 @@ router.get("/search/trials", async (req, res) => {
         userProfile = await Profile.findOne({ userId }).lean();
       } else if (conditions || keywords || userLocation) {
         // Build profile from query params
-        const locationObj = userLocation
-          ? typeof userLocation === "string"
-            ? JSON.parse(userLocation)
-            : userLocation
-          : null;
+        const locationObj = parseUserLocationParam(userLocation);
         userProfile = {
           patient: {
             conditions: conditions
@@ -961,10 +1001,13 @@ router.get("/search/trials", async (req, res) => {
         })
       : allResults;
 
-    // Sort by match percentage (descending - highest first) before pagination
-    const sortedResults = resultsWithMatch.sort(
-      (a, b) => (b.matchPercentage || -1) - (a.matchPercentage || -1),
-    );
+    // Sort by match percentage (descending - highest first) before pagination,
+    // nearest site first when searching by distance or within a radius
+    const sortedResults = resultsWithMatch.sort((a, b) => {
+      const byMatch = (b.matchPercentage || -1) - (a.matchPercentage || -1);
+      if (sortByDistance) return compareTrialDistance(a, b) || byMatch;
+      return byMatch || compareTrialDistance(a, b);
+    });
 
     // Paginate FIRST, then simplify only the titles that will be shown to the user
     // This is much faster than simplifying all trials in the batch
@@ -983,7 +1026,7 @@ router.get("/search/trials", async (req, res) => {
     } else {
       try {
         const simplifiedTitles =
-          await batchSimplifyTrialTitles(paginatedResults);
+          await simplifyTrialTitlesDeferred(paginatedResults);
         resultsWithSimplifiedTitles = paginatedResults.map((trial, index) => ({
           ...trial,
           simplifiedTitle: simplifiedTitles[index] || trial.title,
@@ -1036,6 +1079,7 @@ router.get("/search/trials", async (req, res) => {
       results: resultsWithReadStatus,
       totalCount: Math.min(result.totalCount || 0, sortedResults.length), // Use batch size as total count for pagination purposes
       hasMore: hasMore,
+      ...(result.origin && { origin: result.origin }),
       ...(remaining !== null && { remaining }),
     };
 
@@ -2143,7 +2187,7 @@ router.get("/search/publications", async (req, res) => {
       try {
         const titlesToSimplify = paginatedResults.map((pub) => pub.title);
         const simplifiedTitles =
-          await batchSimplifyPublicationTitles(titlesToSimplify);
+          await simplifyPublicationTitlesDeferred(titlesToSimplify);
         resultsWithSimplifiedTitles = paginatedResults.map(
           (publication, index) => ({
             ...publication,
@@ -2466,7 +2510,9 @@ router.get("/search/experts/platform", async (req, res) => {
       conditions,
       keywords,
       userLocation,
+      ratingWeight, // 0-1: how much patient ratings count in the ranking (default 0 = off)
     } = req.query;
+    const ratingFactor = Math.min(1, Math.max(0, parseFloat(ratingWeight) || 0));
 
     // Build query to find researchers
     const query = { role: "researcher" };
@@ -2522,6 +2568,10 @@ router.get("/search/experts/platform", async (req, res) => {
             : null,
           available: researcher.available || false,
           isVerified: researcher.isVerified || false,
+          rating: {
+            average: researcher.rating?.average ?? null,
+            count: researcher.rating?.count ?? 0,
+          },
           // Store raw location for filtering
           _locationObj: locationObj,
           // Store raw data for matching
@@ -2650,10 +2700,25 @@ router.get("/search/experts/platform", async (req, res) => {
         })
       : experts;
 
-    // Sort by match percentage (descending), then by name
-    const sortedResults = resultsWithMatch.sort((a, b) => {
-      const aMatch = a.matchPercentage ?? -1;
-      const bMatch = b.matchPercentage ?? -1;
+    // Blend in patient ratings when asked (experts without a match score rank on rating alone)
+    const rankedResults =
+      ratingFactor > 0
+        ? resultsWithMatch.map((expert) => {
+            const ratingScore = ratingRankScore(expert.rating);
+            return {
+              ...expert,
+              rankScore:
+                expert.matchPercentage == null
+                  ? ratingScore
+                  : Math.round(expert.matchPercentage * (1 - ratingFactor) + ratingScore * ratingFactor),
+            };
+          })
+        : resultsWithMatch;
+
+    // Sort by rank score or match percentage (descending), then by name
+    const sortedResults = rankedResults.sort((a, b) => {
+      const aMatch = a.rankScore ?? a.matchPercentage ?? -1;
+      const bMatch = b.rankScore ?? b.matchPercentage ?? -1;
       if (bMatch !== aMatch) {
         return bMatch - aMatch;
       }
@@ -2969,6 +3034,64 @@ router.get("/search/trial/:nctId", async (req, res) => {
   }
 });
 
+// Status, enrollment, site and eligibility changes recorded for a favorited trial
+// (see services/trialTracking.service.js); trials nobody has favorited aren't tracked
+router.get("/search/trial/:nctId/history", async (req, res) => {
+  try {
+    const cleanNctId = req.params.nctId.trim().toUpperCase();
+    if (!/^NCT\d{8}$/.test(cleanNctId)) {
+      return res.status(400).json({ error: "Invalid NCT ID" });
+    }
+
+    const history = await getTrialHistory(cleanNctId);
+    if (!history) {
+      return res.json({ nctId: cleanNctId, tracked: false, history: [] });
+    }
+
+    res.json({ tracked: true, ...history });
+  } catch (error) {
+    console.error("Error fetching trial history:", error);
+    res.status(500).json({ error: "Failed to fetch trial history" });
+  }
+});
+
+// Posted results of a trial (participant flow, baseline, outcomes, adverse events);
+// ?summary=true adds a plain-language "what did this trial find" summary
+router.get("/search/trial/:nctId/results", async (req, res) => {
+  try {
+    const cleanNctId = req.params.nctId.trim().toUpperCase();
+    if (!/^NCT\d{8}$/.test(cleanNctId)) {
+      return res.status(400).json({ error: "Invalid NCT ID" });
+    }
+
+    const trial = await fetchTrialById(cleanNctId, { includeResults: true });
+    if (!trial) {
+      return res.status(404).json({
+        error: `Trial with ID ${cleanNctId} not found`,
+        results: null,
+      });
+    }
+
+    const response = {
+      nctId: trial.id,
+      title: trial.title,
+      hasResults: Boolean(trial.results),
+      resultsFirstPostDate: trial.resultsFirstPostDate,
+      results: trial.results,
+    };
+    if (trial.results && req.query.summary === "true") {
+      const summaryResult = await summarizeTrialResults(trial);
+      response.summary = summaryResult?.summary || null;
+      response.summaryGenerated = Boolean(summaryResult?.generated);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error fetching trial results:", error);
+    res.status(500).json({ error: "Failed to fetch trial results", results: null });
+  }
+});
+
 // Endpoint to fetch simplified trial details by NCT ID
 // ?audience=researcher for researcher-friendly (technical terms, concise) | patient (default) for plain language
 router.get("/search/trial/:nctId/simplified", async (req, res) => {
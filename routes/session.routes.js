@@ -2,28 +2,35 @@ import { Router } from "express";
 import { User } from "../models/User.js";
 import { Profile } from "../models/Profile.js";
 import { getResearcherDisplayName } from "../utils/researcherDisplayName.js";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import { sendVerificationEmail, sendPasswordResetEmail, sendPasswordResetConfirmationEmail } from "../services/email.service.js";
-import { verifySession } from "../middleware/auth.js";
+import { verifySession, authorize, isUserAdmin } from "../middleware/auth.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  REFRESH_TOKEN_COOKIE_NAME,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../services/authSession.service.js";
 
 const router = Router();
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-secret-key-change-in-production";
 
-// Generate JWT token (include isAdmin for admin route verification)
-function generateToken(userId, isAdmin = false) {
-  return jwt.sign({ userId, isAdmin: !!isAdmin }, JWT_SECRET, { expiresIn: "7d" });
-}
-
-// Check if user has admin access (DB flag or ADMIN_EMAILS env).
-// Production: set ADMIN_EMAILS=your@email.com (comma-separated) and JWT_SECRET in .env so admin login issues a token with isAdmin: true.
-function isUserAdmin(user) {
-  const adminEmails = process.env.ADMIN_EMAILS
-    ? process.env.ADMIN_EMAILS.split(",").map((e) => e.trim().toLowerCase()).filter(Boolean)
-    : [];
-  const userEmail = (user?.email || "").toLowerCase();
-  return !!user?.isAdmin || (adminEmails.length > 0 && userEmail && adminEmails.includes(userEmail));
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: true, // REQUIRED for cross-origin (sameSite: "none")
+  sameSite: "none", // REQUIRED for cross-origin cookies
+  maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  path: "/api/auth",
+};
+
+// Start a new device session: short-lived access token (include isAdmin for admin route verification)
+// plus a rotating refresh token, returned in the body and set as an HttpOnly cookie
+async function issueSessionTokens(req, res, user, isAdmin = false) {
+  const { token, refreshToken } = await createSession(user, req, isAdmin);
+  res.cookie(REFRESH_TOKEN_COOKIE_NAME, refreshToken, refreshCookieOptions);
+  return { token, refreshToken };
 }
 
 // Add displayName for researchers (Dr. Name, MD PHD) so frontend can show it in nav/dashboard
@@ -62,7 +69,15 @@ router.post("/auth/register", async (req, res) => {
 
   try {
     // Check if user already exists
-    const existingUser = await User.findOne({ email, role });
+    const existingUser = await User.findOne({ email, role }).setOptions({
+      withDeleted: true,
+    });
+    if (existingUser?.deletedAt) {
+      return res.status(400).json({
+        error:
+          "This account was deleted and is pending removal. Contact support to restore it.",
+      });
+    }
     if (existingUser) {
       return res
         .status(400)
@@ -78,15 +93,15 @@ router.post("/auth/register", async (req, res) => {
       medicalInterests: medicalInterests || [],
     });
 
-    // Generate JWT token (include isAdmin if email is in ADMIN_EMAILS)
-    const token = generateToken(user._id.toString(), isUserAdmin(user));
+    // Start session (include isAdmin if email is in ADMIN_EMAILS)
+    const { token, refreshToken } = await issueSessionTokens(req, res, user, isUserAdmin(user));
 
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
     const withDisplayName = await addResearcherDisplayName(userResponse);
 
-    return res.json({ user: withDisplayName, token });
+    return res.json({ user: withDisplayName, token, refreshToken });
   } catch (error) {
     console.error("Registration error:", error);
     if (error.code === 11000) {
@@ -128,15 +143,15 @@ router.post("/auth/login", async (req, res) => {
     // Admin: DB flag or ADMIN_EMAILS env (comma-separated)
     const isAdmin = isUserAdmin(user);
 
-    // Generate JWT token with isAdmin claim for admin routes
-    const token = generateToken(user._id.toString(), isAdmin);
+    // Start session with isAdmin claim for admin routes
+    const { token, refreshToken } = await issueSessionTokens(req, res, user, isAdmin);
 
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
     const withDisplayName = await addResearcherDisplayName(userResponse);
 
-    return res.json({ user: withDisplayName, token, isAdmin });
+    return res.json({ user: withDisplayName, token, refreshToken, isAdmin });
   } catch (error) {
     console.error("Login error:", error);
     return res.status(500).json({ error: "Failed to login" });
@@ -286,6 +301,9 @@ router.post("/auth/reset-password", async (req, res) => {
     user.passwordResetTokenUsed = true;
     await user.save();
 
+    // Sign out every device: a reset usually means the old password may be compromised
+    await revokeAllSessions(user._id, "password_reset");
+
     // Send confirmation email
     try {
       await sendPasswordResetConfirmationEmail(user.email, user.username);
@@ -304,7 +322,7 @@ router.post("/auth/reset-password", async (req, res) => {
 });
 
 // POST /api/auth/update-profile - Update user profile with medical interests/conditions and role
-router.post("/auth/update-profile", async (req, res) => {
+router.post("/auth/update-profile", authorize("owner", { body: "userId" }), async (req, res) => {
   const { userId, medicalInterests, role } = req.body || {};
 
   if (!userId) {
@@ -341,7 +359,7 @@ router.post("/auth/update-profile", async (req, res) => {
 });
 
 // PUT /api/auth/update-user - Update user information (username, handle, nameHidden, picture, age)
-router.put("/auth/update-user/:userId", async (req, res) => {
+router.put("/auth/update-user/:userId", authorize("owner"), async (req, res) => {
   const { userId } = req.params;
   const { username, handle, nameHidden, picture, age } = req.body || {};
 
@@ -637,9 +655,9 @@ router.post("/auth/oauth-sync", async (req, res) => {
       await user.save();
     }
 
-    // Generate JWT token (include isAdmin for OAuth users who are admins)
+    // Start session (include isAdmin for OAuth users who are admins)
     const isAdmin = isUserAdmin(user);
-    const token = generateToken(user._id.toString(), isAdmin);
+    const { token, refreshToken } = await issueSessionTokens(req, res, user, isAdmin);
 
     // Remove sensitive fields from response
     const userResponse = user.toObject();
@@ -649,6 +667,7 @@ router.post("/auth/oauth-sync", async (req, res) => {
     return res.json({
       user: withDisplayName,
       token,
+      refreshToken,
       isNewUser,
       isAdmin,
     });
@@ -746,8 +765,8 @@ router.post("/auth/complete-oauth-profile", async (req, res) => {
       { upsert: true, new: true }
     );
 
-    // Generate JWT token for the user (include isAdmin for admin users)
-    const token = generateToken(user._id.toString(), isUserAdmin(user));
+    // Start session for the user (include isAdmin for admin users)
+    const { token, refreshToken } = await issueSessionTokens(req, res, user, isUserAdmin(user));
 
     // Remove sensitive fields from response
     const userResponse = user.toObject();
@@ -757,6 +776,7 @@ router.post("/auth/complete-oauth-profile", async (req, res) => {
     return res.json({
       user: withDisplayName,
       token, // Return token so frontend can store it
+      refreshToken,
     });
   } catch (error) {
     console.error("Profile completion error:", error);
@@ -764,6 +784,122 @@ router.post("/auth/complete-oauth-profile", async (req, res) => {
   }
 });
 
+// ============================================
+// SESSION MANAGEMENT (refresh, logout, devices)
+// ============================================
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token (body or HttpOnly cookie) for a new access token.
+ * The refresh token is rotated; the previous one stops working (after a few seconds,
+ * for other tabs refreshing at the same time, which get no new refresh token).
+ */
+router.post("/auth/refresh", async (req, res) => {
+  const refreshToken =
+    req.body?.refreshToken || req.cookies?.[REFRESH_TOKEN_COOKIE_NAME];
+
+  if (!refreshToken) {
+    return res.status(401).json({ error: "Refresh token required", code: "NO_REFRESH_TOKEN" });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken, req, isUserAdmin);
+    if (!result.success) {
+      res.clearCookie(REFRESH_TOKEN_COOKIE_NAME, { ...refreshCookieOptions, maxAge: undefined });
+      return res.status(401).json({ error: result.error, code: "INVALID_REFRESH_TOKEN" });
+    }
+
+    // A concurrent refresh gets no new refresh token: the cookie the other request set stands
+    if (result.refreshToken) {
+      res.cookie(REFRESH_TOKEN_COOKIE_NAME, result.refreshToken, refreshCookieOptions);
+    }
+    return res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      isAdmin: isUserAdmin(result.user),
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    return res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current device session
+ */
+router.post("/auth/logout", verifySession, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.user._id, req.sessionId, "logout");
+    }
+    res.clearCookie(REFRESH_TOKEN_COOKIE_NAME, { ...refreshCookieOptions, maxAge: undefined });
+    return res.json({ ok: true, message: "Signed out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    return res.status(500).json({ error: "Failed to sign out" });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * End every session of the current user, including tokens issued before sessions existed
+ */
+router.post("/auth/logout-all", verifySession, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, "logout_all");
+    res.clearCookie(REFRESH_TOKEN_COOKIE_NAME, { ...refreshCookieOptions, maxAge: undefined });
+    return res.json({ ok: true, message: "Signed out on all devices", revokedCount });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    return res.status(500).json({ error: "Failed to sign out on all devices" });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's signed-in devices
+ */
+router.get("/auth/sessions", verifySession, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    return res.json({
+      sessions: sessions.map((session) => ({
+        sessionId: session._id.toString(),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    return res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out a single device
+ */
+router.delete("/auth/sessions/:sessionId", verifySession, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.sessionId, "revoked_by_user");
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    return res.json({ ok: true, message: "Session revoked" });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid session ID" });
+    }
+    console.error("Revoke session error:", error);
+    return res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
 // Legacy endpoints for backward compatibility (can be removed later)
 // POST /api/session - Legacy endpoint, redirects to register
 router.post("/session", async (req, res) => {
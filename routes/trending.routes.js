@@ -7,27 +7,14 @@ import { Community } from "../models/Community.js";
 import { CommunityMembership } from "../models/CommunityMembership.js";
 import { Profile } from "../models/Profile.js";
 import { searchClinicalTrials } from "../services/clinicalTrials.service.js";
+import { createCache } from "../services/cache.service.js";
 
 const router = Router();
 
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes per section
 const TRIALS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour for trials (API is very slow)
-const cache = new Map();
-
-function getCached(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return entry.data;
-}
-
-function setCached(key, data, customTTL) {
-  const ttl = customTTL || CACHE_TTL_MS;
-  cache.set(key, { data, expires: Date.now() + ttl });
-}
+// Sections past their TTL are served for up to this long while they refresh in the background
+const cache = createCache("trending", { ttlMs: CACHE_TTL_MS, staleTtlMs: 30 * 60 * 1000 });
 
 async function fetchExpertsActive(limit = 9) {
   const threadAuthors = await Thread.find({ authorRole: "researcher" })
@@ -317,14 +304,20 @@ async function fetchTrendingDiscussions(limit = 3) {
 }
 
 // Section endpoints with per-section cache (faster repeat loads)
+const cachedTrials = (interest = "") =>
+  cache.wrap(
+    interest ? `trials:${interest}` : "trials:general",
+    () => fetchNewlyRecruitingTrials(9, interest),
+    { ttlMs: TRIALS_CACHE_TTL_MS },
+  );
+const cachedExperts = () => cache.wrap("experts", () => fetchExpertsActive(9));
+const cachedForums = () => cache.wrap("forums", () => fetchTrendingForums(4));
+const cachedPosts = () => cache.wrap("posts", () => fetchTrendingPosts(9));
+const cachedDiscussions = () => cache.wrap("discussions", () => fetchTrendingDiscussions(3));
+
 router.get("/trending/experts", async (req, res) => {
   try {
-    const key = "trending:experts";
-    let data = getCached(key);
-    if (data) return res.json({ expertsActive: data });
-    data = await fetchExpertsActive(9);
-    setCached(key, data);
-    res.json({ expertsActive: data });
+    res.json({ expertsActive: await cachedExperts() });
   } catch (err) {
     console.error("Trending experts error:", err);
     res.status(500).json({ error: "Failed to fetch trending experts" });
@@ -333,19 +326,7 @@ router.get("/trending/experts", async (req, res) => {
 
 router.get("/trending/trials", async (req, res) => {
   try {
-    const userInterest = req.query.interest || "";
-    const cacheKey = userInterest ? `trending:trials:${userInterest}` : "trending:trials:general";
-    
-    let data = getCached(cacheKey);
-    
-    if (data) {
-      return res.json({ newlyRecruitingTrials: data });
-    }
-    
-    data = await fetchNewlyRecruitingTrials(9, userInterest);
-    
-    setCached(cacheKey, data, TRIALS_CACHE_TTL_MS);
-    res.json({ newlyRecruitingTrials: data });
+    res.json({ newlyRecruitingTrials: await cachedTrials(req.query.interest || "") });
   } catch (err) {
     console.error("Trending trials error:", err);
     res.status(500).json({ error: "Failed to fetch trending trials" });
@@ -354,12 +335,7 @@ router.get("/trending/trials", async (req, res) => {
 
 router.get("/trending/forums", async (req, res) => {
   try {
-    const key = "trending:forums";
-    let data = getCached(key);
-    if (data) return res.json({ trendingForums: data });
-    data = await fetchTrendingForums(4);
-    setCached(key, data);
-    res.json({ trendingForums: data });
+    res.json({ trendingForums: await cachedForums() });
   } catch (err) {
     console.error("Trending forums error:", err);
     res.status(500).json({ error: "Failed to fetch trending forums" });
@@ -368,12 +344,7 @@ router.get("/trending/forums", async (req, res) => {
 
 router.get("/trending/posts", async (req, res) => {
   try {
-    const key = "trending:posts";
-    let data = getCached(key);
-    if (data) return res.json({ trendingPosts: data });
-    data = await fetchTrendingPosts(9);
-    setCached(key, data);
-    res.json({ trendingPosts: data });
+    res.json({ trendingPosts: await cachedPosts() });
   } catch (err) {
     console.error("Trending posts error:", err);
     res.status(500).json({ error: "Failed to fetch trending posts" });
@@ -382,12 +353,7 @@ router.get("/trending/posts", async (req, res) => {
 
 router.get("/trending/discussions", async (req, res) => {
   try {
-    const key = "trending:discussions";
-    let data = getCached(key);
-    if (data) return res.json({ trendingDiscussions: data });
-    data = await fetchTrendingDiscussions(3);
-    setCached(key, data);
-    res.json({ trendingDiscussions: data });
+    res.json({ trendingDiscussions: await cachedDiscussions() });
   } catch (err) {
     console.error("Trending discussions error:", err);
     res.status(500).json({ error: "Failed to fetch trending discussions" });
@@ -399,17 +365,12 @@ router.get("/trending", async (req, res) => {
   try {
     const [expertsActive, newlyRecruitingTrials, trendingForums, trendingDiscussions, trendingPosts] =
       await Promise.all([
-        getCached("trending:experts") ?? fetchExpertsActive(9),
-        getCached("trending:trials") ?? fetchNewlyRecruitingTrials(9),
-        getCached("trending:forums") ?? fetchTrendingForums(4),
-        getCached("trending:discussions") ?? fetchTrendingDiscussions(3),
-        getCached("trending:posts") ?? fetchTrendingPosts(9),
+        cachedExperts(),
+        cachedTrials(),
+        cachedForums(),
+        cachedDiscussions(),
+        cachedPosts(),
       ]);
-    if (!getCached("trending:experts")) setCached("trending:experts", expertsActive);
-    if (!getCached("trending:trials")) setCached("trending:trials", newlyRecruitingTrials);
-    if (!getCached("trending:forums")) setCached("trending:forums", trendingForums);
-    if (!getCached("trending:discussions")) setCached("trending:discussions", trendingDiscussions);
-    if (!getCached("trending:posts")) setCached("trending:posts", trendingPosts);
     res.json({
       expertsActive,
       newlyRecruitingTrials,
@@ -1,10 +1,21 @@
 import { Router } from "express";
 import { Trial } from "../models/Trial.js";
+import { authorize } from "../middleware/auth.js";
+import { prescreenTrial } from "../services/eligibility.service.js";
+import { compareTrials } from "../services/trialComparison.service.js";
 
 const router = Router();
 
+// What an owner may change; ownerResearcherId and timestamps are never taken from the body
+const UPDATABLE_FIELDS = ["title", "status", "phase", "location", "eligibility", "description", "contacts"];
+
+async function trialOwner(req) {
+  const trial = await Trial.findById(req.params.trialId).select("ownerResearcherId").lean();
+  return trial ? [trial.ownerResearcherId] : null;
+}
+
 // Create
-router.post("/trials", async (req, res) => {
+router.post("/trials", authorize("owner", { body: "ownerResearcherId" }), async (req, res) => {
   const payload = req.body || {};
   if (!payload.title) return res.status(400).json({ error: "title required" });
   const trial = await Trial.create(payload);
@@ -12,21 +23,68 @@ router.post("/trials", async (req, res) => {
 });
 
 // Update
-router.put("/trials/:trialId", async (req, res) => {
+router.put("/trials/:trialId", authorize("participant", { participants: trialOwner, notFound: "Trial not found" }), async (req, res) => {
   const { trialId } = req.params;
-  const payload = req.body || {};
-  const trial = await Trial.findByIdAndUpdate(trialId, payload, { new: true });
+  const body = req.body || {};
+  const payload = Object.fromEntries(
+    UPDATABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]),
+  );
+  if (payload.title !== undefined && !payload.title) return res.status(400).json({ error: "title required" });
+  const trial = await Trial.findByIdAndUpdate(trialId, { $set: payload }, { new: true, runValidators: true });
   res.json({ ok: true, trial });
 });
 
 // List by owner
-router.get("/trials", async (req, res) => {
+router.get("/trials", authorize("public"), async (req, res) => {
   const { ownerResearcherId } = req.query;
   const q = ownerResearcherId ? { ownerResearcherId } : {};
   const trials = await Trial.find(q).sort({ createdAt: -1 });
   res.json({ trials });
 });
 
+// Side-by-side comparison of 2-5 ClinicalTrials.gov trials.
+// Body: { nctIds, location?, summary? }. The nearest site is measured from location,
+// else the signed-in user's profile location; summary: true adds a plain-language comparison.
+router.post("/trials/compare", authorize("public"), async (req, res) => {
+  try {
+    const { nctIds, location, summary } = req.body || {};
+    const result = await compareTrials(nctIds, {
+      userId: req.user?._id,
+      location,
+      summary: summary === true,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { success, ...comparison } = result;
+    res.json(comparison);
+  } catch (error) {
+    console.error("Error comparing trials:", error);
+    res.status(500).json({ error: "Failed to compare trials" });
+  }
+});
+
+// Pre-screen against a ClinicalTrials.gov trial's eligibility criteria.
+// Uses the signed-in patient's profile; the body can add details the profile doesn't hold
+// (not saved): { age, sex, conditions, biomarkers, priorTherapies, ecog, pregnant, labs }.
+// Each criterion comes back met / not_met / unknown with the reasons.
+router.post("/trials/:nctId/prescreen", authorize("public"), async (req, res) => {
+  try {
+    const result = await prescreenTrial(req.params.nctId, {
+      userId: req.user?._id,
+      facts: req.body || {},
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { success, ...prescreen } = result;
+    res.json(prescreen);
+  } catch (error) {
+    console.error("Error pre-screening trial:", error);
+    res.status(500).json({ error: "Failed to pre-screen trial" });
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,304 @@
+import { User } from "../models/User.js";
+import { Profile } from "../models/Profile.js";
+import { AuthSession } from "../models/AuthSession.js";
+import { Thread } from "../models/Thread.js";
+import { Reply } from "../models/Reply.js";
+import { Post } from "../models/Post.js";
+import { Comment } from "../models/Comment.js";
+import { CommunityMembership } from "../models/CommunityMembership.js";
+import { CommunityProposal } from "../models/CommunityProposal.js";
+import { Message } from "../models/Message.js";
+import { Conversation } from "../models/Conversation.js";
+import { Block } from "../models/Block.js";
+import { Report } from "../models/Report.js";
+import { MessageRequest } from "../models/MessageRequest.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { ConnectionRequest } from "../models/ConnectionRequest.js";
+import { Follow } from "../models/Follow.js";
+import { Favorite } from "../models/Favorite.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { ExpertAvailability } from "../models/ExpertAvailability.js";
+import { Invoice } from "../models/Invoice.js";
+import { MeetingFeedback } from "../models/MeetingFeedback.js";
+import { ExpertReview } from "../models/ExpertReview.js";
+import { ReadItem } from "../models/ReadItem.js";
+import { Notification } from "../models/Notification.js";
+import { NotificationPreference } from "../models/NotificationPreference.js";
+import { ExpertInvite } from "../models/ExpertInvite.js";
+import { Feedback } from "../models/Feedback.js";
+import { PageFeedback } from "../models/PageFeedback.js";
+import { Contact } from "../models/Contact.js";
+import { Waitlist } from "../models/Waitlist.js";
+import { WorkSubmission } from "../models/WorkSubmission.js";
+import { Trial } from "../models/Trial.js";
+import { deleteFile, getKeyFromUrl } from "./upload.service.js";
+import { createZip } from "../utils/zipArchive.js";
+import { recomputeExpertRating } from "./review.service.js";
+
+// Forum content of deleted accounts is reassigned to this placeholder so threads stay readable
+const DELETED_USER_EMAIL = "deleted-user@curalink.internal";
+const DELETED_USER_USERNAME = "deleted_user";
+
+const USER_SECRET_FIELDS =
+  "-password -emailVerificationToken -emailVerificationOTP -passwordResetToken";
+
+const WITH_DELETED = { withDeleted: true };
+
+/**
+ * Gather every record tied to a user, grouped by section, for a data export.
+ * Soft-deleted records are included: they are still stored until purged.
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} - Export sections, or null if the user does not exist
+ */
+export async function collectAccountData(userId) {
+  const user = await User.findById(userId).select(USER_SECRET_FIELDS).lean();
+  if (!user) return null;
+
+  const mine = (field) => ({ [field]: userId });
+  const either = (a, b) => ({ $or: [{ [a]: userId }, { [b]: userId }] });
+
+  const [
+    profile,
+    sessions,
+    threads,
+    replies,
+    posts,
+    comments,
+    communityMemberships,
+    communityProposals,
+    messages,
+    conversations,
+    blocks,
+    reports,
+    messageRequests,
+    meetingRequests,
+    meetingAvailability,
+    meetingFeedback,
+    reviews,
+    invoices,
+    connectionRequests,
+    follows,
+    favorites,
+    savedSearches,
+    readItems,
+    notifications,
+    notificationPreferences,
+    expertInvites,
+    feedback,
+    pageFeedback,
+    contactMessages,
+    waitlist,
+    workSubmissions,
+    trials,
+  ] = await Promise.all([
+    Profile.findOne(mine("userId")).setOptions(WITH_DELETED).lean(),
+    AuthSession.find(mine("userId")).select("-refreshTokenHash -previousRefreshTokenHash").lean(),
+    Thread.find(mine("authorUserId")).setOptions(WITH_DELETED).lean(),
+    Reply.find(mine("authorUserId")).setOptions(WITH_DELETED).lean(),
+    Post.find(mine("authorUserId")).setOptions(WITH_DELETED).lean(),
+    Comment.find(mine("authorUserId")).setOptions(WITH_DELETED).lean(),
+    CommunityMembership.find(mine("userId")).lean(),
+    CommunityProposal.find(mine("proposedBy")).lean(),
+    Message.find(either("senderId", "receiverId")).sort({ createdAt: 1 }).lean(),
+    Conversation.find(mine("participants")).lean(),
+    Block.find(mine("blockerId")).lean(),
+    Report.find(mine("reporterId")).lean(),
+    MessageRequest.find(either("requesterId", "expertId")).lean(),
+    MeetingRequest.find(either("patientId", "expertId")).lean(),
+    ExpertAvailability.findOne(mine("expertId")).lean(),
+    MeetingFeedback.find(mine("userId")).lean(),
+    ExpertReview.find(mine("patientId")).lean(),
+    Invoice.find(either("patientId", "expertId")).select("-processedEventIds").lean(),
+    ConnectionRequest.find(either("requesterId", "receiverId")).lean(),
+    Follow.find(either("followerId", "followingId")).lean(),
+    Favorite.find(mine("userId")).lean(),
+    SavedSearch.find(mine("userId")).select("-seenIds").lean(),
+    ReadItem.find(mine("userId")).lean(),
+    Notification.find(mine("userId")).lean(),
+    NotificationPreference.findOne(mine("userId")).lean(),
+    ExpertInvite.find(mine("inviterId")).lean(),
+    Feedback.find(mine("userId")).lean(),
+    PageFeedback.find(mine("userId")).lean(),
+    Contact.find({ $or: [{ userId }, { email: user.email }] }).lean(),
+    Waitlist.find({ email: user.email?.toLowerCase() }).lean(),
+    WorkSubmission.find(mine("submittedBy")).lean(),
+    Trial.find(mine("ownerResearcherId")).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: user,
+    profile,
+    sessions,
+    forums: { threads, replies },
+    community: { posts, comments, memberships: communityMemberships, proposals: communityProposals },
+    messages,
+    conversations,
+    blocks,
+    reports,
+    messageRequests,
+    meetingRequests,
+    meetingAvailability,
+    meetingFeedback,
+    reviews,
+    invoices,
+    connectionRequests,
+    follows,
+    favorites,
+    savedSearches,
+    readHistory: readItems,
+    notifications,
+    notificationPreferences,
+    expertInvites,
+    feedback: { feedback, pageFeedback, contactMessages },
+    waitlist,
+    work: { submissions: workSubmissions, trials },
+  };
+}
+
+/**
+ * Package an export as a ZIP: one JSON file per section plus the full bundle
+ * @param {Object} data - Result of collectAccountData
+ * @returns {Buffer}
+ */
+export function buildExportZip(data) {
+  const files = Object.entries(data)
+    .filter(([section]) => section !== "exportedAt")
+    .map(([section, value]) => ({
+      name: `${section}.json`,
+      data: JSON.stringify(value, null, 2),
+    }));
+  files.unshift({
+    name: "README.txt",
+    data:
+      `Collabiora personal data export\nGenerated: ${data.exportedAt}\n\n` +
+      "Each JSON file holds one part of your account; export.json contains everything in one file.\n",
+  });
+  files.push({ name: "export.json", data: JSON.stringify(data, null, 2) });
+  return createZip(files);
+}
+
+async function getDeletedUserAccount() {
+  let placeholder = await User.findOne({ email: DELETED_USER_EMAIL });
+  if (!placeholder) {
+    placeholder = await User.create({
+      email: DELETED_USER_EMAIL,
+      username: DELETED_USER_USERNAME,
+      role: "patient",
+      isServiceAccount: true,
+    });
+  }
+  return placeholder;
+}
+
+// S3 objects owned by the account: profile picture, verification document, post attachments
+// and attachments in the account's conversations (deleted together with the messages)
+async function collectUploadKeys(user, profile) {
+  const urls = [user.picture, profile?.researcher?.verificationDocumentUrl];
+  const posts = await Post.find({ authorUserId: user._id })
+    .setOptions(WITH_DELETED)
+    .select("attachments")
+    .lean();
+  posts.forEach((post) => (post.attachments || []).forEach((a) => urls.push(a.url)));
+  const messages = await Message.find({
+    $or: [{ senderId: user._id }, { receiverId: user._id }],
+    "attachments.0": { $exists: true },
+  })
+    .select("attachments")
+    .lean();
+  const messageKeys = messages.flatMap((m) => (m.attachments || []).map((a) => a.key));
+  return [...new Set([...urls.map(getKeyFromUrl), ...messageKeys].filter(Boolean))];
+}
+
+/**
+ * Permanently delete an account (right to erasure).
+ * Forum threads/replies stay readable but are reassigned to an anonymous placeholder;
+ * personal data, messages, favorites, history and uploaded files are removed.
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} - { success, filesDeleted, filesFailed } or { success: false, error }
+ */
+export async function deleteAccount(userId) {
+  const user = await User.findById(userId).setOptions(WITH_DELETED);
+  if (!user) return { success: false, error: "User not found" };
+
+  const profile = await Profile.findOne({ userId }).setOptions(WITH_DELETED).lean();
+  const uploadKeys = await collectUploadKeys(user, profile);
+  const placeholder = await getDeletedUserAccount();
+  const anonymize = { $set: { authorUserId: placeholder._id } };
+  // Experts this person reviewed get their rating recalculated once the reviews are gone
+  const reviewedExpertIds = await ExpertReview.distinct("expertId", { patientId: userId });
+
+  // Forum/community content: keep it, drop the link to the person
+  await Promise.all([
+    Thread.updateMany(
+      { authorUserId: userId },
+      { ...anonymize, $unset: { originalAuthorUsername: "", originalAuthorHandle: "" } },
+    ).setOptions(WITH_DELETED),
+    Reply.updateMany({ authorUserId: userId }, anonymize).setOptions(WITH_DELETED),
+    Post.updateMany(
+      { authorUserId: userId },
+      { $set: { authorUserId: placeholder._id, attachments: [] } },
+    ).setOptions(WITH_DELETED),
+    Comment.updateMany({ authorUserId: userId }, anonymize).setOptions(WITH_DELETED),
+    Thread.updateMany({}, { $pull: { upvotes: userId, downvotes: userId } }).setOptions(WITH_DELETED),
+    Reply.updateMany({}, { $pull: { upvotes: userId, downvotes: userId } }).setOptions(WITH_DELETED),
+    Post.updateMany({}, { $pull: { likes: userId } }).setOptions(WITH_DELETED),
+    Comment.updateMany({}, { $pull: { likes: userId } }).setOptions(WITH_DELETED),
+    CommunityProposal.updateMany({ proposedBy: userId }, { $set: { proposedBy: placeholder._id } }),
+  ]);
+
+  // Email-keyed records are shared when the same person has a patient and a researcher account
+  const otherAccountWithEmail = await User.exists({
+    email: user.email,
+    _id: { $ne: user._id },
+  }).setOptions(WITH_DELETED);
+
+  await Promise.all([
+    Message.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] }),
+    Conversation.deleteMany({ participants: userId }),
+    Block.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] }),
+    Report.deleteMany({ reporterId: userId }),
+    MessageRequest.deleteMany({ $or: [{ requesterId: userId }, { expertId: userId }] }),
+    MeetingRequest.deleteMany({ $or: [{ patientId: userId }, { expertId: userId }] }),
+    ExpertAvailability.deleteMany({ expertId: userId }),
+    MeetingFeedback.deleteMany({ userId }),
+    ExpertReview.deleteMany({ $or: [{ patientId: userId }, { expertId: userId }] }),
+    // Invoices are kept: they are financial records of payments made
+    ConnectionRequest.deleteMany({ $or: [{ requesterId: userId }, { receiverId: userId }] }),
+    Follow.deleteMany({ $or: [{ followerId: userId }, { followingId: userId }] }),
+    Favorite.deleteMany({ userId }),
+    SavedSearch.deleteMany({ userId }),
+    ReadItem.deleteMany({ userId }),
+    Notification.deleteMany({ $or: [{ userId }, { relatedUserId: userId }] }),
+    NotificationPreference.deleteMany({ userId }),
+    ExpertInvite.deleteMany({ inviterId: userId }),
+    Feedback.deleteMany({ userId }),
+    PageFeedback.deleteMany({ userId }),
+    Contact.deleteMany(
+      otherAccountWithEmail ? { userId } : { $or: [{ userId }, { email: user.email }] },
+    ),
+    otherAccountWithEmail
+      ? Promise.resolve()
+      : Waitlist.deleteMany({ email: user.email?.toLowerCase() }),
+    CommunityMembership.deleteMany({ userId }),
+    WorkSubmission.deleteMany({ submittedBy: userId }),
+    Trial.deleteMany({ ownerResearcherId: userId }),
+    AuthSession.deleteMany({ userId }),
+    Profile.deleteMany({ userId }),
+  ]);
+
+  const fileResults = await Promise.allSettled(uploadKeys.map((key) => deleteFile(key)));
+  const filesFailed = uploadKeys.filter((_, i) => fileResults[i].status === "rejected");
+  if (filesFailed.length > 0) {
+    console.error(`[Account] Failed to delete ${filesFailed.length} S3 file(s) for ${userId}:`, filesFailed);
+  }
+
+  await Promise.all(reviewedExpertIds.map((expertId) => recomputeExpertRating(expertId)));
+  await User.deleteOne({ _id: userId });
+
+  return {
+    success: true,
+    filesDeleted: uploadKeys.length - filesFailed.length,
+    filesFailed: filesFailed.length,
+  };
+}
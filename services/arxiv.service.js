@@ -6,21 +6,10 @@
 
 import axios from "axios";
 import { DOMParser } from "xmldom";
+import { createCache } from "./cache.service.js";
 
-const cache = new Map();
 const TTL_MS = 1000 * 60 * 5;
-
-function getCached(key) {
-  const e = cache.get(key);
-  if (!e || Date.now() > e.expires) {
-    if (e) cache.delete(key);
-    return null;
-  }
-  return e.value;
-}
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + TTL_MS });
-}
+const cache = createCache("arxiv", { ttlMs: TTL_MS });
 
 /** Build search_query per API: all:term1 AND all:term2 so results must contain all concepts. */
 function buildSearchQuery(query) {
@@ -41,7 +30,7 @@ export async function searchArxiv({ q = "", page = 1, pageSize = 25 } = {}) {
 
   const searchQuery = buildSearchQuery(query);
   const key = `arxiv:${searchQuery}:${page}:${pageSize}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   const maxResults = Math.min(Number(pageSize) || 25, 100);
@@ -117,7 +106,7 @@ export async function searchArxiv({ q = "", page = 1, pageSize = 25 } = {}) {
       pageSize: maxResults,
       hasMore: items.length === maxResults,
     };
-    setCache(key, result);
+    await cache.set(key, result);
     return result;
   } catch (err) {
     console.warn("arXiv search error:", err?.message);
@@ -133,7 +122,7 @@ export async function getArxivById(arxivId) {
   if (!id) return null;
 
   const key = `arxiv-get:${id}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -185,7 +174,7 @@ export async function getArxivById(arxivId) {
       url: absUrl,
       pdfUrl: pdfUrl || `https://arxiv.org/pdf/${id}.pdf`,
     };
-    setCache(key, out);
+    await cache.set(key, out);
     return out;
   } catch (err) {
     console.warn("arXiv get error:", err?.message);
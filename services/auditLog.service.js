@@ -0,0 +1,135 @@
+import { AuditLog } from "../models/AuditLog.js";
+import { getAdminRoles } from "../middleware/auth.js";
+
+// Never copy credentials or one-time tokens into the audit trail
+const REDACTED_FIELDS = [
+  "password",
+  "emailVerificationToken",
+  "emailVerificationOTP",
+  "passwordResetToken",
+  "refreshTokenHash",
+  "previousRefreshTokenHash",
+];
+
+/**
+ * Plain, redacted copy of a document (or list of documents) for before/after snapshots
+ * @param {Object|Array|null} doc - Mongoose document, lean object or array of either
+ * @returns {Object|Array|null}
+ */
+export function snapshot(doc) {
+  if (doc === null || doc === undefined) return null;
+  if (Array.isArray(doc)) return doc.map(snapshot);
+  const plain =
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true })
+      : JSON.parse(JSON.stringify(doc));
+  return redact(plain);
+}
+
+// Redact credentials at any depth ({ user, profile } style snapshots nest documents)
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object" || value instanceof Date) return value;
+  if (value._bsontype) return value;
+  const out = {};
+  for (const [key, field] of Object.entries(value)) {
+    out[key] = REDACTED_FIELDS.includes(key) ? "[redacted]" : redact(field);
+  }
+  return out;
+}
+
+/**
+ * Append an entry to the admin audit log.
+ * Failures are logged and swallowed so auditing never breaks the admin action itself.
+ * @param {Object} req - Express request (actor comes from req.user, set by authorize("admin"))
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata }
+ */
+export async function recordAdminAction(req, entry) {
+  try {
+    await AuditLog.create({
+      actorId: req.user?._id || req.adminUserId,
+      actorEmail: req.user?.email,
+      actorRoles: req.user ? getAdminRoles(req.user) : [],
+      action: entry.action,
+      targetType: entry.targetType || null,
+      targetId: entry.targetId ? entry.targetId.toString() : null,
+      before: snapshot(entry.before),
+      after: snapshot(entry.after),
+      metadata: entry.metadata || {},
+      ip: req.ip || req.connection?.remoteAddress || "",
+      userAgent: (req.get?.("user-agent") || "").slice(0, 300),
+      method: req.method,
+      path: req.originalUrl,
+    });
+  } catch (error) {
+    console.error(`[AuditLog] Failed to record ${entry.action}:`, error.message);
+  }
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a MongoDB query from audit-log filters.
+ * `action` matches exactly or as a prefix ("patient" matches "patient.delete").
+ */
+export function buildAuditLogQuery({ actorId, action, targetType, targetId, from, to } = {}) {
+  const query = {};
+  if (actorId) query.actorId = actorId;
+  if (action) {
+    const actions = String(action).split(",").map((a) => a.trim()).filter(Boolean);
+    query.action = {
+      $in: actions.map((a) => new RegExp(`^${escapeRegex(a)}(\\.|$)`)),
+    };
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = String(targetId);
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return query;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const str = typeof value === "object" && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : value instanceof Date
+      ? value.toISOString()
+      : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize audit-log entries as CSV (one row per entry, snapshots as JSON)
+ * @param {Array} entries - Lean AuditLog documents
+ * @returns {string}
+ */
+export function auditLogToCsv(entries) {
+  const columns = [
+    "createdAt",
+    "actorId",
+    "actorEmail",
+    "actorRoles",
+    "action",
+    "targetType",
+    "targetId",
+    "ip",
+    "method",
+    "path",
+    "before",
+    "after",
+    "metadata",
+  ];
+  const rows = entries.map((entry) =>
+    columns
+      .map((column) =>
+        csvCell(column === "actorRoles" ? (entry.actorRoles || []).join("|") : entry[column]),
+      )
+      .join(","),
+  );
+  return [columns.join(","), ...rows].join("\n");
+}
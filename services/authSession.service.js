@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { AuthSession } from "../models/AuthSession.js";
+import { User } from "../models/User.js";
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || "your-secret-key-change-in-production";
+
+// Short-lived access tokens; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10,
+);
+
+export const REFRESH_TOKEN_COOKIE_NAME = "refresh_token";
+
+// A just-rotated refresh token still works this long: tabs sharing the cookie refresh at once
+const ROTATION_GRACE_MS = 10 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found even when the secret is stale
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+}
+
+function requestFingerprint(req) {
+  return {
+    userAgent: (req?.get?.("user-agent") || "").slice(0, 300),
+    ip: req?.ip || req?.connection?.remoteAddress || "",
+  };
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {string} sessionId - AuthSession id the token belongs to
+ * @param {boolean} isAdmin - Admin claim for admin route verification
+ * @returns {string} - Signed JWT
+ */
+export function generateAccessToken(user, sessionId, isAdmin = false) {
+  return jwt.sign(
+    { userId: user._id.toString(), isAdmin: !!isAdmin, sid: sessionId.toString() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+}
+
+/**
+ * Start a new device session for a user (login, register, OAuth)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for user agent / IP)
+ * @param {boolean} isAdmin - Admin claim for the access token
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+export async function createSession(user, req, isAdmin = false) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(sessionId);
+
+  await AuthSession.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...requestFingerprint(req),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    token: generateAccessToken(user, sessionId, isAdmin),
+    refreshToken,
+    sessionId: sessionId.toString(),
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token + rotated refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session (token theft),
+ * except within a few seconds of the rotation, where it is a concurrent refresh from
+ * another tab: that one gets an access token and keeps the refresh token the other
+ * request received (refreshToken is null).
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @param {Function} resolveIsAdmin - (user) => boolean, for the access token claim
+ * @returns {Promise<Object>} - { success, token, refreshToken, user } or { success: false, error }
+ */
+export async function rotateRefreshToken(refreshToken, req, resolveIsAdmin = () => false) {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return { success: false, error: "Invalid refresh token" };
+  }
+
+  const now = new Date();
+  const presentedHash = hashToken(refreshToken);
+  const rotated = newRefreshToken(sessionId);
+  // Compare and swap in one step, so only one of two simultaneous refreshes can rotate
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(rotated),
+        previousRefreshTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...requestFingerprint(req),
+      },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    const current = await AuthSession.findById(sessionId);
+    if (!current || current.revokedAt || current.expiresAt <= now) {
+      return { success: false, error: "Session expired. Please sign in again." };
+    }
+
+    const concurrent =
+      current.previousRefreshTokenHash === presentedHash &&
+      current.rotatedAt > new Date(now - ROTATION_GRACE_MS);
+    if (!concurrent) {
+      await AuthSession.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: "reuse_detected" } },
+      );
+      console.warn(
+        `[AuthSession] Refresh token reuse detected for session ${sessionId}, session revoked`,
+      );
+      return { success: false, error: "Session expired. Please sign in again." };
+    }
+
+    const user = await User.findById(current.userId);
+    if (!user) {
+      return { success: false, error: "Invalid refresh token" };
+    }
+    return {
+      success: true,
+      token: generateAccessToken(user, current._id, resolveIsAdmin(user)),
+      refreshToken: null,
+      user,
+    };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    return { success: false, error: "Invalid refresh token" };
+  }
+
+  return {
+    success: true,
+    token: generateAccessToken(user, session._id, resolveIsAdmin(user)),
+    refreshToken: rotated,
+    user,
+  };
+}
+
+/**
+ * Revoke a single session belonging to a user
+ * @returns {Promise<boolean>} - true if a live session was revoked
+ */
+export async function revokeSession(userId, sessionId, reason = "logout") {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user and invalidate all access tokens issued so far
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, reason = "logout_all") {
+  const now = new Date();
+  const [result] = await Promise.all([
+    AuthSession.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } },
+    ),
+    User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: now } }),
+  ]);
+  return result.modifiedCount;
+}
+
+/**
+ * Active (non-revoked, non-expired) sessions for a user, newest activity first
+ */
+export async function listSessions(userId) {
+  return AuthSession.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+/**
+ * Check whether a decoded access token has been revoked.
+ * Tokens carry a session id (sid); legacy tokens without one are only checked
+ * against the user's sessionsRevokedAt cutoff.
+ * @param {Object} user - User document the token belongs to
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+export async function isAccessTokenRevoked(user, decoded) {
+  if (
+    user.sessionsRevokedAt &&
+    decoded.iat < Math.floor(new Date(user.sessionsRevokedAt).getTime() / 1000)
+  ) {
+    return true;
+  }
+  if (!decoded.sid) return false;
+
+  const session = await AuthSession.findById(decoded.sid)
+    .select("revokedAt")
+    .lean();
+  return !session || !!session.revokedAt;
+}
@@ -0,0 +1,437 @@
+import mongoose from "mongoose";
+import { Invoice } from "../models/Invoice.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { Profile } from "../models/Profile.js";
+import { getPaymentProvider, PAYMENT_EVENT_TYPES } from "./paymentProvider.service.js";
+import { notify } from "./notification.service.js";
+import { meetingEnd, DEFAULT_MEETING_MINUTES, SLOT_HOLD_UNSET } from "./scheduling.service.js";
+
+// Profile.researcher.meetingRate is USD per 30 minutes
+const RATE_BLOCK_MINUTES = 30;
+const CURRENCY = "usd";
+// How long an accepted, unpaid meeting keeps its slot
+const QUOTE_HOLD_HOURS = parseInt(process.env.QUOTE_HOLD_HOURS || "48", 10);
+// A patient cancelling at least this long before the meeting is refunded automatically
+const REFUND_CUTOFF_HOURS = parseInt(process.env.REFUND_CUTOFF_HOURS || "24", 10);
+const EXPIRY_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export function formatAmount(amount, currency = CURRENCY) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: currency.toUpperCase() }).format(
+    amount / 100,
+  );
+}
+
+/**
+ * Price a meeting from the expert's rate and the meeting's length
+ * @param {Object} meeting - { expertId, meetingDate, meetingEndDate }
+ * @returns {Promise<Object|null>} - { currency, minutes, lineItems, amount }, or null when the expert doesn't charge
+ */
+export async function quoteForMeeting(meeting) {
+  const profile = await Profile.findOne({ userId: meeting.expertId }).select("researcher.meetingRate").lean();
+  const rate = Number(profile?.researcher?.meetingRate);
+  if (!Number.isFinite(rate) || rate <= 0) return null;
+
+  const minutes = meeting.meetingDate
+    ? Math.round((meetingEnd(meeting) - new Date(meeting.meetingDate)) / 60000)
+    : DEFAULT_MEETING_MINUTES;
+  const blocks = Math.max(1, Math.ceil(minutes / RATE_BLOCK_MINUTES));
+  const unitAmount = Math.round(rate * 100);
+  return {
+    currency: CURRENCY,
+    minutes,
+    lineItems: [{ description: `Consultation (${RATE_BLOCK_MINUTES} min)`, quantity: blocks, unitAmount }],
+    amount: unitAmount * blocks,
+  };
+}
+
+/**
+ * Status a meeting moves to when the expert accepts it: "awaiting_payment" when the expert
+ * charges and it isn't paid yet, otherwise "accepted"
+ * @param {Object} meeting - MeetingRequest with the accepted meetingDate/meetingEndDate
+ * @returns {Promise<Object>} - { status, quote }
+ */
+export async function prepareAcceptance(meeting) {
+  const paid = await Invoice.exists({ meetingRequestId: meeting._id, status: "paid" });
+  if (paid) return { status: "accepted", quote: null };
+  const quote = await quoteForMeeting(meeting);
+  return { status: quote ? "awaiting_payment" : "accepted", quote };
+}
+
+function invoiceNumber(id, date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  return `INV-${day}-${id.toString().slice(-6).toUpperCase()}`;
+}
+
+/**
+ * Create the meeting's invoice from a quote, or bring its open invoice up to date
+ * (e.g. the expert picked a time after accepting)
+ * @param {Object} meeting - Accepted MeetingRequest
+ * @param {Object} quote - From quoteForMeeting
+ * @returns {Promise<Object>} - Invoice
+ */
+export async function ensureMeetingInvoice(meeting, quote) {
+  const holdUntil = new Date(Date.now() + QUOTE_HOLD_HOURS * HOUR_MS);
+  const expiresAt =
+    meeting.meetingDate && new Date(meeting.meetingDate) < holdUntil ? new Date(meeting.meetingDate) : holdUntil;
+
+  const open = await Invoice.findOne({ meetingRequestId: meeting._id, status: "open" });
+  if (open) {
+    // A changed amount needs a new checkout. The old one may still be paid (an open tab),
+    // so its id is kept for the webhook to find and refund.
+    if (open.amount !== quote.amount && open.providerPaymentId) {
+      open.supersededPayments.push({ provider: open.provider, paymentId: open.providerPaymentId, amount: open.amount });
+      open.set({ checkoutUrl: null, providerPaymentId: null });
+    }
+    open.set({ lineItems: quote.lineItems, amount: quote.amount, currency: quote.currency, expiresAt });
+    await open.save();
+    return open;
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const invoice = await Invoice.create({
+    _id,
+    number: invoiceNumber(_id),
+    meetingRequestId: meeting._id,
+    patientId: meeting.patientId._id || meeting.patientId,
+    expertId: meeting.expertId._id || meeting.expertId,
+    currency: quote.currency,
+    lineItems: quote.lineItems,
+    amount: quote.amount,
+    expiresAt,
+  });
+  await MeetingRequest.updateOne({ _id: meeting._id }, { $set: { invoiceId: invoice._id } });
+  return invoice;
+}
+
+/**
+ * Start (or resume) the provider checkout for an open invoice
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { customerEmail }
+ * @returns {Promise<Object>} - { success, checkoutUrl } or { success: false, status, error }
+ */
+export async function startCheckout(invoice, { customerEmail } = {}) {
+  if (invoice.status !== "open") {
+    return { success: false, status: 409, error: `This invoice is ${invoice.status}` };
+  }
+  if (invoice.expiresAt && invoice.expiresAt <= new Date()) {
+    return { success: false, status: 409, error: "This quote has expired" };
+  }
+  const provider = getPaymentProvider();
+  if (!provider) {
+    return { success: false, status: 503, error: "Payments are not configured" };
+  }
+  if (invoice.checkoutUrl && invoice.provider === provider.name) {
+    return { success: true, checkoutUrl: invoice.checkoutUrl };
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const { paymentId, checkoutUrl } = await provider.createCheckout({
+    invoiceId: invoice._id.toString(),
+    amount: invoice.amount,
+    currency: invoice.currency,
+    description: `Collabiora consultation ${invoice.number}`,
+    customerEmail,
+    successUrl: `${frontendUrl}?invoice=${invoice._id}&payment=success`,
+    cancelUrl: `${frontendUrl}?invoice=${invoice._id}&payment=cancelled`,
+  });
+  invoice.set({ provider: provider.name, providerPaymentId: paymentId, checkoutUrl, lastPaymentError: null });
+  await invoice.save();
+  return { success: true, checkoutUrl };
+}
+
+async function confirmPaidMeeting(invoice) {
+  const meeting = await MeetingRequest.findOneAndUpdate(
+    { _id: invoice.meetingRequestId, status: "awaiting_payment" },
+    { $set: { status: "accepted", confirmedAt: new Date() }, $inc: { calendarSequence: 1 } },
+    { new: true },
+  );
+  if (!meeting) return;
+
+  const data = {
+    requestId: meeting._id.toString(),
+    invoiceId: invoice._id.toString(),
+    meetingDate: meeting.meetingDate || null,
+    amountLabel: formatAmount(invoice.amount, invoice.currency),
+  };
+  await notify(meeting.patientId, "meeting_confirmed", {
+    actorId: meeting.expertId,
+    itemId: meeting._id,
+    data: { ...data, paidByYou: true },
+  });
+  await notify(meeting.expertId, "meeting_confirmed", {
+    actorId: meeting.patientId,
+    itemId: meeting._id,
+    data,
+  });
+}
+
+// A full refund of an upcoming meeting cancels it and frees the slot
+async function cancelRefundedMeeting(invoice) {
+  const meeting = await MeetingRequest.findOneAndUpdate(
+    {
+      _id: invoice.meetingRequestId,
+      status: { $in: ["awaiting_payment", "accepted"] },
+      $or: [{ meetingDate: null }, { meetingDate: { $gt: new Date() } }],
+    },
+    {
+      $set: { status: "cancelled", cancellationReason: "Payment refunded" },
+      $unset: SLOT_HOLD_UNSET,
+      $inc: { calendarSequence: 1 },
+    },
+    { new: true },
+  );
+  return meeting;
+}
+
+async function applyRefund(invoice, refundedTotal) {
+  if (refundedTotal <= invoice.refundedAmount) return;
+  const fullyRefunded = refundedTotal >= invoice.amount;
+  invoice.set({
+    refundedAmount: Math.min(refundedTotal, invoice.amount),
+    refundedAt: new Date(),
+    ...(fullyRefunded ? { status: "refunded" } : {}),
+  });
+  await invoice.save();
+
+  if (fullyRefunded) await cancelRefundedMeeting(invoice);
+  await notify(invoice.patientId, "payment_refunded", {
+    actorId: invoice.expertId,
+    itemId: invoice.meetingRequestId,
+    data: {
+      requestId: invoice.meetingRequestId.toString(),
+      invoiceId: invoice._id.toString(),
+      amountLabel: formatAmount(refundedTotal, invoice.currency),
+      full: fullyRefunded,
+    },
+  });
+}
+
+/**
+ * Refund part or all of a paid invoice through its provider
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { amount } smallest currency unit; defaults to what's left
+ * @returns {Promise<Object>} - { success, invoice, pending } or { success: false, status, error }
+ */
+export async function refundInvoice(invoice, { amount } = {}) {
+  if (invoice.status !== "paid") {
+    return { success: false, status: 409, error: `Only paid invoices can be refunded (this one is ${invoice.status})` };
+  }
+  const remaining = invoice.amount - invoice.refundedAmount;
+  const refundAmount = amount === undefined ? remaining : Number(amount);
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > remaining) {
+    return { success: false, status: 400, error: `amount must be a whole number of cents, at most ${remaining}` };
+  }
+
+  const provider = getPaymentProvider(invoice.provider);
+  if (!provider) {
+    return { success: false, status: 503, error: "The invoice's payment provider is not configured" };
+  }
+  const refund = await provider.refund({ paymentId: invoice.providerPaymentId, amount: refundAmount });
+  // Pending refunds are applied when the provider's webhook arrives
+  if (refund.status === "succeeded") {
+    await applyRefund(invoice, invoice.refundedAmount + refundAmount);
+  }
+  return { success: true, invoice, pending: refund.status !== "succeeded" };
+}
+
+// A checkout replaced by a new price was paid anyway: the invoice stays on the new
+// checkout and this payment is given back in full
+async function applySupersededPaymentEvent(invoice, superseded, event) {
+  if (event.type === "payment.refunded") {
+    if (!superseded.refundedAt) {
+      superseded.refundedAt = new Date();
+      await invoice.save();
+    }
+    return;
+  }
+  if (event.type !== "payment.succeeded" || superseded.refundedAt) return;
+
+  const provider = getPaymentProvider(superseded.provider);
+  if (!provider) throw new Error(`Payment provider "${superseded.provider}" is not configured`);
+  const amount = Number(event.amount) || superseded.amount;
+  const refund = await provider.refund({ paymentId: superseded.paymentId, amount });
+  // Pending refunds are marked when their payment.refunded webhook arrives
+  if (refund.status === "succeeded") {
+    superseded.refundedAt = new Date();
+    await invoice.save();
+  }
+  await notify(invoice.patientId, "payment_refunded", {
+    actorId: invoice.expertId,
+    itemId: invoice.meetingRequestId,
+    data: {
+      requestId: invoice.meetingRequestId.toString(),
+      invoiceId: invoice._id.toString(),
+      amountLabel: formatAmount(amount, invoice.currency),
+      full: true,
+      superseded: true,
+    },
+  });
+}
+
+/**
+ * Apply a verified provider event to its invoice. Events already applied are ignored.
+ * payment.refunded carries the total refunded so far, so repeats and out-of-order
+ * deliveries can't refund twice. Payments on a superseded checkout are refunded.
+ * @param {string} providerName
+ * @param {Object} event - Normalized event from provider.parseWebhook
+ * @returns {Promise<Object>} - { applied, reason }
+ */
+export async function applyPaymentEvent(providerName, event) {
+  if (!PAYMENT_EVENT_TYPES.includes(event.type)) return { applied: false, reason: "ignored event type" };
+
+  const invoice = await Invoice.findOne({
+    $or: [
+      { provider: providerName, providerPaymentId: event.paymentId },
+      { supersededPayments: { $elemMatch: { provider: providerName, paymentId: event.paymentId } } },
+    ],
+  });
+  if (!invoice) return { applied: false, reason: "unknown payment" };
+  if (invoice.processedEventIds.includes(event.id)) return { applied: false, reason: "duplicate" };
+
+  const claimed = await Invoice.updateOne(
+    { _id: invoice._id, processedEventIds: { $ne: event.id } },
+    { $push: { processedEventIds: { $each: [event.id], $slice: -100 } } },
+  );
+  if (claimed.modifiedCount === 0) return { applied: false, reason: "duplicate" };
+
+  try {
+    await applyClaimedEvent(invoice, providerName, event);
+  } catch (error) {
+    // Release the event so the provider's retry of this delivery is applied again
+    await Invoice.updateOne({ _id: invoice._id }, { $pull: { processedEventIds: event.id } });
+    throw error;
+  }
+  return { applied: true };
+}
+
+// Every step is safe to repeat: a failed event is retried from the start
+async function applyClaimedEvent(invoice, providerName, event) {
+  const superseded = invoice.supersededPayments.find(
+    (payment) => payment.provider === providerName && payment.paymentId === event.paymentId,
+  );
+  if (superseded && !(invoice.provider === providerName && invoice.providerPaymentId === event.paymentId)) {
+    await applySupersededPaymentEvent(invoice, superseded, event);
+    return;
+  }
+
+  if (event.type === "payment.succeeded") {
+    if (invoice.status === "refunded") return;
+    if (invoice.status === "open" || invoice.status === "void") {
+      // Paid after the quote expired or the meeting was called off: the money goes back,
+      // and the debt is recorded before the provider is asked for it
+      const refundDue = invoice.status === "void";
+      invoice.set({ status: "paid", paidAt: new Date(), lastPaymentError: null, refundDue });
+      await invoice.save();
+    }
+    if (invoice.refundDue) {
+      await refundLatePayment(invoice);
+    } else {
+      await confirmPaidMeeting(invoice);
+    }
+  } else if (event.type === "payment.failed") {
+    invoice.set({ lastPaymentError: event.error || "Payment failed" });
+    await invoice.save();
+  } else if (event.type === "payment.refunded") {
+    await applyRefund(invoice, Number(event.amount) || 0);
+  }
+}
+
+async function refundLatePayment(invoice) {
+  // Cleared in the same save that records the refund
+  invoice.refundDue = false;
+  const result = await refundInvoice(invoice);
+  if (!result.success) throw new Error(`Refund of late payment failed: ${result.error}`);
+  // A pending refund saves nothing until its webhook arrives
+  if (invoice.isModified("refundDue")) await invoice.save();
+}
+
+/**
+ * Verify and apply a webhook delivery
+ * @returns {Promise<Object>} - { success, applied } or { success: false, status, error }
+ */
+export async function handlePaymentWebhook(providerName, rawBody, headers) {
+  const provider = getPaymentProvider(providerName);
+  if (!provider || provider.name !== providerName) {
+    return { success: false, status: 404, error: "Unknown payment provider" };
+  }
+  let event;
+  try {
+    event = provider.parseWebhook(rawBody, headers);
+  } catch (error) {
+    return { success: false, status: 400, error: error.message };
+  }
+  const result = await applyPaymentEvent(providerName, event);
+  return { success: true, ...result };
+}
+
+/**
+ * Settle billing when a meeting is rejected or cancelled: an open quote is voided; a paid
+ * one is refunded if the expert called it off or the patient cancelled in time
+ * @param {Object} meeting - MeetingRequest (before or after the status change)
+ * @param {Object} options - { byExpert }
+ * @returns {Promise<Object|null>} - { voided } / { refunded } / { kept }, or null without an invoice
+ */
+export async function settleCancelledMeeting(meeting, { byExpert }) {
+  const invoice = await Invoice.findOne({
+    meetingRequestId: meeting._id,
+    status: { $in: ["open", "paid"] },
+  });
+  if (!invoice) return null;
+
+  if (invoice.status === "open") {
+    invoice.status = "void";
+    await invoice.save();
+    return { voided: true };
+  }
+
+  const hoursBefore = meeting.meetingDate ? (new Date(meeting.meetingDate) - Date.now()) / HOUR_MS : Infinity;
+  if (byExpert || hoursBefore >= REFUND_CUTOFF_HOURS) {
+    const result = await refundInvoice(invoice);
+    return { refunded: result.success };
+  }
+  return { kept: true };
+}
+
+/**
+ * Void quotes that weren't paid in time and release their meetings' slots
+ * @returns {Promise<number>} - Quotes expired
+ */
+export async function expireUnpaidQuotes(now = new Date()) {
+  const expired = await Invoice.find({ status: "open", expiresAt: { $lte: now } }).limit(200);
+  for (const invoice of expired) {
+    const voided = await Invoice.updateOne({ _id: invoice._id, status: "open" }, { $set: { status: "void" } });
+    if (voided.modifiedCount === 0) continue;
+
+    const meeting = await MeetingRequest.findOneAndUpdate(
+      { _id: invoice.meetingRequestId, status: "awaiting_payment" },
+      {
+        $set: { status: "cancelled", cancellationReason: "Payment not received in time" },
+        $unset: SLOT_HOLD_UNSET,
+        $inc: { calendarSequence: 1 },
+      },
+      { new: true },
+    );
+    if (!meeting) continue;
+    for (const userId of [meeting.patientId, meeting.expertId]) {
+      await notify(userId, "meeting_quote_expired", {
+        itemId: meeting._id,
+        data: { requestId: meeting._id.toString(), invoiceId: invoice._id.toString() },
+      });
+    }
+  }
+  return expired.length;
+}
+
+/**
+ * Expire unpaid quotes every 15 minutes
+ */
+export function startBillingSchedule() {
+  const run = () =>
+    expireUnpaidQuotes()
+      .then((count) => {
+        if (count > 0) console.log(`[Billing] Expired ${count} unpaid quote(s)`);
+      })
+      .catch((error) => console.error("[Billing] Quote expiry failed:", error));
+  setInterval(run, EXPIRY_CHECK_INTERVAL_MS);
+}
@@ -0,0 +1,85 @@
+import { Block } from "../models/Block.js";
+import { User } from "../models/User.js";
+import { Follow } from "../models/Follow.js";
+import { ConnectionRequest } from "../models/ConnectionRequest.js";
+import { MessageRequest } from "../models/MessageRequest.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+
+// Same wording whichever side blocked, so the blocked user can't tell they were blocked
+export const BLOCKED_ERROR = "You can't interact with this user";
+
+/**
+ * Whether either user has blocked the other
+ * @param {string} userA - User id
+ * @param {string} userB - User id
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedBetween(userA, userB) {
+  if (!userA || !userB) return false;
+  return !!(await Block.exists({
+    $or: [
+      { blockerId: userA, blockedId: userB },
+      { blockerId: userB, blockedId: userA },
+    ],
+  }));
+}
+
+/**
+ * Users that userId blocked or was blocked by
+ * @returns {Promise<Array<string>>} - User ids
+ */
+export async function getBlockedUserIds(userId) {
+  const blocks = await Block.find({ $or: [{ blockerId: userId }, { blockedId: userId }] })
+    .select("blockerId blockedId")
+    .lean();
+  const self = userId.toString();
+  return [
+    ...new Set(
+      blocks.map((b) => (b.blockerId.toString() === self ? b.blockedId : b.blockerId).toString()),
+    ),
+  ];
+}
+
+/**
+ * Block a user: also drops follows both ways and pending requests between the pair
+ * @param {string} blockerId - Signed-in user
+ * @param {string} blockedId - User being blocked
+ * @returns {Promise<Object>} - { success, block } or { success: false, status, error }
+ */
+export async function blockUser(blockerId, blockedId) {
+  if (blockerId.toString() === blockedId.toString()) {
+    return { success: false, status: 400, error: "Cannot block yourself" };
+  }
+  if (!(await User.exists({ _id: blockedId }))) {
+    return { success: false, status: 404, error: "User not found" };
+  }
+
+  const block = await Block.findOneAndUpdate(
+    { blockerId, blockedId },
+    { $setOnInsert: { blockerId, blockedId } },
+    { upsert: true, new: true },
+  );
+
+  const between = (a, b) => ({
+    $or: [
+      { [a]: blockerId, [b]: blockedId },
+      { [a]: blockedId, [b]: blockerId },
+    ],
+  });
+  await Promise.all([
+    Follow.deleteMany(between("followerId", "followingId")),
+    ConnectionRequest.deleteMany({ ...between("requesterId", "receiverId"), status: "pending" }),
+    MessageRequest.deleteMany({ ...between("requesterId", "expertId"), status: "pending" }),
+    MeetingRequest.updateMany(
+      { ...between("patientId", "expertId"), status: "pending" },
+      { $set: { status: "cancelled", respondedAt: new Date() } },
+    ),
+  ]);
+
+  return { success: true, block };
+}
+
+export async function unblockUser(blockerId, blockedId) {
+  const result = await Block.deleteOne({ blockerId, blockedId });
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,247 @@
+// Shared cache for API results and computed responses. Each user of it gets a namespace
+// with its own TTL and size bound; entries live in a pluggable store: an in-process LRU by
+// default, or Redis (services/redisCacheStore.js) so every instance shares one cache.
+// Cached values must be JSON-serializable to be shared through Redis (Dates come back as strings).
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value
+ * @property {number} expiresAt - ms epoch; fresh until then
+ * @property {number} staleUntil - ms epoch; may be served stale (while refreshing) until then
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {string} name
+ * @property {(namespace: string, key: string) => Promise<CacheEntry|undefined>} get
+ * @property {(namespace: string, key: string, entry: CacheEntry, options: { maxEntries: number }) => Promise<void>} set
+ * @property {(namespace: string, key: string) => Promise<void>} delete
+ * @property {(namespace?: string) => Promise<number>} clear - Entries removed (all namespaces when omitted)
+ * @property {(namespace: string) => Promise<number|null>} size - null when the store can't tell cheaply
+ */
+
+/**
+ * In-process store: one LRU map per namespace, bounded by the namespace's maxEntries
+ * @returns {CacheStore}
+ */
+export function createMemoryStore() {
+  const namespaces = new Map();
+  const entriesOf = (namespace) => {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  };
+
+  return {
+    name: "memory",
+    async get(namespace, key) {
+      const entries = entriesOf(namespace);
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() > entry.staleUntil) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Most recently used goes to the back
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(namespace, key, entry, { maxEntries }) {
+      const entries = entriesOf(namespace);
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(namespace, key) {
+      entriesOf(namespace).delete(key);
+    },
+    async clear(namespace) {
+      if (namespace) {
+        const removed = entriesOf(namespace).size;
+        namespaces.delete(namespace);
+        return removed;
+      }
+      let removed = 0;
+      namespaces.forEach((entries) => (removed += entries.size));
+      namespaces.clear();
+      return removed;
+    },
+    async size(namespace) {
+      return entriesOf(namespace).size;
+    },
+  };
+}
+
+let store = createMemoryStore();
+const namespaces = new Map(); // namespace -> { options, metrics }
+const refreshing = new Map(); // `${namespace}:${key}` -> Promise (one load per key at a time)
+
+/**
+ * Swap the backing store (at startup, before traffic). Existing entries are not copied.
+ * @param {CacheStore} nextStore
+ */
+export function setCacheStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * Use Redis when REDIS_URL is set (CACHE_STORE=memory forces the in-process store).
+ * Falls back to memory if Redis can't be set up.
+ */
+export async function initCacheStore() {
+  if (!process.env.REDIS_URL || process.env.CACHE_STORE === "memory") return;
+  try {
+    const { connectRedisStore } = await import("./redisCacheStore.js");
+    setCacheStore(await connectRedisStore(process.env.REDIS_URL));
+    console.log("[Cache] Using Redis");
+  } catch (error) {
+    console.error("[Cache] Redis unavailable, using in-memory cache:", error.message);
+  }
+}
+
+function newMetrics() {
+  return { hits: 0, staleHits: 0, misses: 0, sets: 0, errors: 0 };
+}
+
+/**
+ * Create (or get) a cache namespace
+ * @param {string} namespace - e.g. "pubmed"; keys are scoped to it
+ * @param {Object} options - { ttlMs, staleTtlMs: extra time an expired entry may be served
+ *   by wrap() while it refreshes, maxEntries: LRU bound for the in-memory store }
+ * @returns {Object} - { get, set, delete, wrap, clear }
+ */
+export function createCache(namespace, { ttlMs = 5 * 60 * 1000, staleTtlMs = 0, maxEntries = 500 } = {}) {
+  if (!namespaces.has(namespace)) {
+    namespaces.set(namespace, { options: { ttlMs, staleTtlMs, maxEntries }, metrics: newMetrics() });
+  }
+  const { options, metrics } = namespaces.get(namespace);
+
+  // Store failures (e.g. Redis down) count as misses rather than failing the caller
+  async function read(key) {
+    try {
+      return await store.get(namespace, String(key));
+    } catch (error) {
+      metrics.errors++;
+      console.error(`[Cache] ${namespace} read failed:`, error.message);
+      return undefined;
+    }
+  }
+
+  async function set(key, value, { ttlMs: entryTtlMs = options.ttlMs } = {}) {
+    const now = Date.now();
+    const entry = { value, expiresAt: now + entryTtlMs, staleUntil: now + entryTtlMs + options.staleTtlMs };
+    try {
+      await store.set(namespace, String(key), entry, { maxEntries: options.maxEntries });
+      metrics.sets++;
+    } catch (error) {
+      metrics.errors++;
+      console.error(`[Cache] ${namespace} write failed:`, error.message);
+    }
+  }
+
+  function load(key, loader, setOptions) {
+    const id = `${namespace}:${key}`;
+    if (!refreshing.has(id)) {
+      const pending = Promise.resolve()
+        .then(loader)
+        .then(async (value) => {
+          // null/undefined means "nothing to cache" (e.g. the upstream call failed)
+          if (value !== undefined && value !== null) await set(key, value, setOptions);
+          return value;
+        })
+        .finally(() => refreshing.delete(id));
+      refreshing.set(id, pending);
+    }
+    return refreshing.get(id);
+  }
+
+  return {
+    /**
+     * Fresh cached value, or null
+     */
+    async get(key) {
+      const entry = await read(key);
+      if (entry && Date.now() <= entry.expiresAt) {
+        metrics.hits++;
+        return entry.value;
+      }
+      metrics.misses++;
+      return null;
+    },
+
+    set,
+
+    async delete(key) {
+      try {
+        await store.delete(namespace, String(key));
+      } catch (error) {
+        metrics.errors++;
+        console.error(`[Cache] ${namespace} delete failed:`, error.message);
+      }
+    },
+
+    /**
+     * Cached value, or the loader's result (cached). A stale entry is returned at once
+     * while the loader refreshes it in the background; concurrent misses share one load.
+     * @param {string} key
+     * @param {Function} loader - async () => value
+     * @param {Object} setOptions - { ttlMs } for this entry
+     */
+    async wrap(key, loader, setOptions) {
+      const entry = await read(key);
+      const now = Date.now();
+      if (entry && now <= entry.expiresAt) {
+        metrics.hits++;
+        return entry.value;
+      }
+      if (entry && now <= entry.staleUntil) {
+        metrics.staleHits++;
+        load(key, loader, setOptions).catch((error) =>
+          console.error(`[Cache] ${namespace} background refresh failed:`, error.message),
+        );
+        return entry.value;
+      }
+      metrics.misses++;
+      return load(key, loader, setOptions);
+    },
+
+    clear() {
+      return purgeCache(namespace);
+    },
+  };
+}
+
+/**
+ * Remove cached entries
+ * @param {string} [namespace] - Only this namespace (all when omitted)
+ * @returns {Promise<number>} - Entries removed
+ */
+export async function purgeCache(namespace) {
+  return store.clear(namespace);
+}
+
+export function getCacheNamespaces() {
+  return [...namespaces.keys()];
+}
+
+/**
+ * Hit/miss counts (since this process started) and entry counts per namespace
+ * @returns {Promise<Object>} - { store, namespaces: { [namespace]: { ...metrics, hitRate, entries, ttlMs, maxEntries } } }
+ */
+export async function getCacheMetrics() {
+  const result = {};
+  for (const [namespace, { options, metrics }] of namespaces) {
+    const lookups = metrics.hits + metrics.staleHits + metrics.misses;
+    result[namespace] = {
+      ...metrics,
+      hitRate: lookups ? Math.round(((metrics.hits + metrics.staleHits) / lookups) * 1000) / 1000 : null,
+      entries: await store.size(namespace).catch(() => null),
+      ttlMs: options.ttlMs,
+      staleTtlMs: options.staleTtlMs,
+      maxEntries: options.maxEntries,
+    };
+  }
+  return { store: store.name, namespaces: result };
+}
@@ -0,0 +1,139 @@
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { createSignedToken, verifySignedToken } from "../utils/signedToken.js";
+import { meetingEnd, ACTIVE_MEETING_STATUSES } from "./scheduling.service.js";
+
+// iCalendar (RFC 5545) export for meetings: one event per meeting, plus a per-user feed URL
+// calendar apps can subscribe to
+const PRODUCT_ID = "-//Collabiora//Meetings//EN";
+const FEED_CANCELLED_DAYS = 30;
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf-8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf-8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const EVENT_STATUS = {
+  accepted: "CONFIRMED",
+  pending: "TENTATIVE",
+  awaiting_payment: "TENTATIVE",
+  completed: "CONFIRMED",
+  rejected: "CANCELLED",
+  cancelled: "CANCELLED",
+};
+
+function usernameOf(user, fallback) {
+  return user?.username || fallback;
+}
+
+function meetingEvent(meeting) {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const patient = usernameOf(meeting.patientId, "Patient");
+  const expert = usernameOf(meeting.expertId, "Expert");
+  const description = [meeting.message, meeting.patientQuestions && `Questions: ${meeting.patientQuestions}`]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${meeting._id}@collabiora`,
+    `DTSTAMP:${formatUtc(meeting.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(meeting.meetingDate)}`,
+    `DTEND:${formatUtc(meetingEnd(meeting))}`,
+    `SEQUENCE:${meeting.calendarSequence || 0}`,
+    `STATUS:${EVENT_STATUS[meeting.status] || "TENTATIVE"}`,
+    `SUMMARY:${escapeText(`Collabiora meeting: ${patient} & ${expert}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${frontendUrl}`,
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Build an iCalendar document. Meetings need meetingDate; patientId/expertId may be
+ * populated with username for a readable summary.
+ * @param {Array} meetings - MeetingRequest objects
+ * @param {Object} options - { name } calendar name shown by subscribing apps
+ * @returns {string}
+ */
+export function buildCalendar(meetings, { name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const meeting of meetings) {
+    if (meeting.meetingDate) lines.push(...meetingEvent(meeting));
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export function calendarFeedUrlFor(userId) {
+  const apiUrl = process.env.API_URL || "http://localhost:5000";
+  const token = createSignedToken("calendar-feed", userId.toString());
+  return `${apiUrl}/api/meeting-requests/calendar/feed.ics?token=${token}`;
+}
+
+/**
+ * Calendar for the user the feed token belongs to: scheduled and past meetings, plus recent
+ * cancellations so subscribed calendars drop them
+ * @returns {Promise<string|null>} - null when the token is invalid
+ */
+export async function buildCalendarFeed(token) {
+  const userId = verifySignedToken("calendar-feed", token);
+  if (!userId) return null;
+
+  const meetings = await MeetingRequest.find({
+    $or: [{ patientId: userId }, { expertId: userId }],
+    meetingDate: { $ne: null },
+    $and: [
+      {
+        $or: [
+          { status: { $in: [...ACTIVE_MEETING_STATUSES, "completed"] } },
+          {
+            status: { $in: ["rejected", "cancelled"] },
+            updatedAt: { $gt: new Date(Date.now() - FEED_CANCELLED_DAYS * 24 * 60 * 60 * 1000) },
+          },
+        ],
+      },
+    ],
+  })
+    .populate("patientId", "username")
+    .populate("expertId", "username")
+    .sort({ meetingDate: 1 })
+    .lean();
+
+  return buildCalendar(meetings, { name: "Collabiora meetings" });
+}
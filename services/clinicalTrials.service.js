@@ -7,23 +7,22 @@ import {
   mapToMeSHTerminology,
 } from "./medicalTerminology.service.js";
 import { searchPubMed } from "./pubmed.service.js";
+import { createCache } from "./cache.service.js";
+import { parseAgeYears } from "./eligibility.service.js";
+import { calculateDistance, geocodeLocation } from "../utils/geography.js";
 
-const cache = new Map();
 const TTL_MS = 1000 * 60 * 5; // 5 minutes
-
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + TTL_MS });
-}
-
-function getCache(key) {
-  const item = cache.get(key);
-  if (!item) return null;
-  if (Date.now() > item.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return item.value;
-}
+const cache = createCache("clinical-trials", { ttlMs: TTL_MS });
+
+// Geocodes precise enough to measure distance with (a state or country centroid is not)
+const DISTANCE_PRECISIONS = new Set(["exact", "postal", "city"]);
+// Site statuses that can still take patients, used when no site is marked RECRUITING
+const OPEN_SITE_STATUSES = new Set([
+  "RECRUITING",
+  "NOT_YET_RECRUITING",
+  "ENROLLING_BY_INVITATION",
+  "AVAILABLE",
+]);
 
 /**
  * Layer 2: Actionability Filter - Hard Constraints
@@ -57,12 +56,9 @@ function filterTrialsByEligibility(trials, filters) {
       const minAge = eligibility.minimumAge;
       const maxAge = eligibility.maximumAge;
 
-      // Parse age strings (e.g., "18 Years" -> 18)
-      const parseAge = (ageStr) => {
-        if (!ageStr || ageStr === "Not specified") return null;
-        const match = ageStr.match(/(\d+)/);
-        return match ? parseInt(match[1]) : null;
-      };
+      // Age strings in years (e.g., "18 Years" -> 18, "6 Months" -> 0.5)
+      const parseAge = (ageStr) =>
+        !ageStr || ageStr === "Not specified" ? null : parseAgeYears(ageStr);
 
       const trialMinAge = parseAge(minAge);
       const trialMaxAge = parseAge(maxAge);
@@ -90,26 +86,14 @@ function filterTrialsByEligibility(trials, filters) {
       }
     }
 
-    // Filter by geographic radius (Layer 2)
-    // Note: This is a simplified check - in production, you'd use geocoding
-    // For now, we'll check if location strings match (city/state level)
-    if (filters.radiusMiles && filters.userLocation && trial.location) {
-      // Simplified: if user location is provided, check if trial location contains it
-      // In production, use actual geocoding and distance calculation
-      const userLocStr =
-        typeof filters.userLocation === "string"
-          ? filters.userLocation.toLowerCase()
-          : `${filters.userLocation.city || ""} ${
-              filters.userLocation.state || ""
-            }`.toLowerCase();
-      const trialLocStr = trial.location.toLowerCase();
-
-      // If locations don't match at all, exclude (simplified check)
-      // In production, calculate actual distance using coordinates
-      if (userLocStr && !trialLocStr.includes(userLocStr.split(",")[0])) {
-        // Don't filter out if we can't determine - this is a fallback
-        // In production, you'd have coordinates and calculate actual distance
-      }
+    // Filter by geographic radius (Layer 2): distance to the nearest recruiting site,
+    // set by withSiteDistances. Trials whose sites can't be placed are kept.
+    if (
+      filters.radiusMiles &&
+      trial.distanceMiles != null &&
+      trial.distanceMiles > filters.radiusMiles
+    ) {
+      return false;
     }
 
     return true;
@@ -137,6 +121,83 @@ function filterByRecruitmentStatus(trials, statusFilter) {
   return trials;
 }
 
+/**
+ * Trial site from a ClinicalTrials.gov location, with coordinates from the API's
+ * geoPoint or, failing that, the offline gazetteer
+ */
+export function buildTrialSite(loc) {
+  const geocoded = geocodeLocation(
+    loc.geoPoint || {
+      city: loc.city,
+      state: loc.state,
+      country: loc.country,
+      postalCode: loc.zip,
+    },
+  );
+  const located = geocoded && DISTANCE_PRECISIONS.has(geocoded.precision);
+  return {
+    facility: loc.facility || "",
+    city: loc.city || "",
+    state: loc.state || "",
+    country: loc.country || "",
+    zip: loc.zip || "",
+    status: loc.status || null,
+    lat: located ? geocoded.lat : null,
+    lon: located ? geocoded.lon : null,
+  };
+}
+
+/**
+ * Patient location -> { lat, lon, precision, label }, or null when it is only known
+ * to the state or country
+ */
+export function geocodeOrigin(location) {
+  const geocoded = geocodeLocation(location);
+  return geocoded && DISTANCE_PRECISIONS.has(geocoded.precision)
+    ? geocoded
+    : null;
+}
+
+function compareDistance(a, b) {
+  if (a.distanceMiles == null) return b.distanceMiles == null ? 0 : 1;
+  if (b.distanceMiles == null) return -1;
+  return a.distanceMiles - b.distanceMiles;
+}
+
+/**
+ * Distance from the patient to every site (nearest first), the nearest recruiting
+ * site and its distance. Falls back to open sites when none is marked RECRUITING.
+ */
+export function withSiteDistances(trial, origin) {
+  if (!origin) return trial;
+
+  const sites = (trial.sites || [])
+    .map((site) => ({
+      ...site,
+      distanceMiles:
+        site.lat == null
+          ? null
+          : Math.round(
+              calculateDistance(origin.lat, origin.lon, site.lat, site.lon) * 10,
+            ) / 10,
+    }))
+    .sort(compareDistance);
+
+  const located = sites.filter((site) => site.distanceMiles != null);
+  const recruiting = located.filter((site) => site.status === "RECRUITING");
+  const candidates = recruiting.length
+    ? recruiting
+    : located.filter((site) => !site.status || OPEN_SITE_STATUSES.has(site.status));
+  const nearestSite = candidates[0] || null;
+
+  return {
+    ...trial,
+    sites,
+    nearestSite,
+    distanceMiles: nearestSite ? nearestSite.distanceMiles : null,
+  };
+}
+
 /**
  * Apply query relevance scoring and filter (all-terms match).
  * Used in both cold path and cache branch so totalCount stays consistent.
@@ -336,8 +397,9 @@ export async function searchClinicalTrials({
   eligibilityAgeMax,
   page = 1,
   pageSize = 9,
-  radiusMiles, // Layer 2: Geographic radius
-  userLocation, // Layer 2: User's location for radius calculation
+  radiusMiles, // Layer 2: Geographic radius (miles to the nearest recruiting site)
+  userLocation, // Layer 2: User's location for site distances and the radius filter
+  sortByDistance = false, // When true (and the location can be placed), nearest trials first
   biomarkers = [], // Layer 3: User's biomarkers (e.g., ["IDH1", "BRCA"])
   keyword, // Layer 3: Additional keyword for biomarker matching
   sortByDate = false, // When true, sort by lastUpdatePostDate (newest first)
@@ -372,21 +434,30 @@ export async function searchClinicalTrials({
   if (location) {
     if (typeof location === "object" && location.country) {
       countryOnly = location.country;
-      userLocationObj = location;
     } else if (typeof location === "string") {
       const locationParts = location.trim().split(/\s+/);
       countryOnly = locationParts[locationParts.length - 1];
-      userLocationObj = { city: locationParts[0], country: countryOnly };
     }
   }
 
   if (userLocation) {
-    userLocationObj =
-      typeof userLocation === "string"
-        ? JSON.parse(userLocation)
-        : userLocation;
+    userLocationObj = userLocation;
+    if (typeof userLocation === "string") {
+      // JSON location fields or free text ("Boston, MA", "02115")
+      try {
+        userLocationObj = JSON.parse(userLocation);
+      } catch {
+        userLocationObj = userLocation;
+      }
+    }
   }
 
+  // Layer 2: where distances are measured from
+  const origin = geocodeOrigin(userLocationObj || location);
+  const originInfo = origin
+    ? { label: origin.label, precision: origin.precision }
+    : null;
+
   // Layer 2: Default status filter - only RECRUITING or NOT_YET_RECRUITING
   const effectiveStatus = status || "RECRUITING,NOT_YET_RECRUITING";
 
@@ -398,16 +469,17 @@ export async function searchClinicalTrials({
   }:${radiusMiles || ""}:${
     biomarkers && biomarkers.length > 0 ? biomarkers.join(",") : ""
   }:${sortByDate}:${recentMonths || ""}`;
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) {
     // Apply all filters
-    let filtered = filterByRecruitmentStatus(cached, effectiveStatus);
+    let filtered = filterByRecruitmentStatus(cached, effectiveStatus).map(
+      (trial) => withSiteDistances(trial, origin),
+    );
     filtered = filterTrialsByEligibility(filtered, {
       eligibilitySex,
       eligibilityAgeMin,
       eligibilityAgeMax,
       radiusMiles,
-      userLocation: userLocationObj,
     });
 
     // Filter by phase if specified
@@ -443,6 +515,9 @@ export async function searchClinicalTrials({
         return bDate - aDate;
       });
     }
+    if (sortByDistance && origin) {
+      filtered.sort(compareDistance);
+    }
 
     // Apply pagination
     const totalCount = filtered.length;
@@ -455,6 +530,7 @@ export async function searchClinicalTrials({
       items: paginatedItems,
       totalCount,
       hasMore,
+      origin: originInfo,
     };
   }
 
@@ -516,7 +592,10 @@ export async function searchClinicalTrials({
         const eligibilityModule = protocolSection.eligibilityModule || {};
         const designModule = protocolSection.designModule || {};
         const descriptionModule = protocolSection.descriptionModule || {};
-        const contactsLocationsModule = s.contactsLocationsModule || {};
+        const contactsLocationsModule =
+          protocolSection.contactsLocationsModule ||
+          s.contactsLocationsModule ||
+          {};
         const sponsorCollaboratorsModule =
           protocolSection.sponsorCollaboratorsModule || {};
 
@@ -526,6 +605,7 @@ export async function searchClinicalTrials({
             const parts = [loc.city, loc.state, loc.country].filter(Boolean);
             return parts.join(", ");
           }) || [];
+        const sites = contactsLocationsModule.locations?.map(buildTrialSite) || [];
 
         // Extract eligibility criteria comprehensively
         const eligibility = {
@@ -614,6 +694,7 @@ export async function searchClinicalTrials({
           conditions,
           location: locations.join("; ") || "Not specified",
           locations, // Detailed locations array
+          sites, // Layer 2: locations with status and coordinates
           eligibility,
           contacts,
           principalInvestigator: piContact?.name || null, // Layer 5
@@ -632,11 +713,13 @@ export async function searchClinicalTrials({
       }),
     );
 
-    setCache(cacheKey, items);
+    await cache.set(cacheKey, items);
 
     // Layer 2: Apply hard filters
     const beforeStatusFilter = items.length;
-    let filteredItems = filterByRecruitmentStatus(items, effectiveStatus);
+    let filteredItems = filterByRecruitmentStatus(items, effectiveStatus).map(
+      (trial) => withSiteDistances(trial, origin),
+    );
     const afterStatusFilter = filteredItems.length;
 
     const beforeEligibilityFilter = filteredItems.length;
@@ -645,7 +728,6 @@ export async function searchClinicalTrials({
       eligibilityAgeMin,
       eligibilityAgeMax,
       radiusMiles,
-      userLocation: userLocationObj,
     });
     const afterEligibilityFilter = filteredItems.length;
 
@@ -823,6 +905,11 @@ export async function searchClinicalTrials({
     // When sortByDate: prioritize lastUpdatePostDate (newest first)
     const beforeSort = filteredItems.length;
     filteredItems.sort((a, b) => {
+      if (sortByDistance && origin) {
+        const byDistance = compareDistance(a, b);
+        if (byDistance !== 0) return byDistance;
+      }
+
       if (sortByDate) {
         const aDate = a.lastUpdatePostDate
           ? new Date(a.lastUpdatePostDate).getTime()
@@ -874,6 +961,7 @@ export async function searchClinicalTrials({
       items: paginatedItems,
       totalCount,
       hasMore,
+      origin: originInfo,
     };
   } catch (e) {
     console.error("ClinicalTrials.gov API error:", e.message);
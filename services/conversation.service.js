@@ -0,0 +1,343 @@
+import mongoose from "mongoose";
+import { Conversation } from "../models/Conversation.js";
+import { Message } from "../models/Message.js";
+import { User } from "../models/User.js";
+import { ConnectionRequest } from "../models/ConnectionRequest.js";
+import { MessageRequest } from "../models/MessageRequest.js";
+import { uploadPrivateFile } from "./upload.service.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "./block.service.js";
+import { publish, setTyping } from "./realtime.service.js";
+import { notify } from "./notification.service.js";
+
+const toObjectId = (id) =>
+  id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Find the conversation between two users, creating it on first contact
+ * @param {string} userA - User id
+ * @param {string} userB - User id
+ * @returns {Promise<Object>} - Conversation document
+ */
+export async function getOrCreateConversation(userA, userB) {
+  const participants = [toObjectId(userA), toObjectId(userB)];
+  const participantKey = Conversation.keyFor(participants);
+  try {
+    return await Conversation.findOneAndUpdate(
+      { participantKey },
+      {
+        $setOnInsert: {
+          participants,
+          participantKey,
+          participantState: participants.map((userId) => ({ userId })),
+        },
+      },
+      { upsert: true, new: true },
+    );
+  } catch (error) {
+    // Two first messages raced on the unique key: the other one created it
+    if (error.code === 11000) return Conversation.findOne({ participantKey });
+    throw error;
+  }
+}
+
+/**
+ * Point the conversation at a newly sent message: bump unread for everyone but the
+ * sender and bring it back out of the archive for them
+ * @param {Object} conversation - Conversation document
+ * @param {Object} message - Message document
+ */
+export async function recordMessage(conversation, message) {
+  const senderId = message.senderId.toString();
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessageId: message._id,
+        lastMessageAt: message.createdAt,
+        "participantState.$[other].archived": false,
+        "participantState.$[sender].lastReadAt": message.createdAt,
+      },
+      $inc: { "participantState.$[other].unreadCount": 1 },
+    },
+    {
+      arrayFilters: [
+        { "other.userId": { $ne: toObjectId(senderId) } },
+        { "sender.userId": toObjectId(senderId) },
+      ],
+    },
+  );
+}
+
+/**
+ * Roles of both users as stored on their accounts (request bodies are not trusted for gating)
+ * @returns {Promise<Object|null>} - { senderRole, receiverRole } or null when either user is missing
+ */
+export async function getMessagingRoles(senderId, receiverId) {
+  const users = await User.find({ _id: { $in: [senderId, receiverId] } })
+    .select("role")
+    .lean();
+  const roleOf = (id) => users.find((u) => u._id.toString() === id.toString())?.role;
+  const senderRole = roleOf(senderId);
+  const receiverRole = roleOf(receiverId);
+  if (!senderRole || !receiverRole) return null;
+  return { senderRole, receiverRole };
+}
+
+/**
+ * Messaging rules shared by POST /messages and POST /conversations/:conversationId/messages
+ * @returns {Promise<Object|null>} - null when allowed, otherwise { error, messageRequestRequired }.
+ *   messageRequestRequired means the message should be turned into a MessageRequest instead.
+ */
+export async function checkCanMessage({ senderId, receiverId, senderRole, receiverRole }) {
+  if (await isBlockedBetween(senderId, receiverId)) {
+    return { error: BLOCKED_ERROR };
+  }
+
+  if (senderRole === "patient") {
+    // Patients can only message a researcher who accepted their message request
+    if (receiverRole !== "researcher") {
+      return { error: "Patients can only message researchers." };
+    }
+    const accepted = await MessageRequest.exists({
+      requesterId: senderId,
+      expertId: receiverId,
+      status: "accepted",
+    });
+    if (accepted) return null;
+    return {
+      error: "This researcher has not accepted a message request from you yet.",
+      messageRequestRequired: true,
+    };
+  }
+
+  // Researchers can only message other connected researchers
+  if (senderRole === "researcher" && receiverRole === "researcher") {
+    // Check if both users are connected (either direction)
+    const connection = await ConnectionRequest.findOne({
+      $or: [
+        { requesterId: senderId, receiverId, status: "accepted" },
+        { requesterId: receiverId, receiverId: senderId, status: "accepted" },
+      ],
+    });
+
+    if (!connection) {
+      return {
+        error: "You are not connected with this researcher. Please send a connection request first.",
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a message in the pair's conversation, update the conversation, notify the
+ * receiver (unless they muted it or notifyReceiver is false) and push it to both users' open streams.
+ * Callers are responsible for checking that the sender may message the receiver.
+ * @param {Object} params - { senderId, receiverId, senderRole, receiverRole, subject, body, attachments, notifyReceiver }
+ * @returns {Promise<Object>} - { message, conversation }
+ */
+export async function deliverMessage({
+  senderId,
+  receiverId,
+  senderRole,
+  receiverRole,
+  subject = "",
+  body = "",
+  attachments = [],
+  notifyReceiver = true,
+}) {
+  const senderIdObj = toObjectId(senderId);
+  const receiverIdObj = toObjectId(receiverId);
+  const conversation = await getOrCreateConversation(senderIdObj, receiverIdObj);
+
+  const message = await Message.create({
+    senderId: senderIdObj,
+    receiverId: receiverIdObj,
+    senderRole,
+    receiverRole,
+    conversationId: conversation._id,
+    subject,
+    body,
+    attachments,
+  });
+  await recordMessage(conversation, message);
+
+  // Create notification for receiver
+  if (notifyReceiver && !conversation.stateFor(receiverIdObj)?.muted) {
+    await notify(receiverIdObj, "new_message", {
+      actorId: senderIdObj,
+      itemId: message._id,
+      data: { subject, conversationId: conversation._id.toString() },
+    });
+  }
+
+  // Push to the receiver and to the sender's other open tabs/devices
+  publish([receiverIdObj, senderIdObj], "message:new", {
+    message,
+    conversationId: conversation._id,
+  });
+  // Sending a message ends the sender's typing indicator
+  setTyping(senderIdObj.toString(), receiverIdObj.toString(), false);
+
+  return { message, conversation };
+}
+
+/**
+ * Recompute a participant's unread count from the messages themselves
+ * (used after read receipts so the badge never drifts)
+ */
+export async function syncUnreadCount(conversationId, userId) {
+  if (!conversationId) return;
+  const unreadCount = await Message.countDocuments({
+    conversationId,
+    receiverId: userId,
+    read: false,
+  });
+  await Conversation.updateOne(
+    { _id: conversationId, "participantState.userId": userId },
+    { $set: { "participantState.$.unreadCount": unreadCount } },
+  );
+}
+
+/**
+ * Point the conversation's preview at its newest remaining message (null when it has none)
+ */
+async function refreshLastMessage(conversationId) {
+  const [last] = await Message.find({ conversationId })
+    .sort({ createdAt: -1 })
+    .limit(1)
+    .select("_id createdAt")
+    .lean();
+  await Conversation.updateOne(
+    { _id: conversationId },
+    { $set: { lastMessageId: last?._id || null, lastMessageAt: last?.createdAt || null } },
+  );
+}
+
+/**
+ * Permanently remove a message and bring its conversation's preview and the receiver's
+ * unread count back in line
+ * @returns {Promise<boolean>} - Whether the message existed
+ */
+export async function deleteMessage(messageId) {
+  const message = await Message.findOneAndDelete({ _id: messageId })
+    .select("conversationId receiverId")
+    .lean();
+  if (!message) return false;
+  if (message.conversationId) {
+    await refreshLastMessage(message.conversationId);
+    await syncUnreadCount(message.conversationId, message.receiverId);
+  }
+  return true;
+}
+
+/**
+ * Mark every message addressed to userId in the conversation as read
+ * @returns {Promise<Object>} - { messageIds, readAt } of the messages that changed
+ */
+export async function markConversationRead(conversationId, userId) {
+  const readAt = new Date();
+  const unreadQuery = { conversationId, receiverId: userId, read: false };
+  const messageIds = await Message.find(unreadQuery).distinct("_id");
+  if (messageIds.length > 0) {
+    await Message.updateMany(
+      { _id: { $in: messageIds }, read: false },
+      { read: true, readAt },
+    );
+  }
+  await Conversation.updateOne(
+    { _id: conversationId, "participantState.userId": userId },
+    {
+      $set: {
+        "participantState.$.unreadCount": 0,
+        "participantState.$.lastReadAt": readAt,
+      },
+    },
+  );
+  return { messageIds, readAt };
+}
+
+/**
+ * Attach loose messages (sent before conversations existed) to conversations.
+ * Runs lazily per user; a no-op once everything is linked.
+ */
+export async function backfillConversationsForUser(userId) {
+  const userIdObj = toObjectId(userId);
+  const loose = { conversationId: null, $or: [{ senderId: userIdObj }, { receiverId: userIdObj }] };
+  if (!(await Message.exists(loose))) return;
+
+  const otherIds = await Message.aggregate([
+    { $match: loose },
+    {
+      $group: {
+        _id: { $cond: [{ $eq: ["$senderId", userIdObj] }, "$receiverId", "$senderId"] },
+      },
+    },
+  ]);
+
+  for (const { _id: otherId } of otherIds) {
+    const conversation = await getOrCreateConversation(userIdObj, otherId);
+    const pair = {
+      $or: [
+        { senderId: userIdObj, receiverId: otherId },
+        { senderId: otherId, receiverId: userIdObj },
+      ],
+    };
+    await Message.updateMany({ ...pair, conversationId: null }, { $set: { conversationId: conversation._id } });
+
+    await refreshLastMessage(conversation._id);
+    await syncUnreadCount(conversation._id, userIdObj);
+    await syncUnreadCount(conversation._id, otherId);
+  }
+}
+
+/**
+ * Upload multer files for a message to private S3 storage (no public URL; participants
+ * fetch a short-lived link through the conversation's attachment endpoint)
+ * @param {Array} files - req.files from uploadMultiple
+ * @returns {Promise<Array>} - Attachment descriptors for Message.attachments
+ */
+export async function uploadMessageAttachments(files = []) {
+  const attachments = [];
+  for (const file of files) {
+    const isImage = file.mimetype.startsWith("image/");
+    const result = await uploadPrivateFile(
+      file.buffer,
+      isImage ? "messages/images" : "messages/files",
+      file.originalname,
+      file.mimetype,
+    );
+    attachments.push({
+      type: isImage ? "image" : "file",
+      key: result.key,
+      name: file.originalname,
+      size: file.size,
+      mimetype: file.mimetype,
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Conversation summary as seen by one participant
+ */
+export function formatConversation(conversation, userId) {
+  const uid = userId.toString();
+  const state =
+    (conversation.participantState || []).find((s) => s.userId.toString() === uid) || {};
+  // Populated participants are null once the other account is gone
+  const others = (conversation.participants || []).filter(
+    (p) => p && (p._id || p).toString() !== uid,
+  );
+  return {
+    _id: conversation._id,
+    participants: conversation.participants,
+    otherParticipant: others[0] || null,
+    lastMessage: conversation.lastMessageId || null,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: state.unreadCount || 0,
+    muted: !!state.muted,
+    archived: !!state.archived,
+    lastReadAt: state.lastReadAt || null,
+  };
+}
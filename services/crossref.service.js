@@ -4,21 +4,10 @@
  */
 
 import axios from "axios";
+import { createCache } from "./cache.service.js";
 
-const cache = new Map();
 const TTL_MS = 1000 * 60 * 5;
-
-function getCached(key) {
-  const e = cache.get(key);
-  if (!e || Date.now() > e.expires) {
-    if (e) cache.delete(key);
-    return null;
-  }
-  return e.value;
-}
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + TTL_MS });
-}
+const cache = createCache("crossref", { ttlMs: TTL_MS });
 
 /**
  * Search Crossref works. Returns items in common publication shape.
@@ -33,7 +22,7 @@ export async function searchCrossref({
   if (!query) return { items: [], totalCount: 0, page: 1, pageSize: 25, hasMore: false };
 
   const key = `cr:${query}:${page}:${pageSize}:${sort}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   const rows = Math.min(Number(pageSize) || 25, 100);
@@ -89,7 +78,7 @@ export async function searchCrossref({
       pageSize: rows,
       hasMore: offset + items.length < total,
     };
-    setCache(key, result);
+    await cache.set(key, result);
     return result;
   } catch (err) {
     console.warn("Crossref search error:", err?.message);
@@ -105,7 +94,7 @@ export async function getWorkByDoi(doi) {
   if (!clean) return null;
 
   const key = `cr-get:${clean}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -140,7 +129,7 @@ export async function getWorkByDoi(doi) {
       referenceCount: w["reference-count"] ?? null,
       link: w.link,
     };
-    setCache(key, out);
+    await cache.set(key, out);
     return out;
   } catch (err) {
     if (err.response?.status !== 404) console.warn("Crossref get work error:", err?.message);
@@ -2,6 +2,7 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
 import axios from "axios";
 import dotenv from "dotenv";
 import rateLimiter from "../utils/geminiRateLimiter.js";
+import { createCache } from "./cache.service.js";
 
 dotenv.config();
 
@@ -22,37 +23,13 @@ function getGeminiInstance() {
 }
 
 // Cache for OpenAlex and Semantic Scholar results
-const cache = new Map();
 const CACHE_TTL_MS = 1000 * 60 * 60; // 1 hour cache for deterministic data
+const cache = createCache("deterministic-experts", { ttlMs: CACHE_TTL_MS });
 
 function getCacheKey(prefix, ...args) {
   return `${prefix}:${args.join(":")}`.toLowerCase().trim();
 }
 
-function getCache(key) {
-  const item = cache.get(key);
-  if (!item) return null;
-  if (Date.now() > item.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return item.value;
-}
-
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
-
-  // Cleanup old cache entries
-  if (cache.size > 500) {
-    const now = Date.now();
-    for (const [k, v] of cache.entries()) {
-      if (now > v.expires) {
-        cache.delete(k);
-      }
-    }
-  }
-}
-
 /**
  * Pre-baked search constraints for the 30+ most common medical topics.
  * When a query matches one of these (case-insensitive token match), Gemini Step 1
@@ -288,14 +265,14 @@ function findPrebaked(topic) {
  */
 async function generateSearchConstraints(topic, location) {
   const cacheKey = getCacheKey("constraints", topic, location || "global");
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   // Fast path: if the topic matches a pre-baked entry, skip Gemini entirely (~1-3s saved)
   const prebaked = findPrebaked(topic);
   if (prebaked) {
     console.log(`[Constraints] Pre-baked match for "${topic}" — skipping Gemini Step 1`);
-    setCache(cacheKey, prebaked);
+    await cache.set(cacheKey, prebaked);
     return prebaked;
   }
 
@@ -376,7 +353,7 @@ Guidelines:
       throw new Error("Invalid constraints structure");
     }
 
-    setCache(cacheKey, constraints);
+    await cache.set(cacheKey, constraints);
     return constraints;
   } catch (error) {
     console.error("Error generating search constraints:", error);
@@ -404,7 +381,7 @@ async function searchOpenAlexWorks(constraints, location) {
     JSON.stringify(constraints),
     location || "global",
   );
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   // Build OpenAlex query using search instead of concept filters
@@ -464,7 +441,7 @@ async function searchOpenAlexWorks(constraints, location) {
 
     const works = response.data?.results || [];
 
-    setCache(cacheKey, works);
+    await cache.set(cacheKey, works);
     return works;
   } catch (error) {
     const isTimeout =
@@ -857,7 +834,7 @@ async function crossReferenceSemanticScholar(authorCandidates) {
  */
 async function searchSemanticScholarByName(name) {
   const cacheKey = getCacheKey("s2-author", name);
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   try {
@@ -894,7 +871,7 @@ async function searchSemanticScholarByName(name) {
 
     if (!bestMatch || bestMatch.score < 0.5) return null;
 
-    setCache(cacheKey, bestMatch.author);
+    await cache.set(cacheKey, bestMatch.author);
     return bestMatch.author;
   } catch (error) {
     console.error("Error searching Semantic Scholar:", error.message);
@@ -907,7 +884,7 @@ async function searchSemanticScholarByName(name) {
  */
 async function fetchSemanticScholarPapers(authorId) {
   const cacheKey = getCacheKey("s2-papers", authorId);
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   try {
@@ -931,7 +908,7 @@ async function fetchSemanticScholarPapers(authorId) {
     });
 
     const papers = response.data?.data || [];
-    setCache(cacheKey, papers);
+    await cache.set(cacheKey, papers);
     return papers;
   } catch (error) {
     console.error("Error fetching S2 papers:", error.message);
@@ -1494,7 +1471,7 @@ async function fetchOpenAlexAuthorProfiles(authors, limitProfiles = false) {
     batches.map(async (batchIds) => {
       const sortedIds = [...batchIds].sort();
       const cacheKey = getCacheKey("openalex-authors", sortedIds.join(","));
-      const cached = getCache(cacheKey);
+      const cached = await cache.get(cacheKey);
       if (cached) return cached; // Cache hit: free, instant
 
       const filterValue = batchIds.join("|");
@@ -1516,7 +1493,7 @@ async function fetchOpenAlexAuthorProfiles(authors, limitProfiles = false) {
       });
 
       const profiles = response.data?.results || [];
-      setCache(cacheKey, profiles);
+      await cache.set(cacheKey, profiles);
       return profiles;
     }),
   );
@@ -1802,7 +1779,7 @@ export async function findDeterministicExperts(
       limitOpenAlexProfiles ? "limit" : "full",
       useExpertPageScoring ? "expertScore" : "dashboardScore",
     );
-    let rankedAuthors = getCache(pipelineCacheKey);
+    let rankedAuthors = await cache.get(pipelineCacheKey);
 
     if (!rankedAuthors) {
       // Step 1: Generate search constraints (Gemini for keywords only)
@@ -1859,7 +1836,7 @@ export async function findDeterministicExperts(
       console.log(`Ranked ${rankedAuthors.length} authors`);
 
       // Cache the ranked list so page 2, 3, etc. are instant
-      setCache(pipelineCacheKey, rankedAuthors);
+      await cache.set(pipelineCacheKey, rankedAuthors);
     } else {
       console.log(
         `Using cached ranked authors (${rankedAuthors.length} total)`,
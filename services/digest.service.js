@@ -0,0 +1,334 @@
+import { User } from "../models/User.js";
+import { Profile } from "../models/Profile.js";
+import { ReadItem } from "../models/ReadItem.js";
+import { Notification } from "../models/Notification.js";
+import { NotificationPreference } from "../models/NotificationPreference.js";
+import { CommunityMembership } from "../models/CommunityMembership.js";
+import { Community } from "../models/Community.js";
+import { Thread } from "../models/Thread.js";
+import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import { searchPublications } from "./publicationSearch.service.js";
+import { sendDigestEmail } from "./email.service.js";
+import { createSignedToken, verifySignedToken } from "../utils/signedToken.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A little under a full period, so an hourly check never slips a digest by a whole period
+const DUE_AFTER_MS = { daily: DAY_MS - 60 * 60 * 1000, weekly: 7 * DAY_MS - 60 * 60 * 1000 };
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const ITEMS_PER_SECTION = 5;
+// Keys of items already sent (per user) are capped at this many
+const MAX_SENT_ITEM_KEYS = 500;
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DIGEST_BATCH_SIZE = parseInt(process.env.DIGEST_BATCH_SIZE || "200", 10);
+
+/**
+ * Token for the one-click unsubscribe link (no sign-in needed, never expires)
+ */
+export function createUnsubscribeToken(userId) {
+  return createSignedToken("digest-unsubscribe", userId.toString());
+}
+
+/**
+ * @returns {string|null} - User id, or null when the token is invalid
+ */
+export function verifyUnsubscribeToken(token) {
+  return verifySignedToken("digest-unsubscribe", token);
+}
+
+export function unsubscribeUrlFor(userId) {
+  const apiUrl = process.env.API_URL || "http://localhost:5000";
+  return `${apiUrl}/api/notifications/digest/unsubscribe?token=${createUnsubscribeToken(userId)}`;
+}
+
+/**
+ * Turn the digest off for the user the token belongs to
+ * @returns {Promise<boolean>} - false when the token is invalid
+ */
+export async function unsubscribeFromDigest(token) {
+  const userId = verifyUnsubscribeToken(token);
+  if (!userId) return false;
+  await NotificationPreference.findOneAndUpdate(
+    { userId },
+    {
+      $set: { "digest.frequency": "off", "digest.unsubscribedAt": new Date() },
+      $setOnInsert: { userId },
+    },
+    { upsert: true, setDefaultsOnInsert: true },
+  );
+  return true;
+}
+
+// Primary conditions (patients) or interests (researchers), as on the dashboard
+function primaryTopicsFor(profile) {
+  const topics =
+    profile?.role === "patient"
+      ? profile.patient?.conditions || []
+      : profile?.researcher?.interests || profile?.researcher?.specialties || [];
+  const indices =
+    profile?.role === "patient"
+      ? profile.patient?.primaryConditionIndices
+      : profile?.researcher?.primaryInterestIndices;
+  if (Array.isArray(indices) && indices.length >= 1 && indices.length <= 2 && topics.length > 0) {
+    const selected = indices
+      .filter((i) => i >= 0 && i < topics.length)
+      .map((i) => topics[i])
+      .filter(Boolean);
+    if (selected.length > 0) return selected;
+  }
+  return topics.slice(0, 1);
+}
+
+function formatPubmedDate(date) {
+  return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, "0")}/${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Search results are shared by every user with the same topic in one run
+function createSearchCache(since) {
+  const trials = new Map();
+  const publications = new Map();
+  return {
+    trials(topic) {
+      if (!trials.has(topic)) {
+        trials.set(
+          topic,
+          searchClinicalTrials({
+            q: topic,
+            status: "RECRUITING",
+            page: 1,
+            pageSize: 20,
+            sortByDate: true,
+            recentMonths: 1,
+          })
+            .then((result) => result.items || [])
+            .catch((error) => {
+              console.error(`[Digest] Trial search failed for "${topic}":`, error.message);
+              return [];
+            }),
+        );
+      }
+      return trials.get(topic);
+    },
+    publications(topic) {
+      if (!publications.has(topic)) {
+        publications.set(
+          topic,
+          searchPublications({
+            q: topic,
+            mindate: formatPubmedDate(since),
+            sort: "date",
+            page: 1,
+            pageSize: 20,
+            pubmedBatchSize: 20,
+            openalexBatchSize: 20,
+          })
+            .then((result) => result.items || [])
+            .catch((error) => {
+              console.error(`[Digest] Publication search failed for "${topic}":`, error.message);
+              return [];
+            }),
+        );
+      }
+      return publications.get(topic);
+    },
+  };
+}
+
+// New items for the user: not read on the site and not in an earlier digest
+async function pickUnseen(userId, type, items, sentKeys) {
+  const ids = [...new Set(items.map((item) => String(item.id || "")).filter(Boolean))];
+  if (ids.length === 0) return [];
+  const read = new Set(await ReadItem.find({ userId, type, itemId: { $in: ids } }).distinct("itemId"));
+  const picked = [];
+  const seen = new Set();
+  for (const item of items) {
+    const id = String(item.id || "");
+    if (!id || seen.has(id) || read.has(id) || sentKeys.has(`${type}:${id}`)) continue;
+    seen.add(id);
+    picked.push(item);
+    if (picked.length === ITEMS_PER_SECTION) break;
+  }
+  return picked;
+}
+
+async function communityActivity(userId, since) {
+  const communityIds = await CommunityMembership.find({ userId }).distinct("communityId");
+  if (communityIds.length === 0) return [];
+
+  const threads = await Thread.find({
+    communityId: { $in: communityIds },
+    authorUserId: { $ne: userId },
+    createdAt: { $gt: since },
+  })
+    .select("title communityId createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+  if (threads.length === 0) return [];
+
+  const byCommunity = new Map();
+  for (const thread of threads) {
+    const key = thread.communityId.toString();
+    if (!byCommunity.has(key)) byCommunity.set(key, []);
+    byCommunity.get(key).push(thread);
+  }
+  const communities = await Community.find({ _id: { $in: [...byCommunity.keys()] } })
+    .select("name")
+    .lean();
+
+  return communities
+    .map((community) => {
+      const communityThreads = byCommunity.get(community._id.toString());
+      return {
+        name: community.name,
+        newThreads: communityThreads.length,
+        threads: communityThreads.slice(0, 3).map((t) => ({ id: t._id.toString(), title: t.title })),
+      };
+    })
+    .sort((a, b) => b.newThreads - a.newThreads)
+    .slice(0, ITEMS_PER_SECTION);
+}
+
+/**
+ * Collect what's new for one user since their last digest
+ * @param {Object} user - { _id }
+ * @param {Object} options - { frequency, since, sentItemKeys, searches }
+ * @returns {Promise<Object|null>} - Digest, or null when there is nothing new
+ */
+export async function buildDigest(user, { frequency, since, sentItemKeys = [], searches }) {
+  const profile = await Profile.findOne({ userId: user._id }).lean();
+  const topics = primaryTopicsFor(profile);
+  const sentKeys = new Set(sentItemKeys);
+
+  const [trialResults, publicationResults] = await Promise.all([
+    Promise.all(topics.map((topic) => searches.trials(topic))),
+    Promise.all(topics.map((topic) => searches.publications(topic))),
+  ]);
+  const [trials, publications, unreadCount, notifications, communities] = await Promise.all([
+    pickUnseen(user._id, "trial", trialResults.flat(), sentKeys),
+    pickUnseen(user._id, "publication", publicationResults.flat(), sentKeys),
+    Notification.countDocuments({ userId: user._id, read: false }),
+    Notification.find({ userId: user._id, read: false, createdAt: { $gt: since } })
+      .select("title message")
+      .sort({ createdAt: -1 })
+      .limit(ITEMS_PER_SECTION)
+      .lean(),
+    communityActivity(user._id, since),
+  ]);
+
+  if (!trials.length && !publications.length && !notifications.length && !communities.length) {
+    return null;
+  }
+
+  return {
+    frequency,
+    topics,
+    trials: trials.map((t) => ({
+      id: t.id,
+      title: t.title,
+      url: t.clinicalTrialsGovUrl || `https://clinicaltrials.gov/study/${t.id}`,
+    })),
+    publications: publications.map((p) => ({
+      id: p.id,
+      title: p.title,
+      journal: p.journal || "",
+      url: p.url || "",
+    })),
+    insights: {
+      unreadCount,
+      items: notifications.map((n) => ({ title: n.title, message: n.message })),
+    },
+    communities,
+  };
+}
+
+/**
+ * Build and send the digest for users whose daily/weekly digest is due.
+ * Users without notification preferences get the weekly digest.
+ * @returns {Promise<Object>} - { checked, sent, empty, failed }
+ */
+export async function sendDueDigests(now = new Date()) {
+  const stats = { checked: 0, sent: 0, empty: 0, failed: 0 };
+  const notSentSince = (frequency) => ({
+    "preference.digest.lastSentAt": { $not: { $gt: new Date(now - DUE_AFTER_MS[frequency]) } },
+  });
+
+  const users = await User.aggregate([
+    { $match: { isServiceAccount: { $ne: true }, emailVerified: true } },
+    {
+      $lookup: {
+        from: NotificationPreference.collection.name,
+        localField: "_id",
+        foreignField: "userId",
+        as: "preference",
+      },
+    },
+    { $set: { preference: { $first: "$preference" } } },
+    {
+      $match: {
+        $or: [
+          { "preference.digest.frequency": "daily", ...notSentSince("daily") },
+          { "preference.digest.frequency": { $in: [null, "weekly"] }, ...notSentSince("weekly") },
+        ],
+      },
+    },
+    { $sort: { "preference.digest.lastSentAt": 1 } },
+    { $limit: DIGEST_BATCH_SIZE },
+    { $project: { email: 1, username: 1, preference: 1 } },
+  ]);
+
+  // Publications are searched from the start of the longest period in this run
+  const searches = createSearchCache(new Date(now - PERIOD_MS.weekly));
+
+  for (const user of users) {
+    stats.checked++;
+    const frequency = user.preference?.digest?.frequency || "weekly";
+    const lastSentAt = user.preference?.digest?.lastSentAt;
+    const since = lastSentAt ? new Date(lastSentAt) : new Date(now - PERIOD_MS[frequency]);
+    try {
+      const digest = await buildDigest(user, {
+        frequency,
+        since,
+        sentItemKeys: user.preference?.digest?.sentItemKeys,
+        searches,
+      });
+
+      const update = { $set: { "digest.lastSentAt": now }, $setOnInsert: { userId: user._id } };
+      if (digest) {
+        await sendDigestEmail(user.email, user.username, digest, {
+          unsubscribeUrl: unsubscribeUrlFor(user._id),
+        });
+        const keys = [
+          ...digest.trials.map((t) => `trial:${t.id}`),
+          ...digest.publications.map((p) => `publication:${p.id}`),
+        ];
+        update.$push = { "digest.sentItemKeys": { $each: keys, $slice: -MAX_SENT_ITEM_KEYS } };
+        stats.sent++;
+      } else {
+        stats.empty++;
+      }
+      // Nothing new still counts as this period's digest, so the user isn't rechecked every hour
+      // (no defaults on insert: they would clash with the $push; reads fill them in)
+      await NotificationPreference.updateOne({ userId: user._id }, update, {
+        upsert: true,
+        setDefaultsOnInsert: false,
+      });
+    } catch (error) {
+      stats.failed++;
+      console.error(`[Digest] Failed for user ${user._id}:`, error.message);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Check for due digests every hour
+ */
+export function startDigestSchedule() {
+  const run = () =>
+    sendDueDigests()
+      .then((stats) => {
+        if (stats.checked > 0) console.log("[Digest] Run complete:", stats);
+      })
+      .catch((error) => console.error("[Digest] Run failed:", error));
+  setInterval(run, DIGEST_CHECK_INTERVAL_MS);
+}
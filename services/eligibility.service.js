@@ -0,0 +1,587 @@
+import { Profile } from "../models/Profile.js";
+import { fetchTrialById } from "./urlParser.service.js";
+import { createCache } from "./cache.service.js";
+import { findBiomarkerMentions, getConditionSynonyms } from "./medicalTerminology.service.js";
+
+// Turns a trial's free-text eligibility criteria into structured rules (age, sex, diagnoses,
+// prior therapies, lab thresholds, ECOG, pregnancy, biomarkers) and checks a patient against
+// them. Rules are pattern-based: anything the parser can't read, or the patient hasn't told
+// us, comes back "unknown" rather than guessed.
+
+// Parsed criteria per trial (they only change when the registry record does)
+const cache = createCache("trial-eligibility", { ttlMs: 1000 * 60 * 60 * 6, maxEntries: 1000 });
+
+export const CRITERION_STATUSES = ["met", "not_met", "unknown"];
+
+const COMPARATOR_WORDS = {
+  ">=": ["≥", ">=", "=>", "greater than or equal to", "equal to or greater than", "at least", "no less than", "not less than", "minimum of"],
+  "<=": ["≤", "<=", "=<", "less than or equal to", "equal to or less than", "at most", "no more than", "not more than", "not greater than", "not exceeding", "not exceed", "up to", "maximum of"],
+  ">": [">", "greater than", "more than", "higher than", "above", "over", "exceeding", "exceeds"],
+  "<": ["<", "less than", "lower than", "below", "under"],
+};
+const COMPARATOR_SYMBOLS = { ">=": "≥", "<=": "≤", ">": ">", "<": "<" };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longest first so "less than or equal to" wins over "less than"
+const COMPARATOR_SOURCE = Object.values(COMPARATOR_WORDS)
+  .flat()
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegex)
+  .join("|");
+
+function normalizeComparator(raw) {
+  const lower = raw.toLowerCase().replace(/\s+/g, " ");
+  return Object.keys(COMPARATOR_WORDS).find((op) => COMPARATOR_WORDS[op].includes(lower)) || null;
+}
+
+function satisfies(value, { op, value: threshold }) {
+  if (op === ">=") return value >= threshold;
+  if (op === "<=") return value <= threshold;
+  if (op === ">") return value > threshold;
+  return value < threshold;
+}
+
+function describeBounds(bounds, unit = "") {
+  return bounds.map(({ op, value }) => `${COMPARATOR_SYMBOLS[op]} ${value}${unit ? ` ${unit}` : ""}`).join(" and ");
+}
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+const AGE_UNIT = "(years?|yrs?|months?|weeks?)";
+const AGE_CONTEXT =
+  /\bage[ds]?\b|\b(?:years?|yrs?) old\b|\byears? of age\b|^(?:patients?|participants?|subjects?|adults?|men|women|males?|females?|individuals?)\b[^.]{0,30}\d{1,3}\s*(?:years?|yrs?)\b(?!\s*(?:ago|after|before|since|prior))/i;
+const AGE_PATTERNS = [
+  // "18 to 75 years", "between 18 and 65 years of age"
+  { regex: new RegExp(`(\\d{1,3})\\s*(?:years?\\s*)?(?:-|–|—|to|and)\\s*(\\d{1,3})\\s*${AGE_UNIT}`, "gi"), range: true },
+  // "aged 18-75"
+  { regex: /\bage[ds]?\s*(?:of\s*|between\s*|from\s*)?(\d{1,3})\s*(?:-|–|—|to|and)\s*(\d{1,3})\b/gi, range: true },
+  // "≥ 18 years", "at least 18 years"
+  { regex: new RegExp(`(${COMPARATOR_SOURCE})\\s*(\\d{1,3})\\s*${AGE_UNIT}`, "gi"), comparator: true },
+  // "age ≥ 18"
+  { regex: new RegExp(`\\bage[ds]?\\s*(?:of\\s*|must be\\s*|is\\s*|:\\s*)?(${COMPARATOR_SOURCE})\\s*(\\d{1,3})\\b`, "gi"), comparator: true },
+  // "18 years of age or older", "aged 18 or over"
+  {
+    regex: new RegExp(`(?:(\\d{1,3})\\s*${AGE_UNIT}|\\bage[ds]?\\s*(\\d{1,3}))\\s*(?:of age\\s*|old\\s*)?(?:or|and)\\s*(older|over|above|greater|younger|under|below|less)\\b`, "gi"),
+    openEnded: true,
+  },
+];
+
+/**
+ * Age in years from "18 Years", "6 Months", "2 Weeks" (null when missing)
+ */
+export function parseAgeYears(value, unit) {
+  if (value === null || value === undefined) return null;
+  let number = value;
+  let unitText = unit;
+  if (typeof value === "string") {
+    const match = value.match(/(\d+(?:\.\d+)?)\s*([a-z]*)/i);
+    if (!match) return null;
+    number = match[1];
+    unitText = unitText || match[2];
+  }
+  const amount = parseFloat(number);
+  if (Number.isNaN(amount)) return null;
+  const lowerUnit = (unitText || "years").toLowerCase();
+  if (lowerUnit.startsWith("month")) return Math.round((amount / 12) * 100) / 100;
+  if (lowerUnit.startsWith("week")) return Math.round((amount / 52) * 100) / 100;
+  if (lowerUnit.startsWith("day")) return Math.round((amount / 365) * 100) / 100;
+  return amount;
+}
+
+function parseAgeRule(text) {
+  if (!AGE_CONTEXT.test(text)) return null;
+  const bounds = [];
+  for (const pattern of AGE_PATTERNS) {
+    for (const match of text.matchAll(pattern.regex)) {
+      if (pattern.range) {
+        bounds.push({ op: ">=", value: parseAgeYears(match[1], match[3]) });
+        bounds.push({ op: "<=", value: parseAgeYears(match[2], match[3]) });
+      } else if (pattern.comparator) {
+        bounds.push({ op: normalizeComparator(match[1]), value: parseAgeYears(match[2], match[3]) });
+      } else {
+        const years = parseAgeYears(match[1] || match[3], match[2]);
+        const upper = /younger|under|below|less/i.test(match[4]);
+        bounds.push({ op: upper ? "<=" : ">=", value: years });
+      }
+    }
+  }
+  // Several patterns can match the same phrase ("Age ≥ 18 years")
+  const unique = [...new Map(bounds.map((bound) => [`${bound.op}${bound.value}`, bound])).values()];
+  return unique.length ? { type: "age", bounds: unique } : null;
+}
+
+const ECOG_CONTEXT = /\becog\b|eastern cooperative oncology group|\b(?:who|zubrod)?\s*performance status\b/i;
+
+function parseEcogRule(text) {
+  const context = text.match(ECOG_CONTEXT);
+  if (!context) return null;
+  // Karnofsky / Lansky scores are on a different scale
+  if (/karnofsky|\bkps\b|lansky/i.test(text) && !/\becog\b|\bwho\b|zubrod/i.test(text)) return null;
+
+  const window = text.slice(context.index + context[0].length, context.index + context[0].length + 60);
+  let match = window.match(new RegExp(`(${COMPARATOR_SOURCE})\\s*([0-4])\\b`, "i"));
+  if (match) return { type: "ecog", bounds: [{ op: normalizeComparator(match[1]), value: Number(match[2]) }] };
+
+  match = window.match(/\b([0-4])\s*(?:-|–|to)\s*([0-4])\b/);
+  if (match) {
+    return { type: "ecog", bounds: [{ op: ">=", value: Number(match[1]) }, { op: "<=", value: Number(match[2]) }] };
+  }
+
+  match = window.match(/\b([0-4])(?:\s*,\s*[0-4])*\s*,?\s*(?:or|and)\s*([0-4])\b/);
+  if (match) {
+    return { type: "ecog", bounds: [{ op: ">=", value: Number(match[1]) }, { op: "<=", value: Number(match[2]) }] };
+  }
+
+  match = window.match(/^\s*(?:\(\s*\w+\s*\)\s*)?(?:performance status\s*)?(?:\(\s*\w+\s*\)\s*)?(?:score\s*)?(?:of\s*|:|=|is\s*)?([0-4])\b/i);
+  if (match) {
+    const score = Number(match[1]);
+    return { type: "ecog", bounds: [{ op: ">=", value: score }, { op: "<=", value: score }] };
+  }
+  return null;
+}
+
+// Canonical units for patient-supplied lab values; thresholds are converted to them.
+// Counts are per µL (e.g. platelets 150000); a bare small number (platelets ≥ 100,
+// ANC ≥ 1.5) is read as thousands per µL.
+export const LAB_TESTS = {
+  hemoglobin: {
+    label: "Hemoglobin",
+    pattern: /\bha?emoglobin\b|\bhgb\b|\bhb\b/i,
+    unit: "g/dL",
+    conversions: [[/^g\s*\/\s*l\b/i, 0.1], [/^mmol\s*\/\s*l/i, 1.611]],
+  },
+  platelets: { label: "Platelets", pattern: /\bplatelets?\b|\bplt\b/i, unit: "/µL", count: true, bareThousandsBelow: 1000 },
+  anc: {
+    label: "Absolute neutrophil count",
+    pattern: /absolute neutrophil count|\banc\b|\bneutrophils?\b/i,
+    unit: "/µL",
+    count: true,
+    bareThousandsBelow: 50,
+  },
+  wbc: {
+    label: "White blood cell count",
+    pattern: /white blood cell|\bwbc\b|\bleukocytes?\b/i,
+    unit: "/µL",
+    count: true,
+    bareThousandsBelow: 50,
+  },
+  creatinineClearance: { label: "Creatinine clearance", pattern: /creatinine clearance|\bcrcl\b|\bclcr\b/i, unit: "mL/min" },
+  egfr: { label: "eGFR", pattern: /\beGFR\b|\bGFR\b|glomerular filtration rate/, unit: "mL/min/1.73m²" },
+  creatinine: {
+    label: "Creatinine",
+    pattern: /\bcreatinine\b(?!\s*clearance)/i,
+    unit: "mg/dL",
+    conversions: [[/^[µu]mol\s*\/\s*l/i, 1 / 88.4]],
+  },
+  bilirubin: { label: "Bilirubin", pattern: /\bbilirubin\b/i, unit: "mg/dL", conversions: [[/^[µu]mol\s*\/\s*l/i, 1 / 17.1]] },
+  ast: { label: "AST", pattern: /\bast\b|aspartate (?:amino)?transferase|\bsgot\b/i, unit: "U/L" },
+  alt: { label: "ALT", pattern: /\balt\b|alanine (?:amino)?transferase|\bsgpt\b/i, unit: "U/L" },
+  albumin: { label: "Albumin", pattern: /\balbumin\b/i, unit: "g/dL", conversions: [[/^g\s*\/\s*l\b/i, 0.1]] },
+  inr: { label: "INR", pattern: /\binr\b|international normali[sz]ed ratio/i, unit: "" },
+};
+
+const LAB_THRESHOLD = new RegExp(`(${COMPARATOR_SOURCE})\\s*(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*([^;]{0,30})`, "i");
+const ULN_UNIT = /^(?:x|×|\*|times)?\s*(?:the\s*)?(?:institutional\s*)?(?:uln\b|upper limit)/i;
+const COUNT_UNIT = /^(?:x|×|\*)\s*10\s*(?:\^|e|\*\*)?\s*(\d{1,2})\s*\/\s*(l|µl|ul|mm)/i;
+const PER_MICROLITRE = /^(?:cells\s*)?\/\s*(?:µl|ul|mm)/i;
+
+function convertLabThreshold(test, rawValue, unitText) {
+  const value = parseFloat(rawValue.replace(/,/g, ""));
+  if (ULN_UNIT.test(unitText)) return { value, relativeToUln: true };
+
+  if (test.count) {
+    const scientific = unitText.match(COUNT_UNIT);
+    if (scientific) {
+      const perLitre = scientific[2].toLowerCase() === "l";
+      return { value: Math.round(value * 10 ** Number(scientific[1]) / (perLitre ? 1e6 : 1)) };
+    }
+    if (PER_MICROLITRE.test(unitText)) return { value };
+    return { value: value < test.bareThousandsBelow ? value * 1000 : value };
+  }
+
+  const conversion = (test.conversions || []).find(([pattern]) => pattern.test(unitText));
+  return { value: conversion ? Math.round(value * conversion[1] * 100) / 100 : value };
+}
+
+function parseLabRules(text) {
+  const rules = [];
+  for (const [lab, test] of Object.entries(LAB_TESTS)) {
+    const mention = text.match(test.pattern);
+    if (!mention) continue;
+    const after = text.slice(mention.index + mention[0].length, mention.index + mention[0].length + 60);
+    const threshold = after.match(LAB_THRESHOLD);
+    if (!threshold) continue;
+    const { value, relativeToUln } = convertLabThreshold(test, threshold[2], threshold[3].trim());
+    if (Number.isNaN(value)) continue;
+    rules.push({
+      type: "lab",
+      lab,
+      bounds: [{ op: normalizeComparator(threshold[1]), value }],
+      unit: relativeToUln ? "× ULN" : test.unit,
+      ...(relativeToUln && { relativeToUln: true }),
+    });
+  }
+  return rules;
+}
+
+const PREGNANCY = /\bpregnan|breast[- ]?feeding|\blactating\b|\bnursing\b/i;
+const NOT_PREGNANT = /negative|\bnot\b|\bnon-?pregnant|\bavoid/i;
+
+function parsePregnancyRule(text) {
+  if (!PREGNANCY.test(text)) return null;
+  return { type: "pregnancy", negated: NOT_PREGNANT.test(text) };
+}
+
+const NEGATIVE_STATUS = /^[\s:-]*(?:negative|neg\b|-(?![a-z0-9])|wild[- ]?type|\bwt\b|non[- ]?mutated|unmutated|not (?:mutated|amplified|expressed))/i;
+const POSITIVE_STATUS = /^[\s:-]*(?:positive|pos\b|\+|mutat|mutant|amplif|over-?express|fusion|rearrange|alteration|altered|high|≥|>)/i;
+
+/**
+ * Biomarkers mentioned in text, with "positive" / "negative" when the wording says so
+ * (e.g. "HER2-negative", "EGFR mutation", "KRAS wild-type")
+ * @returns {Array<Object>} - [{ marker, status: "positive"|"negative"|null }]
+ */
+export function parseBiomarkers(text) {
+  const found = new Map();
+  for (const { marker, index, length } of findBiomarkerMentions(text || "")) {
+    // eGFR (kidney function) is not the EGFR gene
+    if (text.slice(index, index + length) === "eGFR") continue;
+    const after = text.slice(index + length, index + length + 25);
+    const status = NEGATIVE_STATUS.test(after) ? "negative" : POSITIVE_STATUS.test(after) ? "positive" : null;
+    if (!found.has(marker) || (status && !found.get(marker))) found.set(marker, status);
+  }
+  return [...found.entries()].map(([marker, status]) => ({ marker, status }));
+}
+
+const NEGATION = /^(?:no|not|without|never|absence of)\b|\b(?:no|without) (?:prior|previous|history|evidence)\b|\bna[iï]ve\b|\bha(?:s|ve) not (?:received|been treated|had)\b|\bnot (?:previously )?(?:received|been treated)\b/i;
+const PRIOR_THERAPY = /\b(?:prior|previous(?:ly)?|received|receiving|treated with|na[iï]ve|refractory to|progress(?:ed|ion) (?:on|after|following)|failed)\b/i;
+const DIAGNOSIS = /diagnos|histolog|cytolog|patholog|confirmed|history of|\bknown\b|\bactive\b|documented|disease|cancer|carcinoma|tumou?r|malignan|lymphoma|leuka?emia|melanoma|sarcoma|glioma|metasta|infection|syndrome|disorder|failure|insufficiency|hepatitis|\bhiv\b|diabetes|hypertension|stroke|infarction|dementia|sclerosis|arthritis/i;
+
+function parseCriterionRules(text) {
+  const rules = [];
+  const age = parseAgeRule(text);
+  if (age) rules.push(age);
+  const ecog = parseEcogRule(text);
+  if (ecog) rules.push(ecog);
+  rules.push(...parseLabRules(text));
+  const pregnancy = parsePregnancyRule(text);
+  if (pregnancy) rules.push(pregnancy);
+  for (const { marker, status } of parseBiomarkers(text)) {
+    rules.push({ type: "biomarker", marker, status });
+  }
+
+  const negated = NEGATION.test(text);
+  if (PRIOR_THERAPY.test(text)) {
+    rules.push({ type: "therapy", negated });
+  } else if (DIAGNOSIS.test(text) && !rules.some((rule) => rule.type === "lab" || rule.type === "ecog")) {
+    rules.push({ type: "diagnosis", negated });
+  }
+  return rules;
+}
+
+// CT.gov returns markdown: escaped characters, superscript exponents, bullets
+function normalizeCriteriaText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\\([<>=*_\-~[\]().#+!^])/g, "$1")
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, (digit) => "⁰¹²³⁴⁵⁶⁷⁸⁹".indexOf(digit))
+    .replace(/&gt;/g, ">")
+    .replace(/&lt;/g, "<");
+}
+
+const SECTION_HEADING = /^\s*(?:key\s+|main\s+)?(inclusion|exclusion)(?:\s+criteria)?\s*:?\s*(.*)$/i;
+const BULLET = /^\s*(?:[*•·\-–]|\d{1,2}[.)]|[a-z][.)])\s+/i;
+
+function splitCriteria(criteriaText) {
+  const items = [];
+  let section = "inclusion";
+  let current = null;
+  const close = () => {
+    if (current) {
+      const text = current.text.replace(/\s+/g, " ").trim();
+      // Lead-ins ("Adequate organ function, defined as:") carry no rule of their own
+      if (text.length >= 3 && !text.endsWith(":")) items.push({ section: current.section, text });
+    }
+    current = null;
+  };
+
+  for (const line of normalizeCriteriaText(criteriaText).split("\n")) {
+    const heading = line.match(SECTION_HEADING);
+    if (heading && (!heading[2] || heading[2].length < 3) && !BULLET.test(line)) {
+      close();
+      section = heading[1].toLowerCase();
+      continue;
+    }
+    if (!line.trim()) {
+      close();
+    } else if (BULLET.test(line)) {
+      close();
+      current = { section, text: line.replace(BULLET, "") };
+    } else if (current) {
+      current.text += ` ${line.trim()}`;
+    } else {
+      current = { section, text: line.trim() };
+    }
+  }
+  close();
+  return items;
+}
+
+/**
+ * Structured rules for a trial's eligibility
+ * @param {Object} eligibility - trial.eligibility from fetchTrialById: { criteria, gender, minimumAge, maximumAge }
+ * @returns {Array<Object>} - Criteria: [{ id, section: "structured"|"inclusion"|"exclusion", text, rules }]
+ */
+export function parseEligibilityCriteria(eligibility = {}) {
+  const criteria = [];
+
+  // Registry fields (sex, age limits) come first; they're the most reliable
+  const sex = (eligibility.gender || "All").toLowerCase();
+  if (sex === "male" || sex === "female") {
+    criteria.push({ section: "structured", text: `Sex: ${eligibility.gender}`, rules: [{ type: "sex", sex }] });
+  }
+  const ageBounds = [];
+  const minimumAge = parseAgeYears(eligibility.minimumAge === "Not specified" ? null : eligibility.minimumAge);
+  const maximumAge = parseAgeYears(eligibility.maximumAge === "Not specified" ? null : eligibility.maximumAge);
+  if (minimumAge !== null) ageBounds.push({ op: ">=", value: minimumAge });
+  if (maximumAge !== null) ageBounds.push({ op: "<=", value: maximumAge });
+  if (ageBounds.length) {
+    criteria.push({ section: "structured", text: `Age: ${describeBounds(ageBounds, "years")}`, rules: [{ type: "age", bounds: ageBounds }] });
+  }
+
+  const text = eligibility.criteria && eligibility.criteria !== "Not specified" ? eligibility.criteria : "";
+  for (const item of splitCriteria(text)) {
+    criteria.push({ ...item, rules: parseCriterionRules(item.text) });
+  }
+
+  const counters = {};
+  return criteria.map((criterion) => {
+    counters[criterion.section] = (counters[criterion.section] || 0) + 1;
+    return { id: `${criterion.section}-${counters[criterion.section]}`, ...criterion };
+  });
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+function normalizeSex(value) {
+  const lower = String(value || "").toLowerCase().trim();
+  if (["male", "m", "man"].includes(lower)) return "male";
+  if (["female", "f", "woman"].includes(lower)) return "female";
+  return null;
+}
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+  .filter((item) => typeof item === "string" && item.trim())
+  .map((item) => item.trim());
+
+/**
+ * Validate patient details sent with a pre-screen request (all optional)
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validatePatientFacts(facts = {}) {
+  if (typeof facts !== "object" || Array.isArray(facts)) return "Patient details must be an object";
+  if (facts.age !== undefined && (typeof facts.age !== "number" || facts.age < 0 || facts.age > 120)) {
+    return "age must be a number between 0 and 120";
+  }
+  if (facts.ecog !== undefined && (!Number.isInteger(facts.ecog) || facts.ecog < 0 || facts.ecog > 4)) {
+    return "ecog must be a whole number from 0 to 4";
+  }
+  if (facts.pregnant !== undefined && typeof facts.pregnant !== "boolean") return "pregnant must be true or false";
+  for (const field of ["conditions", "biomarkers", "priorTherapies"]) {
+    if (facts[field] !== undefined && !Array.isArray(facts[field])) return `${field} must be an array of strings`;
+  }
+  if (facts.labs !== undefined) {
+    if (typeof facts.labs !== "object" || Array.isArray(facts.labs)) return "labs must be an object";
+    for (const [lab, value] of Object.entries(facts.labs)) {
+      if (!LAB_TESTS[lab]) return `Unknown lab "${lab}" (expected one of: ${Object.keys(LAB_TESTS).join(", ")})`;
+      if (typeof value !== "number" || Number.isNaN(value)) return `labs.${lab} must be a number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * What we know about the patient: their profile, plus details sent with the request
+ * (which win, and are never saved)
+ * @param {Object} patient - Profile.patient
+ * @param {Object} facts - { age, sex, conditions, biomarkers, priorTherapies, ecog, pregnant, labs }
+ */
+export function buildPatientFacts(patient = {}, facts = {}) {
+  const conditions = [...new Set([...asList(patient.conditions), ...asList(facts.conditions)])];
+  const sex = normalizeSex(facts.sex ?? facts.gender ?? patient.gender);
+
+  // Biomarkers from what the patient told us, and from how they described their conditions
+  const biomarkers = new Map();
+  const biomarkerText = [...asList(facts.biomarkers), ...conditions, ...asList(patient.keywords)];
+  for (const { marker, status } of biomarkerText.flatMap((text) => parseBiomarkers(text))) {
+    if (!biomarkers.has(marker) || (status && !biomarkers.get(marker))) biomarkers.set(marker, status);
+  }
+
+  return {
+    age: facts.age ?? (typeof patient.age === "number" ? patient.age : null),
+    sex,
+    conditions,
+    biomarkers,
+    // Only a list the patient sent counts as complete; the profile has no treatment history
+    priorTherapies: Array.isArray(facts.priorTherapies) ? asList(facts.priorTherapies) : null,
+    ecog: facts.ecog ?? null,
+    pregnant: facts.pregnant ?? (sex === "male" ? false : null),
+    labs: facts.labs || {},
+  };
+}
+
+// Text after "except" / "other than" describes what is allowed, not what is required
+function withoutExceptions(text) {
+  return text.split(/\b(?:except|other than|excluding|with the exception of|apart from)\b/i)[0];
+}
+
+function mentions(text, terms) {
+  return terms.find((term) => new RegExp(`\\b${escapeRegex(term)}\\b`, "i").test(text)) || null;
+}
+
+/**
+ * Whether what a rule describes is true of the patient
+ * @returns {Object} - { holds: true|false|null, detail }
+ */
+function evaluateRule(rule, facts, text) {
+  switch (rule.type) {
+    case "sex":
+      if (!facts.sex) return { holds: null, detail: `Trial is for ${rule.sex} participants; your sex isn't in your profile` };
+      return { holds: facts.sex === rule.sex, detail: `Trial is for ${rule.sex} participants` };
+
+    case "age": {
+      const required = `age ${describeBounds(rule.bounds, "years")}`;
+      if (facts.age === null) return { holds: null, detail: `Requires ${required}; your age isn't in your profile` };
+      return { holds: rule.bounds.every((bound) => satisfies(facts.age, bound)), detail: `Requires ${required}; you are ${facts.age}` };
+    }
+
+    case "ecog": {
+      const required = `ECOG ${describeBounds(rule.bounds)}`;
+      if (facts.ecog === null) return { holds: null, detail: `Requires ${required}; no ECOG score provided` };
+      return { holds: rule.bounds.every((bound) => satisfies(facts.ecog, bound)), detail: `Requires ${required}; yours is ${facts.ecog}` };
+    }
+
+    case "lab": {
+      const test = LAB_TESTS[rule.lab];
+      const required = `${test.label} ${describeBounds(rule.bounds, rule.unit)}`;
+      if (rule.relativeToUln) return { holds: null, detail: `Requires ${required}, which depends on your lab's normal range` };
+      const value = facts.labs[rule.lab];
+      if (value === undefined) return { holds: null, detail: `Requires ${required}; no result provided` };
+      return {
+        holds: rule.bounds.every((bound) => satisfies(value, bound)),
+        detail: `Requires ${required}; yours is ${value}${test.unit ? ` ${test.unit}` : ""}`,
+      };
+    }
+
+    case "pregnancy": {
+      if (facts.pregnant === null) return { holds: null, detail: "Depends on pregnancy / breastfeeding status, which we don't know" };
+      return {
+        holds: rule.negated ? !facts.pregnant : facts.pregnant,
+        detail: facts.pregnant ? "You indicated you are pregnant or breastfeeding" : "You are not pregnant or breastfeeding",
+      };
+    }
+
+    case "biomarker": {
+      const required = `${rule.marker}${rule.status ? ` ${rule.status}` : ""}`;
+      if (!facts.biomarkers.has(rule.marker)) return { holds: null, detail: `Mentions ${required}; not in your biomarkers` };
+      const status = facts.biomarkers.get(rule.marker) || "positive";
+      return { holds: status === (rule.status || "positive"), detail: `Mentions ${required}; yours is ${status}` };
+    }
+
+    case "diagnosis": {
+      const terms = facts.conditions.flatMap((condition) => [condition, ...getConditionSynonyms(condition)]);
+      const match = mentions(withoutExceptions(text), terms);
+      if (!match) return { holds: null, detail: "None of your listed conditions are mentioned" };
+      return { holds: !rule.negated, detail: `Mentions ${match}, which is in your profile` };
+    }
+
+    case "therapy": {
+      if (facts.priorTherapies === null) return { holds: null, detail: "Depends on previous treatments, which we don't know" };
+      const match = mentions(withoutExceptions(text), facts.priorTherapies);
+      if (match) return { holds: !rule.negated, detail: `Mentions ${match}, which you have received` };
+      // "No prior systemic therapy" and the patient has had some treatment we can't classify
+      if (rule.negated && facts.priorTherapies.length > 0) {
+        return { holds: null, detail: "Can't tell whether your previous treatments count" };
+      }
+      return { holds: rule.negated, detail: "None of your previous treatments are mentioned" };
+    }
+
+    default:
+      return { holds: null, detail: "Not understood" };
+  }
+}
+
+// Three-valued AND / OR (null = unknown)
+const all = (values) => (values.includes(false) ? false : values.includes(null) ? null : true);
+const any = (values) => (values.includes(true) ? true : values.includes(null) ? null : false);
+
+/**
+ * Check a patient against parsed criteria.
+ * Inclusion criteria need everything they describe to be true of the patient; exclusion
+ * criteria rule the patient out when it is. Rules of the same kind are alternatives in
+ * exclusions ("AST or ALT > 2.5 × ULN"), and in inclusions that say "or" ("creatinine
+ * ≤ 1.5 mg/dL or creatinine clearance ≥ 60 mL/min").
+ * @param {Array<Object>} criteria - From parseEligibilityCriteria
+ * @param {Object} facts - From buildPatientFacts
+ * @returns {Object} - { outcome, counts, criteria: [{ ..., status, reasons }] }
+ */
+export function evaluateEligibility(criteria, facts) {
+  const evaluated = criteria.map((criterion) => {
+    if (criterion.rules.length === 0) {
+      return { ...criterion, status: "unknown", reasons: ["Not something we can check automatically"] };
+    }
+    const results = criterion.rules.map((rule) => ({ rule, ...evaluateRule(rule, facts, criterion.text) }));
+
+    const byType = new Map();
+    for (const result of results) {
+      byType.set(result.rule.type, [...(byType.get(result.rule.type) || []), result.holds]);
+    }
+    const alternatives = criterion.section === "exclusion" || /\bor\b/i.test(criterion.text);
+    const holds = all([...byType.values()].map(alternatives ? any : all));
+
+    const status =
+      holds === null ? "unknown" : (criterion.section === "exclusion" ? !holds : holds) ? "met" : "not_met";
+    return { ...criterion, status, reasons: results.map((result) => result.detail) };
+  });
+
+  const counts = Object.fromEntries(CRITERION_STATUSES.map((status) => [status, 0]));
+  evaluated.forEach((criterion) => counts[criterion.status]++);
+  const outcome = counts.not_met > 0 ? "likely_ineligible" : counts.unknown > 0 ? "possibly_eligible" : "likely_eligible";
+
+  return { outcome, counts, criteria: evaluated };
+}
+
+/**
+ * Pre-screen a patient for a ClinicalTrials.gov trial
+ * @param {string} nctId
+ * @param {Object} options - { userId: use their patient profile, facts: extra details for this check }
+ * @returns {Promise<Object>} - { success, trial, outcome, counts, criteria } or { success: false, status, error }
+ */
+export async function prescreenTrial(nctId, { userId, facts = {} } = {}) {
+  const cleanNctId = String(nctId || "").trim().toUpperCase();
+  if (!/^NCT\d{8}$/.test(cleanNctId)) {
+    return { success: false, status: 400, error: "Invalid NCT ID" };
+  }
+  const invalid = validatePatientFacts(facts);
+  if (invalid) return { success: false, status: 400, error: invalid };
+
+  const parsed = await cache.wrap(cleanNctId, async () => {
+    const trial = await fetchTrialById(cleanNctId);
+    if (!trial) return null;
+    return {
+      trial: { id: trial.id, title: trial.title, status: trial.status, phase: trial.phase, url: trial.clinicalTrialsGovUrl },
+      criteria: parseEligibilityCriteria(trial.eligibility),
+    };
+  });
+  if (!parsed) return { success: false, status: 404, error: `Trial with ID ${cleanNctId} not found` };
+
+  const profile = userId ? await Profile.findOne({ userId }).select("role patient").lean() : null;
+  const patientFacts = buildPatientFacts(profile?.patient || {}, facts);
+
+  return {
+    success: true,
+    trial: parsed.trial,
+    usedProfile: Boolean(profile?.patient),
+    ...evaluateEligibility(parsed.criteria, patientFacts),
+  };
+}
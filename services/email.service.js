@@ -9,6 +9,57 @@
  */
 const UNOSEND_API_URL = "https://www.unosend.co/api/v1/emails";
 
+/**
+ * Send one email through Unosend. Every email the app sends goes through here.
+ * @param {Object} params - { to, subject, html, text, headers }
+ * @returns {Promise<Object>} - { success, messageId }
+ */
+export async function sendEmail({ to, subject, html, text, headers }) {
+  const apiKey = process.env.UNOSEND_API_KEY;
+  const fromEmail = process.env.UNOSEND_FROM_EMAIL || process.env.GMAIL_USER;
+
+  if (!apiKey) {
+    throw new Error("UNOSEND_API_KEY is not set in environment");
+  }
+  if (!fromEmail) {
+    throw new Error(
+      "UNOSEND_FROM_EMAIL (or GMAIL_USER) is not set - use a verified sending domain"
+    );
+  }
+
+  const response = await fetch(UNOSEND_API_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from: fromEmail.includes("<") ? fromEmail : `Collabiora <${fromEmail}>`,
+      to,
+      subject,
+      html,
+      text,
+      ...(headers ? { headers } : {}),
+    }),
+  });
+
+  if (!response.ok) {
+    const errBody = await response.text();
+    let errMessage = errBody;
+    let errorDetails = {};
+    try {
+      errorDetails = JSON.parse(errBody);
+      errMessage = errorDetails.message || errorDetails.error || JSON.stringify(errorDetails);
+    } catch (_) {}
+    console.error(`Unosend API error (${response.status}):`, errorDetails);
+    throw new Error(`Unosend API error (${response.status}): ${errMessage}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  const messageId = data.id || data.messageId || data.message_id;
+  return { success: true, messageId: messageId || "sent" };
+}
+
 /**
  * Send verification email via Unosend API
  * @param {string} email - Recipient email address
@@ -24,18 +75,6 @@ export async function sendVerificationEmail(
   otp
 ) {
   try {
-    const apiKey = process.env.UNOSEND_API_KEY;
-    const fromEmail = process.env.UNOSEND_FROM_EMAIL || process.env.GMAIL_USER;
-
-    if (!apiKey) {
-      throw new Error("UNOSEND_API_KEY is not set in environment");
-    }
-    if (!fromEmail) {
-      throw new Error(
-        "UNOSEND_FROM_EMAIL (or GMAIL_USER) is not set - use a verified sending domain"
-      );
-    }
-
     const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
     const verificationLink = `${frontendUrl}/verify-email?token=${verificationToken}`;
 
@@ -95,36 +134,13 @@ export async function sendVerificationEmail(
         </html>
       `;
 
-    const response = await fetch(UNOSEND_API_URL, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        from: fromEmail.includes("<") ? fromEmail : `Collabiora <${fromEmail}>`,
-        to: email,
-        subject: "Verify Your Collabiora Email Address",
-        html,
-        // Add plain text version for better deliverability
-        text: `Hello ${username}!\n\nThank you for signing up for Collabiora. Please verify your email address to complete your registration and unlock all features.\n\nYour Verification Code: ${otp}\n(This code expires in 15 minutes)\n\nOr verify by clicking this link:\n${verificationLink}\n\nThe verification link will expire in 24 hours. If you didn't create an account with Collabiora, please ignore this email.\n\nIf you have any questions, contact us at info@collabiora.com.\nCollabiora, Los Angeles, CA\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
-      }),
+    const { messageId } = await sendEmail({
+      to: email,
+      subject: "Verify Your Collabiora Email Address",
+      html,
+      // Add plain text version for better deliverability
+      text: `Hello ${username}!\n\nThank you for signing up for Collabiora. Please verify your email address to complete your registration and unlock all features.\n\nYour Verification Code: ${otp}\n(This code expires in 15 minutes)\n\nOr verify by clicking this link:\n${verificationLink}\n\nThe verification link will expire in 24 hours. If you didn't create an account with Collabiora, please ignore this email.\n\nIf you have any questions, contact us at info@collabiora.com.\nCollabiora, Los Angeles, CA\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
     });
-
-    if (!response.ok) {
-      const errBody = await response.text();
-      let errMessage = errBody;
-      let errorDetails = {};
-      try {
-        errorDetails = JSON.parse(errBody);
-        errMessage = errorDetails.message || errorDetails.error || JSON.stringify(errorDetails);
-      } catch (_) {}
-      console.error(`Unosend API error (${response.status}):`, errorDetails);
-      throw new Error(`Unosend API error (${response.status}): ${errMessage}`);
-    }
-
-    const data = await response.json().catch(() => ({}));
-    const messageId = data.id || data.messageId || data.message_id;
     console.log("Verification email sent via Unosend:", messageId || "ok");
     return { success: true, messageId: messageId || "sent" };
   } catch (error) {
@@ -147,18 +163,6 @@ export async function sendPasswordResetEmail(
   resetToken
 ) {
   try {
-    const apiKey = process.env.UNOSEND_API_KEY;
-    const fromEmail = process.env.UNOSEND_FROM_EMAIL || process.env.GMAIL_USER;
-
-    if (!apiKey) {
-      throw new Error("UNOSEND_API_KEY is not set in environment");
-    }
-    if (!fromEmail) {
-      throw new Error(
-        "UNOSEND_FROM_EMAIL (or GMAIL_USER) is not set - use a verified sending domain"
-      );
-    }
-
     const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
     const resetLink = `${frontendUrl}/reset-password?token=${resetToken}`;
 
@@ -208,36 +212,13 @@ export async function sendPasswordResetEmail(
         </html>
       `;
 
-    const response = await fetch(UNOSEND_API_URL, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        from: fromEmail.includes("<") ? fromEmail : `Collabiora <${fromEmail}>`,
-        to: email,
-        subject: "Reset Your Collabiora Password",
-        html,
-        // Add plain text version for better deliverability
-        text: `Hello ${username}!\n\nWe received a request to reset your password for your Collabiora account. Click the link below to reset your password:\n\n${resetLink}\n\nIMPORTANT: This link will expire in 15 minutes and can only be used once. If you didn't request a password reset, please ignore this email and your password will remain unchanged.\n\nIf you have any questions, contact us at info@collabiora.com.\nCollabiora, Los Angeles, CA\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
-      }),
+    const { messageId } = await sendEmail({
+      to: email,
+      subject: "Reset Your Collabiora Password",
+      html,
+      // Add plain text version for better deliverability
+      text: `Hello ${username}!\n\nWe received a request to reset your password for your Collabiora account. Click the link below to reset your password:\n\n${resetLink}\n\nIMPORTANT: This link will expire in 15 minutes and can only be used once. If you didn't request a password reset, please ignore this email and your password will remain unchanged.\n\nIf you have any questions, contact us at info@collabiora.com.\nCollabiora, Los Angeles, CA\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
     });
-
-    if (!response.ok) {
-      const errBody = await response.text();
-      let errMessage = errBody;
-      let errorDetails = {};
-      try {
-        errorDetails = JSON.parse(errBody);
-        errMessage = errorDetails.message || errorDetails.error || JSON.stringify(errorDetails);
-      } catch (_) {}
-      console.error(`Unosend API error (${response.status}):`, errorDetails);
-      throw new Error(`Unosend API error (${response.status}): ${errMessage}`);
-    }
-
-    const data = await response.json().catch(() => ({}));
-    const messageId = data.id || data.messageId || data.message_id;
     console.log("Password reset email sent via Unosend:", messageId || "ok");
     return { success: true, messageId: messageId || "sent" };
   } catch (error) {
@@ -254,18 +235,6 @@ export async function sendPasswordResetEmail(
  */
 export async function sendPasswordResetConfirmationEmail(email, username) {
   try {
-    const apiKey = process.env.UNOSEND_API_KEY;
-    const fromEmail = process.env.UNOSEND_FROM_EMAIL || process.env.GMAIL_USER;
-
-    if (!apiKey) {
-      throw new Error("UNOSEND_API_KEY is not set in environment");
-    }
-    if (!fromEmail) {
-      throw new Error(
-        "UNOSEND_FROM_EMAIL (or GMAIL_USER) is not set - use a verified sending domain"
-      );
-    }
-
     const logoUrl =
       process.env.LOGO_URL ||
       `https://res.cloudinary.com/dtgmjvfms/image/upload/logo_mh2rpv.png`;
@@ -302,36 +271,13 @@ export async function sendPasswordResetConfirmationEmail(email, username) {
         </html>
       `;
 
-    const response = await fetch(UNOSEND_API_URL, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        from: fromEmail.includes("<") ? fromEmail : `Collabiora <${fromEmail}>`,
-        to: email,
-        subject: "Your Password Was Changed Successfully",
-        html,
-        // Add plain text version for better deliverability
-        text: `Hello ${username}!\n\nYour password was successfully changed on ${new Date().toLocaleString()}.\n\nIf you didn't make this change, please contact our support team immediately to secure your account.\n\nIf you have any questions, contact us at info@collabiora.com.\nCollabiora, Los Angeles, CA\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
-      }),
+    const { messageId } = await sendEmail({
+      to: email,
+      subject: "Your Password Was Changed Successfully",
+      html,
+      // Add plain text version for better deliverability
+      text: `Hello ${username}!\n\nYour password was successfully changed on ${new Date().toLocaleString()}.\n\nIf you didn't make this change, please contact our support team immediately to secure your account.\n\nIf you have any questions, contact us at info@collabiora.com.\nCollabiora, Los Angeles, CA\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
     });
-
-    if (!response.ok) {
-      const errBody = await response.text();
-      let errMessage = errBody;
-      let errorDetails = {};
-      try {
-        errorDetails = JSON.parse(errBody);
-        errMessage = errorDetails.message || errorDetails.error || JSON.stringify(errorDetails);
-      } catch (_) {}
-      console.error(`Unosend API error (${response.status}):`, errorDetails);
-      throw new Error(`Unosend API error (${response.status}): ${errMessage}`);
-    }
-
-    const data = await response.json().catch(() => ({}));
-    const messageId = data.id || data.messageId || data.message_id;
     console.log("Password reset confirmation email sent via Unosend:", messageId || "ok");
     return { success: true, messageId: messageId || "sent" };
   } catch (error) {
@@ -340,6 +286,198 @@ export async function sendPasswordResetConfirmationEmail(email, username) {
   }
 }
 
+// Notification text includes user content (thread titles, usernames)
+function escapeHtml(value = "") {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Send a notification (see services/notification.service.js) by email
+ * @param {string} email - Recipient email address
+ * @param {string} username - Recipient username
+ * @param {Object} notification - { title, message, link }
+ * @returns {Promise<Object>} - Result of sending email
+ */
+export async function sendNotificationEmail(email, username, { title, message, link }) {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const actionUrl = `${frontendUrl}${link || "/insights"}`;
+    const settingsUrl = `${frontendUrl}/settings/notifications`;
+    const logoUrl =
+      process.env.LOGO_URL ||
+      `https://res.cloudinary.com/dtgmjvfms/image/upload/logo_mh2rpv.png`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(title)}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #D0C4E2, #E8E0EF); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 20px;">
+            <img src="${logoUrl}" alt="Collabiora Logo" style="max-width: 200px; height: auto; margin-bottom: 10px;" />
+          </div>
+
+          <div style="background: #fff; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+            <h2 style="color: #2F3C96;">Hello ${escapeHtml(username)}!</h2>
+            <p style="font-weight: bold;">${escapeHtml(title)}</p>
+            <p>${escapeHtml(message)}</p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${actionUrl}" style="background: #2F3C96; color: #fff; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">View on Collabiora</a>
+            </div>
+          </div>
+
+          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+            <p style="margin: 4px 0;">You can choose which notifications you get by email in your <a href="${settingsUrl}" style="color: #2F3C96; text-decoration: none;">notification settings</a>.</p>
+            <p style="margin: 4px 0;">Collabiora, Los Angeles, CA</p>
+            <p style="margin: 8px 0 0;">&copy; ${new Date().getFullYear()} Collabiora. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `;
+
+    const { messageId } = await sendEmail({
+      to: email,
+      subject: title,
+      html,
+      text: `Hello ${username}!\n\n${title}\n${message}\n\nView on Collabiora: ${actionUrl}\n\nChoose which notifications you get by email: ${settingsUrl}\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
+    });
+    return { success: true, messageId };
+  } catch (error) {
+    console.error("Error sending notification email:", error);
+    throw new Error(`Failed to send notification email: ${error.message}`);
+  }
+}
+
+/**
+ * Send the daily/weekly digest (see services/digest.service.js)
+ * @param {string} email - Recipient email address
+ * @param {string} username - Recipient username
+ * @param {Object} digest - { frequency, topics, trials, publications, insights, communities }
+ * @param {Object} options - { unsubscribeUrl } one-click unsubscribe link
+ * @returns {Promise<Object>} - Result of sending email
+ */
+export async function sendDigestEmail(email, username, digest, { unsubscribeUrl }) {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const settingsUrl = `${frontendUrl}/settings/notifications`;
+    const logoUrl =
+      process.env.LOGO_URL ||
+      `https://res.cloudinary.com/dtgmjvfms/image/upload/logo_mh2rpv.png`;
+    const period = digest.frequency === "daily" ? "today" : "this week";
+    const subject = `Your ${digest.frequency} Collabiora digest`;
+
+    const link = (url, label) =>
+      url
+        ? `<a href="${escapeHtml(url)}" style="color: #2F3C96; text-decoration: none;">${escapeHtml(label)}</a>`
+        : escapeHtml(label);
+    const section = (heading, items) =>
+      items.length
+        ? `<h3 style="color: #2F3C96; margin: 24px 0 8px;">${heading}</h3><ul style="padding-left: 20px; margin: 0;">${items
+            .map((item) => `<li style="margin-bottom: 8px;">${item}</li>`)
+            .join("")}</ul>`
+        : "";
+
+    const sections = [
+      section(
+        "New clinical trials",
+        digest.trials.map((t) => link(t.url, t.title)),
+      ),
+      section(
+        "New publications",
+        digest.publications.map(
+          (p) =>
+            `${link(p.url, p.title)}${p.journal ? `<br><span style="color: #777; font-size: 13px;">${escapeHtml(p.journal)}</span>` : ""}`,
+        ),
+      ),
+      section(
+        `Unread insights (${digest.insights.unreadCount})`,
+        digest.insights.items.map((n) => `<strong>${escapeHtml(n.title)}</strong> - ${escapeHtml(n.message)}`),
+      ),
+      section(
+        "Activity in your communities",
+        digest.communities.map(
+          (c) =>
+            `<strong>${escapeHtml(c.name)}</strong>: ${c.newThreads} new discussion${c.newThreads === 1 ? "" : "s"}${c.threads
+              .map((t) => `<br><span style="color: #777; font-size: 13px;">${escapeHtml(t.title)}</span>`)
+              .join("")}`,
+        ),
+      ),
+    ].join("");
+
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(subject)}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #D0C4E2, #E8E0EF); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 20px;">
+            <img src="${logoUrl}" alt="Collabiora Logo" style="max-width: 200px; height: auto; margin-bottom: 10px;" />
+          </div>
+
+          <div style="background: #fff; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+            <h2 style="color: #2F3C96;">Hello ${escapeHtml(username)}!</h2>
+            <p>Here's what's new ${period}${digest.topics?.length ? ` for ${escapeHtml(digest.topics.join(", "))}` : ""}.</p>
+            ${sections}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${frontendUrl}" style="background: #2F3C96; color: #fff; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Open Collabiora</a>
+            </div>
+          </div>
+
+          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+            <p style="margin: 4px 0;">You get this digest ${digest.frequency}. Change how often in your <a href="${settingsUrl}" style="color: #2F3C96; text-decoration: none;">notification settings</a> or <a href="${unsubscribeUrl}" style="color: #2F3C96; text-decoration: none;">unsubscribe</a>.</p>
+            <p style="margin: 4px 0;">Collabiora, Los Angeles, CA</p>
+            <p style="margin: 8px 0 0;">&copy; ${new Date().getFullYear()} Collabiora. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `;
+
+    const textSection = (heading, lines) =>
+      lines.length ? `\n${heading}\n${lines.map((line) => `- ${line}`).join("\n")}\n` : "";
+    const text = [
+      `Hello ${username}!\n\nHere's what's new ${period}.\n`,
+      textSection("New clinical trials", digest.trials.map((t) => `${t.title} ${t.url}`)),
+      textSection("New publications", digest.publications.map((p) => `${p.title} ${p.url}`)),
+      textSection(
+        `Unread insights (${digest.insights.unreadCount})`,
+        digest.insights.items.map((n) => `${n.title} - ${n.message}`),
+      ),
+      textSection(
+        "Activity in your communities",
+        digest.communities.map((c) => `${c.name}: ${c.newThreads} new discussion(s)`),
+      ),
+      `\nUnsubscribe: ${unsubscribeUrl}\n\n© ${new Date().getFullYear()} Collabiora. All rights reserved.`,
+    ].join("");
+
+    const { messageId } = await sendEmail({
+      to: email,
+      subject,
+      html,
+      text,
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+    return { success: true, messageId };
+  } catch (error) {
+    console.error("Error sending digest email:", error);
+    throw new Error(`Failed to send digest email: ${error.message}`);
+  }
+}
+
 /**
  * Verify Unosend configuration (API key and from address set)
  * @returns {Promise<boolean>} - True if configuration is valid
@@ -4,6 +4,7 @@ import dotenv from "dotenv";
 import rateLimiter from "../utils/geminiRateLimiter.js";
 import { searchGoogleScholarPublications } from "./googleScholar.service.js";
 import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import { createCache } from "./cache.service.js";
 
 dotenv.config();
 
@@ -11,36 +12,13 @@ const apiKey = process.env.GOOGLE_AI_API_KEY;
 const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
 
 // Cache for expert profiles
-const profileCache = new Map();
 const CACHE_TTL_MS = 1000 * 60 * 60; // 1 hour cache
+const cache = createCache("expert-profiles", { ttlMs: CACHE_TTL_MS, maxEntries: 50 });
 
 function getCacheKey(expertName) {
   return `expert:profile:${expertName.toLowerCase().trim()}`;
 }
 
-function getCache(key) {
-  const item = profileCache.get(key);
-  if (!item) return null;
-  if (Date.now() > item.expires) {
-    profileCache.delete(key);
-    return null;
-  }
-  return item.value;
-}
-
-function setCache(key, value) {
-  profileCache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
-
-  if (profileCache.size > 50) {
-    const now = Date.now();
-    for (const [k, v] of profileCache.entries()) {
-      if (now > v.expires) {
-        profileCache.delete(k);
-      }
-    }
-  }
-}
-
 /**
  * Generate AI summary for expert bio
  */
@@ -234,7 +212,7 @@ export async function getExpertProfile(expertData) {
     throw new Error("Expert name is required");
   }
   const cacheKey = getCacheKey(expertData.name);
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) {
     return cached;
   }
@@ -388,7 +366,7 @@ export async function getExpertProfile(expertData) {
     };
 
     // Cache the profile
-    setCache(cacheKey, profile);
+    await cache.set(cacheKey, profile);
 
     return profile;
   } catch (error) {
@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+/**
+ * Local payment provider for development and tests: no real money moves.
+ * Checkouts live in memory; "paying" one (POST /api/billing/fake-checkout/:paymentId) builds
+ * a signed webhook that goes through the same handler a real provider's would.
+ *
+ * Only registered outside production (see paymentProvider.service.js).
+ *
+ * Env: FAKE_PAYMENT_WEBHOOK_SECRET (required while it is the active provider), API_URL
+ */
+const WEBHOOK_SECRET = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+const SIGNATURE_HEADER = "x-fake-signature";
+
+const payments = new Map();
+
+function sign(rawBody) {
+  if (!WEBHOOK_SECRET) throw new Error("FAKE_PAYMENT_WEBHOOK_SECRET is not set");
+  return crypto.createHmac("sha256", WEBHOOK_SECRET).update(rawBody).digest("hex");
+}
+
+/**
+ * A signed webhook delivery, as the provider would send it
+ * @returns {Object} - { rawBody: Buffer, headers }
+ */
+export function buildFakeWebhook(type, paymentId, amount, extra = {}) {
+  const rawBody = Buffer.from(
+    JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+      type,
+      data: { paymentId, amount, ...extra },
+    }),
+  );
+  return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+}
+
+export const fakePaymentProvider = {
+  name: "fake",
+
+  hasWebhookSecret() {
+    return Boolean(WEBHOOK_SECRET);
+  },
+
+  async createCheckout({ invoiceId, amount, currency, description }) {
+    const paymentId = `pay_${crypto.randomBytes(12).toString("hex")}`;
+    payments.set(paymentId, { invoiceId, amount, currency, description, status: "open", refunded: 0 });
+    const apiUrl = process.env.API_URL || "http://localhost:5000";
+    return { paymentId, checkoutUrl: `${apiUrl}/api/billing/fake-checkout/${paymentId}` };
+  },
+
+  async refund({ paymentId, amount }) {
+    const payment = payments.get(paymentId);
+    if (!payment || payment.status !== "succeeded") {
+      throw new Error(`Fake payment ${paymentId} has not been paid`);
+    }
+    if (payment.refunded + amount > payment.amount) {
+      throw new Error("Refund exceeds the amount paid");
+    }
+    payment.refunded += amount;
+    return { refundId: `re_${crypto.randomBytes(8).toString("hex")}`, status: "succeeded" };
+  },
+
+  parseWebhook(rawBody, headers = {}) {
+    const signature = headers[SIGNATURE_HEADER];
+    const expected = sign(rawBody || "");
+    if (
+      typeof signature !== "string" ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+    const event = JSON.parse(rawBody.toString("utf-8"));
+    return {
+      id: event.id,
+      type: event.type,
+      paymentId: event.data?.paymentId,
+      amount: event.data?.amount,
+      error: event.data?.error,
+    };
+  },
+
+  /**
+   * Finish a checkout as the customer would
+   * @param {string} paymentId
+   * @param {"succeeded"|"failed"} outcome
+   * @returns {Object|null} - Webhook delivery ({ rawBody, headers }), or null for an unknown/finished checkout
+   */
+  completeCheckout(paymentId, outcome = "succeeded") {
+    const payment = payments.get(paymentId);
+    if (!payment || payment.status === "succeeded") return null;
+    if (outcome === "failed") {
+      return buildFakeWebhook("payment.failed", paymentId, payment.amount, { error: "Card declined" });
+    }
+    payment.status = "succeeded";
+    return buildFakeWebhook("payment.succeeded", paymentId, payment.amount);
+  },
+};
@@ -19,26 +19,15 @@ import axios from "axios";
 import { DOMParser } from "xmldom";
 import * as cheerio from "cheerio";
 import sanitizeHtml from "sanitize-html";
+import { createCache } from "./cache.service.js";
 
 const UNPAYWALL_EMAIL =
   process.env.UNPAYWALL_EMAIL ||
   process.env.OPENALEX_MAILTO ||
   "support@curalink.org";
 
-const cache = new Map();
 const CACHE_TTL_MS = 1000 * 60 * 60; // 1 hour for full-text
-
-function getCached(key) {
-  const e = cache.get(key);
-  if (!e || Date.now() > e.expires) {
-    if (e) cache.delete(key);
-    return null;
-  }
-  return e.value;
-}
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
-}
+const cache = createCache("full-text", { ttlMs: CACHE_TTL_MS });
 
 /**
  * Hosts that serve openly accessible PDFs that our proxy can reliably fetch.
@@ -143,7 +132,7 @@ export async function checkUnpaywall(doi) {
   if (!cleanDoi) return null;
 
   const key = `unpaywall:${cleanDoi}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -179,7 +168,7 @@ export async function checkUnpaywall(doi) {
       title: data?.title,
       year: data?.year,
     };
-    setCache(key, out);
+    await cache.set(key, out);
     return out;
   } catch (err) {
     if (err.response?.status === 404) return null;
@@ -197,7 +186,7 @@ async function fetchEuropePmcFullText(pmcid) {
   if (!id) return null;
 
   const key = `epmc:${id}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   const urlsToTry = [
@@ -218,7 +207,7 @@ async function fetchEuropePmcFullText(pmcid) {
 
       const parsed = parsePmcXml(xml);
       if (parsed) {
-        setCache(key, parsed);
+        await cache.set(key, parsed);
         return parsed;
       }
     } catch {
@@ -344,7 +333,7 @@ async function fetchHtmlArticle(htmlUrl) {
   if (!htmlUrl || typeof htmlUrl !== "string") return null;
   if (!isAllowedHtmlUrl(htmlUrl)) return null;
   const key = `html:${htmlUrl}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -475,7 +464,7 @@ async function fetchHtmlArticle(htmlUrl) {
         $("title").text()?.trim() || $("h1").first().text()?.trim() || null,
       sections: [{ label: "Full article", content: cleanHtml, isHtml: true }],
     };
-    setCache(key, out);
+    await cache.set(key, out);
     return out;
   } catch (err) {
     console.warn("HTML article fetch error:", err?.message);
@@ -0,0 +1,305 @@
+import os from "os";
+import { Job, JOB_STATUSES } from "../models/Job.js";
+
+// MongoDB-backed queue for work that shouldn't hold up a request (AI calls, third-party
+// fetches, email). Jobs survive restarts; failures are retried with exponential backoff
+// and end up "dead" after their last attempt, where the admin view can retry them.
+// Services register a handler for each job type they own, at import time.
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000", 10);
+// Jobs this instance runs at once, across all types
+const WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY || "4", 10);
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A running job whose worker died (crash, deploy) is handed out again after this long.
+// Live workers refresh the lock well within it, however long their handler takes.
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const LOCK_HEARTBEAT_MS = 60 * 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+const runningByType = new Map();
+let runningTotal = 0;
+let polling = false;
+let started = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type
+ * @param {Function} run - async (payload, job, { signal }) => result; throw to retry. The
+ *   AbortSignal fires at timeoutMs: stop before any further side effect. The job is only
+ *   retried once run has settled, so a handler that ignores it just delays the retry.
+ * @param {Object} options - { concurrency, maxAttempts, backoffMs, timeoutMs,
+ *   onDead: async (job, error) => void, called once the last attempt fails }
+ */
+export function registerJobHandler(type, run, options = {}) {
+  handlers.set(type, {
+    run,
+    concurrency: options.concurrency || 1,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    onDead: options.onDead || null,
+  });
+}
+
+/**
+ * Queue a job. With a dedupeKey, a job with the same key that is still queued or running
+ * is returned instead of adding another.
+ * @param {string} type - Registered job type
+ * @param {Object} payload - Stored as-is (keep it small, and free of secrets)
+ * @param {Object} options - { dedupeKey, runAt, priority, maxAttempts }
+ * @returns {Promise<Object>} - The job
+ */
+export async function enqueueJob(type, payload = {}, { dedupeKey, runAt, priority = 0, maxAttempts } = {}) {
+  const job = {
+    type,
+    payload,
+    status: "queued",
+    priority,
+    runAt: runAt || new Date(),
+    maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+  };
+  if (!dedupeKey) {
+    const created = await Job.create(job);
+    setImmediate(poll);
+    return created;
+  }
+
+  try {
+    const queued = await Job.findOneAndUpdate(
+      { dedupeKey },
+      { $setOnInsert: job },
+      { upsert: true, new: true },
+    ).lean();
+    setImmediate(poll);
+    return queued;
+  } catch (error) {
+    // Lost an insert race for the same key
+    if (error.code === 11000) return Job.findOne({ dedupeKey }).lean();
+    throw error;
+  }
+}
+
+function backoffDelay(handler, attempts) {
+  const delay = Math.min(MAX_BACKOFF_MS, handler.backoffMs * 2 ** (attempts - 1));
+  // Jitter so jobs that failed together don't all retry together
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+async function runJob(job, handler) {
+  const mine = { _id: job._id, status: "running", lockedBy: WORKER_ID };
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    console.warn(`[Jobs] ${job.type} ${job._id} ran past its timeout; aborting`);
+    controller.abort(new Error(`Timed out after ${Math.round(handler.timeoutMs / 1000)}s`));
+  }, handler.timeoutMs);
+  // Keep the lock fresh while the handler runs so stale-job recovery doesn't hand it out again
+  const heartbeat = setInterval(() => {
+    Job.updateOne(mine, { $set: { lockedAt: new Date() } }).catch((error) =>
+      console.error(`[Jobs] Failed to extend lock of ${job.type} ${job._id}:`, error),
+    );
+  }, LOCK_HEARTBEAT_MS);
+
+  try {
+    let result;
+    try {
+      // Wait for the handler itself, not the timer: releasing the job while it still runs
+      // would let a retry repeat its side effects (emails, reminders)
+      result = await handler.run(job.payload, job, { signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+      clearInterval(heartbeat);
+    }
+    await Job.updateOne(mine, {
+      $set: { status: "completed", completedAt: new Date(), result: result ?? null },
+      $unset: { dedupeKey: "", lockedAt: "", lockedBy: "" },
+    });
+  } catch (error) {
+    const { aborted, reason: abortReason } = controller.signal;
+    const reason = aborted && error !== abortReason ? `${abortReason.message}: ` : "";
+    const message = reason + (error?.message || String(error));
+    const failure = { $push: { failures: { $each: [{ attempt: job.attempts, message }], $slice: -MAX_FAILURES_KEPT } } };
+
+    if (job.attempts >= job.maxAttempts) {
+      console.error(`[Jobs] ${job.type} ${job._id} failed its last attempt:`, message);
+      const died = await Job.updateOne(mine, {
+        $set: { status: "dead", diedAt: new Date(), lastError: message },
+        $unset: { dedupeKey: "", lockedAt: "", lockedBy: "" },
+        ...failure,
+      });
+      if (died.modifiedCount > 0 && handler.onDead) {
+        await Promise.resolve(handler.onDead(job, error)).catch((hookError) =>
+          console.error(`[Jobs] onDead hook for ${job.type} failed:`, hookError),
+        );
+      }
+      return;
+    }
+
+    await Job.updateOne(mine, {
+      $set: {
+        status: "queued",
+        runAt: new Date(Date.now() + backoffDelay(handler, job.attempts)),
+        lastError: message,
+      },
+      $unset: { lockedAt: "", lockedBy: "" },
+      ...failure,
+    });
+  }
+}
+
+// Atomically take the next due job of a type this instance has room for
+async function claimNextJob() {
+  const types = [...handlers.entries()]
+    .filter(([type, handler]) => (runningByType.get(type) || 0) < handler.concurrency)
+    .map(([type]) => type);
+  if (types.length === 0) return null;
+
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: "queued", type: { $in: types }, runAt: { $lte: now } },
+    { $set: { status: "running", lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+    { sort: { priority: -1, runAt: 1 }, new: true },
+  ).lean();
+}
+
+async function poll() {
+  if (!started || polling) return;
+  polling = true;
+  try {
+    while (runningTotal < WORKER_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      const handler = handlers.get(job.type);
+      runningTotal++;
+      runningByType.set(job.type, (runningByType.get(job.type) || 0) + 1);
+      runJob(job, handler)
+        .catch((error) => console.error(`[Jobs] Failed to record result of ${job.type} ${job._id}:`, error))
+        .finally(() => {
+          runningTotal--;
+          runningByType.set(job.type, runningByType.get(job.type) - 1);
+          // A slot freed up: look for more work straight away
+          setImmediate(poll);
+        });
+    }
+  } catch (error) {
+    console.error("[Jobs] Poll failed:", error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Put jobs whose worker stopped mid-run back in the queue (or mark them dead when that
+ * was their last attempt)
+ * @returns {Promise<number>} - Jobs recovered
+ */
+export async function recoverStaleJobs(now = new Date()) {
+  const stale = { status: "running", lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } };
+  const lastError = "Worker stopped before the job finished";
+  const [dead, requeued] = await Promise.all([
+    Job.updateMany(
+      { ...stale, $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+      {
+        $set: { status: "dead", diedAt: now, lastError },
+        $unset: { dedupeKey: "", lockedAt: "", lockedBy: "" },
+      },
+    ),
+    Job.updateMany(
+      { ...stale, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+      { $set: { status: "queued", runAt: now, lastError }, $unset: { lockedAt: "", lockedBy: "" } },
+    ),
+  ]);
+  return dead.modifiedCount + requeued.modifiedCount;
+}
+
+/**
+ * Start processing jobs on this instance
+ */
+export function startJobQueue() {
+  if (started) return;
+  started = true;
+  setInterval(poll, POLL_INTERVAL_MS);
+  setInterval(
+    () =>
+      recoverStaleJobs()
+        .then((count) => {
+          if (count > 0) console.log(`[Jobs] Recovered ${count} stale job(s)`);
+        })
+        .catch((error) => console.error("[Jobs] Stale job recovery failed:", error)),
+    STALE_CHECK_INTERVAL_MS,
+  );
+  console.log(`[Jobs] Worker ${WORKER_ID} started (${[...handlers.keys()].join(", ") || "no handlers"})`);
+  poll();
+}
+
+/**
+ * Jobs for the admin view, newest first
+ * @param {Object} filters - { status, type, page, limit }
+ * @returns {Promise<Object>} - { jobs, pagination }
+ */
+export async function listJobs({ status, type, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  const [jobs, total] = await Promise.all([
+    Job.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Job.countDocuments(query),
+  ]);
+  return { jobs, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+}
+
+/**
+ * Job counts per type and status, plus this instance's handlers and how busy they are
+ * @returns {Promise<Object>} - { counts: { [type]: { [status]: n } }, handlers, worker }
+ */
+export async function getJobStats() {
+  const grouped = await Job.aggregate([{ $group: { _id: { type: "$type", status: "$status" }, count: { $sum: 1 } } }]);
+  const counts = {};
+  for (const { _id, count } of grouped) {
+    counts[_id.type] ??= Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+    counts[_id.type][_id.status] = count;
+  }
+  return {
+    counts,
+    handlers: [...handlers.entries()].map(([type, handler]) => ({
+      type,
+      concurrency: handler.concurrency,
+      maxAttempts: handler.maxAttempts,
+      running: runningByType.get(type) || 0,
+    })),
+    worker: { id: WORKER_ID, concurrency: WORKER_CONCURRENCY, running: runningTotal, started },
+  };
+}
+
+/**
+ * Run a dead or cancelled job again, with a fresh set of attempts
+ * @returns {Promise<Object|null>} - Job before the change, or null when not retryable
+ */
+export async function retryJob(jobId) {
+  const before = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ["dead", "cancelled"] } },
+    { $set: { status: "queued", attempts: 0, runAt: new Date() }, $unset: { diedAt: "" } },
+  ).lean();
+  if (before) setImmediate(poll);
+  return before;
+}
+
+/**
+ * Cancel a job that hasn't started
+ * @returns {Promise<Object|null>} - Job before the change, or null when not queued
+ */
+export async function cancelJob(jobId) {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: "queued" },
+    { $set: { status: "cancelled" }, $unset: { dedupeKey: "" } },
+  ).lean();
+}
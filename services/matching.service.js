@@ -424,6 +424,15 @@ function calculateLocationProximity(userLoc, itemLoc) {
   return 0.15;
 }
 
+// Miles to the nearest recruiting site -> proximity score
+function calculateDistanceProximity(distanceMiles) {
+  if (distanceMiles <= 25) return 1;
+  if (distanceMiles <= 100) return 0.85;
+  if (distanceMiles <= 300) return 0.6;
+  if (distanceMiles <= 1000) return 0.35;
+  return 0.15;
+}
+
 /* ---------------------------------------------------------
      MATCH CALCULATORS (Your same API, improved scoring)
      --------------------------------------------------------- */
@@ -486,10 +495,11 @@ export function calculateTrialMatch(trial, userProfile) {
   }
 
   /* LOCATION MATCH */
-  const locationScore = calculateLocationProximity(
-    userLocation,
-    trial.location
-  );
+  // Measured distance to a recruiting site when the search could place both ends
+  const locationScore =
+    typeof trial.distanceMiles === "number"
+      ? calculateDistanceProximity(trial.distanceMiles)
+      : calculateLocationProximity(userLocation, trial.location);
 
   /* STATUS SCORE */
   const status = trial.status?.toUpperCase() || "";
@@ -207,6 +207,39 @@ export function extractBiomarkers(text) {
   return Array.from(foundBiomarkers);
 }
 
+/**
+ * Find where biomarkers are mentioned in text, so callers can read the words around them
+ * (e.g. "HER2-negative", "EGFR mutation")
+ * @param {string} text
+ * @returns {Array<Object>} - [{ marker, index, length }], in order of appearance
+ */
+export function findBiomarkerMentions(text) {
+  if (!text || typeof text !== "string") return [];
+
+  const mentions = [];
+  for (const [key, synonyms] of Object.entries(BIOMARKER_TERMS)) {
+    const patterns = [key, ...synonyms]
+      .map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .sort((a, b) => b.length - a.length);
+    const regex = new RegExp(`\\b(?:${patterns.join("|")})\\b`, "gi");
+    for (const match of text.matchAll(regex)) {
+      mentions.push({ marker: key.toUpperCase(), index: match.index, length: match[0].length });
+    }
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Synonyms for a condition name (exact match on the condition, not on words inside it)
+ * @param {string} condition - e.g. "ALS"
+ * @returns {Array<string>} - e.g. ["Amyotrophic Lateral Sclerosis", "Motor Neuron Disease"]
+ */
+export function getConditionSynonyms(condition) {
+  if (!condition || typeof condition !== "string") return [];
+  return CONDITION_SYNONYMS[condition.toLowerCase().trim()] || [];
+}
+
 /**
  * Check if a location/institution is a Center of Excellence
  * @param {string} location - Location or institution name
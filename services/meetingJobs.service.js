@@ -0,0 +1,129 @@
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { notify } from "./notification.service.js";
+import { DEFAULT_MEETING_MINUTES, SLOT_HOLD_UNSET } from "./scheduling.service.js";
+
+// Scheduled work for confirmed meetings: reminders before, completion and follow-up prompts after
+const JOB_INTERVAL_MS = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+// Feedback is only asked for meetings that ended this recently; older ones (accepted
+// before this job ran, or missed while it was down) are completed without notifying
+const FEEDBACK_WINDOW_MS = 48 * HOUR_MS;
+// Reminder kinds, latest first: the 1h reminder also covers the 24h one when a meeting is booked late
+const REMINDERS = [
+  { kind: "1h", before: HOUR_MS },
+  { kind: "24h", before: 24 * HOUR_MS },
+];
+
+const reminderKey = (kind, meetingDate) => `${kind}:${new Date(meetingDate).toISOString()}`;
+
+function startsInLabel(meetingDate, now) {
+  const minutes = Math.max(1, Math.round((new Date(meetingDate) - now) / 60000));
+  if (minutes < 90) return `in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+  const hours = Math.round(minutes / 60);
+  return `in ${hours} hours`;
+}
+
+async function notifyBoth(meeting, type, data) {
+  const common = { itemId: meeting._id, data: { requestId: meeting._id.toString(), ...data } };
+  await notify(meeting.patientId, type, { ...common, actorId: meeting.expertId });
+  await notify(meeting.expertId, type, { ...common, actorId: meeting.patientId });
+}
+
+/**
+ * Remind both participants of confirmed meetings starting within 24 hours, then again
+ * within the hour. Each reminder is sent once per meeting time.
+ * @returns {Promise<number>} - Meetings reminded
+ */
+export async function sendMeetingReminders(now = new Date()) {
+  const meetings = await MeetingRequest.find({
+    status: "accepted",
+    meetingDate: { $gt: now, $lte: new Date(now.getTime() + 24 * HOUR_MS) },
+  })
+    .select("patientId expertId meetingDate remindersSent")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let reminded = 0;
+  for (const meeting of meetings) {
+    const due = REMINDERS.findIndex(({ before }) => meeting.meetingDate - now <= before);
+    const { kind } = REMINDERS[due];
+    const key = reminderKey(kind, meeting.meetingDate);
+    // Accepted before reminders existed: no remindersSent array yet
+    if ((meeting.remindersSent || []).includes(key)) continue;
+
+    // Claim the reminder (and the earlier ones it covers) so a concurrent run doesn't repeat it
+    const keys = REMINDERS.slice(due).map((r) => reminderKey(r.kind, meeting.meetingDate));
+    const claimed = await MeetingRequest.updateOne(
+      { _id: meeting._id, status: "accepted", meetingDate: meeting.meetingDate, remindersSent: { $ne: key } },
+      { $addToSet: { remindersSent: { $each: keys } } },
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await notifyBoth(meeting, "meeting_reminder", {
+      kind,
+      meetingDate: meeting.meetingDate,
+      startsIn: startsInLabel(meeting.meetingDate, now),
+    });
+    reminded++;
+  }
+  return reminded;
+}
+
+function endedBy(cutoff) {
+  return {
+    $or: [
+      { meetingEndDate: { $lte: cutoff } },
+      // Scheduled before meetings had an end time
+      { meetingEndDate: null, meetingDate: { $lte: new Date(cutoff.getTime() - DEFAULT_MEETING_MINUTES * 60000) } },
+    ],
+  };
+}
+
+/**
+ * Mark confirmed meetings whose slot has ended as completed and ask both participants
+ * for notes and a rating (for meetings that ended within the feedback window)
+ * @returns {Promise<number>} - Meetings completed
+ */
+export async function completeFinishedMeetings(now = new Date()) {
+  const closed = await MeetingRequest.updateMany(
+    { status: "accepted", ...endedBy(new Date(now.getTime() - FEEDBACK_WINDOW_MS)) },
+    { $set: { status: "completed", completedAt: now }, $unset: SLOT_HOLD_UNSET },
+  );
+
+  const meetings = await MeetingRequest.find({ status: "accepted", ...endedBy(now) })
+    .select("patientId expertId meetingDate")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let completed = closed.modifiedCount;
+  for (const meeting of meetings) {
+    const updated = await MeetingRequest.updateOne(
+      { _id: meeting._id, status: "accepted", meetingDate: meeting.meetingDate },
+      { $set: { status: "completed", completedAt: now }, $unset: SLOT_HOLD_UNSET },
+    );
+    if (updated.modifiedCount === 0) continue;
+    await notifyBoth(meeting, "meeting_feedback_requested", { meetingDate: meeting.meetingDate });
+    completed++;
+  }
+  return completed;
+}
+
+export async function runMeetingJobs(now = new Date()) {
+  const reminded = await sendMeetingReminders(now);
+  const completed = await completeFinishedMeetings(now);
+  return { reminded, completed };
+}
+
+/**
+ * Run the meeting jobs every 5 minutes
+ */
+export function startMeetingJobSchedule() {
+  const run = () =>
+    runMeetingJobs()
+      .then((stats) => {
+        if (stats.reminded > 0 || stats.completed > 0) console.log("[MeetingJobs] Run complete:", stats);
+      })
+      .catch((error) => console.error("[MeetingJobs] Run failed:", error));
+  setInterval(run, JOB_INTERVAL_MS);
+}
@@ -0,0 +1,190 @@
+import { MessageRequest } from "../models/MessageRequest.js";
+import { User } from "../models/User.js";
+import { ConnectionRequest } from "../models/ConnectionRequest.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { CommunityMembership } from "../models/CommunityMembership.js";
+import { Follow } from "../models/Follow.js";
+import { deliverMessage } from "./conversation.service.js";
+import { isBlockedBetween, BLOCKED_ERROR } from "./block.service.js";
+import { notify } from "./notification.service.js";
+
+// A declined patient may ask the same researcher again after this many days
+const REJECTED_RETRY_DAYS = parseInt(process.env.MESSAGE_REQUEST_RETRY_DAYS || "30", 10);
+
+const ruleChecks = {
+  everyone: async () => true,
+  connected: async (expertId, requesterId) => {
+    const [connection, meeting] = await Promise.all([
+      ConnectionRequest.exists({
+        $or: [
+          { requesterId, receiverId: expertId, status: "accepted" },
+          { requesterId: expertId, receiverId: requesterId, status: "accepted" },
+        ],
+      }),
+      MeetingRequest.exists({ patientId: requesterId, expertId, status: "accepted" }),
+    ]);
+    return !!(connection || meeting);
+  },
+  communities: async (expertId, requesterId) => {
+    const expertCommunities = await CommunityMembership.find({ userId: expertId }).distinct(
+      "communityId",
+    );
+    if (expertCommunities.length === 0) return false;
+    return !!(await CommunityMembership.exists({
+      userId: requesterId,
+      communityId: { $in: expertCommunities },
+    }));
+  },
+  following: async (expertId, requesterId) =>
+    !!(await Follow.exists({ followerId: expertId, followingId: requesterId })),
+};
+
+/**
+ * First auto-accept rule of the researcher's that the requester satisfies
+ * @param {Object} expert - User with messageRequestAutoAccept
+ * @param {string} requesterId - Patient id
+ * @returns {Promise<string|null>} - Matching rule name
+ */
+export async function findAutoAcceptRule(expert, requesterId) {
+  for (const rule of expert.messageRequestAutoAccept || []) {
+    if (ruleChecks[rule] && (await ruleChecks[rule](expert._id, requesterId))) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+// The request text becomes the first message of the conversation
+async function deliverRequestMessage(request, notifyReceiver) {
+  const { message } = await deliverMessage({
+    senderId: request.requesterId,
+    receiverId: request.expertId,
+    senderRole: request.requesterRole,
+    receiverRole: request.expertRole,
+    body: request.message,
+    notifyReceiver,
+  });
+  await MessageRequest.updateOne({ _id: request._id }, { $set: { messageId: message._id } });
+  request.messageId = message._id;
+  return message;
+}
+
+/**
+ * Ask a researcher for permission to message them. Accepted straight away when one of the
+ * researcher's auto-accept rules matches; otherwise the researcher is notified to review it.
+ * @param {Object} params - { requesterId, expertId, message }
+ * @returns {Promise<Object>} - { success, messageRequest, message } (message only when auto-accepted)
+ *   or { success: false, status, error }
+ */
+export async function createMessageRequest({ requesterId, expertId, message }) {
+  if (!message?.trim()) {
+    return { success: false, status: 400, error: "A message is required" };
+  }
+  if (requesterId.toString() === expertId.toString()) {
+    return { success: false, status: 400, error: "Cannot send a message request to yourself" };
+  }
+
+  if (await isBlockedBetween(requesterId, expertId)) {
+    return { success: false, status: 403, error: BLOCKED_ERROR };
+  }
+
+  const [requester, expert] = await Promise.all([
+    User.findById(requesterId).select("username role").lean(),
+    User.findById(expertId).select("username role messageRequestAutoAccept").lean(),
+  ]);
+  if (!requester || !expert) {
+    return { success: false, status: 404, error: "User not found" };
+  }
+  if (requester.role !== "patient" || expert.role !== "researcher") {
+    return {
+      success: false,
+      status: 400,
+      error: "Message requests are sent by patients to researchers",
+    };
+  }
+
+  const latest = await MessageRequest.findOne({ requesterId, expertId })
+    .sort({ createdAt: -1 })
+    .lean();
+  if (latest?.status === "accepted") {
+    return { success: false, status: 409, error: "You can already message this researcher" };
+  }
+  if (latest?.status === "pending") {
+    return {
+      success: false,
+      status: 409,
+      error: "Your message request is waiting for the researcher to respond",
+    };
+  }
+  if (latest?.status === "rejected") {
+    const retryAt = new Date(latest.respondedAt || latest.updatedAt);
+    retryAt.setDate(retryAt.getDate() + REJECTED_RETRY_DAYS);
+    if (retryAt > new Date()) {
+      return {
+        success: false,
+        status: 403,
+        error: "This researcher declined your message request",
+      };
+    }
+  }
+
+  const autoAcceptRule = await findAutoAcceptRule(expert, requesterId);
+  const messageRequest = await MessageRequest.create({
+    requesterId,
+    expertId,
+    requesterRole: requester.role,
+    expertRole: expert.role,
+    message: message.trim(),
+    status: autoAcceptRule ? "accepted" : "pending",
+    respondedAt: autoAcceptRule ? new Date() : undefined,
+    autoAcceptRule,
+  });
+
+  if (autoAcceptRule) {
+    // Arrives like any other message, including the usual new_message notification
+    const delivered = await deliverRequestMessage(messageRequest, true);
+    return { success: true, messageRequest, message: delivered };
+  }
+
+  await notify(expertId, "message_request", {
+    actorId: requesterId,
+    itemId: messageRequest._id,
+    data: {
+      requestId: messageRequest._id.toString(),
+      preview: messageRequest.message.slice(0, 200),
+    },
+  });
+
+  return { success: true, messageRequest, message: null };
+}
+
+/**
+ * Accept or reject a pending request. Accepting delivers the request text as the first message.
+ * @param {string} requestId - MessageRequest id
+ * @param {string} action - "accept" or "reject"
+ * @returns {Promise<Object>} - { success, messageRequest } or { success: false, status, error }
+ */
+export async function respondToMessageRequest(requestId, action) {
+  const status = action === "accept" ? "accepted" : "rejected";
+  const messageRequest = await MessageRequest.findOneAndUpdate(
+    { _id: requestId, status: "pending" },
+    { status, respondedAt: new Date() },
+    { new: true },
+  );
+  if (!messageRequest) {
+    return { success: false, status: 409, error: "This message request was already answered" };
+  }
+
+  if (status === "accepted") {
+    // The researcher has just read it, so no new_message notification for them
+    await deliverRequestMessage(messageRequest, false);
+  }
+
+  await notify(messageRequest.requesterId, `message_request_${status}`, {
+    actorId: messageRequest.expertId,
+    itemId: messageRequest._id,
+    data: { requestId: messageRequest._id.toString(), status },
+  });
+
+  return { success: true, messageRequest };
+}
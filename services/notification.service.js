@@ -0,0 +1,395 @@
+import { Notification } from "../models/Notification.js";
+import { NotificationPreference, DIGEST_FREQUENCIES } from "../models/NotificationPreference.js";
+import { User } from "../models/User.js";
+import { NOTIFICATION_TEMPLATES, NOTIFICATION_CHANNELS } from "../config/notificationTemplates.js";
+import { isBlockedBetween } from "./block.service.js";
+import { publish } from "./realtime.service.js";
+import { sendNotificationEmail } from "./email.service.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.service.js";
+import {
+  minutesOfDay,
+  isValidTimeOfDay,
+  isValidTimezone,
+  getZonedParts,
+} from "../utils/timezone.js";
+
+// The same actor doing the same thing to the same item again within this window is dropped
+const DEDUPE_WINDOW_MS = 10 * 60 * 1000;
+// Collapsed notifications keep at most this many actor ids (the count keeps going)
+const MAX_ACTOR_IDS = 20;
+const DEFAULT_QUIET_HOURS = { enabled: false, start: "22:00", end: "07:00", timezone: "UTC" };
+const EMAIL_FLUSH_INTERVAL_MS =
+  parseInt(process.env.NOTIFICATION_EMAIL_FLUSH_MINUTES || "15", 10) * 60 * 1000;
+
+/**
+ * Whether `now` falls inside the user's quiet hours (in their time zone)
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isWithinQuietHours(quietHours, now = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const local = getZonedParts(now, isValidTimezone(quietHours.timezone) ? quietHours.timezone : "UTC");
+  const current = local.hour * 60 + local.minute;
+
+  // Overnight windows (22:00-07:00) wrap past midnight
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+/**
+ * Channel a user gets a notification type on
+ * @returns {string} - "in_app" | "email" | "none"
+ */
+export function channelFor(preferences, type) {
+  const chosen =
+    preferences?.channels instanceof Map
+      ? preferences.channels.get(type)
+      : preferences?.channels?.[type];
+  return chosen || NOTIFICATION_TEMPLATES[type]?.defaultChannel || "in_app";
+}
+
+async function sendEmailFor(notification, recipient) {
+  await sendNotificationEmail(recipient.email, recipient.username, {
+    title: notification.title,
+    message: notification.message,
+    link: notification.relatedItemType === "message" ? "/messages" : "/insights",
+  });
+  await Notification.updateOne(
+    { _id: notification._id },
+    { $set: { emailStatus: "sent", emailSentAt: new Date() } },
+  );
+}
+
+// Emails go out from the job queue so a slow or failing provider neither holds up the
+// request nor loses the email; failures are retried before the email is marked failed
+registerJobHandler(
+  "notification-email",
+  async ({ notificationId }, job, { signal }) => {
+    const notification = await Notification.findById(notificationId).lean();
+    if (!notification || notification.emailStatus !== "pending") return { skipped: true };
+    const recipient = await User.findById(notification.userId).select("email username isServiceAccount").lean();
+    if (!recipient?.email || recipient.isServiceAccount) {
+      await Notification.updateOne({ _id: notification._id }, { $set: { emailStatus: "none" } });
+      return { skipped: true };
+    }
+    // Timed out while looking the notification up: leave the send to the retry
+    signal.throwIfAborted();
+    await sendEmailFor(notification, recipient);
+  },
+  {
+    concurrency: 3,
+    maxAttempts: 4,
+    onDead: async (job, error) => {
+      console.error("[Notifications] Email delivery failed:", error.message);
+      await Notification.updateOne({ _id: job.payload.notificationId }, { $set: { emailStatus: "failed" } });
+    },
+  },
+);
+
+function queueEmailFor(notification) {
+  return enqueueJob(
+    "notification-email",
+    { notificationId: notification._id.toString() },
+    { dedupeKey: `notification-email:${notification._id}` },
+  );
+}
+
+/**
+ * Notify a user. Applies their preferences, blocks, dedupe and collapsing, then pushes it
+ * live and/or emails it (both held back during quiet hours). Never throws: a failed
+ * notification must not fail the action that triggered it.
+ * @param {string} userId - Recipient
+ * @param {string} type - Key of NOTIFICATION_TEMPLATES
+ * @param {Object} options - { actorId, itemId, itemType, data }
+ * @returns {Promise<Object|null>} - Notification, or null when none was created
+ */
+export async function notify(userId, type, { actorId = null, itemId = null, itemType, data = {} } = {}) {
+  try {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) throw new Error(`Unknown notification type: ${type}`);
+    if (!userId || (actorId && actorId.toString() === userId.toString())) return null;
+
+    const preferences = await NotificationPreference.findOne({ userId }).lean();
+    const channel = channelFor(preferences, type);
+    if (channel === "none") return null;
+    if (actorId && (await isBlockedBetween(userId, actorId))) return null;
+
+    const now = new Date();
+    const actor = actorId ? await User.findById(actorId).select("username").lean() : null;
+    let actorIds = actorId ? [actorId] : [];
+    let eventCount = 1;
+    let previous = null;
+
+    // Collapse into the recipient's unread notification for the same thing
+    const collapseKey = template.collapse
+      ? `${type}:${template.collapse.key({ itemId, data }) ?? ""}`
+      : null;
+    if (collapseKey) {
+      const collapseWindow = {
+        userId,
+        collapseKey,
+        read: false,
+        createdAt: { $gte: new Date(now - template.collapse.windowHours * 3600 * 1000) },
+      };
+      const countsActors = template.collapse.countBy === "actors" && actorId;
+      previous = await Notification.findOne(
+        countsActors ? { ...collapseWindow, actorIds: { $ne: actorId } } : collapseWindow,
+      )
+        .sort({ createdAt: -1 })
+        .lean();
+      // Someone already counted (e.g. unvote then upvote again): nothing new to say
+      if (!previous && countsActors && (await Notification.exists({ ...collapseWindow, actorIds: actorId }))) {
+        return null;
+      }
+      if (previous) {
+        actorIds = [...(actorId ? [actorId] : []), ...(previous.actorIds || [])].slice(0, MAX_ACTOR_IDS);
+        eventCount = (previous.eventCount || 1) + 1;
+      }
+    }
+
+    const render = (ids, count) => {
+      const ctx = {
+        actor: actor?.username,
+        actorCount: Math.max(ids.length, 1),
+        count,
+        data,
+      };
+      return { title: template.title(ctx), message: template.message(ctx) };
+    };
+    const { title, message } = render(actorIds, eventCount);
+
+    // Drop repeats of the same event (e.g. follow, unfollow, follow again)
+    if (!collapseKey && actorId) {
+      const duplicate = await Notification.exists({
+        userId,
+        type,
+        relatedUserId: actorId,
+        relatedItemId: itemId,
+        title,
+        createdAt: { $gte: new Date(now - DEDUPE_WINDOW_MS) },
+      });
+      if (duplicate) return null;
+    }
+
+    const quiet = isWithinQuietHours(preferences?.quietHours, now);
+    const freshEmailStatus = channel === "email" ? (quiet ? "deferred" : "pending") : "none";
+    const fields = {
+      relatedUserId: actorId,
+      relatedItemId: itemId,
+      relatedItemType: itemType || template.itemType,
+      metadata: { ...data, ...(actor?.username ? { actorUsername: actor.username } : {}) },
+    };
+
+    let notification = null;
+    if (previous) {
+      // Merged in place, so an email already queued, retrying or sent for it still counts:
+      // one email per collapsed notification, carrying the latest wording
+      const keepsEmail = ["pending", "deferred", "sent"].includes(previous.emailStatus);
+      notification = await Notification.findOneAndUpdate(
+        { _id: previous._id, read: false, eventCount: previous.eventCount || 1 },
+        {
+          $set: {
+            ...fields,
+            title,
+            message,
+            actorIds,
+            eventCount,
+            emailStatus: keepsEmail ? previous.emailStatus : freshEmailStatus,
+            // Resurface it as new
+            createdAt: now,
+          },
+        },
+        { new: true, overwriteImmutable: true },
+      ).lean();
+    }
+    if (!notification) {
+      // Nothing to merge into, or it was read / merged concurrently: stand alone
+      const standalone = previous ? render(actorId ? [actorId] : [], 1) : { title, message };
+      notification = await Notification.create({
+        userId,
+        type,
+        ...fields,
+        ...standalone,
+        collapseKey,
+        actorIds: actorId ? [actorId] : [],
+        eventCount: 1,
+        emailStatus: freshEmailStatus,
+      });
+    }
+    const emailStatus = notification.emailStatus;
+
+    if (!quiet) {
+      publish(userId, "notification:new", { notification });
+    }
+    if (emailStatus === "pending") {
+      const recipient = await User.findById(userId).select("email username isServiceAccount").lean();
+      if (recipient?.email && !recipient.isServiceAccount) {
+        await queueEmailFor(notification).catch((error) =>
+          console.error("[Notifications] Failed to queue email:", error.message),
+        );
+      } else {
+        await Notification.updateOne({ _id: notification._id }, { $set: { emailStatus: "none" } });
+      }
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`[Notifications] Failed to create ${type} notification:`, error);
+    return null;
+  }
+}
+
+/**
+ * A user's channel for every notification type, plus their quiet hours and digest frequency
+ * @returns {Promise<Object>} - { types: [{ type, label, defaultChannel, channel }], quietHours, digest }
+ */
+export async function getNotificationPreferences(userId) {
+  const preferences = await NotificationPreference.findOne({ userId }).lean();
+  return {
+    types: Object.entries(NOTIFICATION_TEMPLATES).map(([type, template]) => ({
+      type,
+      label: template.label,
+      defaultChannel: template.defaultChannel,
+      channel: channelFor(preferences, type),
+    })),
+    quietHours: { ...DEFAULT_QUIET_HOURS, ...preferences?.quietHours },
+    digest: {
+      frequency: preferences?.digest?.frequency || "weekly",
+      lastSentAt: preferences?.digest?.lastSentAt || null,
+    },
+  };
+}
+
+/**
+ * Update channels, quiet hours and/or digest frequency (only the given fields change)
+ * @param {string} userId
+ * @param {Object} updates - { channels: { [type]: channel }, quietHours: { enabled, start, end, timezone },
+ *   digest: { frequency } }
+ * @returns {Promise<Object>} - { success, preferences } or { success: false, status, error }
+ */
+export async function updateNotificationPreferences(userId, { channels, quietHours, digest } = {}) {
+  const $set = {};
+
+  if (channels !== undefined) {
+    if (!channels || typeof channels !== "object" || Array.isArray(channels)) {
+      return { success: false, status: 400, error: "channels must be an object of type: channel" };
+    }
+    for (const [type, channel] of Object.entries(channels)) {
+      if (!NOTIFICATION_TEMPLATES[type]) {
+        return { success: false, status: 400, error: `Unknown notification type: ${type}` };
+      }
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return {
+          success: false,
+          status: 400,
+          error: `Channel must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`,
+        };
+      }
+      $set[`channels.${type}`] = channel;
+    }
+  }
+
+  if (quietHours !== undefined) {
+    if (!quietHours || typeof quietHours !== "object") {
+      return { success: false, status: 400, error: "quietHours must be an object" };
+    }
+    const { enabled, start, end, timezone } = quietHours;
+    if (enabled !== undefined) $set["quietHours.enabled"] = !!enabled;
+    for (const [field, value] of Object.entries({ start, end })) {
+      if (value === undefined) continue;
+      if (!isValidTimeOfDay(value)) {
+        return { success: false, status: 400, error: `quietHours.${field} must be HH:mm` };
+      }
+      $set[`quietHours.${field}`] = value;
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return { success: false, status: 400, error: "quietHours.timezone is not a valid time zone" };
+      }
+      $set["quietHours.timezone"] = timezone;
+    }
+  }
+
+  if (digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(digest?.frequency)) {
+      return {
+        success: false,
+        status: 400,
+        error: `digest.frequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`,
+      };
+    }
+    $set["digest.frequency"] = digest.frequency;
+    $set["digest.unsubscribedAt"] = digest.frequency === "off" ? new Date() : null;
+  }
+
+  await NotificationPreference.findOneAndUpdate(
+    { userId },
+    { $set, $setOnInsert: { userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+  return { success: true, preferences: await getNotificationPreferences(userId) };
+}
+
+/**
+ * Notify several users of the same event (one notification each)
+ * @returns {Promise<number>} - How many notifications were created
+ */
+export async function notifyMany(userIds, type, options = {}) {
+  let created = 0;
+  for (const userId of userIds) {
+    if (await notify(userId, type, options)) created++;
+  }
+  return created;
+}
+
+/**
+ * Email notifications that were held back during quiet hours, once the recipient's
+ * quiet hours are over
+ * @returns {Promise<number>} - Emails queued
+ */
+export async function flushDeferredEmails() {
+  const userIds = await Notification.find({ emailStatus: "deferred" }).distinct("userId");
+  let sent = 0;
+  for (const userId of userIds) {
+    const preferences = await NotificationPreference.findOne({ userId }).lean();
+    if (isWithinQuietHours(preferences?.quietHours)) continue;
+
+    const recipient = await User.findById(userId).select("email username isServiceAccount").lean();
+    const deferred = await Notification.find({ userId, emailStatus: "deferred" })
+      .sort({ createdAt: 1 })
+      .lean();
+    for (const notification of deferred) {
+      // Read in the app meanwhile, or the user switched the type off: no email needed
+      if (
+        !recipient?.email ||
+        recipient.isServiceAccount ||
+        notification.read ||
+        channelFor(preferences, notification.type) !== "email"
+      ) {
+        await Notification.updateOne({ _id: notification._id }, { $set: { emailStatus: "none" } });
+        continue;
+      }
+      await Notification.updateOne({ _id: notification._id }, { $set: { emailStatus: "pending" } });
+      await queueEmailFor(notification);
+      sent++;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Periodically send emails deferred by quiet hours
+ */
+export function startNotificationEmailSchedule() {
+  const run = () =>
+    flushDeferredEmails()
+      .then((sent) => {
+        if (sent > 0) console.log(`[Notifications] Queued ${sent} deferred email(s)`);
+      })
+      .catch((error) => console.error("[Notifications] Deferred email flush failed:", error));
+  setInterval(run, EMAIL_FLUSH_INTERVAL_MS);
+}
@@ -6,22 +6,10 @@
  */
 
 import axios from "axios";
+import { createCache } from "./cache.service.js";
 
-const cache = new Map();
 const TTL_MS = 1000 * 60 * 5; // 5 minutes
-
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + TTL_MS });
-}
-function getCache(key) {
-  const item = cache.get(key);
-  if (!item) return null;
-  if (Date.now() > item.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return item.value;
-}
+const cache = createCache("openalex", { ttlMs: TTL_MS });
 
 /**
  * Reconstruct plain-text abstract from OpenAlex abstract_inverted_index.
@@ -102,7 +90,7 @@ export async function searchOpenAlex({
 } = {}) {
   const searchTerm = toOpenAlexSearchQuery(q || "").trim() || "medicine";
   const key = `oa:${searchTerm}:${mindate}:${maxdate}:${page}:${pageSize}:${sort}`;
-  const cached = getCache(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -195,7 +183,7 @@ export async function searchOpenAlex({
       pageSize: Number(pageSize) || 25,
       hasMore: (data.meta?.page ?? 1) * (data.meta?.per_page ?? 25) < totalCount,
     };
-    setCache(key, result);
+    await cache.set(key, result);
     return result;
   } catch (e) {
     if (
@@ -232,7 +220,7 @@ export async function fetchAllWorksByOrcid(orcid) {
     : `https://orcid.org/${raw}`;
 
   const cacheKey = `oa-orcid:${orcidUrl}`;
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   const mailto = process.env.OPENALEX_MAILTO || "";
@@ -312,7 +300,7 @@ export async function fetchAllWorksByOrcid(orcid) {
       page += 1;
     }
 
-    setCache(cacheKey, all);
+    await cache.set(cacheKey, all);
     return all;
   } catch (e) {
     console.warn("OpenAlex fetchAllWorksByOrcid error:", e?.message);
@@ -328,7 +316,7 @@ export async function getWorkById(openalexIdOrDoi) {
   if (!raw) return null;
 
   const cacheKey = `oa-work:${raw}`;
-  const cached = getCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   const isDoi = /^10\.\d+\//.test(raw) || raw.startsWith("doi/");
@@ -384,7 +372,7 @@ export async function getWorkById(openalexIdOrDoi) {
       pdfUrl: pdfUrl || null,
       open_access: work.primary_location?.is_oa ?? work.best_oa_location?.is_oa ?? null,
     };
-    setCache(cacheKey, out);
+    await cache.set(cacheKey, out);
     return out;
   } catch (e) {
     if (e.response?.status !== 404) console.warn("OpenAlex getWorkById error:", e?.message);
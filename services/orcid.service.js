@@ -1,5 +1,10 @@
 import axios from "axios";
 import { extractExpertInfo } from "./summary.service.js";
+import { OrcidProfile } from "../models/OrcidProfile.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.service.js";
+
+// Stored ORCID records older than this are refreshed in the background
+const ORCID_PROFILE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
 
 // --------------------------------------
 // 1. SEARCH RESEARCHERS (Crossref → ORCID)
@@ -345,6 +350,44 @@ export async function fetchFullORCIDProfile(orcidId, skipAI = false) {
   }
 }
 
+registerJobHandler(
+  "orcid-profile-refresh",
+  async ({ orcidId }) => {
+    const data = await fetchFullORCIDProfile(orcidId);
+    // fetchFullORCIDProfile logs and returns null on failure; throw so the job is retried
+    if (!data) throw new Error(`ORCID record ${orcidId} could not be fetched`);
+    await OrcidProfile.updateOne(
+      { orcidId },
+      { $set: { data, fetchedAt: new Date() } },
+      { upsert: true },
+    );
+  },
+  { concurrency: 2, maxAttempts: 4, backoffMs: 60 * 1000 },
+);
+
+/**
+ * Stored copy of an ORCID record, without calling ORCID. Missing or stale records are
+ * queued for a background refresh (the current copy, if any, is returned meanwhile).
+ * @param {string} orcidId
+ * @returns {Promise<Object|null>} - Same shape as fetchFullORCIDProfile, or null when not fetched yet
+ */
+export async function getStoredORCIDProfile(orcidId) {
+  const normalizedOrcid = orcidId.trim().replace(/\s+/g, "");
+  const stored = await OrcidProfile.findOne({ orcidId: normalizedOrcid }).lean();
+  if (!stored || Date.now() - stored.fetchedAt > ORCID_PROFILE_MAX_AGE_MS) {
+    try {
+      await enqueueJob(
+        "orcid-profile-refresh",
+        { orcidId: normalizedOrcid },
+        { dedupeKey: `orcid-profile-refresh:${normalizedOrcid}` },
+      );
+    } catch (error) {
+      console.error(`Failed to queue ORCID refresh for ${normalizedOrcid}:`, error.message);
+    }
+  }
+  return stored?.data || null;
+}
+
 // --------------------------------------
 // 3. FETCH ORCID WORKS (Public API)
 // --------------------------------------
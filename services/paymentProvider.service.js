@@ -0,0 +1,55 @@
+import { fakePaymentProvider } from "./fakePaymentProvider.js";
+
+/**
+ * Payment providers. Billing only talks to providers through this interface, so a real
+ * processor is added by implementing it and registering it below.
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name
+ * @property {(params: { invoiceId: string, amount: number, currency: string, description: string,
+ *   customerEmail?: string, successUrl: string, cancelUrl: string }) =>
+ *   Promise<{ paymentId: string, checkoutUrl: string }>} createCheckout
+ *   Start a hosted checkout for `amount` (smallest currency unit)
+ * @property {(params: { paymentId: string, amount: number }) =>
+ *   Promise<{ refundId: string, status: "succeeded" | "pending" }>} refund
+ *   Refund part or all of a payment. "succeeded" refunds are applied at once; the webhook
+ *   confirms the rest.
+ * @property {(rawBody: Buffer, headers: Object) => { id: string, type: string, paymentId: string,
+ *   amount: number, error?: string }} parseWebhook
+ *   Verify a webhook's signature and normalize it. Throws on an invalid signature.
+ *   `type` is one of PAYMENT_EVENT_TYPES.
+ * @property {() => boolean} hasWebhookSecret
+ *   Whether the secret webhooks are verified with is configured
+ */
+
+export const PAYMENT_EVENT_TYPES = ["payment.succeeded", "payment.failed", "payment.refunded"];
+
+const isProduction = process.env.NODE_ENV === "production";
+
+// Anyone can complete a fake checkout, so the fake provider never exists in production
+const PROVIDERS = isProduction ? {} : { [fakePaymentProvider.name]: fakePaymentProvider };
+
+/**
+ * Provider named by PAYMENT_PROVIDER. Outside production it defaults to "fake" (local, no
+ * real money moves); in production there is no default and payments stay off until one is set.
+ * @param {string} [name]
+ * @returns {PaymentProvider|null}
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || (isProduction ? null : "fake")) {
+  return (name && PROVIDERS[name]) || null;
+}
+
+/**
+ * Startup check: a configured provider must exist here and have its webhook secret,
+ * otherwise webhooks could be forged or never verify. Throws when either is missing.
+ */
+export function assertPaymentProviderConfig() {
+  const name = process.env.PAYMENT_PROVIDER;
+  const provider = getPaymentProvider();
+  if (name && !provider) {
+    throw new Error(`PAYMENT_PROVIDER "${name}" is not available${isProduction ? " in production" : ""}`);
+  }
+  if (provider && !provider.hasWebhookSecret()) {
+    throw new Error(`The "${provider.name}" payment provider's webhook secret is not set`);
+  }
+}
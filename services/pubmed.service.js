@@ -6,22 +6,10 @@ import {
   extractDateRangeFromQuery,
   removeDateFilterFromQuery,
 } from "../utils/queryParser.js";
+import { createCache } from "./cache.service.js";
 
-const cache = new Map();
 const TTL_MS = 1000 * 60 * 5;
-
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + TTL_MS });
-}
-function getCache(key) {
-  const item = cache.get(key);
-  if (!item) return null;
-  if (Date.now() > item.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return item.value;
-}
+const cache = createCache("pubmed", { ttlMs: TTL_MS });
 
 /**
  * Retry helper with exponential backoff for PubMed API calls
@@ -64,7 +52,7 @@ export async function searchPubMed({
 } = {}) {
   // Build cache key with all parameters
   const key = `pm:${q}:${mindate}:${maxdate}:${page}:${pageSize}:${sort}:${skipParsing}`;
-  const cached = getCache(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -307,7 +295,7 @@ export async function searchPubMed({
       pageSize,
       hasMore: page * pageSize < totalCount,
     };
-    setCache(key, result);
+    await cache.set(key, result);
     return result;
   } catch (e) {
     // More detailed error logging
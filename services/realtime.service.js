@@ -0,0 +1,113 @@
+// Real-time push to signed-in users over Server-Sent Events.
+// Connections live in this process only: with several instances behind a load balancer,
+// clients still get every update through the polling cursor API (GET /messages/:userId/updates).
+
+const HEARTBEAT_MS = 25 * 1000; // below common proxy idle timeouts
+const TYPING_TTL_MS = 6 * 1000; // typing indicator expires unless refreshed
+
+const clients = new Map(); // userId -> Set of SSE responses
+const typing = new Map(); // `${receiverId}:${senderId}` -> expiresAt (ms)
+let nextEventId = 1;
+
+function writeEvent(res, event, data) {
+  res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Attach an SSE response to a user. Sets the stream headers and keeps it alive.
+ * @param {string} userId - Signed-in user
+ * @param {Object} res - Express response
+ * @returns {Function} - Call to detach (also done automatically when the client disconnects)
+ */
+export function openStream(userId, res) {
+  const key = userId.toString();
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx buffering
+  });
+  res.write("retry: 5000\n\n");
+
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(res);
+  writeEvent(res, "ready", { userId: key });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    const set = clients.get(key);
+    if (set) {
+      set.delete(res);
+      if (set.size === 0) clients.delete(key);
+    }
+  };
+  res.on("close", close);
+  return close;
+}
+
+/**
+ * Tell a stream why it is ending (e.g. "session_expired"), then close it
+ * @param {Object} res - Response passed to openStream
+ * @param {string} reason
+ */
+export function endStream(res, reason) {
+  writeEvent(res, "stream:end", { reason });
+  res.end();
+}
+
+/**
+ * Push an event to every open stream of the given users
+ * @param {string|Array} userIds - One user id or a list
+ * @param {string} event - Event name (e.g. "message:new")
+ * @param {Object} data - JSON payload
+ */
+export function publish(userIds, event, data) {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  ids.forEach((id) => {
+    const set = id ? clients.get(id.toString()) : null;
+    if (!set) return;
+    set.forEach((res) => {
+      try {
+        writeEvent(res, event, data);
+      } catch (error) {
+        console.error("[Realtime] Failed to push event:", error.message);
+      }
+    });
+  });
+}
+
+export function isOnline(userId) {
+  return clients.has(userId?.toString());
+}
+
+/**
+ * Record and push a typing indicator from sender to receiver
+ */
+export function setTyping(senderId, receiverId, isTyping) {
+  const key = `${receiverId}:${senderId}`;
+  if (isTyping) {
+    typing.set(key, Date.now() + TYPING_TTL_MS);
+  } else {
+    typing.delete(key);
+  }
+  publish(receiverId, "typing", { userId: senderId.toString(), isTyping: !!isTyping });
+}
+
+/**
+ * Users currently typing to userId (for the polling fallback)
+ * @returns {Array<string>} - Sender ids
+ */
+export function getTypingUsers(userId) {
+  const now = Date.now();
+  const prefix = `${userId}:`;
+  const senders = [];
+  for (const [key, expiresAt] of typing.entries()) {
+    if (expiresAt <= now) {
+      typing.delete(key);
+    } else if (key.startsWith(prefix)) {
+      senders.push(key.slice(prefix.length));
+    }
+  }
+  return senders;
+}
@@ -0,0 +1,70 @@
+// Redis-backed store for the shared cache (services/cache.service.js). Works with any client
+// exposing the ioredis command API (get/set/del/scan/unlink), so Redis-compatible servers
+// such as Valkey or Dragonfly work too. Entries expire in Redis once they can't even be
+// served stale; maxEntries is left to the server's maxmemory policy.
+
+const SCAN_COUNT = 500;
+
+/**
+ * @param {Object} client - ioredis-compatible client
+ * @param {Object} options - { prefix } for every key this app writes
+ * @returns {import("./cache.service.js").CacheStore}
+ */
+export function createRedisStore(client, { prefix = "collabiora:cache:" } = {}) {
+  const keyFor = (namespace, key) => `${prefix}${namespace}:${key}`;
+
+  async function scanKeys(pattern, onBatch) {
+    let cursor = "0";
+    do {
+      const [next, keys] = await client.scan(cursor, "MATCH", pattern, "COUNT", SCAN_COUNT);
+      cursor = next;
+      if (keys.length > 0) await onBatch(keys);
+    } while (cursor !== "0");
+  }
+
+  return {
+    name: "redis",
+    async get(namespace, key) {
+      const raw = await client.get(keyFor(namespace, key));
+      return raw ? JSON.parse(raw) : undefined;
+    },
+    async set(namespace, key, entry) {
+      const ttlMs = Math.max(1, entry.staleUntil - Date.now());
+      await client.set(keyFor(namespace, key), JSON.stringify(entry), "PX", ttlMs);
+    },
+    async delete(namespace, key) {
+      await client.del(keyFor(namespace, key));
+    },
+    async clear(namespace) {
+      let removed = 0;
+      await scanKeys(`${prefix}${namespace ? `${namespace}:` : ""}*`, async (keys) => {
+        removed += await client.unlink(...keys);
+      });
+      return removed;
+    },
+    async size(namespace) {
+      let count = 0;
+      await scanKeys(`${prefix}${namespace}:*`, async (keys) => {
+        count += keys.length;
+      });
+      return count;
+    },
+  };
+}
+
+/**
+ * Connect to Redis at `url` and return a store. Needs the optional `ioredis` package
+ * (npm install ioredis).
+ */
+export async function connectRedisStore(url) {
+  const { default: Redis } = await import("ioredis");
+  const client = new Redis(url, {
+    lazyConnect: true,
+    // A cache that is down should miss quickly, not queue requests
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  client.on("error", (error) => console.error("[Cache] Redis error:", error.message));
+  await client.connect();
+  return createRedisStore(client, { prefix: process.env.REDIS_CACHE_PREFIX || undefined });
+}
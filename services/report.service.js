@@ -0,0 +1,130 @@
+import { Report } from "../models/Report.js";
+import { User } from "../models/User.js";
+import { Message } from "../models/Message.js";
+import { Thread } from "../models/Thread.js";
+import { Reply } from "../models/Reply.js";
+import { Post } from "../models/Post.js";
+import { Comment } from "../models/Comment.js";
+import { ExpertReview } from "../models/ExpertReview.js";
+import { moderateReview } from "./review.service.js";
+import { deleteMessage } from "./conversation.service.js";
+import {
+  softDeleteThreads,
+  softDeleteReplyTree,
+  softDeletePosts,
+  softDeleteUser,
+} from "./softDelete.service.js";
+
+const WITH_DELETED = { withDeleted: true };
+
+// Where each reportable thing lives and which field holds the person responsible for it
+const REPORT_TARGETS = {
+  user: { Model: User, owner: "_id" },
+  message: { Model: Message, owner: "senderId" },
+  thread: { Model: Thread, owner: "authorUserId" },
+  reply: { Model: Reply, owner: "authorUserId" },
+  post: { Model: Post, owner: "authorUserId" },
+  comment: { Model: Comment, owner: "authorUserId" },
+  review: { Model: ExpertReview, owner: "patientId" },
+};
+
+/**
+ * Load the reported document (including soft-deleted ones, for moderators)
+ * @returns {Promise<Object|null>}
+ */
+export async function loadReportTarget(targetType, targetId, { withDeleted = false } = {}) {
+  const config = REPORT_TARGETS[targetType];
+  if (!config) return null;
+  const query = config.Model.findById(targetId);
+  if (withDeleted && config.Model.schema.path("deletedAt")) query.setOptions(WITH_DELETED);
+  return query.lean();
+}
+
+/**
+ * File a report. A reporter has at most one open report per target.
+ * Messages can only be reported by someone in the conversation.
+ * @param {Object} params - { reporterId, targetType, targetId, reason, details }
+ * @returns {Promise<Object>} - { success, report } or { success: false, status, error }
+ */
+export async function createReport({ reporterId, targetType, targetId, reason, details }) {
+  const target = await loadReportTarget(targetType, targetId);
+  if (!target) {
+    return { success: false, status: 404, error: "Reported item not found" };
+  }
+  if (
+    targetType === "message" &&
+    ![target.senderId, target.receiverId].some((id) => id.toString() === reporterId.toString())
+  ) {
+    return { success: false, status: 404, error: "Reported item not found" };
+  }
+
+  const targetUserId = target[REPORT_TARGETS[targetType].owner];
+  if (targetUserId?.toString() === reporterId.toString()) {
+    return { success: false, status: 400, error: "You can't report yourself" };
+  }
+
+  const existing = await Report.exists({
+    reporterId,
+    targetType,
+    targetId,
+    status: { $in: ["open", "reviewing"] },
+  });
+  if (existing) {
+    return { success: false, status: 409, error: "You already reported this" };
+  }
+
+  const report = await Report.create({
+    reporterId,
+    targetType,
+    targetId,
+    targetUserId,
+    reason,
+    details: details?.trim() || "",
+  });
+  return { success: true, report };
+}
+
+/**
+ * Apply a moderation action to the reported item
+ * @param {Object} report - Report document
+ * @param {string} action - "none" | "remove_content" | "delete_user"
+ * @param {string} adminUserId - Moderator
+ * @returns {Promise<Object>} - { success } or { success: false, status, error }
+ */
+export async function applyReportAction(report, action, adminUserId) {
+  const { targetType, targetId } = report;
+
+  if (action === "delete_user") {
+    if (!report.targetUserId) {
+      return { success: false, status: 400, error: "This report has no user to delete" };
+    }
+    await softDeleteUser(report.targetUserId, adminUserId);
+    return { success: true };
+  }
+
+  if (action === "remove_content") {
+    if (targetType === "user") {
+      return { success: false, status: 400, error: "Use delete_user for reported accounts" };
+    }
+    if (targetType === "thread") await softDeleteThreads({ _id: targetId }, adminUserId);
+    if (targetType === "reply") await softDeleteReplyTree(targetId, adminUserId);
+    if (targetType === "post") await softDeletePosts({ _id: targetId }, adminUserId);
+    if (targetType === "comment") {
+      const comment = await Comment.findById(targetId).select("postId").lean();
+      const removed = await Comment.softDeleteMany(
+        { $or: [{ _id: targetId }, { parentCommentId: targetId }] },
+        adminUserId,
+      );
+      if (comment && removed.modifiedCount > 0) {
+        await Post.findByIdAndUpdate(comment.postId, { $inc: { replyCount: -removed.modifiedCount } });
+      }
+    }
+    // Messages are not soft-deletable; the reported text stays on the report's audit entry
+    if (targetType === "message") await deleteMessage(targetId);
+    if (targetType === "review") {
+      await moderateReview(targetId, { status: "removed", adminUserId, note: `Report ${report._id}` });
+    }
+  }
+
+  return { success: true };
+}
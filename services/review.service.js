@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import { ExpertReview } from "../models/ExpertReview.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { Profile } from "../models/Profile.js";
+import { notify } from "./notification.service.js";
+
+// Reviews can be written for this long after the meeting
+const REVIEW_WINDOW_DAYS = 90;
+// Search ranking shrinks ratings toward this average until an expert has a few reviews,
+// so one 5-star review doesn't outrank a long track record
+const RANKING_PRIOR_RATING = 3.5;
+const RANKING_PRIOR_COUNT = 5;
+
+function validateReviewInput({ rating, comment }, { partial = false } = {}) {
+  if (!(partial && rating === undefined) && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return "rating must be a whole number from 1 to 5";
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== "string") {
+    return "comment must be text";
+  }
+  if (comment && comment.trim().length > 2000) {
+    return "comment must be 2000 characters or fewer";
+  }
+  return null;
+}
+
+/**
+ * Recalculate an expert's average rating from their published reviews and store it on
+ * their profile (read by the profile page and expert search)
+ * @returns {Promise<Object>} - { average, count }
+ */
+export async function recomputeExpertRating(expertId) {
+  const [stats] = await ExpertReview.aggregate([
+    { $match: { expertId: new mongoose.Types.ObjectId(expertId.toString()), status: "published" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const rating = {
+    average: stats ? Math.round(stats.average * 10) / 10 : null,
+    count: stats?.count || 0,
+  };
+  await Profile.updateOne({ userId: expertId, role: "researcher" }, { $set: { "researcher.rating": rating } });
+  return rating;
+}
+
+/**
+ * 0-100 score for ranking experts by rating (experts without reviews score the prior)
+ * @param {Object} rating - { average, count }
+ */
+export function ratingRankScore(rating) {
+  const count = rating?.count || 0;
+  const total = count > 0 ? rating.average * count : 0;
+  const adjusted = (RANKING_PRIOR_RATING * RANKING_PRIOR_COUNT + total) / (RANKING_PRIOR_COUNT + count);
+  return Math.round(((adjusted - 1) / 4) * 100);
+}
+
+/**
+ * Review an expert after a completed meeting. Only the meeting's patient can, once per meeting.
+ * @param {Object} params - { patientId, meetingRequestId, rating, comment }
+ * @returns {Promise<Object>} - { success, review } or { success: false, status, error }
+ */
+export async function createReview({ patientId, meetingRequestId, rating, comment }) {
+  const invalid = validateReviewInput({ rating, comment });
+  if (invalid) return { success: false, status: 400, error: invalid };
+  if (!mongoose.Types.ObjectId.isValid(meetingRequestId)) {
+    return { success: false, status: 400, error: "Invalid meetingRequestId" };
+  }
+
+  const meeting = await MeetingRequest.findById(meetingRequestId)
+    .select("patientId expertId status completedAt")
+    .lean();
+  if (!meeting || meeting.patientId.toString() !== patientId.toString()) {
+    return { success: false, status: 404, error: "Meeting not found" };
+  }
+  if (meeting.status !== "completed") {
+    return { success: false, status: 409, error: "You can review an expert once your meeting has taken place" };
+  }
+  if (meeting.completedAt && Date.now() - meeting.completedAt > REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    return { success: false, status: 409, error: `Reviews can be written up to ${REVIEW_WINDOW_DAYS} days after the meeting` };
+  }
+
+  let review;
+  try {
+    review = await ExpertReview.create({
+      meetingRequestId: meeting._id,
+      expertId: meeting.expertId,
+      patientId: meeting.patientId,
+      rating,
+      comment: comment?.trim() || "",
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, status: 409, error: "You already reviewed this meeting" };
+    }
+    throw error;
+  }
+
+  await recomputeExpertRating(meeting.expertId);
+  await notify(meeting.expertId, "new_review", {
+    actorId: meeting.patientId,
+    itemId: review._id,
+    data: { reviewId: review._id.toString(), rating },
+  });
+  return { success: true, review };
+}
+
+/**
+ * Author edits their review
+ * @returns {Promise<Object>} - { success, review } or { success: false, status, error }
+ */
+export async function updateReview(review, { rating, comment }) {
+  const invalid = validateReviewInput({ rating, comment }, { partial: true });
+  if (invalid) return { success: false, status: 400, error: invalid };
+  if (review.status === "removed") {
+    return { success: false, status: 409, error: "This review was removed by a moderator" };
+  }
+
+  if (rating !== undefined) review.rating = rating;
+  if (comment !== undefined) review.comment = comment?.trim() || "";
+  await review.save();
+  if (rating !== undefined) await recomputeExpertRating(review.expertId);
+  return { success: true, review };
+}
+
+export async function deleteReview(review) {
+  await ExpertReview.deleteOne({ _id: review._id });
+  await recomputeExpertRating(review.expertId);
+}
+
+/**
+ * Moderation: hide a review (or restore it) and update the expert's rating
+ * @param {string} reviewId
+ * @param {Object} params - { status: "published" | "removed", adminUserId, note }
+ * @returns {Promise<Object|null>} - Review before the change, or null when not found
+ */
+export async function moderateReview(reviewId, { status, adminUserId, note }) {
+  const before = await ExpertReview.findByIdAndUpdate(reviewId, {
+    $set: { status, moderation: { by: adminUserId, at: new Date(), note: note || "" } },
+  }).lean();
+  if (!before) return null;
+  if (before.status !== status) await recomputeExpertRating(before.expertId);
+  return before;
+}
+
+/**
+ * An expert's published reviews, newest first, with their rating and star breakdown
+ * @returns {Promise<Object>} - { rating, distribution, reviews, pagination }
+ */
+export async function listExpertReviews(expertId, { page = 1, limit = 10 } = {}) {
+  const filter = { expertId: new mongoose.Types.ObjectId(expertId.toString()), status: "published" };
+  const [reviews, breakdown] = await Promise.all([
+    ExpertReview.find(filter)
+      .select("rating comment createdAt updatedAt patientId")
+      .populate("patientId", "username")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ExpertReview.aggregate([{ $match: filter }, { $group: { _id: "$rating", count: { $sum: 1 } } }]),
+  ]);
+
+  const distribution = Object.fromEntries([1, 2, 3, 4, 5].map((stars) => [stars, 0]));
+  let total = 0;
+  let sum = 0;
+  for (const { _id, count } of breakdown) {
+    distribution[_id] = count;
+    total += count;
+    sum += _id * count;
+  }
+
+  return {
+    rating: { average: total ? Math.round((sum / total) * 10) / 10 : null, count: total },
+    distribution,
+    reviews: reviews.map(({ patientId, ...review }) => ({
+      ...review,
+      author: patientId?.username || "Patient",
+    })),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
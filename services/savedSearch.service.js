@@ -0,0 +1,200 @@
+import { SavedSearch } from "../models/SavedSearch.js";
+import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import { searchPublications } from "./publicationSearch.service.js";
+import { notify } from "./notification.service.js";
+
+// Filters kept from the search query, per search type (anything else is dropped)
+export const SAVED_SEARCH_FILTERS = {
+  trials: {
+    strings: ["q", "status", "location", "phase", "eligibilitySex"],
+    numbers: ["eligibilityAgeMin", "eligibilityAgeMax", "radiusMiles", "recentMonths"],
+    objects: ["userLocation"],
+  },
+  publications: {
+    strings: ["q", "mindate", "maxdate"],
+    numbers: ["recentMonths"],
+    objects: [],
+  },
+};
+
+export const MAX_SAVED_SEARCHES_PER_USER = 25;
+// Results fetched per run; new results beyond this are picked up on later runs
+const RUN_PAGE_SIZE = 100;
+const MAX_SEEN_IDS = 1000;
+const RUN_INTERVAL_MS =
+  parseInt(process.env.SAVED_SEARCH_RUN_HOURS || "24", 10) * 60 * 60 * 1000;
+const RUN_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const RUN_BATCH_SIZE = parseInt(process.env.SAVED_SEARCH_BATCH_SIZE || "100", 10);
+
+const NOTIFICATION_TYPE = { trials: "new_trial_match", publications: "new_publication" };
+const ITEM_NOUN = { trials: ["trial", "trials"], publications: ["publication", "publications"] };
+
+/**
+ * Keep the known filters for a search type, trimmed and typed
+ * @returns {Object} - { query } or { error }
+ */
+export function normalizeSavedSearchQuery(type, query) {
+  const filters = SAVED_SEARCH_FILTERS[type];
+  if (!filters) return { error: "type must be 'trials' or 'publications'" };
+  if (!query || typeof query !== "object" || Array.isArray(query)) {
+    return { error: "query must be an object" };
+  }
+
+  const normalized = {};
+  for (const key of filters.strings) {
+    const value = query[key];
+    if (value !== undefined && value !== null && String(value).trim()) {
+      normalized[key] = String(value).trim();
+    }
+  }
+  for (const key of filters.numbers) {
+    if (query[key] === undefined || query[key] === null || query[key] === "") continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) return { error: `${key} must be a positive number` };
+    normalized[key] = value;
+  }
+  for (const key of filters.objects) {
+    const value = query[key];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value === "string") {
+      try {
+        normalized[key] = JSON.parse(value);
+      } catch {
+        return { error: `${key} must be an object` };
+      }
+    } else if (typeof value === "object") {
+      normalized[key] = value;
+    }
+  }
+
+  if (!normalized.q) return { error: "query.q is required" };
+  if (normalized.radiusMiles && !normalized.userLocation) {
+    return { error: "query.userLocation is required with radiusMiles" };
+  }
+  return { query: normalized };
+}
+
+function monthsAgoPubmedDate(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, "0")}/${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Run the saved query, newest results first
+ * @returns {Promise<Array>} - Trials or publications (each with `id`)
+ */
+export async function executeSavedSearch(savedSearch) {
+  const { query } = savedSearch;
+  if (savedSearch.type === "trials") {
+    const result = await searchClinicalTrials({
+      ...query,
+      page: 1,
+      pageSize: RUN_PAGE_SIZE,
+      sortByDate: true,
+    });
+    return result.items || [];
+  }
+
+  const result = await searchPublications({
+    q: query.q,
+    mindate: query.mindate || (query.recentMonths ? monthsAgoPubmedDate(query.recentMonths) : ""),
+    maxdate: query.maxdate || "",
+    sort: "date",
+    page: 1,
+    pageSize: RUN_PAGE_SIZE,
+    pubmedBatchSize: RUN_PAGE_SIZE,
+    openalexBatchSize: RUN_PAGE_SIZE,
+  });
+  return result.items || [];
+}
+
+/**
+ * Run a saved search and notify its owner of results not seen on earlier runs.
+ * The first run only records what exists, so saving a search doesn't alert on everything.
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} options - { notifyOwner } false when the owner ran it and sees the results
+ * @returns {Promise<Object>} - { newItems, baseline }
+ */
+export async function runSavedSearch(savedSearch, { notifyOwner = true } = {}) {
+  const items = await executeSavedSearch(savedSearch);
+  const baseline = !savedSearch.lastRunAt;
+  const seen = new Set(savedSearch.seenIds || []);
+  const newItems = [];
+  for (const item of items) {
+    const id = String(item.id || "");
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    newItems.push(item);
+  }
+
+  await SavedSearch.updateOne(
+    { _id: savedSearch._id },
+    {
+      $set: { lastRunAt: new Date(), lastNewCount: baseline ? 0 : newItems.length },
+      $push: {
+        seenIds: { $each: newItems.map((item) => String(item.id)), $slice: -MAX_SEEN_IDS },
+      },
+    },
+  );
+
+  if (!baseline && newItems.length > 0 && savedSearch.alertsEnabled && notifyOwner) {
+    const [singular, plural] = ITEM_NOUN[savedSearch.type];
+    const summary =
+      newItems.length === 1
+        ? `New ${singular} for your saved search "${savedSearch.name}": ${newItems[0].title}`
+        : `${newItems.length} new ${plural} for your saved search "${savedSearch.name}"`;
+    await notify(savedSearch.userId, NOTIFICATION_TYPE[savedSearch.type], {
+      itemId: savedSearch._id,
+      itemType: "saved_search",
+      data: {
+        summary,
+        savedSearchId: savedSearch._id.toString(),
+        savedSearchName: savedSearch.name,
+        count: newItems.length,
+        items: newItems.slice(0, 5).map((item) => ({ id: String(item.id), title: item.title })),
+      },
+    });
+  }
+
+  return { newItems: baseline ? [] : newItems, baseline };
+}
+
+/**
+ * Run every alerting saved search that hasn't run within SAVED_SEARCH_RUN_HOURS
+ * @returns {Promise<Object>} - { ran, alerted, failed }
+ */
+export async function runDueSavedSearches(now = new Date()) {
+  const stats = { ran: 0, alerted: 0, failed: 0 };
+  const due = await SavedSearch.find({
+    alertsEnabled: true,
+    $or: [{ lastRunAt: null }, { lastRunAt: { $lte: new Date(now - RUN_INTERVAL_MS) } }],
+  })
+    .sort({ lastRunAt: 1 })
+    .limit(RUN_BATCH_SIZE);
+
+  for (const savedSearch of due) {
+    try {
+      const { newItems } = await runSavedSearch(savedSearch);
+      stats.ran++;
+      if (newItems.length > 0) stats.alerted++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`[SavedSearch] Run failed for ${savedSearch._id}:`, error.message);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Check for due saved searches every hour
+ */
+export function startSavedSearchSchedule() {
+  const run = () =>
+    runDueSavedSearches()
+      .then((stats) => {
+        if (stats.ran > 0 || stats.failed > 0) console.log("[SavedSearch] Run complete:", stats);
+      })
+      .catch((error) => console.error("[SavedSearch] Run failed:", error));
+  setInterval(run, RUN_CHECK_INTERVAL_MS);
+}
@@ -0,0 +1,352 @@
+import { ExpertAvailability } from "../models/ExpertAvailability.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { User } from "../models/User.js";
+import {
+  minutesOfDay,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  nextDate,
+} from "../utils/timezone.js";
+
+// Requests that hold a time: pending ones too, so the expert can't be double-booked while deciding
+export const ACTIVE_MEETING_STATUSES = ["pending", "awaiting_payment", "accepted"];
+// Meetings scheduled before slots existed (accept-time) have no end; assume one slot
+export const DEFAULT_MEETING_MINUTES = 30;
+const MAX_SLOT_RANGE_DAYS = 31;
+const MINUTE_MS = 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLOT_BUCKET_MS = 5 * MINUTE_MS;
+
+const SLOT_MINUTES = ExpertAvailability.schema.path("slotMinutes").enumValues;
+
+export function meetingEnd(meeting) {
+  if (meeting.meetingEndDate) return new Date(meeting.meetingEndDate);
+  return new Date(new Date(meeting.meetingDate).getTime() + DEFAULT_MEETING_MINUTES * MINUTE_MS);
+}
+
+/**
+ * MeetingRequest fields that hold [start, end) and the buffer after it. Every 5-minute
+ * bucket the time touches is listed, so two bookings that overlap (or sit closer than the
+ * buffer) share a bucket and the second write fails on the unique index.
+ */
+export function slotHoldFields(start, end, bufferMinutes = 0) {
+  const first = Math.floor(start.getTime() / SLOT_BUCKET_MS);
+  const last = Math.ceil((end.getTime() + bufferMinutes * MINUTE_MS) / SLOT_BUCKET_MS);
+  const buckets = [];
+  for (let bucket = first; bucket < last; bucket++) buckets.push(new Date(bucket * SLOT_BUCKET_MS));
+  return { activeSlotStart: start, activeSlotBuckets: buckets };
+}
+
+// $unset that frees a meeting's held time
+export const SLOT_HOLD_UNSET = { activeSlotStart: "", activeSlotBuckets: "" };
+
+export async function getAvailability(expertId) {
+  return ExpertAvailability.findOne({ expertId }).lean();
+}
+
+/**
+ * Replace an expert's availability
+ * @param {string} expertId
+ * @param {Object} input - { timezone, windows: [{ dayOfWeek, start, end }], slotMinutes,
+ *   bufferMinutes, minNoticeHours, maxAdvanceDays, blockedDates }
+ * @returns {Promise<Object>} - { success, availability } or { success: false, status, error }
+ */
+export async function saveAvailability(expertId, input = {}) {
+  const expert = await User.findById(expertId).select("role").lean();
+  if (expert?.role !== "researcher") {
+    return { success: false, status: 403, error: "Only experts can publish availability" };
+  }
+
+  const { timezone, windows = [], blockedDates = [] } = input;
+  if (!isValidTimezone(timezone)) {
+    return { success: false, status: 400, error: "timezone must be a valid IANA time zone" };
+  }
+  if (!Array.isArray(windows)) {
+    return { success: false, status: 400, error: "windows must be an array" };
+  }
+  for (const window of windows) {
+    const start = minutesOfDay(window?.start);
+    const end = minutesOfDay(window?.end);
+    if (!Number.isInteger(window?.dayOfWeek) || window.dayOfWeek < 0 || window.dayOfWeek > 6) {
+      return { success: false, status: 400, error: "dayOfWeek must be 0 (Sunday) to 6 (Saturday)" };
+    }
+    if (start === null || end === null || end <= start) {
+      return { success: false, status: 400, error: "Each window needs start and end (HH:mm), end after start" };
+    }
+  }
+  const sorted = [...windows].sort((a, b) => a.dayOfWeek - b.dayOfWeek || minutesOfDay(a.start) - minutesOfDay(b.start));
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (previous.dayOfWeek === sorted[i].dayOfWeek && minutesOfDay(sorted[i].start) < minutesOfDay(previous.end)) {
+      return { success: false, status: 400, error: "Availability windows on the same day can't overlap" };
+    }
+  }
+  if (!Array.isArray(blockedDates) || blockedDates.some((d) => !DATE_PATTERN.test(d))) {
+    return { success: false, status: 400, error: "blockedDates must be YYYY-MM-DD dates" };
+  }
+  if (input.slotMinutes !== undefined && !SLOT_MINUTES.includes(Number(input.slotMinutes))) {
+    return { success: false, status: 400, error: `slotMinutes must be one of: ${SLOT_MINUTES.join(", ")}` };
+  }
+
+  const update = {
+    timezone,
+    windows: sorted.map(({ dayOfWeek, start, end }) => ({ dayOfWeek, start, end })),
+    blockedDates: [...new Set(blockedDates)].sort(),
+  };
+  for (const field of ["slotMinutes", "bufferMinutes", "minNoticeHours", "maxAdvanceDays"]) {
+    if (input[field] !== undefined) update[field] = Number(input[field]);
+  }
+
+  try {
+    const availability = await ExpertAvailability.findOneAndUpdate(
+      { expertId },
+      { $set: update, $setOnInsert: { expertId } },
+      { upsert: true, new: true, runValidators: true },
+    ).lean();
+    return { success: true, availability };
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return { success: false, status: 400, error: error.message };
+    }
+    throw error;
+  }
+}
+
+// Every slot the availability offers between two instants, ignoring bookings
+function candidateSlots(availability, from, to) {
+  const { timezone, windows, slotMinutes } = availability;
+  const blocked = new Set(availability.blockedDates || []);
+  const slots = [];
+  const lastDate = getZonedParts(to, timezone).date;
+
+  for (let date = getZonedParts(from, timezone).date; date <= lastDate; date = nextDate(date)) {
+    if (blocked.has(date)) continue;
+    const [year, month, day] = date.split("-").map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    for (const window of windows) {
+      if (window.dayOfWeek !== weekday) continue;
+      const windowEnd = minutesOfDay(window.end);
+      for (let minute = minutesOfDay(window.start); minute + slotMinutes <= windowEnd; minute += slotMinutes) {
+        const hhmm = `${String(Math.floor(minute / 60)).padStart(2, "0")}:${String(minute % 60).padStart(2, "0")}`;
+        const start = zonedTimeToUtc(date, hhmm, timezone);
+        if (start < from || start > to) continue;
+        slots.push({ start, end: new Date(start.getTime() + slotMinutes * MINUTE_MS) });
+      }
+    }
+  }
+  return slots;
+}
+
+// Meetings (as expert or patient) of any of the users that hold time in the range
+async function busyMeetings(userIds, from, to, excludeRequestId) {
+  const filter = {
+    status: { $in: ACTIVE_MEETING_STATUSES },
+    meetingDate: { $lt: to, $gt: new Date(from.getTime() - 24 * 60 * MINUTE_MS) },
+    $or: [{ expertId: { $in: userIds } }, { patientId: { $in: userIds } }],
+  };
+  if (excludeRequestId) filter._id = { $ne: excludeRequestId };
+  return MeetingRequest.find(filter).select("meetingDate meetingEndDate").lean();
+}
+
+function overlaps(meetings, start, end, bufferMinutes = 0) {
+  const buffer = bufferMinutes * MINUTE_MS;
+  return meetings.find(
+    (m) => new Date(m.meetingDate).getTime() < end.getTime() + buffer && meetingEnd(m).getTime() > start.getTime() - buffer,
+  );
+}
+
+/**
+ * A meeting of either user that overlaps start-end (plus the expert's buffer)
+ * @returns {Promise<Object|null>}
+ */
+export async function findConflict({ expertId, patientId, start, end, bufferMinutes = 0, excludeRequestId }) {
+  const buffer = bufferMinutes * MINUTE_MS;
+  const meetings = await busyMeetings(
+    [expertId, patientId].filter(Boolean),
+    new Date(start.getTime() - buffer),
+    new Date(end.getTime() + buffer),
+    excludeRequestId,
+  );
+  return overlaps(meetings, start, end, bufferMinutes) || null;
+}
+
+// Slots aren't offered inside minimum notice or beyond the booking horizon
+function bookingHorizon(availability, now = new Date()) {
+  return {
+    earliest: new Date(now.getTime() + availability.minNoticeHours * 60 * MINUTE_MS),
+    latest: new Date(now.getTime() + availability.maxAdvanceDays * 24 * 60 * MINUTE_MS),
+  };
+}
+
+/**
+ * Open slots for an expert (published windows minus existing meetings)
+ * @param {string} expertId
+ * @param {Object} range - { from, to } Dates; at most 31 days, clamped to the booking horizon
+ * @returns {Promise<Object>} - { success, timezone, slotMinutes, slots: [{ start, end }] }
+ *   or { success: false, status, error }
+ */
+export async function getOpenSlots(expertId, { from, to } = {}) {
+  const availability = await getAvailability(expertId);
+  if (!availability || availability.windows.length === 0) {
+    return { success: false, status: 404, error: "This expert hasn't published availability" };
+  }
+
+  const { earliest, latest } = bookingHorizon(availability);
+  const rangeStart = new Date(Math.max(from?.getTime() || 0, earliest.getTime()));
+  const rangeEnd = new Date(
+    Math.min(
+      to?.getTime() || Infinity,
+      latest.getTime(),
+      rangeStart.getTime() + MAX_SLOT_RANGE_DAYS * 24 * 60 * MINUTE_MS,
+    ),
+  );
+  if (rangeEnd <= rangeStart) {
+    return { success: true, timezone: availability.timezone, slotMinutes: availability.slotMinutes, slots: [] };
+  }
+
+  const booked = await busyMeetings([availability.expertId], rangeStart, rangeEnd);
+  const slots = candidateSlots(availability, rangeStart, rangeEnd).filter(
+    (slot) => !overlaps(booked, slot.start, slot.end, availability.bufferMinutes),
+  );
+  return {
+    success: true,
+    timezone: availability.timezone,
+    slotMinutes: availability.slotMinutes,
+    slots,
+  };
+}
+
+/**
+ * Check that a patient can book `start`: one of the expert's published slots, inside the
+ * booking horizon and free for both of them
+ * @returns {Promise<Object>} - { success, start, end, hold } or { success: false, status, error };
+ *   hold is the slotHoldFields to store with the booking
+ */
+export async function checkBookableSlot(expertId, start, { patientId, excludeRequestId } = {}) {
+  if (!(start instanceof Date) || Number.isNaN(start.getTime())) {
+    return { success: false, status: 400, error: "slotStart must be an ISO date-time" };
+  }
+  const availability = await getAvailability(expertId);
+  if (!availability || availability.windows.length === 0) {
+    return { success: false, status: 400, error: "This expert hasn't published availability" };
+  }
+
+  const { earliest, latest } = bookingHorizon(availability);
+  if (start < earliest || start > latest) {
+    return { success: false, status: 400, error: "That time is outside the expert's booking window" };
+  }
+  const slot = candidateSlots(availability, start, start).find((s) => s.start.getTime() === start.getTime());
+  if (!slot) {
+    return { success: false, status: 400, error: "That time isn't one of the expert's available slots" };
+  }
+
+  const conflict = await findConflict({
+    expertId,
+    patientId,
+    start: slot.start,
+    end: slot.end,
+    bufferMinutes: availability.bufferMinutes,
+    excludeRequestId,
+  });
+  if (conflict) {
+    return { success: false, status: 409, error: "That time is no longer available" };
+  }
+  return {
+    success: true,
+    start: slot.start,
+    end: slot.end,
+    hold: slotHoldFields(slot.start, slot.end, availability.bufferMinutes),
+  };
+}
+
+/**
+ * Check a time the expert picks for a meeting (not limited to their published slots).
+ * Keeps the meeting's length, or uses the expert's slot length for a new time.
+ * @param {Object} meetingRequest - { _id, expertId, patientId, meetingDate, meetingEndDate }
+ * @returns {Promise<Object>} - { success, start, end, hold } or { success: false, status, error }
+ */
+export async function checkExpertChosenTime(meetingRequest, start) {
+  if (!(start instanceof Date) || Number.isNaN(start.getTime())) {
+    return { success: false, status: 400, error: "Meeting date must be a valid date-time" };
+  }
+  const availability = await getAvailability(meetingRequest.expertId);
+  const minutes = meetingRequest.meetingDate
+    ? (meetingEnd(meetingRequest) - new Date(meetingRequest.meetingDate)) / MINUTE_MS
+    : availability?.slotMinutes || DEFAULT_MEETING_MINUTES;
+  const end = new Date(start.getTime() + minutes * MINUTE_MS);
+  const conflict = await findConflict({
+    expertId: meetingRequest.expertId,
+    patientId: meetingRequest.patientId,
+    start,
+    end,
+    bufferMinutes: availability?.bufferMinutes || 0,
+    excludeRequestId: meetingRequest._id,
+  });
+  if (conflict) {
+    return { success: false, status: 409, error: "That time conflicts with another meeting" };
+  }
+  return { success: true, start, end, hold: slotHoldFields(start, end, availability?.bufferMinutes || 0) };
+}
+
+/**
+ * Move a pending or accepted meeting. Patients pick from the expert's open slots; the expert
+ * may pick any free time. A patient moving an accepted (or unpaid) meeting sends it back for approval.
+ * @param {Object} meetingRequest - MeetingRequest document
+ * @param {Object} params - { start: Date, actorId, reason }
+ * @returns {Promise<Object>} - { success, meetingRequest, actedByPatient } or { success: false, status, error }
+ */
+export async function rescheduleMeeting(meetingRequest, { start, actorId, reason }) {
+  if (!ACTIVE_MEETING_STATUSES.includes(meetingRequest.status)) {
+    return { success: false, status: 409, error: `A ${meetingRequest.status} meeting can't be rescheduled` };
+  }
+  if (!(start instanceof Date) || Number.isNaN(start.getTime())) {
+    return { success: false, status: 400, error: "slotStart must be an ISO date-time" };
+  }
+  if (start <= new Date()) {
+    return { success: false, status: 400, error: "The new time must be in the future" };
+  }
+
+  const actedByPatient = meetingRequest.patientId.toString() === actorId.toString();
+  const check = actedByPatient
+    ? await checkBookableSlot(meetingRequest.expertId, start, {
+        patientId: meetingRequest.patientId,
+        excludeRequestId: meetingRequest._id,
+      })
+    : await checkExpertChosenTime(meetingRequest, start);
+  if (!check.success) return check;
+  const { end, hold } = check;
+
+  try {
+    const updated = await MeetingRequest.findOneAndUpdate(
+      { _id: meetingRequest._id, status: { $in: ACTIVE_MEETING_STATUSES } },
+      {
+        $set: {
+          meetingDate: start,
+          meetingEndDate: end,
+          ...hold,
+          ...(actedByPatient && meetingRequest.status !== "pending" ? { status: "pending" } : {}),
+        },
+        $push: {
+          rescheduleHistory: {
+            from: meetingRequest.meetingDate,
+            to: start,
+            by: actorId,
+            reason: reason?.trim() || undefined,
+          },
+        },
+        $inc: { calendarSequence: 1 },
+      },
+      { new: true },
+    );
+    if (!updated) {
+      return { success: false, status: 409, error: "This meeting was changed meanwhile" };
+    }
+    return { success: true, meetingRequest: updated, actedByPatient };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, status: 409, error: "That time is no longer available" };
+    }
+    throw error;
+  }
+}
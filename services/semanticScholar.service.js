@@ -6,22 +6,11 @@
  */
 
 import axios from "axios";
+import { createCache } from "./cache.service.js";
 
-const cache = new Map();
 const TTL_MS = 1000 * 60 * 5;
 const AUTOCOMPLETE_CACHE_TTL_MS = 1000 * 60 * 2;
-
-function getCached(key) {
-  const e = cache.get(key);
-  if (!e || Date.now() > e.expires) {
-    if (e) cache.delete(key);
-    return null;
-  }
-  return e.value;
-}
-function setCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + TTL_MS });
-}
+const cache = createCache("semantic-scholar", { ttlMs: TTL_MS });
 
 const FIELDS =
   "paperId,title,authors,year,abstract,citationCount,influentialCitationCount,url,openAccessPdf,externalIds,venue";
@@ -67,7 +56,7 @@ export async function searchSemanticScholar({
   if (!query) return { items: [], totalCount: 0, page: 1, pageSize: 25, hasMore: false };
 
   const key = `ss:${query}:${page}:${pageSize}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   const limit = Math.min(Math.max(1, Number(pageSize) || 25), 100);
@@ -128,7 +117,7 @@ export async function searchSemanticScholar({
       pageSize: limit,
       hasMore: offset + items.length < total,
     };
-    setCache(key, result);
+    await cache.set(key, result);
     return result;
   } catch (err) {
     const status = err.response?.status;
@@ -147,24 +136,13 @@ export async function searchSemanticScholar({
  * Paper autocomplete – suggests papers by prefix for search UX.
  * GET /graph/v1/paper/autocomplete?query=...
  */
-function getAutocompleteCached(key) {
-  const e = cache.get(key);
-  if (!e || Date.now() > e.expires) {
-    if (e) cache.delete(key);
-    return null;
-  }
-  return e.value;
-}
-function setAutocompleteCache(key, value) {
-  cache.set(key, { value, expires: Date.now() + AUTOCOMPLETE_CACHE_TTL_MS });
-}
 
 export async function autocompletePapers(query = "") {
   const q = prepareQuery(query).slice(0, 200);
   if (!q || q.length < 2) return { matches: [] };
 
   const key = `ss-ac:${q}`;
-  const cached = getAutocompleteCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   try {
@@ -189,7 +167,7 @@ export async function autocompletePapers(query = "") {
       }))
       .filter((m) => m.id && m.title);
     const result = { matches };
-    setAutocompleteCache(key, result);
+    await cache.set(key, result, { ttlMs: AUTOCOMPLETE_CACHE_TTL_MS });
     return result;
   } catch (err) {
     console.warn("Semantic Scholar autocomplete error:", err?.message);
@@ -206,7 +184,7 @@ export async function getPaperByIdOrDoi(idOrDoi) {
   if (!raw) return null;
 
   const key = `ss-get:${raw}`;
-  const cached = getCached(key);
+  const cached = await cache.get(key);
   if (cached) return cached;
 
   const apiKey = process.env.SEMANTIC_SCHOLAR_API_KEY || "";
@@ -260,7 +238,7 @@ export async function getPaperByIdOrDoi(idOrDoi) {
       openAccessPdfLicense: p.openAccessPdf?.license || null,
       s2FieldsOfStudy: p.s2FieldsOfStudy || [],
     };
-    setCache(key, out);
+    await cache.set(key, out);
     return out;
   } catch (err) {
     if (err.response?.status !== 404) console.warn("Semantic Scholar get paper error:", err?.message);
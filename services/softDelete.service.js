@@ -0,0 +1,303 @@
+import { User } from "../models/User.js";
+import { Profile } from "../models/Profile.js";
+import { Thread } from "../models/Thread.js";
+import { Reply } from "../models/Reply.js";
+import { Post } from "../models/Post.js";
+import { Comment } from "../models/Comment.js";
+import { Community } from "../models/Community.js";
+import { Subcategory } from "../models/Subcategory.js";
+import { CommunityMembership } from "../models/CommunityMembership.js";
+import { WorkSubmission } from "../models/WorkSubmission.js";
+import { Trial } from "../models/Trial.js";
+import { Follow } from "../models/Follow.js";
+import { Favorite } from "../models/Favorite.js";
+import { ReadItem } from "../models/ReadItem.js";
+import { Notification } from "../models/Notification.js";
+import { AuthSession } from "../models/AuthSession.js";
+
+// Tombstoned documents are kept this long (restorable by admins), then purged for good
+export const SOFT_DELETE_RETENTION_DAYS = parseInt(
+  process.env.SOFT_DELETE_RETENTION_DAYS || "30",
+  10,
+);
+const PURGE_INTERVAL_MS =
+  parseInt(process.env.SOFT_DELETE_PURGE_INTERVAL_HOURS || "24", 10) * 60 * 60 * 1000;
+
+export const SOFT_DELETE_MODELS = {
+  user: User,
+  thread: Thread,
+  reply: Reply,
+  post: Post,
+  comment: Comment,
+  community: Community,
+};
+
+const WITH_DELETED = { withDeleted: true };
+
+// Cascades share the parent's deletedAt so a restore brings back exactly what was removed with it
+
+/**
+ * Soft delete threads matching filter together with their replies
+ * @returns {Promise<Array>} - Ids of the threads deleted
+ */
+export async function softDeleteThreads(filter, deletedBy = null, deletedAt = new Date()) {
+  const threadIds = await Thread.find(filter).distinct("_id");
+  if (threadIds.length === 0) return [];
+  await Reply.softDeleteMany({ threadId: { $in: threadIds } }, deletedBy, deletedAt);
+  await Thread.softDeleteMany({ _id: { $in: threadIds } }, deletedBy, deletedAt);
+  return threadIds;
+}
+
+/**
+ * Soft delete a reply and all nested replies under it
+ * @returns {Promise<number>} - Number of replies deleted
+ */
+export async function softDeleteReplyTree(replyId, deletedBy = null, deletedAt = new Date()) {
+  const ids = [replyId];
+  let frontier = [replyId];
+  while (frontier.length > 0) {
+    frontier = await Reply.find({ parentReplyId: { $in: frontier } }).distinct("_id");
+    ids.push(...frontier);
+  }
+  const result = await Reply.softDeleteMany({ _id: { $in: ids } }, deletedBy, deletedAt);
+  return result.modifiedCount;
+}
+
+/**
+ * Soft delete posts matching filter together with their comments
+ * @returns {Promise<Array>} - Ids of the posts deleted
+ */
+export async function softDeletePosts(filter, deletedBy = null, deletedAt = new Date()) {
+  const postIds = await Post.find(filter).distinct("_id");
+  if (postIds.length === 0) return [];
+  await Comment.softDeleteMany({ postId: { $in: postIds } }, deletedBy, deletedAt);
+  await Post.softDeleteMany({ _id: { $in: postIds } }, deletedBy, deletedAt);
+  return postIds;
+}
+
+/**
+ * Soft delete an account with its profile and everything it authored
+ */
+export async function softDeleteUser(userId, deletedBy = null, deletedAt = new Date()) {
+  await softDeleteThreads({ authorUserId: userId }, deletedBy, deletedAt);
+  await Reply.softDeleteMany({ authorUserId: userId }, deletedBy, deletedAt);
+  await softDeletePosts({ authorUserId: userId }, deletedBy, deletedAt);
+  await Comment.softDeleteMany({ authorUserId: userId }, deletedBy, deletedAt);
+  await Profile.softDeleteMany({ userId }, deletedBy, deletedAt);
+  await User.softDeleteMany({ _id: userId }, deletedBy, deletedAt);
+  await AuthSession.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: deletedAt, revokedReason: "account_deleted" } },
+  );
+}
+
+/**
+ * Soft delete a community and the threads posted in it
+ * @returns {Promise<Array>} - Ids of the threads deleted with it
+ */
+export async function softDeleteCommunity(communityId, deletedBy = null, deletedAt = new Date()) {
+  const threadIds = await softDeleteThreads({ communityId }, deletedBy, deletedAt);
+  await Community.softDeleteMany({ _id: communityId }, deletedBy, deletedAt);
+  return threadIds;
+}
+
+async function findDeleted(Model, id) {
+  return Model.findOne({ _id: id, deletedAt: { $ne: null } });
+}
+
+async function isDeleted(Model, id) {
+  if (!id) return false;
+  return !!(await Model.exists({ _id: id, deletedAt: { $ne: null } }));
+}
+
+/**
+ * Restore a tombstoned document and everything deleted together with it.
+ * Refuses when the parent (thread, post, community, author) is itself still deleted.
+ * @param {string} type - One of SOFT_DELETE_MODELS
+ * @param {string} id - Document id
+ * @returns {Promise<Object>} - { success, item, restored } or { success: false, status, error }
+ */
+export async function restoreDeleted(type, id) {
+  const Model = SOFT_DELETE_MODELS[type];
+  if (!Model) return { success: false, status: 400, error: "Unknown type" };
+
+  const item = await findDeleted(Model, id);
+  if (!item) return { success: false, status: 404, error: "Deleted item not found" };
+
+  const { deletedAt } = item;
+  const restored = {};
+  const restoreAll = async (key, ChildModel, filter) => {
+    const result = await ChildModel.restoreMany({ ...filter, deletedAt });
+    restored[key] = (restored[key] || 0) + result.modifiedCount;
+  };
+
+  if (item.authorUserId && (await isDeleted(User, item.authorUserId))) {
+    return { success: false, status: 409, error: "Restore the author's account first" };
+  }
+
+  switch (type) {
+    case "user": {
+      const threadIds = await Thread.find({ authorUserId: id, deletedAt }).distinct("_id");
+      const postIds = await Post.find({ authorUserId: id, deletedAt }).distinct("_id");
+      await restoreAll("profiles", Profile, { userId: id });
+      await restoreAll("threads", Thread, { _id: { $in: threadIds } });
+      await restoreAll("replies", Reply, {
+        $or: [{ authorUserId: id }, { threadId: { $in: threadIds } }],
+      });
+      await restoreAll("posts", Post, { _id: { $in: postIds } });
+      await restoreAll("comments", Comment, {
+        $or: [{ authorUserId: id }, { postId: { $in: postIds } }],
+      });
+      break;
+    }
+    case "thread":
+      if (await isDeleted(Community, item.communityId)) {
+        return { success: false, status: 409, error: "Restore the community first" };
+      }
+      await restoreAll("replies", Reply, { threadId: id });
+      break;
+    case "reply": {
+      if (await isDeleted(Thread, item.threadId)) {
+        return { success: false, status: 409, error: "Restore the thread first" };
+      }
+      if (await isDeleted(Reply, item.parentReplyId)) {
+        return { success: false, status: 409, error: "Restore the parent reply first" };
+      }
+      let frontier = [item._id];
+      while (frontier.length > 0) {
+        frontier = await Reply.find({ parentReplyId: { $in: frontier }, deletedAt }).distinct("_id");
+        if (frontier.length > 0) await restoreAll("replies", Reply, { _id: { $in: frontier } });
+      }
+      break;
+    }
+    case "post":
+      await restoreAll("comments", Comment, { postId: id });
+      break;
+    case "comment": {
+      if (await isDeleted(Post, item.postId)) {
+        return { success: false, status: 409, error: "Restore the post first" };
+      }
+      if (await isDeleted(Comment, item.parentCommentId)) {
+        return { success: false, status: 409, error: "Restore the parent comment first" };
+      }
+      await restoreAll("comments", Comment, { parentCommentId: id });
+      // Author deletes decremented the post's reply count; put it back
+      await Post.updateOne(
+        { _id: item.postId },
+        { $inc: { replyCount: 1 + (restored.comments || 0) } },
+      );
+      break;
+    }
+    case "community": {
+      const threadIds = await Thread.find({ communityId: id, deletedAt }).distinct("_id");
+      await restoreAll("threads", Thread, { _id: { $in: threadIds } });
+      await restoreAll("replies", Reply, { threadId: { $in: threadIds } });
+      break;
+    }
+  }
+
+  item.deletedAt = null;
+  item.deletedBy = null;
+  await item.save();
+
+  return { success: true, item, restored };
+}
+
+/**
+ * Page through tombstoned documents of one type, most recently deleted first
+ */
+export async function listDeleted(type, { page = 1, limit = 50 } = {}) {
+  const Model = SOFT_DELETE_MODELS[type];
+  const query = { deletedAt: { $ne: null } };
+  const itemsQuery = Model.find(query)
+    .sort({ deletedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  if (type === "user") itemsQuery.select("-password");
+  const [items, total] = await Promise.all([
+    itemsQuery.lean(),
+    Model.countDocuments(query),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Permanently remove tombstones older than the retention window, plus the
+ * records that only make sense alongside them (memberships, notifications, ...)
+ * @returns {Promise<Object>} - Count of purged documents per type
+ */
+export async function purgeDeleted(retentionDays = SOFT_DELETE_RETENTION_DAYS) {
+  const expired = { deletedAt: { $ne: null, $lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) } };
+  const purged = {};
+
+  const userIds = await User.find(expired).distinct("_id");
+  if (userIds.length > 0) {
+    const byUser = { $in: userIds };
+    await Promise.all([
+      Profile.deleteMany({ userId: byUser }),
+      CommunityMembership.deleteMany({ userId: byUser }),
+      WorkSubmission.deleteMany({ submittedBy: byUser }),
+      Trial.deleteMany({ ownerResearcherId: byUser }),
+      Follow.deleteMany({ $or: [{ followerId: byUser }, { followingId: byUser }] }),
+      Favorite.deleteMany({ userId: byUser }),
+      ReadItem.deleteMany({ userId: byUser }),
+      Notification.deleteMany({ $or: [{ userId: byUser }, { relatedUserId: byUser }] }),
+      AuthSession.deleteMany({ userId: byUser }),
+    ]);
+  }
+
+  const threadIds = await Thread.find(expired).distinct("_id");
+  if (threadIds.length > 0) {
+    await Reply.deleteMany({ threadId: { $in: threadIds } });
+    await Post.updateMany(
+      { linkedThreadId: { $in: threadIds } },
+      { $set: { linkedThreadId: null } },
+    ).setOptions(WITH_DELETED);
+  }
+  const postIds = await Post.find(expired).distinct("_id");
+  if (postIds.length > 0) {
+    await Comment.deleteMany({ postId: { $in: postIds } });
+  }
+  const communityIds = await Community.find(expired).distinct("_id");
+  if (communityIds.length > 0) {
+    await Subcategory.deleteMany({ parentCommunityId: { $in: communityIds } });
+    await CommunityMembership.deleteMany({ communityId: { $in: communityIds } });
+    await Post.updateMany(
+      { communityId: { $in: communityIds } },
+      { $set: { communityId: null } },
+    ).setOptions(WITH_DELETED);
+  }
+
+  const itemIds = [...threadIds, ...postIds];
+  if (itemIds.length > 0) {
+    await Notification.deleteMany({ relatedItemId: { $in: itemIds } });
+  }
+
+  for (const [type, Model] of Object.entries(SOFT_DELETE_MODELS)) {
+    const result = await Model.deleteMany(expired);
+    purged[type] = result.deletedCount;
+  }
+  return purged;
+}
+
+let purgeTimer = null;
+
+/**
+ * Run purgeDeleted on an interval (once at startup, then every SOFT_DELETE_PURGE_INTERVAL_HOURS)
+ */
+export function startSoftDeletePurgeSchedule() {
+  if (purgeTimer) return;
+  const run = async () => {
+    try {
+      const purged = await purgeDeleted();
+      const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+      if (total > 0) {
+        console.log(`[SoftDelete] Purged ${total} expired tombstones`, purged);
+      }
+    } catch (error) {
+      console.error("[SoftDelete] Purge failed:", error.message);
+    }
+  };
+  run();
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+}
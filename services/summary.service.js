@@ -1,6 +1,9 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
+import crypto from "crypto";
 import rateLimiter from "../utils/geminiRateLimiter.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.service.js";
+import { createCache } from "./cache.service.js";
 
 // Load environment variables before creating the instance
 dotenv.config();
@@ -774,9 +777,18 @@ No extra text, no explanations, no quotes.`;
   }
 }
 
-// Cache for simplified publication titles (in-memory)
-const publicationTitleCache = new Map();
+// Cache for simplified publication titles
 const PUBLICATION_CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
+const publicationTitleCache = createCache("publication-titles", {
+  ttlMs: PUBLICATION_CACHE_EXPIRY,
+  maxEntries: 5000,
+});
+// Titles per background simplification job (one Gemini call each)
+const PUBLICATION_TITLE_JOB_BATCH_SIZE = 25;
+
+function getCachedPublicationTitle(title) {
+  return publicationTitleCache.get(title.toLowerCase().trim());
+}
 
 /**
  * Batch simplify multiple publication titles in a single API call
@@ -805,9 +817,9 @@ export async function batchSimplifyPublicationTitles(titles) {
 
   for (const title of titlesToSimplify) {
     const cacheKey = title.toLowerCase().trim();
-    const cached = publicationTitleCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < PUBLICATION_CACHE_EXPIRY) {
-      results.set(title, cached.simplifiedTitle);
+    const cached = await publicationTitleCache.get(cacheKey);
+    if (cached) {
+      results.set(title, cached);
     } else {
       uncachedTitles.push(title);
     }
@@ -940,10 +952,7 @@ Return ONLY a numbered list (1-${uncachedTitles.length}), one simplified title p
       }
 
       const cacheKey = uncachedTitles[i].toLowerCase().trim();
-      publicationTitleCache.set(cacheKey, {
-        simplifiedTitle,
-        timestamp: Date.now(),
-      });
+      await publicationTitleCache.set(cacheKey, simplifiedTitle);
 
       results.set(uncachedTitles[i], simplifiedTitle);
     }
@@ -966,6 +975,66 @@ Return ONLY a numbered list (1-${uncachedTitles.length}), one simplified title p
   }
 }
 
+registerJobHandler(
+  "simplify-publication-titles",
+  async ({ titles }) => {
+    await batchSimplifyPublicationTitles(titles);
+    // On a Gemini error the batch falls back to the originals without caching them
+    const simplified = (await Promise.all(titles.map(getCachedPublicationTitle))).filter(Boolean).length;
+    if (simplified === 0) throw new Error("Gemini returned no simplified titles");
+    return { simplified, total: titles.length };
+  },
+  { concurrency: 1, maxAttempts: 3 },
+);
+
+/**
+ * Simplified titles without waiting on Gemini: cached titles are returned now, the rest
+ * are simplified by a background job and come from the cache on later requests
+ * @param {Array} titles - Array of title strings
+ * @returns {Promise<Array>} - Titles in the same order (original title until simplified)
+ */
+export async function simplifyPublicationTitlesDeferred(titles) {
+  if (!titles || titles.length === 0) {
+    return [];
+  }
+  // No Gemini: the batch returns its truncated fallback straight away
+  if (!apiKey && !apiKey2) {
+    return batchSimplifyPublicationTitles(titles);
+  }
+
+  const uncached = new Set();
+  const results = await Promise.all(
+    titles.map(async (t) => {
+      if (!t || typeof t !== "string") return "";
+      if (t.length <= 60) return t;
+      const cached = await getCachedPublicationTitle(t);
+      if (cached) return cached;
+      uncached.add(t);
+      return t;
+    }),
+  );
+
+  if (uncached.size > 0) {
+    const pending = [...uncached];
+    try {
+      for (let i = 0; i < pending.length; i += PUBLICATION_TITLE_JOB_BATCH_SIZE) {
+        const batch = pending.slice(i, i + PUBLICATION_TITLE_JOB_BATCH_SIZE);
+        // The same page requested again while its job is queued doesn't queue another
+        const key = crypto.createHash("sha1").update([...batch].sort().join("\n")).digest("hex");
+        await enqueueJob(
+          "simplify-publication-titles",
+          { titles: batch },
+          { dedupeKey: `simplify-publication-titles:${key}` },
+        );
+      }
+    } catch (error) {
+      console.error("Error queueing publication title simplification:", error.message);
+    }
+  }
+
+  return results;
+}
+
 export async function generateTrialContactMessage(
   userName,
   userLocation,
@@ -1478,6 +1547,123 @@ Return ONLY the JSON object.`;
   }
 }
 
+/**
+ * Plain-language comparison of 2-5 trials for patients weighing their options.
+ * @param {Array<Object>} trials - Comparison columns from trialComparison.service.js
+ *   ({ id, title, phase, status, interventions, arms, primaryOutcome, eligibility, nearestSite, sponsor, enrollment })
+ * @returns {Promise<Object>} - { generated, overview, differences: [string], questionsToAsk: [string] };
+ *   generated is false when AI was unavailable and the text is a generic fallback
+ */
+export async function compareTrialsForPatients(trials) {
+  const fallback = {
+    generated: false,
+    overview: `These ${trials?.length || 0} trials differ in what they test, who can join and where they run. The table lists each one side by side.`,
+    differences: [],
+    questionsToAsk: [
+      "Which of these trials is a good fit for my condition and treatment history?",
+      "How often would I need to visit the study site?",
+      "What happens after the trial ends?",
+    ],
+  };
+  if (!trials?.length || (!apiKey && !apiKey2)) {
+    return fallback;
+  }
+
+  const trialContent = trials
+    .map((trial, index) => {
+      const eligibility = trial.eligibility || {};
+      return [
+        `Trial ${index + 1} (${trial.id}): ${trial.title}`,
+        `Phase: ${trial.phase || "N/A"}; Status: ${trial.status || "Unknown"}`,
+        `Intervention: ${(trial.interventions || []).map((i) => i.name).join(", ") || "Not listed"}`,
+        `Arms: ${(trial.arms || []).map((a) => `${a.label}${a.type ? ` (${a.type})` : ""}`).join("; ") || "Not listed"}`,
+        trial.primaryOutcome
+          ? `Primary outcome: ${trial.primaryOutcome.measure}${trial.primaryOutcome.timeFrame ? ` (${trial.primaryOutcome.timeFrame})` : ""}`
+          : "",
+        `Who can join: ${eligibility.sex || "All"}, ${eligibility.ageRange || "any age"}. ${(
+          eligibility.keyInclusion || []
+        ).join(" ")}`,
+        eligibility.keyExclusion?.length ? `Excludes: ${eligibility.keyExclusion.join(" ")}` : "",
+        trial.nearestSite
+          ? `Nearest site: ${[trial.nearestSite.facility, trial.nearestSite.city].filter(Boolean).join(", ")}${
+              trial.nearestSite.distanceMiles != null ? ` (${trial.nearestSite.distanceMiles} miles)` : ""
+            }`
+          : "",
+        trial.sponsor ? `Sponsor: ${trial.sponsor.name}` : "",
+        trial.enrollment ? `Enrollment: ${trial.enrollment.count} participants` : "",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    })
+    .join("\n\n")
+    .slice(0, 12000);
+
+  try {
+    const geminiInstance = getGeminiInstance();
+    if (!geminiInstance) {
+      return fallback;
+    }
+
+    const model = geminiInstance.getGenerativeModel({
+      model: "gemini-2.5-flash-lite",
+    });
+
+    const prompt = `You are a kind health assistant helping a patient compare clinical trials they are considering.
+
+Compare these trials in very clear, plain language. Use everyday words and short sentences.
+
+Return a JSON object with EXACTLY these keys:
+{
+  "overview": "2-3 sentences on what these trials have in common and how they mainly differ.",
+  "differences": ["3-6 short sentences, each naming the trials it compares (e.g. 'Trial 1 tests a pill, while Trial 2 tests an injection.')"],
+  "questionsToAsk": ["2-4 questions the patient could ask their doctor or the study team to choose between them"]
+}
+
+RULES:
+- Write for a high-school reading level. Explain any medical terms in simple words.
+- Refer to trials as "Trial 1", "Trial 2", ... in the order given.
+- Do NOT recommend one trial over another, and do NOT invent details that are not listed.
+- Return ONLY valid JSON. No markdown, no code fences, no text before or after.
+
+Trials:
+${trialContent}
+
+Return ONLY the JSON object.`;
+
+    const result = await rateLimiter.execute(
+      async () => {
+        return await model.generateContent(prompt, {
+          generationConfig: {
+            maxOutputTokens: 1000,
+            temperature: 0.4,
+          },
+        });
+      },
+      "gemini-2.5-flash-lite",
+      500 + trialContent.length / 4 + 1000,
+    );
+
+    let responseText = result.response.text().trim();
+    if (responseText.startsWith("```")) {
+      responseText = responseText.replace(/^```\w*\n?/, "").replace(/\n?```\s*$/, "").trim();
+    }
+    const parsed = JSON.parse(responseText);
+    const asStrings = (value) =>
+      Array.isArray(value) ? value.map((item) => String(item).trim()).filter(Boolean) : [];
+    return {
+      generated: true,
+      overview: String(parsed.overview || "").trim() || fallback.overview,
+      differences: asStrings(parsed.differences),
+      questionsToAsk: asStrings(parsed.questionsToAsk).length
+        ? asStrings(parsed.questionsToAsk)
+        : fallback.questionsToAsk,
+    };
+  } catch (e) {
+    console.error("compareTrialsForPatients error:", e);
+    return fallback;
+  }
+}
+
 /**
  * Simplify trial title/description for display in patient dashboard
  * Similar to simplifyTitle but optimized for clinical trials
@@ -0,0 +1,180 @@
+import { fetchTrialById } from "./urlParser.service.js";
+import { buildTrialSite, geocodeOrigin, withSiteDistances } from "./clinicalTrials.service.js";
+import { parseEligibilityCriteria } from "./eligibility.service.js";
+import { compareTrialsForPatients } from "./summary.service.js";
+import { createCache } from "./cache.service.js";
+import { Profile } from "../models/Profile.js";
+
+const MIN_TRIALS = 2;
+const MAX_TRIALS = 5;
+// Inclusion / exclusion criteria quoted per trial; the counts cover the rest
+const MAX_HIGHLIGHTS = 3;
+const NCT_ID_PATTERN = /^NCT\d{8}$/;
+
+// Per-trial comparison columns (everything but the patient-specific nearest site)
+const cache = createCache("trial-comparison", { ttlMs: 1000 * 60 * 60, maxEntries: 500 });
+
+// Row order of the side-by-side table
+const COMPARISON_FIELDS = [
+  { key: "phase", label: "Phase" },
+  { key: "status", label: "Status" },
+  { key: "interventions", label: "Intervention" },
+  { key: "arms", label: "Arms" },
+  { key: "primaryOutcome", label: "Primary outcome" },
+  { key: "eligibility", label: "Eligibility highlights" },
+  { key: "nearestSite", label: "Nearest site" },
+  { key: "sponsor", label: "Sponsor" },
+  { key: "enrollment", label: "Enrollment" },
+];
+
+function eligibilityHighlights(eligibility = {}) {
+  const criteria = parseEligibilityCriteria(eligibility);
+  const texts = (section) =>
+    criteria.filter((criterion) => criterion.section === section).map((criterion) => criterion.text);
+  const inclusion = texts("inclusion");
+  const exclusion = texts("exclusion");
+  const age = [eligibility.minimumAge, eligibility.maximumAge].map((value) =>
+    value && value !== "Not specified" ? value : null,
+  );
+
+  return {
+    sex: eligibility.gender || "All",
+    ageRange:
+      age[0] && age[1]
+        ? `${age[0]} to ${age[1]}`
+        : age[0]
+          ? `${age[0]} and older`
+          : age[1]
+            ? `Up to ${age[1]}`
+            : "Any age",
+    healthyVolunteers: eligibility.healthyVolunteers === true || eligibility.healthyVolunteers === "Yes",
+    inclusionCount: inclusion.length,
+    exclusionCount: exclusion.length,
+    keyInclusion: inclusion.slice(0, MAX_HIGHLIGHTS),
+    keyExclusion: exclusion.slice(0, MAX_HIGHLIGHTS),
+  };
+}
+
+/**
+ * The compared fields of one trial, from a fetchTrialById result
+ */
+function buildComparisonColumn(trial) {
+  const primary = trial.primaryOutcomes?.[0] || null;
+  return {
+    id: trial.id,
+    title: trial.title,
+    briefTitle: trial.briefTitle,
+    url: trial.clinicalTrialsGovUrl,
+    conditions: trial.conditions || [],
+    phase: trial.phase,
+    status: trial.status,
+    interventions: (trial.interventions || []).map(({ type, name }) => ({ type, name })),
+    arms: (trial.arms || []).map(({ label, type, interventionNames }) => ({
+      label,
+      type,
+      interventionNames,
+    })),
+    primaryOutcome: primary
+      ? {
+          measure: primary.measure,
+          timeFrame: primary.timeFrame,
+          // Trials often list several; the first is shown, the count tells there are more
+          count: trial.primaryOutcomes.length,
+        }
+      : null,
+    eligibility: eligibilityHighlights(trial.eligibility),
+    sponsor: trial.sponsor,
+    enrollment: trial.enrollment,
+    sites: (trial.locations || []).map(buildTrialSite),
+  };
+}
+
+function nearestSiteSummary(site) {
+  if (!site) return null;
+  return {
+    facility: site.facility,
+    city: site.city,
+    state: site.state,
+    country: site.country,
+    status: site.status,
+    distanceMiles: site.distanceMiles,
+  };
+}
+
+/**
+ * Side-by-side comparison of 2-5 ClinicalTrials.gov trials
+ * @param {Array<string>} nctIds
+ * @param {Object} options - { userId: profile location for the nearest site, location: overrides it
+ *   (string or { city, state, country, postalCode }), summary: add an AI plain-language comparison }
+ * @returns {Promise<Object>} - { success, trials, rows, origin, summary? } or { success: false, status, error }
+ */
+export async function compareTrials(nctIds, { userId, location, summary = false } = {}) {
+  if (!Array.isArray(nctIds)) {
+    return { success: false, status: 400, error: "nctIds must be an array" };
+  }
+  const cleanIds = [...new Set(nctIds.map((id) => String(id || "").trim().toUpperCase()))];
+  if (cleanIds.length < MIN_TRIALS || cleanIds.length > MAX_TRIALS) {
+    return {
+      success: false,
+      status: 400,
+      error: `Provide between ${MIN_TRIALS} and ${MAX_TRIALS} different NCT IDs`,
+    };
+  }
+  const invalid = cleanIds.filter((id) => !NCT_ID_PATTERN.test(id));
+  if (invalid.length) {
+    return { success: false, status: 400, error: `Invalid NCT ID: ${invalid.join(", ")}` };
+  }
+
+  const columns = await Promise.all(
+    cleanIds.map((id) =>
+      cache.wrap(id, async () => {
+        const trial = await fetchTrialById(id);
+        return trial ? buildComparisonColumn(trial) : null;
+      }),
+    ),
+  );
+  const missing = cleanIds.filter((id, index) => !columns[index]);
+  if (missing.length) {
+    return { success: false, status: 404, error: `Trial not found: ${missing.join(", ")}` };
+  }
+
+  let originLocation = location || null;
+  if (!originLocation && userId) {
+    const profile = await Profile.findOne({ userId }).select("patient.location researcher.location").lean();
+    originLocation = profile?.patient?.location || profile?.researcher?.location || null;
+  }
+  const origin = originLocation ? geocodeOrigin(originLocation) : null;
+
+  const trials = columns.map(({ sites, ...column }) => ({
+    ...column,
+    nearestSite: nearestSiteSummary(withSiteDistances({ sites }, origin).nearestSite),
+    siteCount: sites.length,
+  }));
+
+  // One row per field with the trials' values in request order; differs flags rows worth a look
+  const rows = COMPARISON_FIELDS.map(({ key, label }) => {
+    const values = trials.map((trial) => trial[key] ?? null);
+    const distinct = new Set(values.map((value) => JSON.stringify(value)));
+    return { key, label, values, differs: distinct.size > 1 };
+  });
+
+  const result = {
+    success: true,
+    trials: trials.map(({ id, title, briefTitle, url, conditions, siteCount }) => ({
+      id,
+      title,
+      briefTitle,
+      url,
+      conditions,
+      siteCount,
+    })),
+    rows,
+    origin: origin ? { label: origin.label, precision: origin.precision } : null,
+  };
+
+  if (summary) {
+    result.summary = await compareTrialsForPatients(trials);
+  }
+
+  return result;
+}
@@ -0,0 +1,275 @@
+// Normalizes the resultsSection of a ClinicalTrials.gov v2 study (posted results) into
+// participant flow, baseline, outcome measures and adverse events keyed by group id
+
+// Adverse event terms kept per list (serious / other), most frequent first
+const MAX_EVENT_TERMS = 50;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * The API sends most numbers as strings ("125", "52.3"); "NA" and blanks become null
+ */
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const number = typeof value === "number" ? value : parseFloat(String(value).replace(/,/g, ""));
+  return Number.isFinite(number) ? number : null;
+}
+
+function sum(values) {
+  const numbers = values.filter((value) => value != null);
+  return numbers.length ? numbers.reduce((total, value) => total + value, 0) : null;
+}
+
+function mapGroups(groups) {
+  return (groups || []).map((group) => ({
+    id: group.id,
+    title: group.title || group.id,
+    description: group.description || "",
+  }));
+}
+
+/**
+ * Per-group participant counts from a denoms list (the first one counts participants)
+ */
+function mapDenoms(denoms) {
+  const counts = denoms?.[0]?.counts || [];
+  return Object.fromEntries(counts.map((count) => [count.groupId, toNumber(count.value)]));
+}
+
+function mapMeasurement(measurement) {
+  return {
+    groupId: measurement.groupId,
+    value: toNumber(measurement.value),
+    // Kept as sent when it isn't numeric ("NA", "Not estimable", ...)
+    rawValue: measurement.value ?? null,
+    spread: toNumber(measurement.spread),
+    lowerLimit: toNumber(measurement.lowerLimit),
+    upperLimit: toNumber(measurement.upperLimit),
+  };
+}
+
+/**
+ * classes[].categories[].measurements[] -> flat rows; a row label joins the class and
+ * category titles that are present ("Female", "Age: 18-64", ...)
+ */
+function mapRows(classes) {
+  const rows = [];
+  for (const measureClass of classes || []) {
+    for (const category of measureClass.categories || []) {
+      const label = [measureClass.title, category.title].filter(Boolean).join(": ");
+      rows.push({
+        label: label || null,
+        values: (category.measurements || []).map(mapMeasurement),
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * "<0.001" -> { pValue: 0.001, pValueText: "<0.001" }
+ */
+function parsePValue(text) {
+  if (text == null || text === "") return { pValue: null, pValueText: null };
+  const raw = String(text).trim();
+  return { pValue: toNumber(raw.replace(/^[<>=≤≥\s]+/, "")), pValueText: raw };
+}
+
+function mapAnalysis(analysis) {
+  const { pValue, pValueText } = parsePValue(analysis.pValue);
+  const below = /^[<≤]/.test(pValueText || "");
+  return {
+    groupIds: analysis.groupIds || [],
+    pValue,
+    pValueText,
+    significant:
+      pValue == null
+        ? null
+        : below
+          ? pValue <= SIGNIFICANCE_LEVEL
+          : pValue < SIGNIFICANCE_LEVEL,
+    method: analysis.statisticalMethod || null,
+    paramType: analysis.paramType || null,
+    paramValue: toNumber(analysis.paramValue),
+    ci:
+      analysis.ciLowerLimit != null || analysis.ciUpperLimit != null
+        ? {
+            percent: toNumber(analysis.ciPctValue),
+            lower: toNumber(analysis.ciLowerLimit),
+            upper: toNumber(analysis.ciUpperLimit),
+          }
+        : null,
+    nonInferiorityType: analysis.nonInferiorityType || null,
+    comment: analysis.statisticalComment || analysis.estimateComment || null,
+  };
+}
+
+function parseParticipantFlow(module) {
+  if (!module) return null;
+
+  const groups = mapGroups(module.groups).map((group) => ({
+    ...group,
+    started: null,
+    completed: null,
+    notCompleted: null,
+  }));
+  const byId = new Map(groups.map((group) => [group.id, group]));
+  const dropoutReasons = new Map();
+  const periods = module.periods || [];
+
+  periods.forEach((period, index) => {
+    for (const milestone of period.milestones || []) {
+      const type = String(milestone.type || "").toUpperCase();
+      for (const achievement of milestone.achievements || []) {
+        const group = byId.get(achievement.groupId);
+        if (!group) continue;
+        const count = toNumber(achievement.numSubjects);
+        // Multi-period flows: enrollment is the first period's start, the outcome the last's
+        if (type === "STARTED" && index === 0) group.started = count;
+        else if (type === "COMPLETED" && index === periods.length - 1) group.completed = count;
+        else if (type === "NOT COMPLETED" && index === periods.length - 1) group.notCompleted = count;
+      }
+    }
+    for (const drop of period.dropWithdraws || []) {
+      const reason = drop.type || "Other";
+      const count = sum((drop.reasons || []).map((entry) => toNumber(entry.numSubjects))) || 0;
+      dropoutReasons.set(reason, (dropoutReasons.get(reason) || 0) + count);
+    }
+  });
+
+  return {
+    recruitmentDetails: module.recruitmentDetails || null,
+    preAssignmentDetails: module.preAssignmentDetails || null,
+    groups,
+    totals: {
+      started: sum(groups.map((group) => group.started)),
+      completed: sum(groups.map((group) => group.completed)),
+      notCompleted: sum(groups.map((group) => group.notCompleted)),
+    },
+    dropoutReasons: [...dropoutReasons.entries()]
+      .map(([reason, count]) => ({ reason, count }))
+      .filter((entry) => entry.count > 0)
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+function parseBaseline(module) {
+  if (!module) return null;
+
+  const participants = mapDenoms(module.denoms);
+  const groups = mapGroups(module.groups).map((group) => ({
+    ...group,
+    participants: participants[group.id] ?? null,
+  }));
+  // The baseline usually carries a "Total" group (BG000 + ...); fall back to summing arms
+  const totalGroup = groups.find((group) => /^total$/i.test(group.title));
+  const totalParticipants = totalGroup
+    ? totalGroup.participants
+    : sum(groups.map((group) => group.participants));
+
+  return {
+    populationDescription: module.populationDescription || null,
+    groups,
+    totalParticipants,
+    measures: (module.measures || []).map((measure) => ({
+      title: measure.title || "",
+      paramType: measure.paramType || null,
+      dispersionType: measure.dispersionType || null,
+      unit: measure.unitOfMeasure || null,
+      rows: mapRows(measure.classes),
+    })),
+  };
+}
+
+function parseOutcomes(module) {
+  return (module?.outcomeMeasures || []).map((outcome) => {
+    const participants = mapDenoms(outcome.denoms);
+    return {
+      type: outcome.type || null, // PRIMARY, SECONDARY, OTHER_PRE_SPECIFIED, POST_HOC
+      title: outcome.title || "",
+      description: outcome.description || "",
+      timeFrame: outcome.timeFrame || null,
+      population: outcome.populationDescription || null,
+      // NOT_POSTED outcomes have no data yet
+      reportingStatus: outcome.reportingStatus || null,
+      paramType: outcome.paramType || null,
+      dispersionType: outcome.dispersionType || null,
+      unit: outcome.unitOfMeasure || null,
+      groups: mapGroups(outcome.groups).map((group) => ({
+        ...group,
+        participants: participants[group.id] ?? null,
+      })),
+      rows: mapRows(outcome.classes),
+      analyses: (outcome.analyses || []).map(mapAnalysis),
+    };
+  });
+}
+
+function mapEventTerms(events) {
+  const terms = (events || []).map((event) => {
+    const stats = (event.stats || []).map((stat) => ({
+      groupId: stat.groupId,
+      affected: toNumber(stat.numAffected),
+      atRisk: toNumber(stat.numAtRisk),
+      events: toNumber(stat.numEvents),
+    }));
+    return {
+      term: event.term || "",
+      organSystem: event.organSystem || null,
+      affected: sum(stats.map((stat) => stat.affected)) || 0,
+      stats,
+    };
+  });
+  return terms.sort((a, b) => b.affected - a.affected);
+}
+
+function parseAdverseEvents(module) {
+  if (!module) return null;
+
+  const serious = mapEventTerms(module.seriousEvents);
+  const other = mapEventTerms(module.otherEvents);
+
+  return {
+    timeFrame: module.timeFrame || null,
+    description: module.description || null,
+    // Percent; "other" events below it in every group aren't reported
+    frequencyThreshold: toNumber(module.frequencyThreshold),
+    groups: (module.eventGroups || []).map((group) => ({
+      id: group.id,
+      title: group.title || group.id,
+      description: group.description || "",
+      deaths: {
+        affected: toNumber(group.deathsNumAffected),
+        atRisk: toNumber(group.deathsNumAtRisk),
+      },
+      serious: {
+        affected: toNumber(group.seriousNumAffected),
+        atRisk: toNumber(group.seriousNumAtRisk),
+      },
+      other: {
+        affected: toNumber(group.otherNumAffected),
+        atRisk: toNumber(group.otherNumAtRisk),
+      },
+    })),
+    serious: serious.slice(0, MAX_EVENT_TERMS),
+    other: other.slice(0, MAX_EVENT_TERMS),
+    totalTerms: { serious: serious.length, other: other.length },
+  };
+}
+
+/**
+ * Posted results of a raw ClinicalTrials.gov v2 study, or null when none are posted
+ */
+export function parseTrialResults(study) {
+  const resultsSection = study?.resultsSection;
+  if (!resultsSection) return null;
+
+  return {
+    resultsFirstPostDate:
+      study.protocolSection?.statusModule?.resultsFirstPostDateStruct?.date || null,
+    participantFlow: parseParticipantFlow(resultsSection.participantFlowModule),
+    baseline: parseBaseline(resultsSection.baselineCharacteristicsModule),
+    outcomes: parseOutcomes(resultsSection.outcomeMeasuresModule),
+    adverseEvents: parseAdverseEvents(resultsSection.adverseEventsModule),
+    limitations: resultsSection.moreInfoModule?.limitationsAndCaveats?.description || null,
+  };
+}
@@ -1,6 +1,9 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
+import crypto from "crypto";
 import rateLimiter from "../utils/geminiRateLimiter.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.service.js";
+import { createCache } from "./cache.service.js";
 
 dotenv.config();
 
@@ -21,9 +24,15 @@ const genAI2 = apiKey2 ? new GoogleGenerativeAI(apiKey2) : null;
 // Round-robin counter for load balancing between API keys
 let apiKeyCounter = 0;
 
-// Cache for simplified titles (in-memory)
-const titleCache = new Map();
+// Cache for simplified titles
 const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
+const titleCache = createCache("trial-titles", { ttlMs: CACHE_EXPIRY, maxEntries: 5000 });
+// Titles per background simplification job (one Gemini call each)
+const TITLE_JOB_BATCH_SIZE = 25;
+
+function getCachedTitle(title) {
+  return titleCache.get(title.toLowerCase().trim());
+}
 
 /**
  * Get the appropriate Gemini instance based on load balancing
@@ -63,9 +72,9 @@ export async function simplifyTrialTitle(trial) {
 
   // Check cache first
   const cacheKey = trial.title.toLowerCase().trim();
-  const cached = titleCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY) {
-    return cached.simplifiedTitle;
+  const cached = await titleCache.get(cacheKey);
+  if (cached) {
+    return cached;
   }
 
   const geminiInstance = getGeminiInstance();
@@ -131,10 +140,7 @@ No explanations, no quotes, no formatting.`;
     }
 
     // Cache the result
-    titleCache.set(cacheKey, {
-      simplifiedTitle,
-      timestamp: Date.now(),
-    });
+    await titleCache.set(cacheKey, simplifiedTitle);
 
     return simplifiedTitle;
   } catch (error) {
@@ -171,9 +177,9 @@ export async function batchSimplifyTrialTitles(trials) {
 
   for (const trial of trialsToSimplify) {
     const cacheKey = trial.title.toLowerCase().trim();
-    const cached = titleCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY) {
-      results.set(trial.title, cached.simplifiedTitle);
+    const cached = await titleCache.get(cacheKey);
+    if (cached) {
+      results.set(trial.title, cached);
     } else {
       uncachedTrials.push(trial);
     }
@@ -283,10 +289,7 @@ Return ONLY a numbered list (1-${uncachedTrials.length}), one simplified title p
       }
 
       const cacheKey = uncachedTrials[i].title.toLowerCase().trim();
-      titleCache.set(cacheKey, {
-        simplifiedTitle,
-        timestamp: Date.now(),
-      });
+      await titleCache.set(cacheKey, simplifiedTitle);
 
       results.set(uncachedTrials[i].title, simplifiedTitle);
     }
@@ -308,6 +311,58 @@ Return ONLY a numbered list (1-${uncachedTrials.length}), one simplified title p
   }
 }
 
+registerJobHandler(
+  "simplify-trial-titles",
+  async ({ titles }) => {
+    await batchSimplifyTrialTitles(titles.map((title) => ({ title })));
+    // On a Gemini error the batch falls back to the originals without caching them
+    const simplified = (await Promise.all(titles.map(getCachedTitle))).filter(Boolean).length;
+    if (simplified === 0) throw new Error("Gemini returned no simplified titles");
+    return { simplified, total: titles.length };
+  },
+  { concurrency: 1, maxAttempts: 3 },
+);
+
+/**
+ * Simplified titles without waiting on Gemini: cached titles are returned now, the rest
+ * are simplified by a background job and come from the cache on later requests
+ * @param {Array} trials - Array of trial objects with title property
+ * @returns {Promise<Array>} - Titles in the same order (original title until simplified)
+ */
+export async function simplifyTrialTitlesDeferred(trials) {
+  if (!trials || trials.length === 0) {
+    return [];
+  }
+
+  const uncached = new Set();
+  const titles = await Promise.all(
+    trials.map(async (t) => {
+      if (!t || !t.title) return "";
+      if (t.title.length <= 60) return t.title;
+      const cached = await getCachedTitle(t.title);
+      if (cached) return cached;
+      uncached.add(t.title);
+      return t.title;
+    }),
+  );
+
+  if (uncached.size > 0 && (genAI || genAI2)) {
+    const pending = [...uncached];
+    try {
+      for (let i = 0; i < pending.length; i += TITLE_JOB_BATCH_SIZE) {
+        const batch = pending.slice(i, i + TITLE_JOB_BATCH_SIZE);
+        // The same page requested again while its job is queued doesn't queue another
+        const key = crypto.createHash("sha1").update([...batch].sort().join("\n")).digest("hex");
+        await enqueueJob("simplify-trial-titles", { titles: batch }, { dedupeKey: `simplify-trial-titles:${key}` });
+      }
+    } catch (error) {
+      console.error("Error queueing trial title simplification:", error.message);
+    }
+  }
+
+  return titles;
+}
+
 /**
  * Simplify trial details using AI.
  * @param {Object} trial - The trial to simplify
@@ -537,3 +592,229 @@ Return ONLY valid JSON, no markdown formatting, no code blocks.`;
     };
   }
 }
+
+// Results summaries are keyed by NCT ID and last update, so a re-posted result is re-summarized
+const resultsSummaryCache = createCache("trial-results-summaries", {
+  ttlMs: 7 * CACHE_EXPIRY,
+  maxEntries: 1000,
+});
+
+function groupTitles(groups) {
+  return new Map((groups || []).map((group) => [group.id, group.title]));
+}
+
+function formatMeasurement(value, unit) {
+  if (value.value == null) return value.rawValue || "not reported";
+  const spread = value.spread != null ? ` ± ${value.spread}` : "";
+  const range =
+    value.lowerLimit != null && value.upperLimit != null
+      ? ` (${value.lowerLimit} to ${value.upperLimit})`
+      : "";
+  return `${value.value}${spread}${range}${unit ? ` ${unit}` : ""}`;
+}
+
+function percent(affected, atRisk) {
+  return affected != null && atRisk ? `${Math.round((affected / atRisk) * 1000) / 10}%` : null;
+}
+
+/**
+ * Compact text of the parsed results (services/trialResults.service.js) for the prompt
+ * and the fallback summary: primary outcomes, participant flow and adverse events
+ */
+function describeTrialResults(results) {
+  const lines = [];
+
+  const flow = results.participantFlow;
+  if (flow?.totals?.started != null) {
+    lines.push(
+      `Participants: ${flow.totals.started} started, ${flow.totals.completed ?? "unknown"} completed.`
+    );
+    if (flow.dropoutReasons.length) {
+      lines.push(
+        `Main reasons for leaving: ${flow.dropoutReasons
+          .slice(0, 3)
+          .map((entry) => `${entry.reason} (${entry.count})`)
+          .join(", ")}.`
+      );
+    }
+  }
+
+  const primary = results.outcomes.filter(
+    (outcome) => outcome.type === "PRIMARY" && outcome.rows.length
+  );
+  for (const outcome of primary.slice(0, 3)) {
+    const titles = groupTitles(outcome.groups);
+    lines.push(`Primary outcome: ${outcome.title}${outcome.timeFrame ? ` (${outcome.timeFrame})` : ""}.`);
+    for (const row of outcome.rows.slice(0, 4)) {
+      const values = row.values
+        .map((value) => `${titles.get(value.groupId) || value.groupId}: ${formatMeasurement(value, outcome.unit)}`)
+        .join("; ");
+      lines.push(`  ${row.label ? `${row.label} - ` : ""}${values}`);
+    }
+    for (const analysis of outcome.analyses.slice(0, 2)) {
+      if (!analysis.pValueText) continue;
+      lines.push(
+        `  Comparison p-value ${analysis.pValueText} (${analysis.significant ? "statistically significant" : "not statistically significant"}).`
+      );
+    }
+  }
+
+  const events = results.adverseEvents;
+  if (events?.groups?.length) {
+    for (const group of events.groups) {
+      const serious = percent(group.serious.affected, group.serious.atRisk);
+      const deaths = group.deaths.affected;
+      lines.push(
+        `Side effects in ${group.title}: ${serious ? `${serious} had a serious adverse event` : "serious adverse events not reported"}${deaths != null ? `, ${deaths} deaths` : ""}.`
+      );
+    }
+    const common = [...events.serious, ...events.other]
+      .sort((a, b) => b.affected - a.affected)
+      .slice(0, 5)
+      .map((event) => event.term);
+    if (common.length) lines.push(`Most common adverse events: ${[...new Set(common)].join(", ")}.`);
+  }
+
+  if (results.limitations) lines.push(`Limitations noted by the investigators: ${results.limitations}`);
+
+  return lines.join("\n");
+}
+
+/**
+ * Plain summary built from the numbers alone, used when AI is unavailable or fails
+ */
+function fallbackResultsSummary(trial, results) {
+  const flow = results.participantFlow;
+  const primary = results.outcomes.find((outcome) => outcome.type === "PRIMARY");
+  const significant = primary?.analyses.find((analysis) => analysis.significant != null);
+  const events = results.adverseEvents;
+  const seriousRates = (events?.groups || [])
+    .map((group) => {
+      const rate = percent(group.serious.affected, group.serious.atRisk);
+      return rate ? `${rate} of people in ${group.title}` : null;
+    })
+    .filter(Boolean);
+
+  let whatTheyFound = "The study posted its results, but no primary outcome data is available.";
+  if (primary) {
+    whatTheyFound = `The main thing measured was: ${primary.title}.`;
+    if (significant) {
+      whatTheyFound += significant.significant
+        ? " The groups showed a statistically meaningful difference."
+        : " The study did not find a statistically meaningful difference between the groups.";
+    }
+  }
+
+  return {
+    whatWasStudied: `${trial.title || "This trial"}${
+      trial.conditions?.length ? ` looked at ${trial.conditions.join(", ")}` : ""
+    }${flow?.totals?.started != null ? ` and enrolled ${flow.totals.started} people` : ""}.`,
+    whatTheyFound,
+    sideEffects: seriousRates.length
+      ? `Serious side effects affected ${seriousRates.join(", ")}.`
+      : "Side effect information was not reported.",
+    limitations: results.limitations || "",
+  };
+}
+
+/**
+ * Patient-friendly "what did this trial find" summary of a trial's posted results.
+ * @param {Object} trial - fetchTrialById(nctId, { includeResults: true }) result
+ * @returns {Promise<{ generated: boolean, summary: Object }|null>} null when no results are posted;
+ *   generated is false when the numbers-only fallback was used
+ */
+export async function summarizeTrialResults(trial) {
+  const results = trial?.results;
+  if (!results) {
+    return null;
+  }
+
+  const cacheKey = `${trial.id}:${trial.lastUpdatePostDate || ""}`;
+  const cached = await resultsSummaryCache.get(cacheKey);
+  if (cached) {
+    return { generated: true, summary: cached };
+  }
+
+  const fallback = { generated: false, summary: fallbackResultsSummary(trial, results) };
+  const geminiInstance = getGeminiInstance();
+  if (!geminiInstance) {
+    return fallback;
+  }
+
+  try {
+    const modelName = "gemini-2.5-flash-lite";
+    const model = geminiInstance.getGenerativeModel({
+      model: modelName,
+    });
+
+    const resultsText = describeTrialResults(results);
+    const prompt = `You are a medical communication expert. Explain what this clinical trial found in plain language a high school student could understand. Only use the results given below.
+
+Return a JSON object with the following structure:
+{
+  "whatWasStudied": "What the trial tested and in whom, in 1-2 sentences",
+  "whatTheyFound": "The main results in 2-4 short sentences. Say clearly whether the treatment worked better, worse or about the same. Mention numbers only if they help understanding.",
+  "sideEffects": "How common serious and other side effects were, in 1-2 sentences",
+  "limitations": "Anything that limits what we can conclude, in 1-2 sentences (empty string if nothing is noted)"
+}
+
+IMPORTANT RULES:
+- Do NOT add results, conclusions or advice that are not in the data
+- Explain "statistically significant" in everyday words if you use it
+- Keep sentences short (15-20 words max)
+- Neutral tone; do not recommend the treatment
+
+Trial: ${trial.title || "Clinical Trial"}
+Conditions: ${(trial.conditions || []).join(", ")}
+Phase: ${trial.phase || "N/A"}
+
+Results:
+${resultsText}
+
+Return ONLY valid JSON, no markdown formatting, no code blocks.`;
+
+    const estimatedTokens = 400 + resultsText.length / 4 + 800;
+
+    const result = await rateLimiter.execute(
+      async () => {
+        return await model.generateContent(prompt, {
+          generationConfig: {
+            maxOutputTokens: 800,
+            temperature: 0.3,
+          },
+        });
+      },
+      modelName,
+      estimatedTokens
+    );
+
+    let responseText = result.response.text().trim();
+    if (responseText.startsWith("```")) {
+      responseText = responseText
+        .replace(/```json\n?/g, "")
+        .replace(/```\n?/g, "")
+        .trim();
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(responseText);
+    } catch (parseError) {
+      console.error("Error parsing AI results summary:", parseError);
+      return fallback;
+    }
+
+    const summary = {
+      whatWasStudied: parsed.whatWasStudied || fallback.summary.whatWasStudied,
+      whatTheyFound: parsed.whatTheyFound || fallback.summary.whatTheyFound,
+      sideEffects: parsed.sideEffects || fallback.summary.sideEffects,
+      limitations: parsed.limitations ?? fallback.summary.limitations,
+    };
+    await resultsSummaryCache.set(cacheKey, summary);
+
+    return { generated: true, summary };
+  } catch (error) {
+    console.error("Error summarizing trial results:", error?.message || error);
+    return fallback;
+  }
+}
@@ -0,0 +1,366 @@
+import crypto from "crypto";
+import { TrialSnapshot } from "../models/TrialSnapshot.js";
+import { Favorite } from "../models/Favorite.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { fetchTrialById } from "./urlParser.service.js";
+import { notify } from "./notification.service.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.service.js";
+
+// Favorited and saved trials are re-fetched from ClinicalTrials.gov this often and diffed
+// against the stored snapshot; their favoriters are notified of what changed
+const CHECK_INTERVAL_MS =
+  parseInt(process.env.TRIAL_TRACKING_HOURS || "24", 10) * 60 * 60 * 1000;
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+const CHECK_BATCH_SIZE = parseInt(process.env.TRIAL_TRACKING_BATCH_SIZE || "200", 10);
+// Saved trial searches (with alerts on) contribute their latest matches; a broad search can
+// have seen up to a thousand, too many to re-fetch daily
+const SAVED_SEARCH_TRIALS_TRACKED = 25;
+const MAX_HISTORY = 100;
+// Site names listed per change (the counts stay exact)
+const MAX_SITES_LISTED = 10;
+const NCT_ID_PATTERN = /^NCT\d{8}$/;
+
+/**
+ * "ACTIVE_NOT_RECRUITING" -> "Active, not recruiting" (as ClinicalTrials.gov words it)
+ */
+function humanizeStatus(status) {
+  if (!status) return "Unknown";
+  const words = status.toLowerCase().split("_").join(" ");
+  return (words.charAt(0).toUpperCase() + words.slice(1)).replace(" not ", ", not ");
+}
+
+function siteKey(site) {
+  return [site.facility, site.city, site.country]
+    .map((part) => String(part || "").trim().toLowerCase())
+    .join("|");
+}
+
+function siteLabel(site) {
+  const place = [site.city, site.state, site.country].filter(Boolean).join(", ");
+  return site.facility ? `${site.facility} (${place})` : place;
+}
+
+function plural(count, singular, pluralWord = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralWord}`;
+}
+
+/**
+ * The fields we watch, from a fetchTrialById result
+ */
+export function buildTrialSnapshot(trial) {
+  const eligibility = trial.eligibility || {};
+  return {
+    status: trial.status || "Unknown",
+    enrollment: trial.enrollment || null,
+    primaryCompletionDate: trial.primaryCompletionDate || null,
+    eligibility: {
+      gender: eligibility.gender || null,
+      minimumAge: eligibility.minimumAge || null,
+      maximumAge: eligibility.maximumAge || null,
+      // Criteria text can run to pages; a hash is enough to tell it changed
+      criteriaHash: crypto
+        .createHash("sha1")
+        .update(String(eligibility.criteria || "").replace(/\s+/g, " ").trim())
+        .digest("hex"),
+    },
+    sites: (trial.locations || []).map((loc) => ({
+      facility: loc.facility || "",
+      city: loc.city || "",
+      state: loc.state || "",
+      country: loc.country || "",
+      status: loc.status || "",
+    })),
+    hasResults: Boolean(trial.hasResults),
+    lastUpdatePostDate: trial.lastUpdatePostDate || null,
+  };
+}
+
+function formatEnrollment(enrollment) {
+  if (!enrollment) return "not reported";
+  return enrollment.type
+    ? `${enrollment.count} (${enrollment.type.toLowerCase()})`
+    : String(enrollment.count);
+}
+
+function diffSites(previousSites = [], currentSites = []) {
+  const previousByKey = new Map(previousSites.map((site) => [siteKey(site), site]));
+  const currentByKey = new Map(currentSites.map((site) => [siteKey(site), site]));
+
+  const added = currentSites.filter((site) => !previousByKey.has(siteKey(site)));
+  const removed = previousSites.filter((site) => !currentByKey.has(siteKey(site)));
+  const statusChanged = currentSites
+    .filter((site) => {
+      const before = previousByKey.get(siteKey(site));
+      return before && (before.status || "") !== (site.status || "");
+    })
+    .map((site) => ({
+      site: siteLabel(site),
+      from: previousByKey.get(siteKey(site)).status || null,
+      to: site.status || null,
+    }));
+
+  if (!added.length && !removed.length && !statusChanged.length) return null;
+
+  const parts = [];
+  if (added.length) parts.push(`${plural(added.length, "site")} added`);
+  if (removed.length) parts.push(`${plural(removed.length, "site")} removed`);
+  if (statusChanged.length) {
+    parts.push(`${plural(statusChanged.length, "site")} changed recruitment status`);
+  }
+  return {
+    field: "sites",
+    added: added.slice(0, MAX_SITES_LISTED).map(siteLabel),
+    removed: removed.slice(0, MAX_SITES_LISTED).map(siteLabel),
+    statusChanged: statusChanged.slice(0, MAX_SITES_LISTED),
+    counts: { added: added.length, removed: removed.length, statusChanged: statusChanged.length },
+    summary: parts.join(", "),
+  };
+}
+
+/**
+ * What changed between two snapshots
+ * @returns {Array} - [{ field, from, to, summary }] (sites: { field, added, removed, statusChanged, counts, summary })
+ */
+export function diffTrialSnapshots(previous, current) {
+  const changes = [];
+
+  if (previous.status !== current.status) {
+    changes.push({
+      field: "status",
+      from: previous.status,
+      to: current.status,
+      summary: `Status changed from ${humanizeStatus(previous.status)} to ${humanizeStatus(current.status)}`,
+    });
+  }
+
+  if (
+    previous.enrollment?.count !== current.enrollment?.count ||
+    previous.enrollment?.type !== current.enrollment?.type
+  ) {
+    changes.push({
+      field: "enrollment",
+      from: previous.enrollment || null,
+      to: current.enrollment || null,
+      summary: `Enrollment changed from ${formatEnrollment(previous.enrollment)} to ${formatEnrollment(current.enrollment)}`,
+    });
+  }
+
+  if (previous.primaryCompletionDate?.date !== current.primaryCompletionDate?.date) {
+    changes.push({
+      field: "primaryCompletionDate",
+      from: previous.primaryCompletionDate?.date || null,
+      to: current.primaryCompletionDate?.date || null,
+      summary: `Primary completion date moved from ${previous.primaryCompletionDate?.date || "not set"} to ${current.primaryCompletionDate?.date || "not set"}`,
+    });
+  }
+
+  const eligibilityParts = [];
+  const before = previous.eligibility || {};
+  const after = current.eligibility || {};
+  if (before.gender !== after.gender) {
+    eligibilityParts.push(`sex from ${before.gender || "not set"} to ${after.gender || "not set"}`);
+  }
+  if (before.minimumAge !== after.minimumAge) {
+    eligibilityParts.push(`minimum age from ${before.minimumAge || "none"} to ${after.minimumAge || "none"}`);
+  }
+  if (before.maximumAge !== after.maximumAge) {
+    eligibilityParts.push(`maximum age from ${before.maximumAge || "none"} to ${after.maximumAge || "none"}`);
+  }
+  if (before.criteriaHash !== after.criteriaHash) eligibilityParts.push("criteria text updated");
+  if (eligibilityParts.length) {
+    changes.push({
+      field: "eligibility",
+      from: { gender: before.gender, minimumAge: before.minimumAge, maximumAge: before.maximumAge },
+      to: { gender: after.gender, minimumAge: after.minimumAge, maximumAge: after.maximumAge },
+      summary: `Eligibility changed: ${eligibilityParts.join("; ")}`,
+    });
+  }
+
+  const sites = diffSites(previous.sites, current.sites);
+  if (sites) changes.push(sites);
+
+  if (!previous.hasResults && current.hasResults) {
+    changes.push({ field: "results", from: false, to: true, summary: "Results were posted" });
+  }
+
+  return changes;
+}
+
+/**
+ * NCT IDs of every favorited trial and of the latest matches of saved trial searches
+ */
+async function trackedTrialIds() {
+  const [favorited, saved] = await Promise.all([
+    Favorite.distinct("item.id", { type: "trial" }),
+    SavedSearch.aggregate([
+      { $match: { type: "trials", alertsEnabled: true } },
+      { $project: { ids: { $slice: ["$seenIds", -SAVED_SEARCH_TRIALS_TRACKED] } } },
+      { $unwind: "$ids" },
+      { $group: { _id: "$ids" } },
+    ]),
+  ]);
+  const ids = [...favorited, ...saved.map(({ _id }) => _id)];
+  return [
+    ...new Set(
+      ids.map((id) => String(id || "").trim().toUpperCase()).filter((id) => NCT_ID_PATTERN.test(id)),
+    ),
+  ];
+}
+
+async function notifyFavoriters(record, changes) {
+  const userIds = await Favorite.distinct("userId", {
+    type: "trial",
+    $or: [{ "item.id": record.nctId }, { "item._id": record.nctId }],
+  });
+  const title = record.title || record.nctId;
+  const summary =
+    changes.length === 1
+      ? `"${title}": ${changes[0].summary}`
+      : `"${title}": ${changes[0].summary}, and ${plural(changes.length - 1, "other change")}`;
+
+  for (const userId of userIds) {
+    await notify(userId, "trial_updated", {
+      itemId: record._id,
+      itemType: "trial",
+      data: {
+        summary,
+        nctId: record.nctId,
+        trialTitle: title,
+        changes: changes.map(({ field, summary: changeSummary }) => ({ field, summary: changeSummary })),
+      },
+    });
+  }
+  return userIds.length;
+}
+
+/**
+ * Fetch a trial, store its snapshot and record (and notify) any change since the last check.
+ * The first check only records the baseline.
+ * @param {string} nctId
+ * @returns {Promise<Object>} - { baseline, changes, notified }
+ */
+export async function checkTrial(nctId) {
+  const trial = await fetchTrialById(nctId);
+  // fetchTrialById logs and returns null on failure; throw so the job is retried
+  if (!trial) throw new Error(`Trial ${nctId} could not be fetched`);
+
+  const current = buildTrialSnapshot(trial);
+  const now = new Date();
+  const record = await TrialSnapshot.findOne({ nctId }).lean();
+  const baseline = !record?.snapshot;
+  const changes = baseline ? [] : diffTrialSnapshots(record.snapshot, current);
+
+  const update = {
+    $set: { title: trial.title, snapshot: current, checkedAt: now, lastError: null },
+  };
+  if (changes.length) {
+    update.$set.lastChangedAt = now;
+    update.$push = { history: { $each: [{ detectedAt: now, changes }], $slice: -MAX_HISTORY } };
+  }
+  const saved = await TrialSnapshot.findOneAndUpdate({ nctId }, update, {
+    upsert: true,
+    new: true,
+  }).lean();
+
+  const notified = changes.length ? await notifyFavoriters(saved, changes) : 0;
+  return { baseline, changes: changes.length, notified };
+}
+
+registerJobHandler(
+  "trial-snapshot",
+  async ({ nctId }) => checkTrial(nctId),
+  {
+    concurrency: 2,
+    maxAttempts: 3,
+    backoffMs: 5 * 60 * 1000,
+    // Withdrawn or mistyped IDs: wait for the next interval rather than re-queueing every hour
+    onDead: async (job, error) => {
+      await TrialSnapshot.updateOne(
+        { nctId: job.payload.nctId },
+        { $set: { checkedAt: new Date(), lastError: error.message } },
+      );
+    },
+  },
+);
+
+function queueCheck(nctId) {
+  return enqueueJob("trial-snapshot", { nctId }, { dedupeKey: `trial-snapshot:${nctId}` });
+}
+
+/**
+ * Start tracking a trial (when it is favorited): records its baseline snapshot in the
+ * background unless it is already tracked. Never throws.
+ * @param {string} nctId
+ */
+export async function trackTrial(nctId) {
+  const cleanNctId = String(nctId || "").trim().toUpperCase();
+  if (!NCT_ID_PATTERN.test(cleanNctId)) return;
+  try {
+    if (await TrialSnapshot.exists({ nctId: cleanNctId, snapshot: { $ne: null } })) return;
+    await queueCheck(cleanNctId);
+  } catch (error) {
+    console.error(`[TrialTracking] Failed to queue ${cleanNctId}:`, error.message);
+  }
+}
+
+/**
+ * Queue a check for every tracked (favorited or saved) trial not checked within TRIAL_TRACKING_HOURS
+ * @returns {Promise<Object>} - { tracked, queued }
+ */
+export async function queueDueTrialChecks(now = new Date()) {
+  const nctIds = await trackedTrialIds();
+  if (!nctIds.length) return { tracked: 0, queued: 0 };
+
+  await TrialSnapshot.bulkWrite(
+    nctIds.map((nctId) => ({
+      updateOne: { filter: { nctId }, update: { $setOnInsert: { nctId } }, upsert: true },
+    })),
+    { ordered: false },
+  );
+
+  const due = await TrialSnapshot.find({
+    nctId: { $in: nctIds },
+    $or: [{ checkedAt: null }, { checkedAt: { $lte: new Date(now - CHECK_INTERVAL_MS) } }],
+  })
+    .sort({ checkedAt: 1 })
+    .limit(CHECK_BATCH_SIZE)
+    .select("nctId")
+    .lean();
+
+  for (const { nctId } of due) {
+    await queueCheck(nctId);
+  }
+  return { tracked: nctIds.length, queued: due.length };
+}
+
+/**
+ * Stored change history of a trial, newest first
+ * @param {string} nctId
+ * @returns {Promise<Object|null>} - { nctId, title, checkedAt, lastChangedAt, snapshot, history } or null when not tracked
+ */
+export async function getTrialHistory(nctId) {
+  const record = await TrialSnapshot.findOne({ nctId }).lean();
+  if (!record?.snapshot) return null;
+  return {
+    nctId: record.nctId,
+    title: record.title,
+    trackedSince: record.createdAt,
+    checkedAt: record.checkedAt,
+    lastChangedAt: record.lastChangedAt,
+    snapshot: record.snapshot,
+    history: [...(record.history || [])].reverse(),
+  };
+}
+
+/**
+ * Queue due trial checks every hour
+ */
+export function startTrialTrackingSchedule() {
+  const run = () =>
+    queueDueTrialChecks()
+      .then((stats) => {
+        if (stats.queued > 0) console.log("[TrialTracking] Checks queued:", stats);
+      })
+      .catch((error) => console.error("[TrialTracking] Run failed:", error));
+  setInterval(run, SCHEDULE_INTERVAL_MS);
+}
@@ -1,4 +1,5 @@
-import { PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { PutObjectCommand, DeleteObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import s3Client, { s3Config } from "../config/s3.js";
 import { v4 as uuidv4 } from "uuid";
 import path from "path";
@@ -27,6 +28,18 @@ function getPublicUrl(key) {
   return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
 }
 
+/**
+ * Get the S3 object key back from a public URL, if it points at our bucket
+ * @param {string} url - Public URL (as returned by uploadImage/uploadFile)
+ * @returns {string|null} - S3 object key, or null for external URLs
+ */
+export function getKeyFromUrl(url) {
+  if (!url || typeof url !== "string" || !s3Config.bucket) return null;
+  const prefix = `https://${s3Config.bucket}.s3.${s3Config.region}.amazonaws.com/`;
+  if (!url.startsWith(prefix)) return null;
+  return decodeURIComponent(url.slice(prefix.length).split("?")[0]) || null;
+}
+
 /**
  * Upload image to S3
  * @param {Buffer} fileBuffer - File buffer
@@ -113,6 +126,58 @@ export async function uploadFile(
   }
 }
 
+/**
+ * Upload a file that must not be publicly readable (e.g. direct-message attachments).
+ * Only the key is returned; readers get a short-lived link from getPresignedDownloadUrl.
+ * Keep the "private/" prefix out of the bucket's public-read policy.
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} folder - Folder path under private/ (e.g., 'messages/files')
+ * @param {string} originalName - Original file name
+ * @param {string} mimetype - MIME type of the file
+ * @returns {Promise<Object>} - Upload result with key and bucket
+ */
+export async function uploadPrivateFile(
+  fileBuffer,
+  folder = "files",
+  originalName = "file",
+  mimetype = "application/octet-stream",
+) {
+  try {
+    const key = generateFileKey(`private/${folder}`, originalName);
+
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: s3Config.bucket,
+        Key: key,
+        Body: fileBuffer,
+        ContentType: mimetype,
+      }),
+    );
+
+    return { key, bucket: s3Config.bucket };
+  } catch (error) {
+    console.error("Error uploading private file to S3:", error);
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+}
+
+/**
+ * Short-lived signed GET URL for an S3 object
+ * @param {string} key - S3 object key
+ * @param {Object} options - { expiresIn: seconds (default 300), fileName: download name }
+ * @returns {Promise<string>} - Presigned URL
+ */
+export async function getPresignedDownloadUrl(key, { expiresIn = 300, fileName } = {}) {
+  const command = new GetObjectCommand({
+    Bucket: s3Config.bucket,
+    Key: key,
+    ...(fileName && {
+      ResponseContentDisposition: `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+    }),
+  });
+  return getSignedUrl(s3Client, command, { expiresIn });
+}
+
 /**
  * Delete file from S3
  * @param {string} key - S3 object key (or public_id for backward compatibility)
@@ -1,6 +1,7 @@
 import axios from "axios";
 import { DOMParser } from "xmldom";
 import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import { parseTrialResults } from "./trialResults.service.js";
 
 /**
  * Parse a URL and determine if it's a ClinicalTrials.gov or PubMed URL
@@ -92,11 +93,19 @@ export function parseUrl(url) {
  * Fetch trial data by NCT ID from ClinicalTrials.gov API v2
  * Uses the direct endpoint: https://clinicaltrials.gov/api/v2/studies/{NCT_ID}
  * Data structure: study.protocolSection.contactsLocationsModule.locations
+ * @param {string} nctId
+ * @param {Object} options - { includeResults: add the parsed posted results as `results`
+ *   (large; only for the results view, not for trials that get stored or listed) }
  */
-export async function fetchTrialById(nctId) {
+export async function fetchTrialById(nctId, { includeResults = false } = {}) {
   try {
     // Clean up NCT ID (ensure uppercase, remove whitespace)
     const cleanNctId = nctId.trim().toUpperCase();
+    const toTrial = (study) => {
+      const trial = processStudyData(study, cleanNctId);
+      if (includeResults) trial.results = parseTrialResults(study);
+      return trial;
+    };
 
     // Use the direct endpoint for a specific trial
     const url = `https://clinicaltrials.gov/api/v2/studies/${cleanNctId}`;
@@ -123,7 +132,7 @@ export async function fetchTrialById(nctId) {
         });
 
         if (!study) return null;
-        return processStudyData(study, cleanNctId);
+        return toTrial(study);
       }
       throw error;
     }
@@ -141,7 +150,7 @@ export async function fetchTrialById(nctId) {
       return null;
     }
 
-    return processStudyData(study, cleanNctId);
+    return toTrial(study);
   } catch (error) {
     console.error("Error fetching trial by ID:", error);
     return null;
@@ -160,6 +169,9 @@ function processStudyData(study, nctId) {
   const eligibilityModule = protocolSection.eligibilityModule || {};
   const designModule = protocolSection.designModule || {};
   const descriptionModule = protocolSection.descriptionModule || {};
+  const armsInterventionsModule = protocolSection.armsInterventionsModule || {};
+  const outcomesModule = protocolSection.outcomesModule || {};
+  const sponsorModule = protocolSection.sponsorCollaboratorsModule || {};
 
   // IMPORTANT: Use protocolSection.contactsLocationsModule
   // Structure: protocolSection.contactsLocationsModule.locations[]
@@ -194,6 +206,7 @@ function processStudyData(study, nctId) {
         country: country,
         zip: zip,
         status: loc.status || loc.recruitmentStatus || "",
+        geoPoint: loc.geoPoint || null,
         contactName: locationContact.name || loc.contactName || "",
         contactEmail: locationContact.email || loc.contactEmail || "",
         contactPhone: locationContact.phone || loc.contactPhone || "",
@@ -240,6 +253,28 @@ function processStudyData(study, nctId) {
   // Combine all contacts, prioritizing central contacts
   const contacts = [...centralContacts, ...overallContacts];
 
+  // Arms (groups participants are assigned to) and what each receives
+  const arms =
+    armsInterventionsModule.armGroups?.map((arm) => ({
+      label: arm.label || "",
+      type: arm.type || null, // EXPERIMENTAL, ACTIVE_COMPARATOR, PLACEBO_COMPARATOR, ...
+      description: arm.description || "",
+      interventionNames: arm.interventionNames || [],
+    })) || [];
+  const interventions =
+    armsInterventionsModule.interventions?.map((intervention) => ({
+      type: intervention.type || null, // DRUG, DEVICE, BEHAVIORAL, ...
+      name: intervention.name || "",
+      description: intervention.description || "",
+      armGroupLabels: intervention.armGroupLabels || [],
+    })) || [];
+  const primaryOutcomes =
+    outcomesModule.primaryOutcomes?.map((outcome) => ({
+      measure: outcome.measure || "",
+      description: outcome.description || "",
+      timeFrame: outcome.timeFrame || null,
+    })) || [];
+
   // Extract design and phase
   const phases = designModule.phases || [];
   const phase = phases.length > 0 ? phases.join(", ") : "N/A";
@@ -262,6 +297,32 @@ function processStudyData(study, nctId) {
       "Not specified", // Backward compatibility
     eligibility,
     contacts,
+    sponsor: sponsorModule.leadSponsor?.name
+      ? {
+          name: sponsorModule.leadSponsor.name,
+          class: sponsorModule.leadSponsor.class || null, // INDUSTRY, NIH, OTHER, ...
+        }
+      : null,
+    collaborators: sponsorModule.collaborators?.map((c) => c.name).filter(Boolean) || [],
+    arms,
+    interventions,
+    primaryOutcomes,
+    enrollment: designModule.enrollmentInfo?.count != null
+      ? {
+          count: designModule.enrollmentInfo.count,
+          type: designModule.enrollmentInfo.type || null, // ESTIMATED or ACTUAL
+        }
+      : null,
+    startDate: statusModule.startDateStruct?.date || null,
+    primaryCompletionDate: statusModule.primaryCompletionDateStruct?.date
+      ? {
+          date: statusModule.primaryCompletionDateStruct.date,
+          type: statusModule.primaryCompletionDateStruct.type || null,
+        }
+      : null,
+    lastUpdatePostDate: statusModule.lastUpdatePostDateStruct?.date || null,
+    hasResults: Boolean(study.hasResults),
+    resultsFirstPostDate: statusModule.resultsFirstPostDateStruct?.date || null,
     description:
       descriptionModule.briefSummary ||
       descriptionModule.detailedDescription ||
@@ -0,0 +1,236 @@
+/**
+ * Test script for the trial eligibility parser and pre-screen
+ *
+ * Parses ClinicalTrials.gov criteria text (as the API returns it), then screens sample
+ * patients against it and validates the patient details the pre-screen accepts.
+ *
+ * Usage:
+ *   node tests/test-eligibility-parser.js
+ */
+
+import {
+  parseEligibilityCriteria,
+  buildPatientFacts,
+  evaluateEligibility,
+  parseBiomarkers,
+  validatePatientFacts,
+} from "../services/eligibility.service.js";
+
+// Written the way the ClinicalTrials.gov API returns it (markdown, escaped comparators)
+const eligibility = {
+  gender: "FEMALE",
+  minimumAge: "18 Years",
+  maximumAge: "N/A",
+  criteria: `Inclusion Criteria:
+
+* Histologically confirmed HER2-positive breast cancer
+* Age \\>= 18 years
+* ECOG performance status 0-1
+* Adequate organ function, defined as:
+  * Absolute neutrophil count (ANC) ≥ 1.5 x 10^9/L
+  * Platelets ≥ 100,000/µL
+  * Hemoglobin ≥ 9 g/dL
+  * AST and ALT ≤ 2.5 × ULN
+* Negative serum pregnancy test for women of childbearing potential
+* Signed informed consent
+
+Exclusion Criteria:
+
+* Prior treatment with trastuzumab deruxtecan
+* Known active hepatitis B infection
+* Pregnant or breastfeeding
+* KRAS wild-type tumors`,
+};
+
+// What the parser should make of individual criteria: find the criterion containing
+// `criterion`, then check it (or its first rule of `ruleType`)
+const parserCases = [
+  { name: "Lead-in lines are dropped", criterion: "defined as", check: (c) => !c },
+  { name: "Exclusion section is recognised", criterion: "trastuzumab", check: (c) => c?.section === "exclusion" },
+  { name: "Age bound from escaped markdown", criterion: "Age", ruleType: "age", check: (r) => JSON.stringify(r?.bounds) === '[{"op":">=","value":18}]' },
+  { name: "ECOG range", criterion: "ECOG", ruleType: "ecog", check: (r) => JSON.stringify(r?.bounds.map((b) => b.value)) === "[0,1]" },
+  { name: "ANC in 10^9/L converted to per µL", criterion: "ANC", ruleType: "lab", check: (r) => r?.bounds[0].value === 1500 },
+  { name: "Platelets with a thousands separator", criterion: "Platelets", ruleType: "lab", check: (r) => r?.bounds[0].value === 100000 },
+  { name: "ULN-relative thresholds are flagged", criterion: "AST and ALT", check: (c) => c.rules.every((r) => r.relativeToUln) },
+  { name: "Negative pregnancy test means not pregnant", criterion: "pregnancy test", ruleType: "pregnancy", check: (r) => r?.negated === true },
+  { name: "Biomarker status from wording", criterion: "HER2", ruleType: "biomarker", check: (r) => r?.status === "positive" },
+  { name: "Wild-type reads as negative", criterion: "KRAS", ruleType: "biomarker", check: (r) => r?.status === "negative" },
+  { name: "Prior treatment becomes a therapy rule", criterion: "trastuzumab", ruleType: "therapy", check: (r) => Boolean(r) },
+  { name: "Consent has no rules", criterion: "informed consent", check: (c) => c.rules.length === 0 },
+];
+
+// Patients screened against the criteria above: expected status per criterion, and outcome
+const patientCases = [
+  {
+    name: "HER2-positive patient within every range",
+    profile: { conditions: ["HER2-positive breast cancer"], gender: "Female", age: 52 },
+    details: {
+      ecog: 1,
+      pregnant: false,
+      priorTherapies: ["paclitaxel"],
+      labs: { anc: 2100, platelets: 180000, hemoglobin: 11.5 },
+      biomarkers: ["KRAS mutation"],
+    },
+    statuses: {
+      Histologically: "met",
+      Age: "met",
+      Hemoglobin: "met",
+      "AST and ALT": "unknown", // no upper limit of normal to compare with
+      trastuzumab: "met",
+      hepatitis: "unknown",
+      KRAS: "met", // a KRAS mutation is not wild-type
+    },
+    outcome: "possibly_eligible",
+    noneFailed: true,
+  },
+  {
+    name: "Under-age male with poor performance status",
+    profile: { conditions: ["breast cancer"], gender: "Male", age: 16 },
+    details: { ecog: 3, pregnant: false },
+    statuses: { Sex: "not_met", Age: "not_met", ECOG: "not_met" },
+    outcome: "likely_ineligible",
+  },
+];
+
+// Patient details sent with a pre-screen request: null means accepted
+const validationCases = [
+  { name: "ECOG outside 0-5", details: { ecog: 7 }, valid: false },
+  { name: "Unknown lab", details: { labs: { sodium: 140 } }, valid: false },
+  { name: "Age and a known lab", details: { age: 40, labs: { platelets: 200000 } }, valid: true },
+];
+
+/**
+ * Parse the sample criteria and check each parser case
+ */
+function testParser() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`📋 Testing: Criteria parser`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const criteria = parseEligibilityCriteria(eligibility);
+  const structured = criteria.filter((c) => c.section === "structured");
+  console.log(`   Parsed ${criteria.length} criteria (${structured.length} from registry fields)\n`);
+
+  const results = parserCases.map((testCase) => {
+    const criterion = criteria.find((c) => c.text.includes(testCase.criterion));
+    const subject = testCase.ruleType
+      ? criterion?.rules.find((r) => r.type === testCase.ruleType)
+      : criterion;
+    const passed = Boolean(testCase.check(subject));
+    console.log(`   ${passed ? "✅" : "❌"} ${testCase.name}`);
+    return passed;
+  });
+
+  // Registry sex and age come first as structured criteria
+  const registryOk = structured.length === 2;
+  console.log(`   ${registryOk ? "✅" : "❌"} Registry sex and age become structured criteria`);
+  // Lab "eGFR" must not be read as the EGFR gene
+  const egfrOk = parseBiomarkers("eGFR ≥ 60 mL/min").length === 0;
+  console.log(`   ${egfrOk ? "✅" : "❌"} eGFR is not the EGFR gene`);
+  results.push(registryOk, egfrOk);
+
+  const passed = results.filter(Boolean).length;
+  return { success: passed === results.length, passed, total: results.length };
+}
+
+/**
+ * Screen one patient and compare each expected criterion status
+ */
+function testPatient(testCase) {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`🧑‍⚕️ Testing: ${testCase.name}`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const criteria = parseEligibilityCriteria(eligibility);
+  const result = evaluateEligibility(criteria, buildPatientFacts(testCase.profile, testCase.details));
+  console.log(`   Outcome: ${result.outcome}`);
+  console.log(`   Counts: ${JSON.stringify(result.counts)}\n`);
+
+  const checks = Object.entries(testCase.statuses).map(([text, expected]) => {
+    const actual = result.criteria.find((c) => c.text.includes(text))?.status;
+    const passed = actual === expected;
+    console.log(`   ${passed ? "✅" : "❌"} "${text}": ${actual} (expected ${expected})`);
+    return passed;
+  });
+
+  const outcomeOk = result.outcome === testCase.outcome;
+  console.log(`   ${outcomeOk ? "✅" : "❌"} Outcome is ${testCase.outcome}`);
+  checks.push(outcomeOk);
+  if (testCase.noneFailed) {
+    const noneFailed = result.counts.not_met === 0;
+    console.log(`   ${noneFailed ? "✅" : "❌"} No criterion is failed`);
+    checks.push(noneFailed);
+  }
+
+  const passed = checks.filter(Boolean).length;
+  return { success: passed === checks.length, passed, total: checks.length };
+}
+
+/**
+ * Patient details validation, plus the facts derived from a profile
+ */
+function testPatientDetails() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`🧾 Testing: Patient details`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const checks = validationCases.map((testCase) => {
+    const error = validatePatientFacts(testCase.details);
+    const passed = (error === null) === testCase.valid;
+    console.log(`   ${passed ? "✅" : "❌"} ${testCase.name}: ${error || "accepted"}`);
+    return passed;
+  });
+
+  const malePregnant = buildPatientFacts({ gender: "male" }).pregnant;
+  const maleOk = malePregnant === false;
+  console.log(`   ${maleOk ? "✅" : "❌"} Male patients are not pregnant`);
+  checks.push(maleOk);
+
+  const passed = checks.filter(Boolean).length;
+  return { success: passed === checks.length, passed, total: checks.length };
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║                                                                               ║
+║                  TRIAL ELIGIBILITY PARSER - TEST SUITE                        ║
+║                                                                               ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  console.log("This test suite will:");
+  console.log("  1. Parse sample criteria into sections and rules");
+  console.log(`  2. Screen ${patientCases.length} sample patients against them`);
+  console.log("  3. Validate patient details sent with a pre-screen\n");
+
+  const results = [
+    { name: "Criteria parser", result: testParser() },
+    ...patientCases.map((testCase) => ({ name: testCase.name, result: testPatient(testCase) })),
+    { name: "Patient details", result: testPatientDetails() },
+  ];
+
+  // Summary
+  console.log(`\n\n${"=".repeat(80)}`);
+  console.log(`📊 TEST SUITE SUMMARY`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  results.forEach(({ name, result }) => {
+    console.log(`${name}: ${result.passed}/${result.total} ${result.success ? "✅" : "❌"}`);
+  });
+
+  const failed = results.filter((r) => !r.result.success).length;
+  console.log(`\nSuccessful: ${results.length - failed} ✅`);
+  console.log(`Failed: ${failed} ${failed > 0 ? "❌" : ""}`);
+  console.log("\n✨ Test suite complete!\n");
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run the tests
+runAllTests().catch((error) => {
+  console.error("Fatal error running test suite:", error);
+  process.exit(1);
+});
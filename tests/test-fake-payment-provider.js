@@ -0,0 +1,363 @@
+/**
+ * Test script for payments through the fake provider
+ *
+ * This script covers:
+ *   1. A checkout and its refunds through the provider interface billing uses
+ *   2. Webhook signature verification (valid, tampered, unsigned, wrong secret)
+ *   3. Provider setup per environment: the fake provider is never available in production,
+ *      and a missing webhook secret fails the startup check
+ *   4. A quote whose amount changes after checkout started: a new checkout is made, and a
+ *      late payment on the old one is refunded instead of being lost
+ *
+ * Suites 1-3 run offline. Suite 4 writes to MongoDB and only runs when MONGO_URI is set
+ * (point MONGO_DB at a test database; the documents it creates are removed afterwards).
+ *
+ * Usage:
+ *   node tests/test-fake-payment-provider.js
+ *   MONGO_URI=mongodb://localhost:27017 MONGO_DB=collabiora-test node tests/test-fake-payment-provider.js
+ */
+
+import { execFileSync } from "child_process";
+import crypto from "crypto";
+
+// Read when the provider module loads, so it has to be set before importing it
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET ||= "test-webhook-secret";
+
+const { fakePaymentProvider, buildFakeWebhook } = await import("../services/fakePaymentProvider.js");
+
+const PAYMENT_AMOUNT = 5000;
+
+// Each delivery is built from a paid checkout's webhook
+const webhookCases = [
+  {
+    name: "Signed delivery",
+    build: (paid) => paid,
+    valid: true,
+  },
+  {
+    name: "Tampered amount",
+    build: (paid) => ({
+      rawBody: Buffer.from(paid.rawBody.toString().replace(String(PAYMENT_AMOUNT), "1")),
+      headers: paid.headers,
+    }),
+    valid: false,
+  },
+  {
+    name: "Missing signature header",
+    build: (paid) => ({ rawBody: paid.rawBody, headers: {} }),
+    valid: false,
+  },
+  {
+    name: "Signed with another secret",
+    build: (paid) => ({
+      rawBody: paid.rawBody,
+      headers: {
+        "x-fake-signature": crypto.createHmac("sha256", "not-the-secret").update(paid.rawBody).digest("hex"),
+      },
+    }),
+    valid: false,
+  },
+  {
+    name: "Refund event signed with the shared secret",
+    build: (paid, paymentId) => buildFakeWebhook("payment.refunded", paymentId, PAYMENT_AMOUNT),
+    valid: true,
+  },
+];
+
+// Each case runs in its own process: the environment is read when the modules load.
+// webhookStatus is what POST /api/billing/webhooks/fake answers an unsigned delivery with.
+const environmentCases = [
+  {
+    name: "Production without PAYMENT_PROVIDER",
+    env: { NODE_ENV: "production", PAYMENT_PROVIDER: "", FAKE_PAYMENT_WEBHOOK_SECRET: "secret" },
+    expected: { provider: null, startupError: null, webhookStatus: 404 },
+  },
+  {
+    name: "Production with PAYMENT_PROVIDER=fake",
+    env: { NODE_ENV: "production", PAYMENT_PROVIDER: "fake", FAKE_PAYMENT_WEBHOOK_SECRET: "secret" },
+    expected: { provider: null, startupError: "not available in production", webhookStatus: 404 },
+  },
+  {
+    name: "Development without a webhook secret",
+    env: { NODE_ENV: "development", PAYMENT_PROVIDER: "", FAKE_PAYMENT_WEBHOOK_SECRET: "" },
+    expected: { provider: "fake", startupError: "webhook secret is not set", webhookStatus: 400 },
+  },
+  {
+    name: "Development with a webhook secret",
+    env: { NODE_ENV: "development", PAYMENT_PROVIDER: "", FAKE_PAYMENT_WEBHOOK_SECRET: "secret" },
+    expected: { provider: "fake", startupError: null, webhookStatus: 400 },
+  },
+];
+
+async function rejects(fn) {
+  try {
+    await fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Checkout, failed and successful payment, then partial and full refunds
+ */
+async function testCheckoutAndRefunds() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`💳 Testing: Checkout and refunds`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const { paymentId, checkoutUrl } = await fakePaymentProvider.createCheckout({
+    invoiceId: "invoice-1",
+    amount: PAYMENT_AMOUNT,
+    currency: "usd",
+    description: "Test consultation",
+  });
+  const failed = fakePaymentProvider.completeCheckout(paymentId, "failed");
+  const failedEvent = fakePaymentProvider.parseWebhook(failed.rawBody, failed.headers);
+  const refundBeforePayment = await rejects(() => fakePaymentProvider.refund({ paymentId, amount: 100 }));
+  const paid = fakePaymentProvider.completeCheckout(paymentId, "succeeded");
+  const paidEvent = fakePaymentProvider.parseWebhook(paid.rawBody, paid.headers);
+  const partial = await fakePaymentProvider.refund({ paymentId, amount: 2000 });
+  const overRefund = await rejects(() => fakePaymentProvider.refund({ paymentId, amount: 3001 }));
+  const rest = await fakePaymentProvider.refund({ paymentId, amount: 3000 });
+
+  const steps = [
+    ["Checkout returns a payment id and its URL", Boolean(paymentId) && checkoutUrl.endsWith(paymentId)],
+    ["A declined card sends payment.failed with the reason", failedEvent.type === "payment.failed" && Boolean(failedEvent.error)],
+    ["Refunding before payment is rejected", refundBeforePayment],
+    ["Paying sends payment.succeeded", paidEvent.type === "payment.succeeded"],
+    ["The event carries the payment id and amount", paidEvent.paymentId === paymentId && paidEvent.amount === PAYMENT_AMOUNT],
+    ["A paid checkout can't be completed again", fakePaymentProvider.completeCheckout(paymentId) === null],
+    ["Partial refund succeeds", partial.status === "succeeded"],
+    ["Refunding more than is left is rejected", overRefund],
+    ["Refunding the rest succeeds", rest.status === "succeeded"],
+  ];
+
+  steps.forEach(([name, passed]) => console.log(`   ${passed ? "✅" : "❌"} ${name}`));
+  const passed = steps.filter(([, ok]) => ok).length;
+  return { success: passed === steps.length, passed, total: steps.length };
+}
+
+/**
+ * Every webhook case must verify, or be rejected, as expected
+ */
+async function testWebhookSignatures() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`🔏 Testing: Webhook signatures`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const { paymentId } = await fakePaymentProvider.createCheckout({
+    invoiceId: "invoice-2",
+    amount: PAYMENT_AMOUNT,
+    currency: "usd",
+    description: "Test consultation",
+  });
+  const paid = fakePaymentProvider.completeCheckout(paymentId, "succeeded");
+
+  let passed = 0;
+  for (const testCase of webhookCases) {
+    const { rawBody, headers } = testCase.build(paid, paymentId);
+    let verified;
+    try {
+      verified = fakePaymentProvider.parseWebhook(rawBody, headers).paymentId === paymentId;
+    } catch {
+      verified = false;
+    }
+    const ok = verified === testCase.valid;
+    if (ok) passed++;
+    console.log(`   ${ok ? "✅" : "❌"} ${testCase.name}: ${verified ? "accepted" : "rejected"}`);
+  }
+  return { success: passed === webhookCases.length, passed, total: webhookCases.length };
+}
+
+/**
+ * Active provider, startup check and webhook answer for one environment
+ */
+function inspectEnvironment(env) {
+  const modules = ["paymentProvider.service.js", "billing.service.js"].map(
+    (file) => new URL(`../services/${file}`, import.meta.url).href,
+  );
+  const script = `
+    const { getPaymentProvider, assertPaymentProviderConfig } = await import(${JSON.stringify(modules[0])});
+    const { handlePaymentWebhook } = await import(${JSON.stringify(modules[1])});
+    let startupError = null;
+    try {
+      assertPaymentProviderConfig();
+    } catch (error) {
+      startupError = error.message;
+    }
+    const webhook = await handlePaymentWebhook("fake", Buffer.from("{}"), {});
+    console.log(JSON.stringify({
+      provider: getPaymentProvider()?.name || null,
+      startupError,
+      webhookStatus: webhook.status || 200,
+    }));
+    process.exit(0);
+  `;
+  const output = execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "ignore"],
+    timeout: 60000,
+  });
+  return JSON.parse(output.toString().trim().split("\n").pop());
+}
+
+async function testEnvironments() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`🏭 Testing: Provider setup per environment`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  let passed = 0;
+  for (const testCase of environmentCases) {
+    const actual = inspectEnvironment(testCase.env);
+    const { expected } = testCase;
+    const ok =
+      actual.provider === expected.provider &&
+      actual.webhookStatus === expected.webhookStatus &&
+      (expected.startupError
+        ? String(actual.startupError).includes(expected.startupError)
+        : actual.startupError === null);
+    if (ok) passed++;
+
+    console.log(`   ${ok ? "✅" : "❌"} ${testCase.name}`);
+    console.log(`      Provider: ${actual.provider || "none"}`);
+    console.log(`      Startup check: ${actual.startupError || "passes"}`);
+    console.log(`      Unsigned webhook: ${actual.webhookStatus}`);
+  }
+  return { success: passed === environmentCases.length, passed, total: environmentCases.length };
+}
+
+/**
+ * Re-quote after checkout started, then pay both the old and the new checkout
+ */
+async function testAmountChangeRecheckout() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`🔁 Testing: Amount change after checkout started`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  if (!process.env.MONGO_URI) {
+    console.log("   ⏭️  Skipped: set MONGO_URI (and a test MONGO_DB) to run it");
+    return { success: true, skipped: true, passed: 0, total: 0 };
+  }
+
+  const { default: mongoose } = await import("mongoose");
+  const { connectMongo } = await import("../config/mongo.js");
+  const { Invoice } = await import("../models/Invoice.js");
+  const { Notification } = await import("../models/Notification.js");
+  const { Job } = await import("../models/Job.js");
+  const { ensureMeetingInvoice, startCheckout, handlePaymentWebhook } = await import(
+    "../services/billing.service.js"
+  );
+
+  await connectMongo();
+  const meeting = {
+    _id: new mongoose.Types.ObjectId(),
+    patientId: new mongoose.Types.ObjectId(),
+    expertId: new mongoose.Types.ObjectId(),
+    meetingDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  };
+  const quote = (amount) => ({
+    currency: "usd",
+    minutes: 30,
+    lineItems: [{ description: "Consultation (30 min)", quantity: 1, unitAmount: amount }],
+    amount,
+  });
+
+  try {
+    const invoice = await ensureMeetingInvoice(meeting, quote(5000));
+    await startCheckout(invoice);
+    const oldPaymentId = invoice.providerPaymentId;
+
+    const sameAmount = await ensureMeetingInvoice(meeting, quote(5000));
+    const requoted = await ensureMeetingInvoice(meeting, quote(7500));
+    const superseded = requoted.supersededPayments.find((payment) => payment.paymentId === oldPaymentId);
+    const checkoutCleared = requoted.providerPaymentId === null && requoted.checkoutUrl === null;
+    await startCheckout(requoted);
+    const newPaymentId = requoted.providerPaymentId;
+
+    // The patient pays the tab they still had open, then the new quote
+    const late = fakePaymentProvider.completeCheckout(oldPaymentId, "succeeded");
+    const lateResult = await handlePaymentWebhook("fake", late.rawBody, late.headers);
+    const afterLate = await Invoice.findById(invoice._id).lean();
+    const paid = fakePaymentProvider.completeCheckout(newPaymentId, "succeeded");
+    await handlePaymentWebhook("fake", paid.rawBody, paid.headers);
+    const afterPaid = await Invoice.findById(invoice._id).lean();
+    const oldPaymentRefunded = await rejects(() =>
+      fakePaymentProvider.refund({ paymentId: oldPaymentId, amount: 1 }),
+    );
+
+    const steps = [
+      ["Re-quoting the same amount keeps the checkout", sameAmount.providerPaymentId === oldPaymentId],
+      ["A new amount clears the checkout", checkoutCleared],
+      ["The old payment id is kept with its amount", superseded?.amount === 5000],
+      ["The new checkout is a different payment", Boolean(newPaymentId) && newPaymentId !== oldPaymentId],
+      ["A late payment on the old checkout is matched", lateResult.success && lateResult.applied === true],
+      ["...and refunded in full", oldPaymentRefunded && Boolean(afterLate.supersededPayments[0]?.refundedAt)],
+      ["...without marking the invoice paid", afterLate.status === "open"],
+      ["Paying the new checkout pays the invoice", afterPaid.status === "paid" && afterPaid.amount === 7500],
+    ];
+
+    steps.forEach(([name, passed]) => console.log(`   ${passed ? "✅" : "❌"} ${name}`));
+    const passed = steps.filter(([, ok]) => ok).length;
+    return { success: passed === steps.length, passed, total: steps.length };
+  } finally {
+    const notificationIds = await Notification.find({ userId: meeting.patientId }).distinct("_id");
+    await Promise.all([
+      Invoice.deleteMany({ meetingRequestId: meeting._id }),
+      Notification.deleteMany({ _id: { $in: notificationIds } }),
+      Job.deleteMany({ "payload.notificationId": { $in: notificationIds.map(String) } }),
+    ]);
+    await mongoose.connection.close();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║                                                                               ║
+║                    PAYMENTS (FAKE PROVIDER) - TEST SUITE                      ║
+║                                                                               ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  const suites = [
+    ["Checkout and refunds", testCheckoutAndRefunds],
+    ["Webhook signatures", testWebhookSignatures],
+    ["Provider setup per environment", testEnvironments],
+    ["Amount change after checkout started", testAmountChangeRecheckout],
+  ];
+
+  const results = [];
+  for (const [name, run] of suites) {
+    try {
+      results.push({ name, result: await run() });
+    } catch (error) {
+      console.error(`❌ ${name} crashed: ${error.message}`);
+      results.push({ name, result: { success: false, passed: 0, total: 0, error: error.message } });
+    }
+  }
+
+  // Summary
+  console.log(`\n\n${"=".repeat(80)}`);
+  console.log(`📊 TEST SUITE SUMMARY`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  results.forEach(({ name, result }) => {
+    const status = result.skipped ? "⏭️  skipped" : `${result.passed}/${result.total} ${result.success ? "✅" : "❌"}`;
+    console.log(`${name}: ${status}`);
+  });
+
+  const failed = results.filter((r) => !r.result.success).length;
+  console.log(`\nSuites failed: ${failed} ${failed > 0 ? "❌" : ""}`);
+  console.log("\n✨ Test suite complete!\n");
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run the tests
+runAllTests().catch((error) => {
+  console.error("Fatal error running test suite:", error);
+  process.exit(1);
+});
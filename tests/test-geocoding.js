@@ -0,0 +1,173 @@
+/**
+ * Test script for the offline geocoder (utils/geography.js)
+ *
+ * Geocodes patient-style and ClinicalTrials.gov-style locations against the bundled
+ * gazetteer, then checks the radius filter built on top of it.
+ *
+ * Usage:
+ *   node tests/test-geocoding.js
+ */
+
+import {
+  geocodeLocation,
+  isWithinRadius,
+  calculateDistance,
+} from "../utils/geography.js";
+
+// Free-text and profile-style locations with either the expected coordinates (within
+// 5 miles), the expected precision, a label fragment, or null for no match
+const locationCases = [
+  { name: "City with state code", input: "Boston, MA", near: [42.36, -71.06] },
+  { name: "State code beats country code (CA = California)", input: "Los Angeles, CA 90095", label: "Los Angeles" },
+  { name: "Facility name before city is skipped", input: "Mayo Clinic, Rochester, Minnesota, United States", near: [44.02, -92.47] },
+  { name: "State written without a comma", input: "Houston Texas", near: [29.76, -95.37] },
+  { name: "Saint/St. spellings match", input: "St. Louis, Missouri", near: [38.63, -90.2] },
+  { name: "Accents are optional", input: "Sao Paulo, Brazil", near: [-23.55, -46.63] },
+  { name: "Bare name picks the larger namesake", input: "London", label: "United Kingdom" },
+  { name: "Region disambiguates namesakes", input: "London, Ontario, Canada", label: "Canada" },
+  { name: "Canadian postal code", input: "M5G 2M9", near: [43.65, -79.38] },
+  { name: "Unknown place", input: "Nowhere, Atlantis", expectNull: true },
+  {
+    name: "Profile location fields",
+    input: { city: "Cleveland", state: "Ohio", country: "United States" },
+    near: [41.5, -81.69],
+  },
+  {
+    name: "ClinicalTrials.gov lists Puerto Rico as a country",
+    input: { city: "San Juan", country: "Puerto Rico" },
+    near: [18.47, -66.11],
+  },
+];
+
+// How precisely a location could be placed
+const precisionCases = [
+  { name: "US ZIP code resolves to its metro", input: "02115", precision: "postal" },
+  { name: "Unlisted ZIP falls back to the state", input: "99999", precision: "region" },
+  { name: "Country alone", input: "United States", precision: "country" },
+  {
+    name: "Unknown city uses the postal code",
+    input: { city: "Smalltown", state: "OH", country: "United States", postalCode: "44195" },
+    precision: "postal",
+  },
+  { name: "API geoPoint is used as-is", input: { lat: 40.7, lon: -74 }, precision: "exact" },
+];
+
+const radiusCases = [
+  { name: "Boston to Providence within 60 miles", from: "Boston, MA", to: "Providence, RI", miles: 60, expected: true },
+  { name: "Boston to New York within 100 miles", from: "Boston, MA", to: "New York, NY", miles: 100, expected: false },
+  // A site we can't place is kept rather than silently dropped from results
+  { name: "Unplaceable location within 1 mile", from: "Boston, MA", to: "Atlantis", miles: 1, expected: true },
+];
+
+const describe = (input) => (typeof input === "string" ? `"${input}"` : JSON.stringify(input));
+
+/**
+ * Geocode each location case and compare with its expectation
+ */
+function testLocations() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`📍 Testing: Location matching`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const checks = locationCases.map((testCase) => {
+    const result = geocodeLocation(testCase.input);
+    let passed;
+    if (testCase.expectNull) {
+      passed = result === null;
+    } else if (testCase.near) {
+      const [lat, lon] = testCase.near;
+      passed = Boolean(result) && calculateDistance(result.lat, result.lon, lat, lon) <= 5;
+    } else {
+      passed = Boolean(result?.label.includes(testCase.label));
+    }
+    console.log(`   ${passed ? "✅" : "❌"} ${testCase.name}`);
+    console.log(`      ${describe(testCase.input)} → ${result ? result.label : "no match"}`);
+    return passed;
+  });
+
+  const passed = checks.filter(Boolean).length;
+  return { success: passed === checks.length, passed, total: checks.length };
+}
+
+/**
+ * Check the precision reported for each precision case
+ */
+function testPrecision() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`🎯 Testing: Match precision`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const checks = precisionCases.map((testCase) => {
+    const precision = geocodeLocation(testCase.input)?.precision;
+    const passed = precision === testCase.precision;
+    console.log(`   ${passed ? "✅" : "❌"} ${testCase.name}: ${precision} (expected ${testCase.precision})`);
+    return passed;
+  });
+
+  const passed = checks.filter(Boolean).length;
+  return { success: passed === checks.length, passed, total: checks.length };
+}
+
+/**
+ * Radius filtering between two free-text locations
+ */
+function testRadius() {
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`📏 Testing: Radius filter`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  const checks = radiusCases.map((testCase) => {
+    const within = isWithinRadius(testCase.from, testCase.to, testCase.miles);
+    const passed = within === testCase.expected;
+    console.log(`   ${passed ? "✅" : "❌"} ${testCase.name}: ${within} (expected ${testCase.expected})`);
+    return passed;
+  });
+
+  const passed = checks.filter(Boolean).length;
+  return { success: passed === checks.length, passed, total: checks.length };
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║                                                                               ║
+║                    OFFLINE GEOCODER - TEST SUITE                              ║
+║                                                                               ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  console.log("This test suite will:");
+  console.log(`  1. Geocode ${locationCases.length} locations in patient and registry formats`);
+  console.log(`  2. Check the precision of ${precisionCases.length} partial locations`);
+  console.log(`  3. Filter ${radiusCases.length} location pairs by radius\n`);
+
+  const results = [
+    { name: "Location matching", result: testLocations() },
+    { name: "Match precision", result: testPrecision() },
+    { name: "Radius filter", result: testRadius() },
+  ];
+
+  // Summary
+  console.log(`\n\n${"=".repeat(80)}`);
+  console.log(`📊 TEST SUITE SUMMARY`);
+  console.log(`${"=".repeat(80)}\n`);
+
+  results.forEach(({ name, result }) => {
+    console.log(`${name}: ${result.passed}/${result.total} ${result.success ? "✅" : "❌"}`);
+  });
+
+  const failed = results.filter((r) => !r.result.success).length;
+  console.log(`\nSuccessful: ${results.length - failed} ✅`);
+  console.log(`Failed: ${failed} ${failed > 0 ? "❌" : ""}`);
+  console.log("\n✨ Test suite complete!\n");
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run the tests
+runAllTests().catch((error) => {
+  console.error("Fatal error running test suite:", error);
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+/**
+ * Ownership test suite for per-user routes
+ *
+ * Hits every route guarded by authorize("owner" | "participant" | "admin") twice:
+ *   1. anonymously             → expects 401
+ *   2. as a signed-in stranger → expects 403
+ *
+ * The stranger must be a normal (non-admin) account, and VICTIM_USER_ID must be
+ * a different user. Nothing is modified when the guards work as intended.
+ *
+ * Usage:
+ *   STRANGER_TOKEN=<jwt> VICTIM_USER_ID=<userId> node tests/test-route-ownership.js
+ *
+ * Optional (for participant routes on existing documents):
+ *   VICTIM_MESSAGE_ID, VICTIM_CONVERSATION_ID, VICTIM_MESSAGE_REQUEST_ID,
+ *   VICTIM_NOTIFICATION_ID, VICTIM_MEETING_REQUEST_ID, VICTIM_CONNECTION_REQUEST_ID,
+ *   VICTIM_TRIAL_ID, VICTIM_SAVED_SEARCH_ID, VICTIM_INVOICE_ID, VICTIM_REVIEW_ID
+ */
+
+import axios from "axios";
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000/api";
+const STRANGER_TOKEN = process.env.STRANGER_TOKEN;
+const VICTIM = process.env.VICTIM_USER_ID;
+
+if (!STRANGER_TOKEN || !VICTIM) {
+  console.error("STRANGER_TOKEN and VICTIM_USER_ID are required");
+  process.exit(1);
+}
+
+const OTHER = "000000000000000000000001";
+
+// [method, path, body] — every route here must reject a stranger
+const routes = [
+  // Messages
+  ["get", `/messages/${VICTIM}`],
+  ["get", `/messages/${VICTIM}/conversations`],
+  ["get", `/messages/${VICTIM}/unread-count`],
+  ["patch", `/messages/${VICTIM}/conversation/${OTHER}/read`],
+  ["get", `/messages/${VICTIM}/updates`],
+  ["post", `/messages/${VICTIM}/typing`, { receiverId: OTHER }],
+  ["post", "/messages", { senderId: VICTIM, receiverId: OTHER, senderRole: "researcher", receiverRole: "researcher", body: "hi" }],
+
+  // Message requests
+  ["post", "/message-requests", { requesterId: VICTIM, expertId: OTHER, message: "hi" }],
+  ["get", `/message-requests/${VICTIM}`],
+  ["get", `/message-requests/${VICTIM}/settings`],
+  ["put", `/message-requests/${VICTIM}/settings`, { autoAccept: ["everyone"] }],
+
+  // Favorites
+  ["get", `/favorites/${VICTIM}`],
+  ["post", `/favorites/${VICTIM}`, { type: "trial", item: { id: "NCT00000000" } }],
+  ["delete", `/favorites/${VICTIM}?type=trial&id=NCT00000000`],
+  ["post", `/favorites/${VICTIM}/add-by-url`, { url: "https://clinicaltrials.gov/study/NCT00000000" }],
+
+  // Read history
+  ["get", `/read/${VICTIM}`],
+  ["post", `/read/${VICTIM}`, { type: "trial", itemId: "NCT00000000" }],
+  ["post", `/read/${VICTIM}/status`, { items: [] }],
+
+  // Insights / notifications
+  ["get", `/insights/${VICTIM}`],
+  ["patch", `/insights/${VICTIM}/read-all`],
+  ["get", `/insights/${VICTIM}/followers`],
+  ["get", `/insights/${VICTIM}/following`],
+
+  // Meeting requests
+  ["get", `/meeting-requests/${VICTIM}`],
+  ["get", `/meeting-requests/patient/${VICTIM}`],
+  ["get", `/meeting-requests/${VICTIM}/${OTHER}/status`],
+  ["post", "/meeting-requests", { patientId: VICTIM, expertId: OTHER, message: "hi" }],
+  ["get", `/meeting-requests/calendar/${VICTIM}/feed-url`],
+  ["put", `/meeting-availability/${VICTIM}`, { timezone: "UTC", windows: [] }],
+
+  // Connection requests
+  ["get", `/connection-requests/${VICTIM}`],
+  ["get", `/connection-requests/${VICTIM}/connections`],
+  ["get", `/connection-requests/${VICTIM}/${OTHER}/status`],
+  ["post", "/connection-requests", { requesterId: VICTIM, receiverId: OTHER }],
+
+  // Follow
+  ["post", "/follow", { followerId: VICTIM, followingId: OTHER, followerRole: "patient", followingRole: "researcher" }],
+  ["delete", "/follow", { followerId: VICTIM, followingId: OTHER }],
+  ["get", `/follow/following-ids?userId=${VICTIM}`],
+
+  // Profile / account
+  ["get", `/profile/${VICTIM}`],
+  ["put", `/profile/${VICTIM}`, { role: "patient" }],
+  ["post", `/profile/${VICTIM}`, { role: "patient" }],
+  ["patch", `/profile/${VICTIM}/patient-conditions`, { conditions: [] }],
+  ["patch", `/profile/${VICTIM}/researcher-interests`, { interests: [] }],
+  ["put", `/auth/update-user/${VICTIM}`, { username: "hijacked" }],
+  ["post", "/auth/update-profile", { userId: VICTIM, medicalInterests: [] }],
+
+  // Recommendations, communities, forums
+  ["get", `/recommendations/${VICTIM}`],
+  ["get", `/recommendations/${VICTIM}/section?type=trials`],
+  ["delete", `/recommendations/cache/${VICTIM}`],
+  ["get", `/communities/feed/${VICTIM}`],
+  ["get", `/communities/recommended/${VICTIM}`],
+  ["post", `/communities/${OTHER}/follow`, { userId: VICTIM }],
+  ["post", "/forums/threads", { categoryId: OTHER, authorUserId: VICTIM, authorRole: "patient", title: "x" }],
+  ["post", "/forums/replies", { threadId: OTHER, authorUserId: VICTIM, authorRole: "patient", body: "x" }],
+
+  // Expert invites, feedback, trials
+  ["get", `/expert-invites/user/${VICTIM}`],
+  ["get", `/feedback/has-submitted/${VICTIM}`],
+  ["post", "/trials", { ownerResearcherId: VICTIM, title: "x" }],
+
+  // Admin-only views
+  ["get", "/contact"],
+  ["get", "/feedback"],
+  ["get", "/page-feedback"],
+  ["get", "/admin/reports"],
+];
+
+const optionalRoutes = [
+  ["VICTIM_MESSAGE_ID", (id) => ["patch", `/messages/${id}/read`]],
+  ["VICTIM_CONVERSATION_ID", (id) => ["get", `/conversations/${id}`]],
+  ["VICTIM_CONVERSATION_ID", (id) => ["get", `/conversations/${id}/messages`]],
+  ["VICTIM_CONVERSATION_ID", (id) => ["post", `/conversations/${id}/messages`, { body: "hi" }]],
+  ["VICTIM_CONVERSATION_ID", (id) => ["patch", `/conversations/${id}/read`]],
+  ["VICTIM_CONVERSATION_ID", (id) => ["patch", `/conversations/${id}/state`, { muted: true }]],
+  ["VICTIM_MESSAGE_REQUEST_ID", (id) => ["patch", `/message-requests/${id}`, { action: "reject" }]],
+  ["VICTIM_MESSAGE_REQUEST_ID", (id) => ["delete", `/message-requests/${id}`]],
+  ["VICTIM_NOTIFICATION_ID", (id) => ["patch", `/insights/${id}/read`]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["patch", `/meeting-requests/${id}`, { action: "cancelled" }]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["patch", `/meeting-requests/${id}/questions`, { patientQuestions: "x" }]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["patch", `/meeting-requests/${id}/reschedule`, { slotStart: "2030-01-01T10:00:00Z" }]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["get", `/meeting-requests/${id}/calendar.ics`]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["get", `/billing/meeting-requests/${id}/quote`]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["get", `/meeting-requests/${id}/feedback`]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["put", `/meeting-requests/${id}/feedback`, { rating: 5 }]],
+  ["VICTIM_MEETING_REQUEST_ID", (id) => ["post", `/meeting-requests/${id}/follow-ups`, { patientQuestions: "x" }]],
+  ["VICTIM_CONNECTION_REQUEST_ID", (id) => ["patch", `/connection-requests/${id}`, { action: "reject" }]],
+  ["VICTIM_TRIAL_ID", (id) => ["put", `/trials/${id}`, { title: "x" }]],
+  ["VICTIM_SAVED_SEARCH_ID", (id) => ["get", `/saved-searches/${id}`]],
+  ["VICTIM_SAVED_SEARCH_ID", (id) => ["patch", `/saved-searches/${id}`, { alertsEnabled: false }]],
+  ["VICTIM_SAVED_SEARCH_ID", (id) => ["delete", `/saved-searches/${id}`]],
+  ["VICTIM_SAVED_SEARCH_ID", (id) => ["post", `/saved-searches/${id}/run`]],
+  ["VICTIM_INVOICE_ID", (id) => ["get", `/billing/invoices/${id}`]],
+  ["VICTIM_INVOICE_ID", (id) => ["post", `/billing/invoices/${id}/checkout`]],
+  ["VICTIM_INVOICE_ID", (id) => ["post", `/billing/invoices/${id}/refund`]],
+  ["VICTIM_REVIEW_ID", (id) => ["patch", `/reviews/${id}`, { rating: 1 }]],
+  ["VICTIM_REVIEW_ID", (id) => ["delete", `/reviews/${id}`]],
+];
+for (const [envName, build] of optionalRoutes) {
+  if (process.env[envName]) routes.push(build(process.env[envName]));
+}
+
+async function callAs(token, [method, path, body]) {
+  const headers = { "X-Testing": "true" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await axios.request({
+    method,
+    url: `${BASE_URL}${path}`,
+    data: body,
+    headers,
+    timeout: 30000,
+    validateStatus: () => true,
+  });
+  return response.status;
+}
+
+async function runAllTests() {
+  console.log(`\n🔒 Route ownership suite — ${routes.length} routes against ${BASE_URL}\n`);
+
+  const failures = [];
+
+  for (const route of routes) {
+    const label = `${route[0].toUpperCase()} ${route[1]}`;
+    const anonymous = await callAs(null, route);
+    const stranger = await callAs(STRANGER_TOKEN, route);
+    const ok = anonymous === 401 && stranger === 403;
+    console.log(`${ok ? "✅" : "❌"} ${label}  (anonymous: ${anonymous}, stranger: ${stranger})`);
+    if (!ok) failures.push(label);
+  }
+
+  console.log(`\n${"=".repeat(80)}`);
+  console.log(`Total routes: ${routes.length}`);
+  console.log(`Protected: ${routes.length - failures.length} ✅`);
+  console.log(`Exposed: ${failures.length} ${failures.length > 0 ? "❌" : ""}`);
+
+  if (failures.length > 0) {
+    failures.forEach((label) => console.log(`   - ${label}`));
+    process.exit(1);
+  }
+
+  console.log("\n✨ Ownership suite complete!\n");
+}
+
+runAllTests().catch((error) => {
+  console.error("Fatal error running ownership suite:", error);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+import { getRequestId } from "./requestContext.js";
+import { upstreamRequestDuration, upstreamErrors } from "./metrics.js";
+
+// Outbound HTTP: forward the current request ID and time every call per upstream service
+const UPSTREAMS = [
+  [/(^|\.)ncbi\.nlm\.nih\.gov$/, "pubmed"],
+  [/(^|\.)clinicaltrials\.gov$/, "clinicaltrials"],
+  [/(^|\.)openalex\.org$/, "openalex"],
+  [/(^|\.)semanticscholar\.org$/, "semantic_scholar"],
+  [/(^|\.)generativelanguage\.googleapis\.com$/, "gemini"],
+  [/(^|\.)orcid\.org$/, "orcid"],
+  [/(^|\.)crossref\.org$/, "crossref"],
+  [/(^|\.)arxiv\.org$/, "arxiv"],
+  [/(^|\.)europepmc\.org$|(^|\.)ebi\.ac\.uk$/, "europepmc"],
+  [/(^|\.)unpaywall\.org$/, "unpaywall"],
+  [/(^|\.)newsapi\.org$/, "newsapi"],
+];
+
+/**
+ * Upstream label for a request URL ("other" for hosts we don't track separately)
+ */
+export function upstreamFor(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return "other";
+  }
+  return UPSTREAMS.find(([pattern]) => pattern.test(host))?.[1] || "other";
+}
+
+function errorReason(error) {
+  if (error.response) return `http_${error.response.status}`;
+  if (error.code === "ERR_CANCELED") return "cancelled";
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT" || /timeout/i.test(error.message || "")) {
+    return "timeout";
+  }
+  return "network";
+}
+
+/**
+ * Add request-ID propagation and upstream metrics to an axios instance
+ * @param {Object} instance - axios (the default instance is shared by every module)
+ */
+export function instrumentAxios(instance) {
+  instance.interceptors.request.use((config) => {
+    const requestId = getRequestId();
+    if (requestId) config.headers.set("X-Request-Id", requestId, false);
+    const url = config.baseURL && !/^https?:/i.test(config.url || "") ? `${config.baseURL}${config.url || ""}` : config.url;
+    config.metadata = { upstream: upstreamFor(url), stopTimer: upstreamRequestDuration.startTimer() };
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      const metadata = response.config?.metadata;
+      if (metadata) {
+        // Calls with a permissive validateStatus still count 4xx/5xx as errors
+        const failed = response.status >= 400;
+        metadata.stopTimer({ upstream: metadata.upstream, outcome: failed ? "error" : "ok" });
+        if (failed) upstreamErrors.inc({ upstream: metadata.upstream, reason: `http_${response.status}` });
+      }
+      return response;
+    },
+    (error) => {
+      const metadata = error.config?.metadata;
+      if (metadata) {
+        metadata.stopTimer({ upstream: metadata.upstream, outcome: "error" });
+        upstreamErrors.inc({ upstream: metadata.upstream, reason: errorReason(error) });
+      }
+      return Promise.reject(error);
+    },
+  );
+}
@@ -8,6 +8,9 @@
  * 4. Exponential backoff on errors
  */
 
+import { AsyncResource } from 'async_hooks';
+import { upstreamRequestDuration, upstreamErrors } from './metrics.js';
+
 // Rate limits per model (based on your Gemini API quotas)
 const MODEL_LIMITS = {
   'gemini-2-flash-exp': { rpm: 9, tpm: 240000 }, // Set slightly below actual limit (10 RPM, 250K TPM) for safety margin
@@ -196,9 +199,9 @@ class GeminiRateLimiter {
    */
   async execute(fn, model = 'gemini-2.5-flash-lite', estimatedTokens = 1000) {
     return new Promise((resolve, reject) => {
-      // Add to queue
+      // Add to queue (bound to the caller's async context, so its request ID follows the call)
       const queue = this.queues.get(model) || [];
-      queue.push({ fn, model, estimatedTokens, resolve, reject });
+      queue.push({ fn: AsyncResource.bind(fn), model, estimatedTokens, resolve, reject });
       this.queues.set(model, queue);
       
       // Process queue
@@ -227,6 +230,7 @@ class GeminiRateLimiter {
     
     // Increment processing count
     this.processing.set(model, currentlyProcessing + 1);
+    let stopTimer = null;
     
     try {
       // Wait if rate limited
@@ -236,7 +240,9 @@ class GeminiRateLimiter {
       this.recordRequest(request.model, request.estimatedTokens);
       
       // Execute the function
+      stopTimer = upstreamRequestDuration.startTimer();
       const result = await request.fn();
+      stopTimer({ upstream: 'gemini', outcome: 'ok' });
       
       // Record success
       this.recordSuccess(request.model);
@@ -256,6 +262,12 @@ class GeminiRateLimiter {
         error.status === 429 ||
         error.status === 503;
       
+      // Only calls that reached the API count towards upstream metrics
+      if (stopTimer) {
+        stopTimer({ upstream: 'gemini', outcome: 'error' });
+        upstreamErrors.inc({ upstream: 'gemini', reason: isRateLimitError ? 'rate_limited' : 'error' });
+      }
+      
       if (isRateLimitError) {
         console.error(`🔴 Rate limit error for ${request.model}:`, errorMessage);
         this.recordFailure(request.model);
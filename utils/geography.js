@@ -1,8 +1,20 @@
 /**
  * Geographic utility functions
  * For calculating distances between locations (zip codes, cities, etc.)
+ * Geocoding is offline, backed by the bundled gazetteer in data/gazetteer.js
  */
 
+import {
+  COUNTRIES,
+  REGIONS,
+  CITIES,
+  CITY_ALIASES,
+  US_ZIP3_CITIES,
+  US_ZIP3_STATES,
+  CA_POSTAL_PROVINCES,
+  CA_POSTAL_CITIES,
+} from "../data/gazetteer.js";
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -31,33 +43,315 @@ function toRad(degrees) {
   return (degrees * Math.PI) / 180;
 }
 
+/**
+ * Normalize a place name for lookup: lower case, no accents or punctuation,
+ * "St."/"Ft." spelled out ("St. Louis" and "Saint Louis" match)
+ */
+function normalizePlace(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\bst\.?\s+/g, "saint ")
+    .replace(/\bft\.?\s+/g, "fort ")
+    .replace(/[.'’]/g, "")
+    .replace(/[-_/]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function addToIndex(index, key, entry) {
+  const normalized = normalizePlace(key);
+  if (!normalized) return;
+  if (!index.has(normalized)) index.set(normalized, []);
+  index.get(normalized).push(entry);
+}
+
+const countryByName = new Map(); // full names and aliases -> code
+const countryByCode = new Map(); // ISO codes -> code
+for (const [code, country] of Object.entries(COUNTRIES)) {
+  countryByName.set(normalizePlace(country.name), code);
+  for (const alias of country.aliases) countryByName.set(normalizePlace(alias), code);
+  countryByCode.set(code.toLowerCase(), code);
+}
+
+const regionIndex = new Map(); // codes and names -> [{ code, name, country, lat, lon }]
+for (const [code, name, country, lat, lon] of REGIONS) {
+  const region = { code, name, country, lat, lon };
+  addToIndex(regionIndex, code, region);
+  addToIndex(regionIndex, name, region);
+}
+
+const cityIndex = new Map(); // names -> [{ name, region, country, lat, lon }] (larger cities first)
+for (const [name, region, country, lat, lon] of CITIES) {
+  addToIndex(cityIndex, name, { name, region, country, lat, lon });
+}
+for (const [alias, name] of Object.entries(CITY_ALIASES)) {
+  // Accent-only aliases ("montréal") already normalize to the listed name
+  if (normalizePlace(alias) === normalizePlace(name)) continue;
+  for (const city of cityIndex.get(normalizePlace(name)) || []) {
+    addToIndex(cityIndex, alias, city);
+  }
+}
+
+function findCountry(value, { allowCodes = true } = {}) {
+  const normalized = normalizePlace(value);
+  if (!normalized) return null;
+  if (countryByName.has(normalized)) return countryByName.get(normalized);
+  return allowCodes ? countryByCode.get(normalized) || null : null;
+}
+
+function findRegion(value, countryCode) {
+  const matches = regionIndex.get(normalizePlace(value)) || [];
+  return (
+    matches.find((region) => !countryCode || region.country === countryCode) ||
+    null
+  );
+}
+
+function findCity(value, countryCode, regionCode) {
+  const matches = cityIndex.get(normalizePlace(value)) || [];
+  return (
+    matches.find(
+      (city) =>
+        // Puerto Rico is a country on ClinicalTrials.gov but a US region here
+        (!countryCode || city.country === countryCode || city.region === countryCode) &&
+        (!regionCode || !city.region || city.region === regionCode),
+    ) || null
+  );
+}
+
+function findCityInRegion(name, region, country) {
+  return CITIES.find(
+    ([cityName, cityRegion, cityCountry]) =>
+      cityName === name && cityRegion === region && cityCountry === country,
+  );
+}
+
+function inZip3Range(zip3, first, last) {
+  return zip3 >= first && zip3 <= last;
+}
+
+/**
+ * Postal code -> metro area (or state/province when the metro isn't listed).
+ * US ZIP codes and Canadian postal codes only.
+ */
+function geocodePostalCode(postalCode, countryCode) {
+  const code = String(postalCode || "").trim().toUpperCase();
+
+  if ((!countryCode || countryCode === "US" || countryCode === "PR") && /^\d{5}(-\d{4})?$/.test(code)) {
+    const zip3 = code.slice(0, 3);
+    const metro = US_ZIP3_CITIES.find(([first, last]) => inZip3Range(zip3, first, last));
+    if (metro) {
+      const [, , name, region] = metro;
+      const city = findCityInRegion(name, region, "US");
+      if (city) return toResult(city[3], city[4], "postal", [code, name, region]);
+    }
+    const state = US_ZIP3_STATES.find(([first, last]) => inZip3Range(zip3, first, last));
+    const region = state && findRegion(state[2], "US");
+    if (region) return toResult(region.lat, region.lon, "region", [code, region.name]);
+    return null;
+  }
+
+  if ((!countryCode || countryCode === "CA") && /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/.test(code)) {
+    const province = CA_POSTAL_PROVINCES[code[0]];
+    const metroName = CA_POSTAL_CITIES[code.slice(0, 2)] || CA_POSTAL_CITIES[code[0]];
+    const city = metroName && findCityInRegion(metroName, province, "CA");
+    if (city) return toResult(city[3], city[4], "postal", [code, metroName, province]);
+    const region = province && findRegion(province, "CA");
+    if (region) return toResult(region.lat, region.lon, "region", [code, region.name]);
+  }
+
+  return null;
+}
+
+function toResult(lat, lon, precision, labelParts) {
+  return {
+    lat,
+    lon,
+    precision,
+    label: labelParts.filter(Boolean).join(", "),
+  };
+}
+
+function cityResult(city) {
+  return toResult(city.lat, city.lon, "city", [
+    city.name,
+    city.region,
+    COUNTRIES[city.country]?.name,
+  ]);
+}
+
+function regionResult(region) {
+  return toResult(region.lat, region.lon, "region", [
+    region.name,
+    COUNTRIES[region.country]?.name,
+  ]);
+}
+
+function countryResult(countryCode) {
+  const country = COUNTRIES[countryCode];
+  return toResult(country.lat, country.lon, "country", [country.name]);
+}
+
+/**
+ * Geocode structured location fields (Profile.location, trial site)
+ */
+function geocodeParts({ city, state, country, postalCode }) {
+  const countryCode = country ? findCountry(country) : null;
+  const region = state ? findRegion(state, countryCode) : null;
+  const resolvedCountry = countryCode || region?.country || null;
+
+  const cityMatch = city ? findCity(city, resolvedCountry, region?.code) : null;
+  if (cityMatch) return cityResult(cityMatch);
+
+  const postal = postalCode ? geocodePostalCode(postalCode, resolvedCountry) : null;
+  if (postal?.precision === "postal") return postal;
+  if (region) return regionResult(region);
+  if (postal) return postal;
+  if (resolvedCountry) return countryResult(resolvedCountry);
+  return null;
+}
+
+const US_ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/;
+const CA_POSTAL_PATTERN = /\b([A-Za-z]\d[A-Za-z])\s?(\d[A-Za-z]\d)\b/;
+
+/**
+ * Geocode a free-text location ("Boston, MA", "02115", "Mayo Clinic, Rochester, Minnesota, United States")
+ */
+function geocodeText(text) {
+  let rest = text.trim();
+  if (!rest) return null;
+
+  let postalCode = null;
+  const zipMatch = rest.match(US_ZIP_PATTERN);
+  const caMatch = rest.match(CA_POSTAL_PATTERN);
+  if (zipMatch) {
+    postalCode = zipMatch[0];
+    rest = rest.replace(zipMatch[0], " ");
+  } else if (caMatch) {
+    postalCode = `${caMatch[1]} ${caMatch[2]}`;
+    rest = rest.replace(caMatch[0], " ");
+  }
+
+  const segments = rest
+    .split(/[,;]/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+  // A single name: country ("Mexico") before city ("New York") before state ("Georgia")
+  if (segments.length === 1 && !postalCode) {
+    const [only] = segments;
+    const namedCountry = findCountry(only, { allowCodes: false });
+    if (namedCountry) return countryResult(namedCountry);
+    const city = findCity(only);
+    if (city) return cityResult(city);
+    const region = findRegion(only);
+    if (region) return regionResult(region);
+    // Otherwise it may be "Houston Texas" - handled below
+  }
+
+  let country = null;
+  if (segments.length > 1) {
+    // "Los Angeles, CA" is California, not Canada: state codes win over country codes
+    const last = segments[segments.length - 1];
+    country =
+      findCountry(last, { allowCodes: false }) ||
+      (findRegion(last) ? null : findCountry(last));
+    if (country) segments.pop();
+  }
+
+  let state = null;
+  if (segments.length > 1 && findRegion(segments[segments.length - 1], country)) {
+    state = segments.pop();
+  } else if (segments.length) {
+    // "Boston MA", "Houston Texas"
+    const last = segments[segments.length - 1];
+    const words = last.split(" ");
+    for (let take = Math.min(3, words.length - 1); take >= 1; take--) {
+      const candidate = words.slice(-take).join(" ");
+      if (findRegion(candidate, country)) {
+        state = candidate;
+        segments[segments.length - 1] = words.slice(0, -take).join(" ");
+        break;
+      }
+    }
+  }
+
+  // City: nearest the end wins (facility names come first)
+  const region = state ? findRegion(state, country) : null;
+  const resolvedCountry = country || region?.country || null;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const city = findCity(segments[i], resolvedCountry, region?.code);
+    if (city) return cityResult(city);
+  }
+
+  return geocodeParts({ state, country: resolvedCountry, postalCode });
+}
+
+/**
+ * Offline geocoder for patient locations and trial sites.
+ * Accepts free text or { city, state, country, postalCode | zip } (Profile.location shape);
+ * objects that already carry lat/lon are returned as-is.
+ * @param {string|Object} location
+ * @returns {Object|null} - { lat, lon, precision: "exact"|"postal"|"city"|"region"|"country", label } or null
+ */
+export function geocodeLocation(location) {
+  if (!location) return null;
+
+  if (typeof location === "object") {
+    const lat = Number(location.lat ?? location.latitude);
+    const lon = Number(location.lon ?? location.lng ?? location.longitude);
+    if (
+      location.lat != null &&
+      Number.isFinite(lat) &&
+      Number.isFinite(lon) &&
+      Math.abs(lat) <= 90 &&
+      Math.abs(lon) <= 180
+    ) {
+      return { lat, lon, precision: "exact", label: location.label || "" };
+    }
+    return geocodeParts({
+      city: location.city,
+      state: location.state,
+      country: location.country,
+      postalCode: location.postalCode || location.zip,
+    });
+  }
+
+  if (typeof location !== "string") return null;
+
+  const coordinates = location.match(/^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/);
+  if (coordinates) {
+    return geocodeLocation({ lat: coordinates[1], lon: coordinates[2] });
+  }
+
+  return geocodeText(location);
+}
+
 /**
  * Parse location string to extract coordinates
- * This is a simplified version - in production, you'd use a geocoding service
- * @param {string} location - Location string (e.g., "90210", "Los Angeles, CA")
+ * @param {string|Object} location - Location string (e.g., "90210", "Los Angeles, CA") or location fields
  * @returns {Object|null} - {lat, lon} or null if not parseable
  */
 export function parseLocation(location) {
-  // This is a placeholder - in production, use a geocoding API
-  // For now, return null to indicate we can't parse it
-  // The actual implementation would use Google Geocoding API, Mapbox, etc.
-  return null;
+  const geocoded = geocodeLocation(location);
+  return geocoded ? { lat: geocoded.lat, lon: geocoded.lon } : null;
 }
 
 /**
  * Check if a location is within radius of another location
- * @param {Object} location1 - {lat, lon} or location string
- * @param {Object} location2 - {lat, lon} or location string
+ * @param {Object} location1 - {lat, lon}, location fields or location string
+ * @param {Object} location2 - {lat, lon}, location fields or location string
  * @param {number} radiusMiles - Radius in miles
  * @returns {boolean} - True if within radius
  */
 export function isWithinRadius(location1, location2, radiusMiles) {
-  // If we can't parse locations, return true (don't filter out)
-  // This is a fallback - in production, you'd always have coordinates
+  // If we can't place either location, return true (don't filter out)
   if (!location1 || !location2) return true;
 
-  const coords1 = typeof location1 === "object" ? location1 : parseLocation(location1);
-  const coords2 = typeof location2 === "object" ? location2 : parseLocation(location2);
+  const coords1 = parseLocation(location1);
+  const coords2 = parseLocation(location2);
 
   if (!coords1 || !coords2) return true; // Can't determine, so include
 
@@ -70,4 +364,3 @@ export function isWithinRadius(location1, location2, radiusMiles) {
 
   return distance <= radiusMiles;
 }
-
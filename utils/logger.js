@@ -0,0 +1,95 @@
+import util from "util";
+import { getRequestContext } from "./requestContext.js";
+
+// Structured logger. One JSON object per line in production (LOG_FORMAT=json), readable
+// lines in development (LOG_FORMAT=pretty). Every entry carries the current request ID.
+// installConsoleBridge() routes existing console.* calls through it, reading a leading
+// "[Component]" tag as the component field.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === "production" ? "json" : "pretty");
+const COMPONENT_TAG = /^\[([\w .-]{1,40})\]\s*/;
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.response?.status ? { status: error.response.status } : {}),
+    stack: error.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+  const context = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(context?.requestId ? { requestId: context.requestId } : {}),
+    ...(context?.userId ? { userId: context.userId } : {}),
+    ...fields,
+    message,
+  };
+  if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (format === "json") {
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+  const { time, level: _level, requestId, component, err, message: _message, ...rest } = entry;
+  const prefix = [time.slice(11, 23), level.toUpperCase().padEnd(5), requestId && `(${requestId.slice(0, 8)})`, component && `[${component}]`]
+    .filter(Boolean)
+    .join(" ");
+  const extra = Object.keys(rest).length ? ` ${util.inspect(rest, { breakLength: Infinity, depth: 4 })}` : "";
+  stream.write(`${prefix} ${message}${extra}${err?.stack ? `\n${err.stack}` : ""}\n`);
+}
+
+function createLogger(bound = {}) {
+  const log = (level) => (message, fields) => {
+    // logger.error("Failed", error) is allowed as shorthand for { err: error }
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    write(level, message, { ...bound, ...extra });
+  };
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    /**
+     * Logger that adds `fields` to every entry (e.g. { component: "Jobs" })
+     */
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  };
+}
+
+export const logger = createLogger();
+
+/**
+ * Send console.log/info/warn/error through the structured logger (call once at startup)
+ */
+export function installConsoleBridge() {
+  const bridge = (level) => (...args) => {
+    const fields = {};
+    const errorIndex = args.findIndex((arg) => arg instanceof Error);
+    if (errorIndex !== -1) {
+      fields.err = args[errorIndex];
+      args = args.filter((_, i) => i !== errorIndex);
+      if (args.length === 0) args = [fields.err.message];
+    }
+    let message = util.format(...args);
+    const tag = message.match(COMPONENT_TAG);
+    if (tag) {
+      fields.component = tag[1];
+      message = message.slice(tag[0].length);
+    }
+    write(level, message, fields);
+  };
+  console.log = bridge("info");
+  console.info = bridge("info");
+  console.warn = bridge("warn");
+  console.error = bridge("error");
+  console.debug = bridge("debug");
+}
@@ -0,0 +1,182 @@
+// Prometheus metrics (text exposition format, served at GET /metrics).
+// Counters and histograms live in this process; each instance is scraped separately.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map(); // name -> metric
+const collectors = []; // () => void, run before each scrape (refresh gauges)
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelString(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function seriesKey(labelNames, labels = {}) {
+  return labelNames.map((name) => labels[name] ?? "");
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) return registry.get(metric.name);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter
+ * @param {Object} options - { name, help, labelNames }
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return register({
+    name,
+    inc(labels = {}, value = 1) {
+      const values = seriesKey(labelNames, labels);
+      const key = values.join("\u0000");
+      const current = series.get(key) || { values, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { values, value } of series.values()) {
+        lines.push(`${name}${labelString(labelNames, values)} ${value}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Value set at scrape time (or whenever it changes)
+ * @param {Object} options - { name, help, labelNames }
+ */
+export function createGauge({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return register({
+    name,
+    set(labels, value) {
+      const values = seriesKey(labelNames, labels);
+      series.set(values.join("\u0000"), { values, value });
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { values, value } of series.values()) {
+        lines.push(`${name}${labelString(labelNames, values)} ${value}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Distribution of observed values (e.g. durations in seconds)
+ * @param {Object} options - { name, help, labelNames, buckets }
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+  return register({
+    name,
+    observe(labels, value) {
+      const values = seriesKey(labelNames, labels);
+      const key = values.join("\u0000");
+      let current = series.get(key);
+      if (!current) {
+        current = { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+    },
+    /**
+     * Start a timer; call the returned function with the labels to record the elapsed seconds
+     */
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return (labels) => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { values, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${labelString(labelNames, values, `le="${bound}"`)} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${labelString(labelNames, values, 'le="+Inf"')} ${count}`);
+        lines.push(`${name}_sum${labelString(labelNames, values)} ${sum}`);
+        lines.push(`${name}_count${labelString(labelNames, values)} ${count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Run `collect` before every scrape (for gauges read from elsewhere)
+ */
+export function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * All metrics in Prometheus text format
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (error) {
+      console.error("[Metrics] Collector failed:", error.message);
+    }
+  }
+  return [...registry.values()].flatMap((metric) => metric.render()).join("\n") + "\n";
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// ─── Application metrics ─────────────────────────────────────────────────────
+
+export const httpRequestDuration = createHistogram({
+  name: "http_request_duration_seconds",
+  help: "Time to respond to API requests, by route template and status code",
+  labelNames: ["method", "route", "status"],
+});
+
+export const upstreamRequestDuration = createHistogram({
+  name: "upstream_request_duration_seconds",
+  help: "Time taken by calls to external services, by upstream and outcome (ok or error)",
+  labelNames: ["upstream", "outcome"],
+});
+
+export const upstreamErrors = createCounter({
+  name: "upstream_errors_total",
+  help: "Failed calls to external services, by upstream and reason (HTTP status, timeout or network)",
+  labelNames: ["upstream", "reason"],
+});
+
+const processMemory = createGauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size in bytes",
+});
+const heapUsed = createGauge({
+  name: "nodejs_heap_used_bytes",
+  help: "V8 heap in use, in bytes",
+});
+const uptime = createGauge({
+  name: "process_uptime_seconds",
+  help: "Seconds since the process started",
+});
+
+registerCollector(() => {
+  const memory = process.memoryUsage();
+  processMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+  uptime.set({}, Math.round(process.uptime()));
+});
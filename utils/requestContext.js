@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Per-request context (request ID, user) that follows the request through async calls,
+// so logs and outbound calls can be tied back to the request that caused them.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` as the current request context
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Current request context, or undefined outside a request (schedules, startup)
+ * @returns {Object|undefined} - { requestId, userId }
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
+
+export function getRequestId() {
+  return storage.getStore()?.requestId;
+}
@@ -0,0 +1,35 @@
+import crypto from "crypto";
+
+// Long-lived links that act for a user without a session (digest unsubscribe, calendar feed).
+// Format: base64url(value.signature), signature = HMAC-SHA256(purpose:value)
+const TOKEN_SECRET =
+  process.env.LINK_TOKEN_SECRET ||
+  process.env.JWT_SECRET ||
+  "your-secret-key-change-in-production";
+
+function sign(purpose, value) {
+  return crypto.createHmac("sha256", TOKEN_SECRET).update(`${purpose}:${value}`).digest("hex");
+}
+
+/**
+ * @param {string} purpose - What the token is for; a token for one purpose fails for another
+ * @param {string} value - e.g. a user id (must not contain ".")
+ */
+export function createSignedToken(purpose, value) {
+  return Buffer.from(`${value}.${sign(purpose, value)}`).toString("base64url");
+}
+
+/**
+ * @returns {string|null} - The signed value, or null when the token is invalid
+ */
+export function verifySignedToken(purpose, token) {
+  if (!token || typeof token !== "string") return null;
+  try {
+    const [value, signature] = Buffer.from(token, "base64url").toString("utf-8").split(".");
+    const expected = sign(purpose, value);
+    if (!signature || signature.length !== expected.length) return null;
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? value : null;
+  } catch {
+    return null;
+  }
+}
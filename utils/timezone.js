@@ -0,0 +1,87 @@
+// Time zone helpers on top of Intl (no tz database dependency).
+// Wall-clock times are "HH:mm" strings and dates "YYYY-MM-DD" in the given IANA zone.
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * @returns {number|null} - Minutes since midnight, or null for anything but a valid "HH:mm"
+ */
+export function minutesOfDay(hhmm) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(hhmm || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+export function isValidTimeOfDay(hhmm) {
+  return minutesOfDay(hhmm) !== null;
+}
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, weekday (0 = Sunday), date: "YYYY-MM-DD" }
+ */
+export function getZonedParts(instant, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  }).formatToParts(instant);
+  const value = (type) => parts.find((p) => p.type === type)?.value;
+  const result = {
+    year: Number(value("year")),
+    month: Number(value("month")),
+    day: Number(value("day")),
+    hour: Number(value("hour")),
+    minute: Number(value("minute")),
+    weekday: WEEKDAYS[value("weekday")],
+  };
+  result.date = `${value("year")}-${value("month")}-${value("day")}`;
+  return result;
+}
+
+// Offset of the zone from UTC at an instant, in ms (positive east of Greenwich)
+function zoneOffsetMs(instant, timezone) {
+  const p = getZonedParts(instant, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return asUtc - Math.floor(instant.getTime() / 60000) * 60000;
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone. A time skipped by a DST jump
+ * (02:30 on a spring-forward night) comes out an hour off rather than failing.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} hhmm - "HH:mm"
+ * @param {string} timezone - IANA zone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(date, hhmm, timezone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const minutes = minutesOfDay(hhmm);
+  const wallAsUtc = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  // Two passes settle the offset on either side of a DST change
+  let instant = new Date(wallAsUtc - zoneOffsetMs(new Date(wallAsUtc), timezone));
+  instant = new Date(wallAsUtc - zoneOffsetMs(instant, timezone));
+  return instant;
+}
+
+/**
+ * Next calendar date after "YYYY-MM-DD"
+ */
+export function nextDate(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}